@@ -0,0 +1,240 @@
+/**
+ * Admin API
+ *
+ * Endpoints for moderating the live game, mounted under /admin/api and
+ * used by the admin page (public/admin.html). Every request needs the
+ * ADMIN_TOKEN as a bearer token:
+ * - GET    /queue              - players waiting for a match
+ * - GET    /rooms              - live rooms, with scores and rounds
+ * - GET    /players            - connected sockets (player token and IP)
+ * - POST   /rooms/:id/end      - force-end a match
+ * - POST   /kick               - { type: 'token' | 'ip', value }
+ * - GET    /bans
+ * - POST   /bans               - { type: 'token' | 'ip', value, reason }
+ * - DELETE /bans/:id
+ * - POST   /broadcast          - { message } shown to every socket
+ * - GET    /audit?limit=50     - the audit log, newest first
+ *
+ * Every action that changes something is written to the audit log.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { logger } = require("./logger");
+const { jsonNotFound, jsonErrorHandler } = require("./api");
+
+const TARGET_TYPES = ["token", "ip"];
+const MAX_TARGET_LENGTH = 200;
+const MAX_REASON_LENGTH = 200;
+const MAX_BROADCAST_LENGTH = 280;
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 500;
+
+/**
+ * Compare a presented token with the admin token without leaking how much
+ * of it matched through timing
+ */
+function tokenMatches(presented, expected) {
+  const a = crypto.createHash("sha256").update(presented).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read a trimmed, non-empty string no longer than maxLength
+ * @returns the string, or null if it isn't one
+ */
+function readText(value, maxLength) {
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  return text && text.length <= maxLength ? text : null;
+}
+
+/**
+ * Read a kick or ban target from a request body
+ * @returns { type, value } or null if it isn't valid
+ */
+function readTarget(body) {
+  const type = body && body.type;
+  const value = readText(body && body.value, MAX_TARGET_LENGTH);
+  if (!TARGET_TYPES.includes(type) || !value) return null;
+  return { type, value };
+}
+
+/**
+ * Create the /admin/api router
+ * @param options.token - the admin token requests must present
+ * @param options.storage - where bans and the audit log are kept
+ * @param options.admin - the server's moderation actions:
+ *   listQueue(), listRooms(), listPlayers(), endRoom(roomId),
+ *   kick(target), ban(target, reason), unban(banId),
+ *   broadcast(message)
+ */
+function createAdminRouter({ token, storage, admin }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const header = req.get("authorization") || "";
+    const presented = header.startsWith("Bearer ") ? header.slice(7) : "";
+    if (!presented || !tokenMatches(presented, token)) {
+      logger.warn("Admin request refused", {
+        ip: req.ip,
+        url: req.originalUrl,
+      });
+      res.status(401).json({ error: "Admin token required" });
+      return;
+    }
+    next();
+  });
+
+  router.use(express.json({ limit: "10kb" }));
+
+  /**
+   * Write an admin action to the audit log
+   */
+  function audit(req, action, details) {
+    const entry = {
+      id: crypto.randomBytes(8).toString("hex"),
+      at: Date.now(),
+      action,
+      details,
+      ip: req.ip,
+    };
+    logger.info("Admin action", { action, details, ip: req.ip });
+    return storage.appendAudit(entry);
+  }
+
+  router.get("/queue", (req, res, next) => {
+    admin
+      .listQueue()
+      .then((entries) => res.json({ entries }))
+      .catch(next);
+  });
+
+  router.get("/rooms", (req, res, next) => {
+    admin
+      .listRooms()
+      .then((rooms) => res.json({ rooms }))
+      .catch(next);
+  });
+
+  router.get("/players", (req, res, next) => {
+    admin
+      .listPlayers()
+      .then((players) => res.json({ players }))
+      .catch(next);
+  });
+
+  router.post("/rooms/:id/end", (req, res, next) => {
+    const roomId = req.params.id;
+
+    admin
+      .endRoom(roomId)
+      .then((ended) => {
+        if (!ended) {
+          res.status(404).json({ error: "Room not found" });
+          return null;
+        }
+        return audit(req, "end_room", { roomId }).then(() =>
+          res.json({ ok: true })
+        );
+      })
+      .catch(next);
+  });
+
+  router.post("/kick", (req, res, next) => {
+    const target = readTarget(req.body);
+    if (!target) {
+      res.status(400).json({ error: "Give a type (token or ip) and value" });
+      return;
+    }
+
+    admin
+      .kick(target)
+      .then((disconnected) =>
+        audit(req, "kick", { ...target, disconnected }).then(() =>
+          res.json({ disconnected })
+        )
+      )
+      .catch(next);
+  });
+
+  router.get("/bans", (req, res, next) => {
+    storage
+      .listBans()
+      .then((bans) => res.json({ bans }))
+      .catch(next);
+  });
+
+  router.post("/bans", (req, res, next) => {
+    const target = readTarget(req.body);
+    if (!target) {
+      res.status(400).json({ error: "Give a type (token or ip) and value" });
+      return;
+    }
+    const reason = readText(req.body.reason, MAX_REASON_LENGTH);
+
+    admin
+      .ban(target, reason)
+      .then(({ ban, disconnected }) =>
+        audit(req, "ban", { ...target, reason, banId: ban.id }).then(() =>
+          res.status(201).json({ ban, disconnected })
+        )
+      )
+      .catch(next);
+  });
+
+  router.delete("/bans/:id", (req, res, next) => {
+    const banId = req.params.id;
+
+    admin
+      .unban(banId)
+      .then((removed) => {
+        if (!removed) {
+          res.status(404).json({ error: "Ban not found" });
+          return null;
+        }
+        return audit(req, "unban", { banId }).then(() =>
+          res.json({ ok: true })
+        );
+      })
+      .catch(next);
+  });
+
+  router.post("/broadcast", (req, res, next) => {
+    const message = readText(
+      req.body && req.body.message,
+      MAX_BROADCAST_LENGTH
+    );
+    if (!message) {
+      res.status(400).json({
+        error: `Give a message of up to ${MAX_BROADCAST_LENGTH} characters`,
+      });
+      return;
+    }
+
+    admin.broadcast(message);
+    audit(req, "broadcast", { message })
+      .then(() => res.json({ ok: true }))
+      .catch(next);
+  });
+
+  router.get("/audit", (req, res, next) => {
+    const limit = Math.min(
+      Number.parseInt(req.query.limit, 10) || DEFAULT_AUDIT_LIMIT,
+      MAX_AUDIT_LIMIT
+    );
+
+    storage
+      .listAudit({ limit: Math.max(limit, 1) })
+      .then((entries) => res.json({ entries }))
+      .catch(next);
+  });
+
+  router.use(jsonNotFound);
+  router.use(jsonErrorHandler("Admin API error"));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
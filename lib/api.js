@@ -0,0 +1,206 @@
+/**
+ * Public REST API
+ *
+ * Read-only JSON endpoints, mounted under /api:
+ * - GET /leaderboard?window=daily|weekly|all&page=1&pageSize=20
+ * - GET /players/:id  - profile, rating, stats and recent matches
+ * - GET /matches/:id  - full round-by-round match record
+ * - GET /replays/:id  - a match reshaped for round-by-round playback
+ *
+ * Player tokens are secret and never leave the server; everything here is
+ * keyed by the public player id.
+ */
+
+const express = require("express");
+const { publicRating } = require("./rating");
+const { logger } = require("./logger");
+const { buildReplay } = require("./replays");
+const {
+  LEADERBOARD_WINDOWS,
+  roleInMatch,
+  resultInMatch,
+  ratingChangeInMatch,
+  computePlayerStats,
+  leaderboardSince,
+  computeLeaderboard,
+} = require("./stats");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// How many recent matches a player profile lists
+const RECENT_MATCHES = 10;
+
+/**
+ * Read a positive whole number from a query parameter
+ */
+function readPositiveInt(value, fallback, max = Infinity) {
+  const number = Number.parseInt(value, 10);
+  if (!Number.isFinite(number) || number < 1) return fallback;
+  return Math.min(number, max);
+}
+
+/**
+ * Short summary of a match from one player's side. A free-for-all has no
+ * single opponent or score, so it says how many played instead.
+ */
+function summarizeMatch(record, playerId) {
+  const summary = {
+    id: record.id,
+    ruleSetId: record.ruleSetId,
+    format: record.format.label,
+    opponent: null,
+    result: resultInMatch(record, playerId) || "abandoned",
+    endReason: record.endReason,
+    score: null,
+    ratingChange: ratingChangeInMatch(record, playerId),
+    endedAt: record.endedAt,
+  };
+  if (record.entrants) {
+    return { ...summary, players: record.entrants.length };
+  }
+
+  const role = roleInMatch(record, playerId);
+  const opponentRole = role === "player1" ? "player2" : "player1";
+  const opponent = record.players[opponentRole];
+
+  return {
+    ...summary,
+    opponent: {
+      playerId: opponent.playerId,
+      nickname: opponent.nickname,
+      isBot: opponent.isBot,
+    },
+    score: {
+      player: record.finalScores[role],
+      opponent: record.finalScores[opponentRole],
+    },
+  };
+}
+
+/**
+ * Create the /api router
+ * @param options.storage - where players and matches are stored
+ */
+function createApiRouter({ storage }) {
+  const router = express.Router();
+
+  router.get("/leaderboard", (req, res, next) => {
+    const window = LEADERBOARD_WINDOWS.includes(req.query.window)
+      ? req.query.window
+      : "all";
+    const page = readPositiveInt(req.query.page, 1);
+    const pageSize = readPositiveInt(
+      req.query.pageSize,
+      DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
+    const since = leaderboardSince(window);
+
+    Promise.all([storage.listPlayers(), storage.listMatches({ since })])
+      .then(([profiles, records]) => {
+        const ranked = computeLeaderboard(profiles, records, window);
+        res.json({
+          window,
+          since,
+          page,
+          pageSize,
+          total: ranked.length,
+          entries: ranked.slice((page - 1) * pageSize, page * pageSize),
+        });
+      })
+      .catch(next);
+  });
+
+  router.get("/players/:id", (req, res, next) => {
+    const playerId = req.params.id;
+
+    Promise.all([
+      storage.getPlayer(playerId),
+      storage.listMatches({ playerId }),
+    ])
+      .then(([profile, records]) => {
+        if (!profile || !profile.nickname) {
+          res.status(404).json({ error: "Player not found" });
+          return;
+        }
+
+        res.json({
+          id: profile.id,
+          nickname: profile.nickname,
+          createdAt: profile.createdAt,
+          rating: profile.rating ? publicRating(profile.rating) : null,
+          stats: computePlayerStats(playerId, records),
+          recentMatches: records
+            .slice(0, RECENT_MATCHES)
+            .map((record) => summarizeMatch(record, playerId)),
+        });
+      })
+      .catch(next);
+  });
+
+  router.get("/matches/:id", (req, res, next) => {
+    storage
+      .getMatch(req.params.id)
+      .then((record) => {
+        if (!record) {
+          res.status(404).json({ error: "Match not found" });
+          return;
+        }
+
+        // Private room codes are only for the people who were invited
+        const { privateCode, ...publicRecord } = record;
+        res.json({ ...publicRecord, private: Boolean(privateCode) });
+      })
+      .catch(next);
+  });
+
+  router.get("/replays/:id", (req, res, next) => {
+    storage
+      .getMatch(req.params.id)
+      .then((record) => {
+        if (!record) {
+          res.status(404).json({ error: "Replay not found" });
+          return;
+        }
+        res.json(buildReplay(record));
+      })
+      .catch(next);
+  });
+
+  router.use(jsonNotFound);
+  router.use(jsonErrorHandler("API error"));
+
+  return router;
+}
+
+/**
+ * Answer unknown routes with JSON rather than the static 404 page
+ */
+function jsonNotFound(req, res) {
+  res.status(404).json({ error: "Not found" });
+}
+
+/**
+ * Create the last-resort error handler for a JSON router
+ * @param logMessage - what unexpected errors are logged as
+ */
+function jsonErrorHandler(logMessage) {
+  // Express spots error handlers by their four arguments, so keep `next`
+  return (err, req, res, next) => {
+    // A body that isn't JSON (or is too big) is the caller's mistake
+    if (err.status && err.status < 500) {
+      res.status(err.status).json({ error: "Invalid request body" });
+      return;
+    }
+
+    logger.error(logMessage, {
+      method: req.method,
+      url: req.originalUrl,
+      error: err,
+    });
+    res.status(500).json({ error: "Something went wrong" });
+  };
+}
+
+module.exports = { createApiRouter, jsonNotFound, jsonErrorHandler };
@@ -0,0 +1,195 @@
+/**
+ * Bot opponents
+ *
+ * A bot predicts the human's next move from the moves they've played so
+ * far and throws something that beats it. Strategies, from easiest to
+ * hardest:
+ * - random:    uniform random moves
+ * - frequency: counters the human's most played move
+ * - markov:    counters the move that most often followed the human's
+ *              last N moves
+ * - expert:    finds the longest earlier repeat of the recent rounds and
+ *              counters whatever the human played next that time
+ *
+ * Every bot draws from its own seeded random number generator, so the
+ * same seed and the same human moves always give the same bot moves.
+ */
+
+const { movesThatBeat } = require("./rulesets");
+
+const BOT_STRATEGIES = {
+  random: { label: "Easy" },
+  frequency: { label: "Medium" },
+  markov: { label: "Hard" },
+  expert: { label: "Expert" },
+};
+
+const DEFAULT_BOT_STRATEGY = "frequency";
+
+// How many of the human's previous moves the Markov bot looks at
+const MARKOV_ORDER = 2;
+
+// Longest run of recent rounds the expert bot tries to find a repeat of
+const PATTERN_MAX_LENGTH = 8;
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @returns function returning a float in [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a random element using the bot's generator
+ */
+function pick(rng, items) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+/**
+ * Most common entry in a { move: count } table (ties go to the first seen)
+ */
+function mostCommon(counts) {
+  let best = null;
+  Object.keys(counts).forEach((move) => {
+    if (best === null || counts[move] > counts[best]) best = move;
+  });
+  return best;
+}
+
+/**
+ * Predict the human's next move from how often they played each move
+ */
+function predictByFrequency(humanMoves) {
+  const counts = {};
+  humanMoves.forEach((move) => {
+    counts[move] = (counts[move] || 0) + 1;
+  });
+  return mostCommon(counts);
+}
+
+/**
+ * Predict the human's next move from what followed their last few moves,
+ * falling back to shorter histories when a longer one hasn't been seen
+ */
+function predictByMarkov(humanMoves, order) {
+  for (
+    let length = Math.min(order, humanMoves.length - 1);
+    length > 0;
+    length--
+  ) {
+    const recent = humanMoves.slice(-length).join(",");
+    const counts = {};
+
+    for (let i = length; i < humanMoves.length; i++) {
+      if (humanMoves.slice(i - length, i).join(",") === recent) {
+        counts[humanMoves[i]] = (counts[humanMoves[i]] || 0) + 1;
+      }
+    }
+
+    const prediction = mostCommon(counts);
+    if (prediction) return prediction;
+  }
+
+  return predictByFrequency(humanMoves);
+}
+
+/**
+ * Predict the human's next move by finding the longest earlier repeat of
+ * the most recent rounds (both players' moves) and returning what the
+ * human played straight after it
+ */
+function predictByPattern(history) {
+  const rounds = history.map((round) => `${round.human}/${round.bot}`);
+
+  for (
+    let length = Math.min(PATTERN_MAX_LENGTH, rounds.length - 1);
+    length > 0;
+    length--
+  ) {
+    const recent = rounds.slice(-length).join(",");
+
+    // Search backwards so the most recent repeat wins
+    for (let end = rounds.length - 1; end >= length; end--) {
+      if (rounds.slice(end - length, end).join(",") === recent) {
+        return history[end].human;
+      }
+    }
+  }
+
+  return predictByMarkov(
+    history.map((round) => round.human),
+    1
+  );
+}
+
+/**
+ * Create a bot for one match
+ * @param options.strategy - one of BOT_STRATEGIES
+ * @param options.ruleSet - the room's rule set
+ * @param options.seed - seed for the bot's random choices
+ */
+function createBot({ strategy, ruleSet, seed }) {
+  const strategyId = Object.prototype.hasOwnProperty.call(
+    BOT_STRATEGIES,
+    strategy
+  )
+    ? strategy
+    : DEFAULT_BOT_STRATEGY;
+  const rng = createRng(seed);
+  const moveIds = ruleSet.moves.map((move) => move.id);
+  const history = []; // { human, bot } for every round both played
+
+  /**
+   * Guess what the human will play next (null if no idea yet)
+   */
+  function predict() {
+    if (history.length === 0) return null;
+
+    const humanMoves = history.map((round) => round.human);
+    if (strategyId === "frequency") return predictByFrequency(humanMoves);
+    if (strategyId === "markov") {
+      return predictByMarkov(humanMoves, MARKOV_ORDER);
+    }
+    if (strategyId === "expert") return predictByPattern(history);
+    return null;
+  }
+
+  return {
+    strategy: strategyId,
+    label: BOT_STRATEGIES[strategyId].label,
+
+    /**
+     * Pick the bot's move for the next round
+     */
+    nextMove() {
+      const prediction = predict();
+      const counters = prediction ? movesThatBeat(ruleSet, prediction) : [];
+      return pick(rng, counters.length > 0 ? counters : moveIds);
+    },
+
+    /**
+     * Learn from a finished round
+     */
+    observe(humanMove, botMove) {
+      if (humanMove && botMove) {
+        history.push({ human: humanMove, bot: botMove });
+      }
+    },
+  };
+}
+
+module.exports = {
+  BOT_STRATEGIES,
+  DEFAULT_BOT_STRATEGY,
+  createRng,
+  createBot,
+};
@@ -0,0 +1,87 @@
+/**
+ * In-match chat
+ *
+ * The two players in a room can send each other short text messages or
+ * preset emotes. Everything is checked on the server before it is passed
+ * on: messages are length capped, rate limited and have blocked words
+ * masked. The text is sent as typed, so clients must show it as plain text.
+ */
+
+const { containsBlockedWord } = require("./players");
+
+// Preset quick messages
+const EMOTES = [
+  { id: "gg", text: "GG" },
+  { id: "good-luck", text: "Good luck!" },
+  { id: "nice-read", text: "Nice read!" },
+  { id: "well-played", text: "Well played" },
+  { id: "oops", text: "Oops!" },
+  { id: "thinking", text: "🤔" },
+];
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// At most this many messages per player in any rolling window
+const RATE_LIMIT_MESSAGES = 5;
+const RATE_LIMIT_WINDOW_MS = 10000;
+
+/**
+ * Mask any word containing a blocked word ("****")
+ */
+function maskBlockedWords(text) {
+  return text
+    .split(/(\s+)/)
+    .map((word) => (containsBlockedWord(word) ? "*".repeat(word.length) : word))
+    .join("");
+}
+
+/**
+ * Check a chat request and turn it into the text that gets sent
+ * @param data - { text } for a message or { emoteId } for an emote
+ * @returns {{ ok: true, text: string, emote: boolean } | { ok: false, reason: string }}
+ */
+function prepareMessage(data) {
+  if (data && typeof data.emoteId === "string") {
+    const emote = EMOTES.find((candidate) => candidate.id === data.emoteId);
+    if (!emote) return { ok: false, reason: "Unknown emote." };
+    return { ok: true, text: emote.text, emote: true };
+  }
+
+  const raw = data && typeof data.text === "string" ? data.text : "";
+  const text = raw.trim().replace(/\s+/g, " ");
+
+  if (!text) {
+    return { ok: false, reason: "Type a message first." };
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return {
+      ok: false,
+      reason: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters.`,
+    };
+  }
+
+  return { ok: true, text: maskBlockedWords(text), emote: false };
+}
+
+/**
+ * Check a player's rate limit and count a new message against it
+ * @param sentAt - the player's recent send times (updated in place)
+ * @returns true if the message may be sent
+ */
+function allowMessage(sentAt, now = Date.now()) {
+  while (sentAt.length > 0 && sentAt[0] <= now - RATE_LIMIT_WINDOW_MS) {
+    sentAt.shift();
+  }
+  if (sentAt.length >= RATE_LIMIT_MESSAGES) return false;
+
+  sentAt.push(now);
+  return true;
+}
+
+module.exports = {
+  EMOTES,
+  MAX_MESSAGE_LENGTH,
+  prepareMessage,
+  allowMessage,
+};
@@ -0,0 +1,77 @@
+/**
+ * Clocks
+ *
+ * The game engine reads the time and schedules its timers through a clock.
+ * The server runs on the real one; tests use a manual clock, where time
+ * only moves when the test says so and every timer that falls due fires in
+ * order, so a whole match plays out without waiting on anything.
+ *
+ * A clock is { now(), setTimeout(task, delayMs), clearTimeout(timer) }.
+ */
+
+/**
+ * The real clock
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (task, delayMs) => setTimeout(task, delayMs),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+/**
+ * Create a clock that only moves when advance() is called
+ * @param start - the time it starts at, in milliseconds
+ */
+function createManualClock(start = 0) {
+  let time = start;
+  let nextId = 1;
+  const timers = new Map(); // timer id -> { at, task }
+
+  /**
+   * The timer due soonest by `until`, earliest scheduled first on a tie
+   */
+  function nextDue(until) {
+    let due = null;
+    timers.forEach((timer, id) => {
+      if (timer.at <= until && (!due || timer.at < due.timer.at)) {
+        due = { id, timer };
+      }
+    });
+    return due;
+  }
+
+  return {
+    now: () => time,
+
+    setTimeout(task, delayMs) {
+      const id = nextId++;
+      timers.set(id, { at: time + Math.max(0, Number(delayMs) || 0), task });
+      return id;
+    },
+
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+
+    /**
+     * Move the clock forward, running the timers that fall due on the way
+     * (including ones they schedule) at the time each was due
+     */
+    advance(ms) {
+      const until = time + ms;
+      for (let due = nextDue(until); due; due = nextDue(until)) {
+        timers.delete(due.id);
+        time = due.timer.at;
+        due.timer.task();
+      }
+      time = until;
+    },
+
+    /**
+     * How many timers are still waiting
+     */
+    pending: () => timers.size,
+  };
+}
+
+module.exports = { systemClock, createManualClock };
@@ -0,0 +1,880 @@
+/**
+ * Game engine
+ *
+ * The rules of a match, apart from sockets and timers: seats and room
+ * state, scoring rounds, deciding when a match is over, what happens to
+ * players who run out of time, and who can be paired from the queue.
+ *
+ * Team rooms are two-player rooms where each side's seat stands for a
+ * team: it keeps the side's name and score, and the members sit in
+ * room.teams. Every member throws each round against the member in the
+ * same position on the other side, and the round goes to the side that
+ * wins more of those pairings.
+ *
+ * Free-for-all rooms have no sides: everyone still in throws at once,
+ * whoever threw a beaten move is knocked out, and the last player left
+ * wins.
+ *
+ * The engine only changes the room objects it's given. The socket layer
+ * decides when to call it (and what to tell the players). It reads the
+ * time and schedules the match's timers (start delays, round clocks,
+ * reconnect grace periods...) through the engine's clock, so the clock,
+ * the timers and the random numbers can all be swapped for fixed ones in
+ * tests.
+ */
+
+const crypto = require("crypto");
+const { systemClock } = require("./clock");
+const { normalizeFormat, evaluateMatch } = require("./formats");
+const {
+  getRuleSet,
+  determineWinningMoves,
+  determineWinner,
+  describeWin,
+} = require("./rulesets");
+
+const ROLES = ["player1", "player2"];
+
+/**
+ * Create a game engine
+ * @param options.clock - { now, setTimeout, clearTimeout } (the real clock
+ *   by default; see lib/clock.js)
+ * @param options.random - random number in [0, 1) (Math.random by default)
+ * @param options.timeoutPolicy - 'random' | 'lose' for a player who doesn't
+ *   pick a move in time
+ * @param options.forfeitAfter - consecutive timeouts that forfeit the match
+ *   (0 = never)
+ * @param options.ratingWindowBase - widest rating gap a newly queued player
+ *   accepts
+ * @param options.ratingWindowGrowth - how much the gap widens per second
+ *   of waiting
+ * @param options.provisionalRatingWindow - smallest gap a provisional
+ *   player accepts
+ */
+function createEngine({
+  clock = systemClock,
+  random = Math.random,
+  timeoutPolicy = "random",
+  forfeitAfter = 3,
+  ratingWindowBase = 100,
+  ratingWindowGrowth = 10,
+  provisionalRatingWindow = 400,
+} = {}) {
+  // Timers still waiting, so they can all be cancelled at once
+  const pendingTimers = new Set();
+
+  /**
+   * The time on the engine's clock, in milliseconds
+   */
+  function now() {
+    return clock.now();
+  }
+
+  /**
+   * Run a task after a delay on the engine's clock
+   * @returns a timer for cancel()
+   */
+  function schedule(task, delayMs) {
+    const timer = clock.setTimeout(() => {
+      pendingTimers.delete(timer);
+      task();
+    }, delayMs);
+    pendingTimers.add(timer);
+    return timer;
+  }
+
+  /**
+   * Cancel a scheduled task (anything else, like null, is ignored)
+   */
+  function cancel(timer) {
+    if (!pendingTimers.delete(timer)) return;
+    clock.clearTimeout(timer);
+  }
+
+  /**
+   * Cancel every scheduled task (when the server stops)
+   */
+  function cancelAll() {
+    pendingTimers.forEach((timer) => clock.clearTimeout(timer));
+    pendingTimers.clear();
+  }
+
+  /**
+   * Generate a unique match ID (a room plays a new match on every rematch)
+   */
+  function generateMatchId() {
+    return crypto.randomBytes(8).toString("hex");
+  }
+
+  /**
+   * Create a player's seat in a room (bots have no socket or profile)
+   */
+  function createSeat({ socketId, bot, playerId, playerToken, nickname }) {
+    return {
+      socketId,
+      isBot: Boolean(bot),
+      bot: bot || null,
+      botReveal: null, // Fair play: the bot's move and salt until it reveals
+      playerId,
+      playerToken,
+      nickname,
+      score: 0,
+      choice: null,
+      wantsRematch: false,
+      timedOut: false,
+      timeouts: 0,
+      commitment: null, // Fair play: hash of the move, sent before the move
+      salt: null,
+      revealFailed: false,
+      mutedOpponent: false, // Chat from the other player isn't delivered
+      chatSentAt: [], // Recent chat send times, for the rate limit
+      connected: true,
+      disconnectTimer: null,
+      reconnectDeadline: null,
+      eliminatedInRound: null, // Free-for-all: the round they were knocked out
+    };
+  }
+
+  /**
+   * Build the state of a room with two seated players, at the start of its
+   * first match
+   */
+  function createRoomState(roomId, players, options) {
+    return {
+      id: roomId,
+      players,
+      format: options.format || normalizeFormat(null),
+      ruleSet: options.ruleSet || getRuleSet(null),
+      fairPlay: Boolean(options.fairPlay),
+      phase: "commit", // Fair play: 'commit' | 'reveal'
+      revealDeadline: null,
+      matchId: generateMatchId(),
+      matchStartedAt: now(),
+      rounds: [], // Every round played this match, for the match record
+      round: 1,
+      roundStartedAt: null,
+      roundDeadline: null,
+      roundOpen: false, // Taking moves (rounds may have no deadline)
+      roundTimer: null,
+      suddenDeath: false,
+      gameOver: false,
+      matchWinner: null,
+      endReason: null, // 'win' | 'forfeit' | 'disconnect' | 'abandoned' |
+      // 'ended_by_admin'
+      ratingChanges: null, // Set once a rated match is over
+      privateCode: options.privateCode || null,
+      tournament: options.tournament || null, // { id, name, matchId, matchLabel }
+      spectators: new Set(), // Socket ids watching this room
+      chat: [], // Recent chat messages, replayed to players who reconnect
+      resuming: false, // Restored after a restart, waiting for its players
+    };
+  }
+
+  /**
+   * Build the state of a team room at the start of its match
+   * @param teams - { player1: [seat], player2: [seat] }, the same size
+   * @param options.mode - the team mode, e.g. { id: '2v2', teamSize: 2 }
+   */
+  function createTeamRoomState(roomId, teams, options) {
+    const sideSeat = (members) =>
+      createSeat({
+        socketId: null,
+        playerId: null,
+        playerToken: null,
+        nickname: members.map((member) => member.nickname).join(" & "),
+      });
+
+    const room = createRoomState(
+      roomId,
+      { player1: sideSeat(teams.player1), player2: sideSeat(teams.player2) },
+      { ...options, fairPlay: false }
+    );
+    room.teams = teams;
+    room.teamSize = teams.player1.length;
+    room.mode = options.mode;
+    return room;
+  }
+
+  /**
+   * Build the state of a free-for-all room at the start of its game
+   * @param entrants - a seat for every player, in the order they joined
+   */
+  function createFreeForAllState(roomId, entrants, options) {
+    return {
+      id: roomId,
+      entrants, // Knocked-out players keep their seat to watch the rest
+      ruleSet: options.ruleSet || getRuleSet(null),
+      matchId: generateMatchId(),
+      matchStartedAt: now(),
+      rounds: [],
+      round: 1,
+      roundStartedAt: null,
+      roundDeadline: null,
+      roundOpen: false,
+      roundTimer: null,
+      gameOver: false,
+      matchWinner: null, // playerId of the last player standing
+      endReason: null, // 'win' | 'forfeit' | 'abandoned'
+    };
+  }
+
+  /**
+   * Every seat in a room that's still playing (both players, every member
+   * of both teams, or everyone not yet knocked out of a free-for-all)
+   */
+  function listSeats(room) {
+    if (room.entrants) {
+      return room.entrants.filter((seat) => seat.eliminatedInRound === null);
+    }
+    return room.teams
+      ? [...room.teams.player1, ...room.teams.player2]
+      : [room.players.player1, room.players.player2];
+  }
+
+  /**
+   * The seats playing for one side of a room (the player, or their team)
+   */
+  function sideSeats(room, role) {
+    return room.teams ? room.teams[role] : [room.players[role]];
+  }
+
+  /**
+   * Forget everyone's moves for the round being played
+   */
+  function clearMoves(room) {
+    listSeats(room).forEach((player) => {
+      player.choice = null;
+      player.timedOut = false;
+      player.commitment = null;
+      player.salt = null;
+      player.revealFailed = false;
+      player.botReveal = null;
+    });
+  }
+
+  /**
+   * Reset a room for a new match (rematch). The caller stops the round
+   * timer first.
+   */
+  function resetRoom(room) {
+    clearMoves(room);
+    ROLES.forEach((role) => {
+      const player = room.players[role];
+      player.score = 0;
+      player.timeouts = 0;
+      player.wantsRematch = false;
+    });
+    room.roundTimer = null;
+    room.roundDeadline = null;
+    room.roundOpen = false;
+    room.phase = "commit";
+    room.revealDeadline = null;
+    room.matchId = generateMatchId();
+    room.matchStartedAt = now();
+    room.rounds = [];
+    room.round = 1;
+    room.suddenDeath = false;
+    room.gameOver = false;
+    room.matchWinner = null;
+    room.endReason = null;
+    room.ratingChanges = null;
+  }
+
+  /**
+   * Check if both players (or every member of both teams) have made their
+   * choices
+   */
+  function bothPlayersChose(room) {
+    return listSeats(room).every((player) => Boolean(player.choice));
+  }
+
+  /**
+   * Check whether every committed player has revealed (or failed to)
+   */
+  function revealsSettled(room) {
+    return ROLES.every((role) => {
+      const player = room.players[role];
+      return !player.commitment || player.choice || player.revealFailed;
+    });
+  }
+
+  /**
+   * Check whether a player lost the round without a move (timed out, or a
+   * fair-play reveal that didn't match the commitment)
+   */
+  function forfeitedRound(player) {
+    return player.timedOut || player.revealFailed;
+  }
+
+  /**
+   * Work out who won between two seats, treating a player without a move
+   * as the loser
+   * @returns 'player1' | 'player2' | 'draw'
+   */
+  function duelWinner(ruleSet, player1, player2) {
+    const forfeited1 = forfeitedRound(player1);
+    const forfeited2 = forfeitedRound(player2);
+    if (forfeited1 && forfeited2) return "draw";
+    if (forfeited1) return "player2";
+    if (forfeited2) return "player1";
+    return determineWinner(ruleSet, player1.choice, player2.choice);
+  }
+
+  /**
+   * Work out the round winner of a two-player room
+   */
+  function roundWinner(room) {
+    return duelWinner(room.ruleSet, room.players.player1, room.players.player2);
+  }
+
+  /**
+   * Explain a round's outcome, e.g. "Spock vaporizes Rock"
+   */
+  function describeRound(room, winner) {
+    const { player1, player2 } = room.players;
+    if (player1.revealFailed && player2.revealFailed) {
+      return "Neither reveal matched its commitment";
+    }
+    if (player1.revealFailed) {
+      return `${player1.nickname}'s reveal didn't match their commitment`;
+    }
+    if (player2.revealFailed) {
+      return `${player2.nickname}'s reveal didn't match their commitment`;
+    }
+    if (player1.timedOut && player2.timedOut) {
+      return "Both players ran out of time";
+    }
+    if (player1.timedOut) return `${player1.nickname} ran out of time`;
+    if (player2.timedOut) return `${player2.nickname} ran out of time`;
+    if (winner === "player1") {
+      return describeWin(room.ruleSet, player1.choice, player2.choice);
+    }
+    if (winner === "player2") {
+      return describeWin(room.ruleSet, player2.choice, player1.choice);
+    }
+    return null;
+  }
+
+  /**
+   * Score the round both players have finished, end the match if the
+   * format says it's over, and move on to the next round
+   * @returns the round result sent to the players
+   */
+  function processRound(room) {
+    if (room.teams) return processTeamRound(room);
+    if (room.entrants) return processFreeForAllRound(room);
+
+    const { player1, player2 } = room.players;
+    const winner = roundWinner(room);
+
+    if (winner === "player1") {
+      player1.score++;
+    } else if (winner === "player2") {
+      player2.score++;
+    }
+
+    // Check for match winner using the room's format
+    const scores = { player1: player1.score, player2: player2.score };
+    const outcome = evaluateMatch(room.format, scores, room.round);
+    room.suddenDeath = outcome.suddenDeath;
+
+    if (outcome.winner) {
+      room.gameOver = true;
+      room.matchWinner = outcome.winner;
+      room.endReason = "win";
+    }
+
+    // Fair play: the commitments and salts, so anyone can check the reveals
+    const fairness = room.fairPlay
+      ? {
+          player1: { commitment: player1.commitment, salt: player1.salt },
+          player2: { commitment: player2.commitment, salt: player2.salt },
+        }
+      : null;
+    const timedOut = { player1: player1.timedOut, player2: player2.timedOut };
+    const revealFailed = {
+      player1: player1.revealFailed,
+      player2: player2.revealFailed,
+    };
+    const outcomeText = describeRound(room, winner);
+
+    // Keep the round for the match record (and its replay)
+    room.rounds.push({
+      round: room.round,
+      player1Choice: player1.choice,
+      player2Choice: player2.choice,
+      winner,
+      outcomeText,
+      timedOut,
+      revealFailed,
+      fairness,
+      startedAt: room.roundStartedAt,
+      endedAt: now(),
+    });
+
+    const result = {
+      round: room.round,
+      player1Choice: player1.choice,
+      player2Choice: player2.choice,
+      roundWinner: winner,
+      outcomeText,
+      timedOut,
+      revealFailed,
+      fairness,
+      scores,
+      matchWinner: outcome.winner,
+    };
+
+    clearMoves(room);
+    room.round++;
+
+    return result;
+  }
+
+  /**
+   * Score a team round: each pairing is played out, and the side that won
+   * more of them takes the round
+   * @returns the round result sent to the players
+   */
+  function processTeamRound(room) {
+    const sideWins = { player1: 0, player2: 0 };
+    const pairings = room.teams.player1.map((member1, index) => {
+      const member2 = room.teams.player2[index];
+      const winner = duelWinner(room.ruleSet, member1, member2);
+      if (winner !== "draw") sideWins[winner]++;
+
+      const describeMember = (member) => ({
+        nickname: member.nickname,
+        choice: member.choice,
+        timedOut: member.timedOut,
+      });
+      return {
+        player1: describeMember(member1),
+        player2: describeMember(member2),
+        winner,
+      };
+    });
+
+    const winner =
+      sideWins.player1 > sideWins.player2
+        ? "player1"
+        : sideWins.player2 > sideWins.player1
+        ? "player2"
+        : "draw";
+    if (winner !== "draw") room.players[winner].score++;
+
+    const scores = {
+      player1: room.players.player1.score,
+      player2: room.players.player2.score,
+    };
+    const outcome = evaluateMatch(room.format, scores, room.round);
+    room.suddenDeath = outcome.suddenDeath;
+
+    if (outcome.winner) {
+      room.gameOver = true;
+      room.matchWinner = outcome.winner;
+      room.endReason = "win";
+    }
+
+    const outcomeText = `Pairings won ${sideWins.player1}-${sideWins.player2}`;
+
+    room.rounds.push({
+      round: room.round,
+      pairings: pairings.map((pairing) => ({
+        player1Choice: pairing.player1.choice,
+        player2Choice: pairing.player2.choice,
+        winner: pairing.winner,
+      })),
+      sideWins,
+      winner,
+      outcomeText,
+      startedAt: room.roundStartedAt,
+      endedAt: now(),
+    });
+
+    const result = {
+      round: room.round,
+      pairings,
+      sideWins,
+      roundWinner: winner,
+      outcomeText,
+      scores,
+      matchWinner: outcome.winner,
+    };
+
+    clearMoves(room);
+    room.round++;
+
+    return result;
+  }
+
+  /**
+   * Explain a free-for-all round, e.g. "Rock crushes Scissors"
+   * @param thrown - the moves thrown this round
+   * @param late - the players who didn't throw in time
+   */
+  function describeFreeForAllRound(room, thrown, winningMoves, late) {
+    const parts = [];
+    winningMoves.forEach((winningMove) => {
+      Array.from(new Set(thrown))
+        .filter((moveId) => room.ruleSet.beats[winningMove][moveId])
+        .forEach((moveId) => {
+          parts.push(describeWin(room.ruleSet, winningMove, moveId));
+        });
+    });
+    if (winningMoves.length === 0 && new Set(thrown).size > 1) {
+      parts.push("Every move thrown was beaten by another");
+    }
+    late.forEach((player) => parts.push(`${player.nickname} ran out of time`));
+    return parts.length > 0 ? parts.join(" · ") : null;
+  }
+
+  /**
+   * Finish a free-for-all game if one player (or nobody) is left
+   */
+  function settleFreeForAll(room, reason) {
+    const remaining = listSeats(room);
+    if (remaining.length > 1) return;
+
+    room.gameOver = true;
+    room.matchWinner = remaining.length === 1 ? remaining[0].playerId : null;
+    room.endReason = remaining.length === 1 ? reason : "abandoned";
+  }
+
+  /**
+   * Score a free-for-all round: whoever threw a move that another move
+   * thrown beats is knocked out, and so is anyone who ran out of time
+   * while someone else didn't. If everyone is late, they're only knocked
+   * out once they've timed out too often.
+   * @returns the round result sent to the players
+   */
+  function processFreeForAllRound(room) {
+    const players = listSeats(room);
+    const throwers = players.filter((player) => !forfeitedRound(player));
+    const late = players.filter((player) => forfeitedRound(player));
+    const thrown = throwers.map((player) => player.choice);
+    const winningMoves = determineWinningMoves(room.ruleSet, thrown);
+
+    const knockedOut = players.filter((player) => {
+      if (forfeitedRound(player)) {
+        return (
+          throwers.length > 0 ||
+          (forfeitAfter > 0 && player.timeouts >= forfeitAfter)
+        );
+      }
+      return winningMoves.length > 0 && !winningMoves.includes(player.choice);
+    });
+    knockedOut.forEach((player) => {
+      player.eliminatedInRound = room.round;
+    });
+    settleFreeForAll(room, "win");
+
+    const outcomeText = describeFreeForAllRound(
+      room,
+      thrown,
+      winningMoves,
+      late
+    );
+    const reveals = players.map((player) => ({
+      playerId: player.playerId,
+      nickname: player.nickname,
+      choice: player.choice,
+      timedOut: player.timedOut,
+      eliminated: knockedOut.includes(player),
+    }));
+
+    room.rounds.push({
+      round: room.round,
+      reveals: reveals.map((reveal) => ({
+        playerId: reveal.playerId,
+        choice: reveal.choice,
+        eliminated: reveal.eliminated,
+      })),
+      winningMoves,
+      outcomeText,
+      startedAt: room.roundStartedAt,
+      endedAt: now(),
+    });
+
+    const result = {
+      round: room.round,
+      reveals,
+      winningMoves,
+      outcomeText,
+      remaining: listSeats(room).length,
+      matchWinner: room.matchWinner,
+    };
+
+    clearMoves(room);
+    room.round++;
+
+    return result;
+  }
+
+  /**
+   * Knock a player out of a free-for-all who left mid-game, ending it if
+   * only one player is left. The caller stops the round timer first if the
+   * game ends.
+   */
+  function dropEntrant(room, seat) {
+    seat.choice = null;
+    seat.eliminatedInRound = room.round;
+    settleFreeForAll(room, "forfeit");
+    if (room.gameOver) {
+      clearMoves(room);
+      room.roundTimer = null;
+      room.roundDeadline = null;
+      room.roundOpen = false;
+    }
+  }
+
+  /**
+   * Players of a finished free-for-all, from the winner to whoever was
+   * knocked out first
+   */
+  function freeForAllStandings(room) {
+    const lasted = (seat) =>
+      seat.eliminatedInRound === null ? Infinity : seat.eliminatedInRound;
+    return room.entrants
+      .slice()
+      .sort((a, b) => lasted(b) - lasted(a))
+      .map((seat) => ({
+        playerId: seat.playerId,
+        nickname: seat.nickname,
+        eliminatedInRound: seat.eliminatedInRound,
+      }));
+  }
+
+  /**
+   * End the match early (forfeit, disconnect, ...). The caller stops the
+   * round timer first.
+   */
+  function endMatch(room, winnerRole, reason) {
+    clearMoves(room);
+    room.roundTimer = null;
+    room.roundDeadline = null;
+    room.roundOpen = false;
+    room.revealDeadline = null;
+    room.gameOver = true;
+    room.matchWinner = winnerRole;
+    room.endReason = reason;
+  }
+
+  /**
+   * Apply the timeout policy to a seat that didn't pick a move in time
+   */
+  function timeOutSeat(room, seat) {
+    seat.timeouts++;
+
+    if (timeoutPolicy === "random") {
+      const moves = room.ruleSet.moves;
+      seat.choice = moves[Math.floor(random() * moves.length)].id;
+    } else {
+      seat.timedOut = true;
+    }
+  }
+
+  /**
+   * The round clock ran out in a two-player or team room: apply the
+   * timeout policy to whoever hasn't picked a move. A side forfeits once
+   * any of its players has timed out too often.
+   * @returns {{ lateRoles: string[], forfeitWinner: string|null,
+   *   abandoned: boolean }} the sides with someone late, the winner if
+   *   exactly one side has now timed out too often and forfeits the match,
+   *   and whether both have (so nobody wins)
+   */
+  function timeOutRound(room) {
+    // Fair-play players are on time once they've committed
+    const lateSides = ROLES.map((role) => ({
+      role,
+      seats: sideSeats(room, role).filter(
+        (seat) => !seat.choice && !seat.commitment
+      ),
+    })).filter((side) => side.seats.length > 0);
+
+    lateSides.forEach((side) => {
+      side.seats.forEach((seat) => timeOutSeat(room, seat));
+    });
+
+    const lateRoles = lateSides.map((side) => side.role);
+    const forfeiting = lateSides
+      .filter((side) =>
+        side.seats.some(
+          (seat) => forfeitAfter > 0 && seat.timeouts >= forfeitAfter
+        )
+      )
+      .map((side) => side.role);
+    const forfeitWinner =
+      forfeiting.length === 1
+        ? forfeiting[0] === "player1"
+          ? "player2"
+          : "player1"
+        : null;
+
+    return {
+      lateRoles,
+      forfeitWinner,
+      abandoned: forfeiting.length === ROLES.length,
+    };
+  }
+
+  /**
+   * The round clock ran out in a free-for-all room: apply the timeout
+   * policy to everyone still playing who hasn't picked a move
+   * @returns the seats that were late
+   */
+  function timeOutGroupRound(room) {
+    const late = listSeats(room).filter((player) => !player.choice);
+    late.forEach((player) => timeOutSeat(room, player));
+    return late;
+  }
+
+  /**
+   * The reveal clock ran out: anyone who committed but didn't reveal loses
+   * the round
+   * @returns the roles that didn't reveal
+   */
+  function timeOutReveals(room) {
+    const lateRoles = ROLES.filter((role) => {
+      const player = room.players[role];
+      return player.commitment && !player.choice && !player.revealFailed;
+    });
+    lateRoles.forEach((role) => {
+      room.players[role].timedOut = true;
+    });
+    return lateRoles;
+  }
+
+  /**
+   * How long a bot "thinks" before picking its move
+   */
+  function botThinkMs() {
+    return 600 + random() * 1200;
+  }
+
+  /**
+   * Largest rating gap a queued player accepts at a given time
+   */
+  function ratingWindow(entry, at) {
+    const waitedSeconds = (at - entry.joinedAt) / 1000;
+    const window = ratingWindowBase + waitedSeconds * ratingWindowGrowth;
+    return entry.provisional
+      ? Math.max(window, provisionalRatingWindow)
+      : window;
+  }
+
+  /**
+   * Check whether two queued players can be paired: same game and format,
+   * not the same person in two tabs, and ratings close enough for both
+   */
+  function canPair(entry, other, at) {
+    if (entry === other || entry.matchKey !== other.matchKey) return false;
+    if (entry.player.token === other.player.token) return false;
+
+    const gap = Math.abs(entry.rating - other.rating);
+    return gap <= ratingWindow(entry, at) && gap <= ratingWindow(other, at);
+  }
+
+  /**
+   * Find the closest-rated queued player a queue entry can be paired with
+   * @param waiting - the queue entries still unpaired
+   */
+  function findOpponent(entry, waiting, at) {
+    let best = null;
+    waiting.forEach((other) => {
+      if (!canPair(entry, other, at)) return;
+      if (
+        !best ||
+        Math.abs(entry.rating - other.rating) <
+          Math.abs(entry.rating - best.rating)
+      ) {
+        best = other;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Pair up everyone in a queue who can be paired, longest waiting first
+   * @returns [entry, opponent] pairs
+   */
+  function pairQueue(queue, at = now()) {
+    const ordered = [...queue].sort((a, b) => a.joinedAt - b.joinedAt);
+    const waiting = new Set(ordered);
+    const pairs = [];
+
+    ordered.forEach((entry) => {
+      if (!waiting.has(entry)) return;
+
+      const opponent = findOpponent(entry, waiting, at);
+      if (!opponent) return;
+
+      waiting.delete(entry);
+      waiting.delete(opponent);
+      pairs.push([entry, opponent]);
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Where a queued player is in line: among the players waiting for the
+   * same game, longest waiting first
+   * @param entry - their entry in `queue`
+   * @returns {{ position: number, queued: number }} position 1 is next
+   */
+  function queuePosition(queue, entry) {
+    const line = queue
+      .filter((other) => other.matchKey === entry.matchKey)
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+    return { position: line.indexOf(entry) + 1, queued: line.length };
+  }
+
+  /**
+   * Estimate how much longer a queued player will wait, assuming players
+   * keep leaving the queue for matches at the rate they did lately
+   * @param position - their place in line (1 is next)
+   * @param matchedRecently - players matched in the last `windowMs`
+   * @returns milliseconds, or null if nobody was matched lately
+   */
+  function estimateQueueWait(position, matchedRecently, windowMs) {
+    if (matchedRecently === 0) return null;
+    return Math.round((position * windowMs) / matchedRecently);
+  }
+
+  return {
+    now,
+    schedule,
+    cancel,
+    cancelAll,
+    generateMatchId,
+    createSeat,
+    createRoomState,
+    createTeamRoomState,
+    createFreeForAllState,
+    listSeats,
+    sideSeats,
+    resetRoom,
+    bothPlayersChose,
+    revealsSettled,
+    forfeitedRound,
+    roundWinner,
+    describeRound,
+    processRound,
+    endMatch,
+    dropEntrant,
+    freeForAllStandings,
+    timeOutRound,
+    timeOutGroupRound,
+    timeOutReveals,
+    botThinkMs,
+    ratingWindow,
+    canPair,
+    findOpponent,
+    pairQueue,
+    queuePosition,
+    estimateQueueWait,
+  };
+}
+
+module.exports = { createEngine };
@@ -0,0 +1,61 @@
+/**
+ * Commit-reveal fair play
+ *
+ * In a fair-play match a player doesn't send their move, only a commitment:
+ * the SHA-256 hash (hex) of "<move>:<salt>", where the salt is a random
+ * string they keep to themselves. Once both players have committed, the
+ * server shares both commitments and each player reveals their move and
+ * salt. The server (and the other player) can then check the reveal
+ * against the commitment, so neither side can change or peek at a move.
+ */
+
+const crypto = require("crypto");
+
+const COMMITMENT_PATTERN = /^[0-9a-f]{64}$/;
+
+// Salts must be long enough that moves can't be brute-forced from hashes
+const SALT_MIN_LENGTH = 16;
+const SALT_MAX_LENGTH = 128;
+
+/**
+ * Hash a move and salt into a commitment
+ */
+function hashChoice(choice, salt) {
+  return crypto.createHash("sha256").update(`${choice}:${salt}`).digest("hex");
+}
+
+/**
+ * Check that a value looks like a commitment
+ */
+function isCommitment(value) {
+  return typeof value === "string" && COMMITMENT_PATTERN.test(value);
+}
+
+/**
+ * Check a revealed move and salt against the commitment made earlier
+ */
+function verifyReveal(commitment, choice, salt) {
+  return (
+    typeof choice === "string" &&
+    typeof salt === "string" &&
+    salt.length >= SALT_MIN_LENGTH &&
+    salt.length <= SALT_MAX_LENGTH &&
+    hashChoice(choice, salt) === commitment
+  );
+}
+
+/**
+ * Commit to a move on the server's side (used for bots)
+ * @returns {{ commitment: string, salt: string }}
+ */
+function createCommitment(choice) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return { commitment: hashChoice(choice, salt), salt };
+}
+
+module.exports = {
+  hashChoice,
+  isCommitment,
+  verifyReveal,
+  createCommitment,
+};
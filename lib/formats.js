@@ -0,0 +1,112 @@
+/**
+ * Match formats
+ *
+ * A format decides when a match is over:
+ * - bestOf:  best of N rounds (first to a majority of N wins)
+ * - firstTo: first player to N round wins
+ * - rounds:  most wins after N rounds
+ *
+ * With `drawsCount` set, drawn rounds use up the round cap too. A match
+ * that reaches its cap level on wins goes to sudden death: the next
+ * decisive round wins it.
+ */
+
+// Allowed targets for each format type
+const FORMAT_TARGETS = {
+  bestOf: [1, 3, 5, 7],
+  firstTo: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  rounds: [3, 5, 7, 10],
+};
+
+const DEFAULT_FORMAT = { type: "bestOf", target: 3, drawsCount: false };
+
+/**
+ * Build a complete format from client input, falling back to the default
+ * for anything unrecognised
+ */
+function normalizeFormat(input) {
+  const type =
+    input && Object.prototype.hasOwnProperty.call(FORMAT_TARGETS, input.type)
+      ? input.type
+      : DEFAULT_FORMAT.type;
+  const target = FORMAT_TARGETS[type].includes(Number(input && input.target))
+    ? Number(input.target)
+    : type === DEFAULT_FORMAT.type
+    ? DEFAULT_FORMAT.target
+    : FORMAT_TARGETS[type][0];
+
+  // A fixed number of rounds always counts draws
+  const drawsCount = type === "rounds" || Boolean(input && input.drawsCount);
+
+  let winsNeeded = null;
+  let maxRounds = null;
+  let label = "";
+
+  if (type === "bestOf") {
+    winsNeeded = Math.ceil(target / 2);
+    maxRounds = drawsCount ? target : null;
+    label = `Best of ${target}`;
+  } else if (type === "firstTo") {
+    winsNeeded = target;
+    maxRounds = drawsCount ? target * 2 - 1 : null;
+    label = `First to ${target}`;
+  } else {
+    maxRounds = target;
+    label = `${target} rounds`;
+  }
+
+  return { type, target, drawsCount, winsNeeded, maxRounds, label };
+}
+
+/**
+ * Key used to pair queued players who picked the same format
+ */
+function formatKey(format) {
+  return `${format.type}:${format.target}:${format.drawsCount ? 1 : 0}`;
+}
+
+/**
+ * Decide whether the match is over after a round
+ * @param format - normalized format
+ * @param scores - { player1, player2 } round wins so far
+ * @param roundsPlayed - rounds played so far, draws included
+ * @returns {{ winner: 'player1' | 'player2' | null, suddenDeath: boolean }}
+ */
+function evaluateMatch(format, scores, roundsPlayed) {
+  const leader =
+    scores.player1 > scores.player2
+      ? "player1"
+      : scores.player2 > scores.player1
+      ? "player2"
+      : null;
+
+  // Reached the win target
+  if (format.winsNeeded && leader && scores[leader] >= format.winsNeeded) {
+    return { winner: leader, suddenDeath: false };
+  }
+
+  if (format.maxRounds) {
+    const lead = Math.abs(scores.player1 - scores.player2);
+    const roundsLeft = format.maxRounds - roundsPlayed;
+
+    // Cap reached (or the lead can no longer be caught)
+    if (leader && lead > Math.max(0, roundsLeft)) {
+      return { winner: leader, suddenDeath: false };
+    }
+
+    // Level at the cap: next decisive round wins
+    if (roundsLeft <= 0) {
+      return { winner: null, suddenDeath: true };
+    }
+  }
+
+  return { winner: null, suddenDeath: false };
+}
+
+module.exports = {
+  FORMAT_TARGETS,
+  DEFAULT_FORMAT,
+  normalizeFormat,
+  formatKey,
+  evaluateMatch,
+};
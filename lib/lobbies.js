@@ -0,0 +1,101 @@
+/**
+ * Free-for-all lobbies
+ *
+ * A lobby gathers 3-10 players for a free-for-all game. Whoever made it
+ * is the host: they pick the game and start it once enough players are
+ * in. Players join with the lobby's invite code. When a game ends the
+ * lobby stays together, so the host can start another. If the host
+ * leaves, the longest standing player takes over.
+ *
+ * This module is plain data; the server keeps the lobbies and their
+ * sockets.
+ */
+
+const {
+  createRoster,
+  joinRoster,
+  leaveRoster,
+  publicMembers,
+} = require("./roster");
+
+const MIN_LOBBY_PLAYERS = 3;
+const MAX_LOBBY_PLAYERS = 10;
+
+/**
+ * Create a lobby hosted by its first player
+ * @param options.code - invite code players join with
+ * @param options.host - { socketId, playerId, nickname }
+ * @param options.ruleSet - the game played in the lobby
+ */
+function createLobby({ code, host, ruleSet }) {
+  return {
+    code,
+    ...createRoster(host), // the host owns the roster
+    ruleSet,
+    roomId: null, // the free-for-all room while a game is being played
+  };
+}
+
+/**
+ * Add a player to a lobby
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+function addToLobby(lobby, member) {
+  if (lobby.roomId) {
+    return { ok: false, reason: "That lobby's game has already started." };
+  }
+  return joinRoster(lobby, member, {
+    maxSize: MAX_LOBBY_PLAYERS,
+    name: "lobby",
+  });
+}
+
+/**
+ * Remove a player, handing the lobby on if they were the host
+ * @returns the removed player, or null if they weren't in the lobby
+ */
+function removeFromLobby(lobby, socketId) {
+  return leaveRoster(lobby, socketId);
+}
+
+/**
+ * Check whether a lobby's game can start
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+function checkCanStart(lobby) {
+  if (lobby.roomId) {
+    return { ok: false, reason: "The game has already started." };
+  }
+  if (lobby.members.length < MIN_LOBBY_PLAYERS) {
+    return {
+      ok: false,
+      reason: `A free-for-all needs at least ${MIN_LOBBY_PLAYERS} players.`,
+    };
+  }
+  return { ok: true };
+}
+
+/**
+ * A lobby as its players see it (no socket ids)
+ */
+function publicLobby(lobby) {
+  return {
+    code: lobby.code,
+    link: `/?lobby=${lobby.code}`,
+    minPlayers: MIN_LOBBY_PLAYERS,
+    maxPlayers: MAX_LOBBY_PLAYERS,
+    ruleSet: { id: lobby.ruleSet.id, name: lobby.ruleSet.name },
+    members: publicMembers(lobby, "host"),
+    playing: Boolean(lobby.roomId),
+  };
+}
+
+module.exports = {
+  MIN_LOBBY_PLAYERS,
+  MAX_LOBBY_PLAYERS,
+  createLobby,
+  addToLobby,
+  removeFromLobby,
+  checkCanStart,
+  publicLobby,
+};
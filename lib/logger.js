@@ -0,0 +1,64 @@
+/**
+ * Structured logging
+ *
+ * Every log line is one JSON object on stdout (warnings and errors on
+ * stderr), so a log collector can filter on fields like roomId or socketId:
+ *
+ *   {"time":"...","level":"info","msg":"Match created","roomId":"room_..."}
+ *
+ * Set LOG_LEVEL to debug, info (the default), warn or error.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Turn an Error into fields that survive JSON.stringify
+ */
+function serializeError(err) {
+  return { message: err.message, code: err.code, stack: err.stack };
+}
+
+/**
+ * Create a logger
+ * @param options.level - least severe level written
+ * @param options.fields - fields added to every line
+ */
+function createLogger({ level = "info", fields = {} } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function write(lineLevel, msg, extra) {
+    if (LEVELS[lineLevel] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...fields,
+    };
+    Object.entries(extra || {}).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    const stream = LEVELS[lineLevel] >= LEVELS.warn ? "stderr" : "stdout";
+    process[stream].write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+
+    /**
+     * A logger that adds more fields to every line
+     */
+    child(moreFields) {
+      return createLogger({ level, fields: { ...fields, ...moreFields } });
+    },
+  };
+}
+
+// The logger shared by the server and its modules
+const logger = createLogger({ level: process.env.LOG_LEVEL });
+
+module.exports = { createLogger, logger };
@@ -0,0 +1,157 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, gauges and histograms, rendered in the
+ * Prometheus text format for GET /metrics. Averages (like the average
+ * queue wait) come from a histogram's _sum divided by its _count.
+ */
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.5, 1, 2, 5, 10, 15, 30, 60, 120];
+
+/**
+ * Render a label set as {name="value",...} (empty if there are none)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Key a label set so the same labels always land on the same series
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort());
+}
+
+/**
+ * Create a metrics registry
+ */
+function createMetrics() {
+  const metrics = []; // in the order they were registered
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    /**
+     * A count that only goes up
+     */
+    counter(name, help) {
+      const series = new Map(); // label key -> { labels, value }
+
+      return register({
+        name,
+        help,
+        type: "counter",
+        inc(labels = {}, amount = 1) {
+          const key = labelKey(labels);
+          const entry = series.get(key) || { labels, value: 0 };
+          entry.value += amount;
+          series.set(key, entry);
+        },
+        lines() {
+          if (series.size === 0) return [`${name} 0`];
+          return Array.from(series.values()).map(
+            ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+          );
+        },
+      });
+    },
+
+    /**
+     * A value read when the metrics are scraped
+     * @param collect - returns the current value
+     */
+    gauge(name, help, collect) {
+      return register({
+        name,
+        help,
+        type: "gauge",
+        lines() {
+          return [`${name} ${collect()}`];
+        },
+      });
+    },
+
+    /**
+     * Observations counted into buckets, with their sum and count
+     * @param buckets - upper bounds, in ascending order
+     */
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+      const counts = buckets.map(() => 0);
+      let sum = 0;
+      let count = 0;
+
+      return register({
+        name,
+        help,
+        type: "histogram",
+        observe(value) {
+          buckets.forEach((bound, i) => {
+            if (value <= bound) counts[i]++;
+          });
+          sum += value;
+          count++;
+        },
+        lines() {
+          return [
+            ...buckets.map(
+              (bound, i) => `${name}_bucket{le="${bound}"} ${counts[i]}`
+            ),
+            `${name}_bucket{le="+Inf"} ${count}`,
+            `${name}_sum ${sum}`,
+            `${name}_count ${count}`,
+          ];
+        },
+      });
+    },
+
+    /**
+     * Render every metric in the Prometheus text format
+     */
+    render() {
+      return (
+        metrics
+          .map((metric) =>
+            [
+              `# HELP ${metric.name} ${metric.help}`,
+              `# TYPE ${metric.name} ${metric.type}`,
+              ...metric.lines(),
+            ].join("\n")
+          )
+          .join("\n") + "\n"
+      );
+    },
+  };
+}
+
+/**
+ * Count events over the last `windowMs` (e.g. matches in the last minute)
+ */
+function createRecentCounter(windowMs) {
+  const times = [];
+
+  return {
+    add(now = Date.now()) {
+      times.push(now);
+    },
+    count(now = Date.now()) {
+      while (times.length > 0 && times[0] <= now - windowMs) times.shift();
+      return times.length;
+    },
+  };
+}
+
+// The content type Prometheus expects from a scrape
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+module.exports = { createMetrics, createRecentCounter, METRICS_CONTENT_TYPE };
@@ -0,0 +1,105 @@
+/**
+ * Parties
+ *
+ * A party is a group of friends who play team matches together. One member
+ * is the leader: they pick the team mode and queue the whole party, and
+ * the party is matched against another party of the same size. Friends
+ * join with the party's invite code. If the leader leaves, the longest
+ * standing member takes over.
+ *
+ * This module is plain data; the server keeps the parties and their
+ * sockets.
+ */
+
+const {
+  createRoster,
+  joinRoster,
+  leaveRoster,
+  publicMembers,
+} = require("./roster");
+
+const TEAM_MODES = {
+  "2v2": { label: "2v2", teamSize: 2 },
+  "3v3": { label: "3v3", teamSize: 3 },
+};
+
+const MAX_PARTY_SIZE = Math.max(
+  ...Object.values(TEAM_MODES).map((mode) => mode.teamSize)
+);
+
+/**
+ * Create a party led by its first member
+ * @param options.code - invite code friends join with
+ * @param options.leader - { socketId, playerId, nickname }
+ */
+function createParty({ code, leader }) {
+  return {
+    code,
+    ...createRoster(leader), // the leader owns the roster
+    search: null, // { mode, ... } while queued for a team match
+  };
+}
+
+/**
+ * Add a member to a party
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+function addMember(party, member) {
+  if (party.search) {
+    return { ok: false, reason: "That party is already looking for a match." };
+  }
+  return joinRoster(party, member, { maxSize: MAX_PARTY_SIZE, name: "party" });
+}
+
+/**
+ * Remove a member, handing the lead on if they were the leader
+ * @returns the removed member, or null if they weren't in the party
+ */
+function removeMember(party, socketId) {
+  return leaveRoster(party, socketId);
+}
+
+/**
+ * Check whether a party can queue for a team mode
+ * @returns {{ ok: true, mode: object } | { ok: false, reason: string }}
+ */
+function checkTeamMode(party, modeId) {
+  const mode = Object.prototype.hasOwnProperty.call(TEAM_MODES, modeId)
+    ? TEAM_MODES[modeId]
+    : null;
+  if (!mode) {
+    return { ok: false, reason: "Pick a team mode." };
+  }
+  if (party.members.length !== mode.teamSize) {
+    return {
+      ok: false,
+      reason: `A ${mode.label} match needs a party of exactly ${mode.teamSize}.`,
+    };
+  }
+  return { ok: true, mode: { id: modeId, ...mode } };
+}
+
+/**
+ * A party as its members see it (no socket ids)
+ */
+function publicParty(party) {
+  return {
+    code: party.code,
+    link: `/?party=${party.code}`,
+    maxSize: MAX_PARTY_SIZE,
+    members: publicMembers(party, "leader"),
+    search: party.search
+      ? { mode: party.search.mode.id, label: party.search.mode.label }
+      : null,
+  };
+}
+
+module.exports = {
+  TEAM_MODES,
+  MAX_PARTY_SIZE,
+  createParty,
+  addMember,
+  removeMember,
+  checkTeamMode,
+  publicParty,
+};
@@ -0,0 +1,228 @@
+/**
+ * Player identity and nickname validation
+ *
+ * Each browser holds a secret player token (kept in localStorage) that
+ * maps to a player profile on the server. The profile carries the
+ * nickname and skill rating so they survive reconnects and page reloads.
+ * Profiles are kept in memory for quick lookups and written through to
+ * storage so they also survive restarts.
+ */
+
+const crypto = require("crypto");
+const { createRating } = require("./rating");
+const { logger } = require("./logger");
+
+// Nickname rules
+const NICKNAME_MIN_LENGTH = 3;
+const NICKNAME_MAX_LENGTH = 16;
+const NICKNAME_PATTERN = /^[A-Za-z0-9_\- ]+$/;
+
+// Words that may not appear anywhere in a nickname (checked after
+// normalizing common character substitutions)
+const BLOCKED_WORDS = [
+  "fuck",
+  "shit",
+  "bitch",
+  "cunt",
+  "dick",
+  "cock",
+  "pussy",
+  "asshole",
+  "bastard",
+  "slut",
+  "whore",
+  "nigger",
+  "nigga",
+  "faggot",
+  "retard",
+  "nazi",
+];
+
+// Names that could be mistaken for staff or system messages
+const RESERVED_NAMES = [
+  "admin",
+  "administrator",
+  "moderator",
+  "mod",
+  "server",
+  "system",
+  "staff",
+  "support",
+  "opponent",
+  "you",
+];
+
+// Character substitutions used to dodge the word list
+const LEET_MAP = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  8: "b",
+  "@": "a",
+  $: "s",
+  "!": "i",
+};
+
+// Store player profiles
+const playersByToken = new Map(); // token -> profile
+let playerStorage = null; // Where profile changes are saved
+
+/**
+ * Normalize text for word-list checks (lowercase, undo substitutions,
+ * drop separators)
+ */
+function normalizeForFilter(text) {
+  return text
+    .toLowerCase()
+    .split("")
+    .map((char) => LEET_MAP[char] || char)
+    .join("")
+    .replace(/[^a-z]/g, "");
+}
+
+/**
+ * Check whether text contains a blocked word
+ */
+function containsBlockedWord(text) {
+  const normalized = normalizeForFilter(text);
+  return BLOCKED_WORDS.some((word) => normalized.includes(word));
+}
+
+/**
+ * Validate a nickname
+ * @returns {{ ok: true, nickname: string } | { ok: false, reason: string }}
+ */
+function validateNickname(raw) {
+  if (typeof raw !== "string") {
+    return { ok: false, reason: "Please enter a nickname." };
+  }
+
+  // Collapse runs of whitespace so "a    b" can't pad out the length
+  const nickname = raw.trim().replace(/\s+/g, " ");
+
+  if (nickname.length < NICKNAME_MIN_LENGTH) {
+    return {
+      ok: false,
+      reason: `Nickname must be at least ${NICKNAME_MIN_LENGTH} characters.`,
+    };
+  }
+
+  if (nickname.length > NICKNAME_MAX_LENGTH) {
+    return {
+      ok: false,
+      reason: `Nickname must be at most ${NICKNAME_MAX_LENGTH} characters.`,
+    };
+  }
+
+  if (!NICKNAME_PATTERN.test(nickname)) {
+    return {
+      ok: false,
+      reason: "Nickname may only use letters, numbers, spaces, - and _.",
+    };
+  }
+
+  if (RESERVED_NAMES.includes(normalizeForFilter(nickname))) {
+    return { ok: false, reason: "That nickname is reserved." };
+  }
+
+  if (containsBlockedWord(nickname)) {
+    return { ok: false, reason: "That nickname is not allowed." };
+  }
+
+  return { ok: true, nickname };
+}
+
+/**
+ * Load saved profiles and save future changes to the given storage
+ */
+async function loadPlayers(storage) {
+  playerStorage = storage;
+  const profiles = await storage.listPlayers();
+  profiles.forEach((profile) => {
+    // Profiles saved before ratings existed start from scratch
+    if (!profile.rating) profile.rating = createRating();
+    playersByToken.set(profile.token, profile);
+  });
+}
+
+/**
+ * Write a profile change through to storage
+ */
+function savePlayer(profile) {
+  if (!playerStorage) return;
+  playerStorage.savePlayer(profile).catch((err) => {
+    logger.error("Failed to save player", { playerId: profile.id, error: err });
+  });
+}
+
+/**
+ * Look up the profile for a player token, creating a new one if the
+ * token is missing or unknown
+ */
+function identifyPlayer(token) {
+  if (typeof token === "string" && playersByToken.has(token)) {
+    return playersByToken.get(token);
+  }
+
+  const profile = {
+    id: crypto.randomBytes(6).toString("hex"), // Public, safe to share
+    token: crypto.randomUUID(), // Secret, only ever sent to its owner
+    nickname: null,
+    rating: createRating(),
+    createdAt: Date.now(),
+  };
+
+  // Only saved once they pick a nickname, so drive-by visits aren't stored
+  playersByToken.set(profile.token, profile);
+  return profile;
+}
+
+/**
+ * Look up a known profile by token (null if there isn't one)
+ */
+function findPlayerByToken(token) {
+  return playersByToken.get(token) || null;
+}
+
+/**
+ * Add or refresh a profile that was loaded or changed elsewhere (another
+ * server node). An existing profile is updated in place, so sockets that
+ * hold it see the change.
+ * @returns the local profile
+ */
+function rememberPlayer(profile) {
+  const existing = playersByToken.get(profile.token);
+  if (existing) {
+    Object.assign(existing, profile);
+    return existing;
+  }
+
+  const copy = { ...profile };
+  playersByToken.set(copy.token, copy);
+  return copy;
+}
+
+/**
+ * Update a player's nickname (must already be validated)
+ */
+function setNickname(profile, nickname) {
+  if (profile.nickname === nickname) return;
+  profile.nickname = nickname;
+  savePlayer(profile);
+}
+
+module.exports = {
+  NICKNAME_MIN_LENGTH,
+  NICKNAME_MAX_LENGTH,
+  containsBlockedWord,
+  validateNickname,
+  loadPlayers,
+  savePlayer,
+  identifyPlayer,
+  findPlayerByToken,
+  rememberPlayer,
+  setNickname,
+};
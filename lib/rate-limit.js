@@ -0,0 +1,88 @@
+/**
+ * Per-socket rate limiting (token buckets)
+ *
+ * Each socket has one bucket per kind of event. A bucket holds up to
+ * `capacity` tokens and refills at `refillPerSecond`; every event takes a
+ * token, and an event that finds its bucket empty is refused. Short bursts
+ * (a few quick clicks) are fine, but a steady flood is not.
+ */
+
+const BUCKETS = {
+  // Starting or leaving things in the lobby
+  lobby: { capacity: 5, refillPerSecond: 0.5 },
+  // Lists and stats that are cheap but shouldn't be polled hard
+  query: { capacity: 10, refillPerSecond: 1 },
+  // Moves and other in-match actions
+  game: { capacity: 10, refillPerSecond: 2 },
+  // Chat has its own friendlier limit too; this catches floods of bad input
+  chat: { capacity: 10, refillPerSecond: 1 },
+};
+
+// Which bucket each event draws from (anything unlisted uses "query")
+const EVENT_BUCKETS = {
+  join_queue: "lobby",
+  leave_queue: "lobby",
+  play_bot: "lobby",
+  create_private_room: "lobby",
+  join_private_room: "lobby",
+  cancel_private_room: "lobby",
+  create_party: "lobby",
+  join_party: "lobby",
+  leave_party: "lobby",
+  queue_party: "lobby",
+  cancel_party_queue: "lobby",
+  create_lobby: "lobby",
+  join_lobby: "lobby",
+  leave_lobby: "lobby",
+  start_lobby: "lobby",
+  watch_room: "lobby",
+  stop_watching: "lobby",
+  create_tournament: "lobby",
+  join_tournament: "lobby",
+  leave_tournament: "lobby",
+  start_tournament: "lobby",
+  cancel_tournament: "lobby",
+  accept_match: "game",
+  decline_match: "game",
+  player_choice: "game",
+  commit_choice: "game",
+  reveal_choice: "game",
+  request_rematch: "game",
+  leave_room: "game",
+  send_chat: "chat",
+  mute_opponent: "chat",
+};
+
+/**
+ * Create the rate limiter for one socket
+ * @returns {{ take: (event: string, now?: number) => boolean }}
+ */
+function createRateLimiter() {
+  const buckets = {}; // bucket name -> { tokens, updatedAt }
+
+  return {
+    /**
+     * Take a token for an event
+     * @returns true if the event is allowed
+     */
+    take(event, now = Date.now()) {
+      const name = EVENT_BUCKETS[event] || "query";
+      const { capacity, refillPerSecond } = BUCKETS[name];
+      const bucket = buckets[name] || { tokens: capacity, updatedAt: now };
+      buckets[name] = bucket;
+
+      const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(
+        capacity,
+        bucket.tokens + elapsedSeconds * refillPerSecond
+      );
+      bucket.updatedAt = now;
+
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,182 @@
+/**
+ * Skill ratings (Glicko-2)
+ *
+ * Every player carries a rating, a rating deviation (RD: how unsure we are
+ * of the rating) and a volatility (how erratic their results are). Each
+ * rated match is treated as its own rating period. RD grows again while a
+ * player is away, so someone returning after a long break moves quickly
+ * until their rating settles.
+ *
+ * A player whose RD is still high is provisional: their rating is a rough
+ * guess, and matchmaking is less picky about who they face.
+ *
+ * See http://www.glicko.net/glicko/glicko2.pdf for the maths.
+ */
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+// Ratings with an RD above this are provisional (roughly the first 8-10 games)
+const PROVISIONAL_RD = 150;
+
+// Constrains volatility changes (0.3 - 1.2 is sensible; lower is steadier)
+const TAU = 0.5;
+
+// How often an idle player's RD grows back towards the default
+const RATING_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+// Converts between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+
+/**
+ * A new player's rating
+ */
+function createRating() {
+  return {
+    rating: DEFAULT_RATING,
+    rd: DEFAULT_RD,
+    volatility: DEFAULT_VOLATILITY,
+    games: 0,
+    lastPlayedAt: null,
+  };
+}
+
+/**
+ * Check whether a rating is still provisional
+ */
+function isProvisional(rating) {
+  return rating.rd > PROVISIONAL_RD;
+}
+
+/**
+ * The parts of a rating that are shown to players
+ */
+function publicRating(rating) {
+  return {
+    rating: Math.round(rating.rating),
+    rd: Math.round(rating.rd),
+    games: rating.games,
+    provisional: isProvisional(rating),
+  };
+}
+
+/**
+ * RD after a spell without games (one period of volatility per idle day)
+ */
+function idleRd(rating, now) {
+  if (!rating.lastPlayedAt) return rating.rd;
+
+  const periods = Math.floor((now - rating.lastPlayedAt) / RATING_PERIOD_MS);
+  const phi = rating.rd / SCALE;
+  const grown = Math.sqrt(phi * phi + periods * rating.volatility ** 2);
+  return Math.min(DEFAULT_RD, grown * SCALE);
+}
+
+/**
+ * How much an opponent's result is discounted for their uncertainty
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+/**
+ * Work out the new volatility (step 5 of the Glicko-2 paper)
+ */
+function newVolatility(sigma, phi, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player after a match
+ * @param player - the player's rating before the match
+ * @param opponent - the opponent's rating before the match
+ * @param score - 1 for a win, 0 for a loss, 0.5 for a draw
+ * @param now - when the match ended
+ * @returns the player's new rating
+ */
+function updateRating(player, opponent, score, now = Date.now()) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = idleRd(player, now) / SCALE;
+  const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+  const opponentPhi = idleRd(opponent, now) / SCALE;
+
+  const gPhi = g(opponentPhi);
+  const expected = 1 / (1 + Math.exp(-gPhi * (mu - opponentMu)));
+  const v = 1 / (gPhi * gPhi * expected * (1 - expected));
+  const delta = v * gPhi * (score - expected);
+
+  const volatility = newVolatility(player.volatility, phi, v, delta);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.min(DEFAULT_RD, newPhi * SCALE),
+    volatility,
+    games: player.games + 1,
+    lastPlayedAt: now,
+  };
+}
+
+/**
+ * The rating a team plays at: its members' average rating and RD, so each
+ * member can be rated against the other team as if it were one opponent
+ * @param ratings - every member's rating before the match
+ */
+function teamRating(ratings, now = Date.now()) {
+  const average = (values) =>
+    values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    rating: average(ratings.map((rating) => rating.rating)),
+    rd: average(ratings.map((rating) => idleRd(rating, now))),
+    volatility: average(ratings.map((rating) => rating.volatility)),
+    games: Math.min(...ratings.map((rating) => rating.games)),
+    lastPlayedAt: null, // The RDs above already allow for idle time
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  PROVISIONAL_RD,
+  createRating,
+  isProvisional,
+  publicRating,
+  updateRating,
+  teamRating,
+};
@@ -0,0 +1,160 @@
+/**
+ * Match replays
+ *
+ * A replay is a finished match record reshaped for playing it back round
+ * by round on the /replay/:id page: the rule set's moves (names and icons),
+ * both players, and every round's moves, winner, outcome and running score.
+ * A team match also lists each team, and its rounds hold one pairing per
+ * place in the teams instead of a single pair of moves. A free-for-all
+ * lists its entrants, and each round everyone's reveals and how many
+ * were left after it.
+ */
+
+const { getRuleSet, describeWin } = require("./rulesets");
+
+/**
+ * Explain a round's outcome for records saved before rounds kept their
+ * own outcome text
+ */
+function fallbackOutcome(ruleSet, round) {
+  const { player1Choice, player2Choice, winner } = round;
+  const moveless = ["player1", "player2"].some(
+    (role) =>
+      (round.timedOut && round.timedOut[role]) ||
+      (round.revealFailed && round.revealFailed[role])
+  );
+  if (moveless || !player1Choice || !player2Choice) return null;
+
+  if (winner === "player1") {
+    return describeWin(ruleSet, player1Choice, player2Choice);
+  }
+  if (winner === "player2") {
+    return describeWin(ruleSet, player2Choice, player1Choice);
+  }
+  return null;
+}
+
+/**
+ * A player as the replay shows them
+ */
+function describePlayer(player) {
+  return {
+    playerId: player.playerId,
+    nickname: player.nickname,
+    isBot: player.isBot,
+    botStrategy: player.botStrategy,
+  };
+}
+
+/**
+ * The rule set's moves, for drawing them
+ */
+function describeRuleSet(ruleSet) {
+  return {
+    id: ruleSet.id,
+    name: ruleSet.name,
+    moves: ruleSet.moves.map(({ id, name, icon }) => ({ id, name, icon })),
+  };
+}
+
+/**
+ * Build the replay of a finished free-for-all
+ */
+function buildFreeForAllReplay(record, ruleSet) {
+  // Players who left count as knocked out in the round they left in
+  const remainingAfter = (roundNumber) =>
+    record.entrants.filter(
+      (entrant) =>
+        entrant.eliminatedInRound === null ||
+        entrant.eliminatedInRound > roundNumber
+    ).length;
+
+  return {
+    id: record.id,
+    ruleSet: describeRuleSet(ruleSet),
+    format: record.format,
+    fairPlay: false,
+    private: Boolean(record.privateCode),
+    players: null,
+    teams: null,
+    entrants: record.entrants.map((entrant) => ({
+      ...describePlayer(entrant),
+      eliminatedInRound: entrant.eliminatedInRound,
+    })),
+    rounds: record.rounds.map((round) => ({
+      round: round.round,
+      reveals: round.reveals,
+      winningMoves: round.winningMoves,
+      outcomeText: round.outcomeText,
+      remaining: remainingAfter(round.round),
+      startedAt: round.startedAt,
+      endedAt: round.endedAt,
+    })),
+    winner: record.winner,
+    endReason: record.endReason,
+    finalScores: null,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+  };
+}
+
+/**
+ * Build the replay of a finished match
+ * @param record - a match record from storage
+ */
+function buildReplay(record) {
+  const ruleSet = getRuleSet(record.ruleSetId);
+  if (record.entrants) return buildFreeForAllReplay(record, ruleSet);
+
+  const scores = { player1: 0, player2: 0 };
+
+  const rounds = record.rounds.map((round) => {
+    if (round.winner === "player1" || round.winner === "player2") {
+      scores[round.winner]++;
+    }
+
+    return {
+      round: round.round,
+      player1Choice: round.player1Choice,
+      player2Choice: round.player2Choice,
+      pairings: round.pairings || null,
+      winner: round.winner,
+      outcomeText:
+        round.outcomeText !== undefined
+          ? round.outcomeText
+          : fallbackOutcome(ruleSet, round),
+      timedOut: round.timedOut,
+      revealFailed: round.revealFailed,
+      scores: { ...scores },
+      startedAt: round.startedAt,
+      endedAt: round.endedAt,
+    };
+  });
+
+  return {
+    id: record.id,
+    ruleSet: describeRuleSet(ruleSet),
+    format: record.format,
+    fairPlay: record.fairPlay,
+    private: Boolean(record.privateCode),
+    players: {
+      player1: describePlayer(record.players.player1),
+      player2: describePlayer(record.players.player2),
+    },
+    teams: record.teams
+      ? {
+          mode: record.teams.mode,
+          player1: record.teams.player1.map(describePlayer),
+          player2: record.teams.player2.map(describePlayer),
+        }
+      : null,
+    rounds,
+    winner: record.winner,
+    endReason: record.endReason,
+    finalScores: record.finalScores,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+  };
+}
+
+module.exports = { buildReplay };
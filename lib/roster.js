@@ -0,0 +1,76 @@
+/**
+ * Rosters
+ *
+ * The member list behind parties and free-for-all lobbies. A roster has
+ * an owner (a party's leader, a lobby's host) who starts out as its first
+ * member; if the owner leaves, the longest standing member takes over.
+ * Members are { socketId, playerId, nickname } and each player can only
+ * be in a roster once.
+ *
+ * This module is plain data; parties and lobbies add their own rules on
+ * top.
+ */
+
+/**
+ * Create a roster owned by its first member
+ */
+function createRoster(owner) {
+  return {
+    members: [owner],
+    ownerId: owner.socketId,
+  };
+}
+
+/**
+ * Add a member to a roster
+ * @param options.maxSize - most members it can hold
+ * @param options.name - what the roster is called in reasons ("party")
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+function joinRoster(roster, member, { maxSize, name }) {
+  if (roster.members.length >= maxSize) {
+    return { ok: false, reason: `That ${name} is full.` };
+  }
+  if (roster.members.some((other) => other.playerId === member.playerId)) {
+    return { ok: false, reason: `You're already in that ${name}.` };
+  }
+
+  roster.members.push(member);
+  return { ok: true };
+}
+
+/**
+ * Remove a member, handing the roster on if they were the owner
+ * @returns the removed member, or null if they weren't in the roster
+ */
+function leaveRoster(roster, socketId) {
+  const index = roster.members.findIndex(
+    (member) => member.socketId === socketId
+  );
+  if (index === -1) return null;
+
+  const [member] = roster.members.splice(index, 1);
+  if (roster.ownerId === socketId && roster.members.length > 0) {
+    roster.ownerId = roster.members[0].socketId;
+  }
+  return member;
+}
+
+/**
+ * The members as other players see them (no socket ids)
+ * @param ownerFlag - the field that marks the owner ("leader", "host")
+ */
+function publicMembers(roster, ownerFlag) {
+  return roster.members.map((member) => ({
+    playerId: member.playerId,
+    nickname: member.nickname,
+    [ownerFlag]: member.socketId === roster.ownerId,
+  }));
+}
+
+module.exports = {
+  createRoster,
+  joinRoster,
+  leaveRoster,
+  publicMembers,
+};
@@ -0,0 +1,216 @@
+/**
+ * Rule sets
+ *
+ * A rule set is plain data: the moves players can throw, and for every
+ * move the moves it beats with the verb used to describe it
+ * ("Spock vaporizes rock"). Every rule set is checked when it's loaded:
+ * it needs an odd number of moves, and each move must beat exactly half
+ * of the others so that no move is better than another.
+ *
+ * Extra rule sets can be dropped into RULE_SETS_DIR as JSON files with the
+ * same shape as the built-in ones below.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_RULE_SET_ID = "classic";
+
+const BUILT_IN_RULE_SETS = [
+  {
+    id: "classic",
+    name: "Rock Paper Scissors",
+    moves: [
+      { id: "rock", name: "Rock", icon: "🪨" },
+      { id: "paper", name: "Paper", icon: "📄" },
+      { id: "scissors", name: "Scissors", icon: "✂️" },
+    ],
+    beats: {
+      rock: { scissors: "crushes" },
+      paper: { rock: "covers" },
+      scissors: { paper: "cuts" },
+    },
+  },
+  {
+    id: "rpsls",
+    name: "Rock Paper Scissors Lizard Spock",
+    moves: [
+      { id: "rock", name: "Rock", icon: "🪨" },
+      { id: "paper", name: "Paper", icon: "📄" },
+      { id: "scissors", name: "Scissors", icon: "✂️" },
+      { id: "lizard", name: "Lizard", icon: "🦎" },
+      { id: "spock", name: "Spock", icon: "🖖" },
+    ],
+    beats: {
+      rock: { scissors: "crushes", lizard: "crushes" },
+      paper: { rock: "covers", spock: "disproves" },
+      scissors: { paper: "cuts", lizard: "decapitates" },
+      lizard: { spock: "poisons", paper: "eats" },
+      spock: { scissors: "smashes", rock: "vaporizes" },
+    },
+  },
+];
+
+// Store loaded rule sets
+const ruleSets = new Map(); // id -> rule set
+
+/**
+ * Check that a rule set is well formed and balanced
+ * @throws Error describing the first problem found
+ */
+function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet.id !== "string" || !ruleSet.id) {
+    throw new Error("Rule set is missing an id");
+  }
+
+  const label = `Rule set "${ruleSet.id}"`;
+  const moves = Array.isArray(ruleSet.moves) ? ruleSet.moves : [];
+  const moveIds = moves.map((move) => move && move.id);
+
+  if (moves.length < 3 || moves.length % 2 === 0) {
+    throw new Error(`${label} needs an odd number of moves (at least 3)`);
+  }
+
+  if (new Set(moveIds).size !== moveIds.length) {
+    throw new Error(`${label} has duplicate moves`);
+  }
+
+  moves.forEach((move) => {
+    if (typeof move.id !== "string" || !move.name || !move.icon) {
+      throw new Error(`${label} has a move without an id, name or icon`);
+    }
+  });
+
+  const beats = ruleSet.beats || {};
+  const winsPerMove = (moves.length - 1) / 2;
+
+  moveIds.forEach((moveId) => {
+    const beaten = Object.keys(beats[moveId] || {});
+
+    beaten.forEach((otherId) => {
+      if (!moveIds.includes(otherId) || otherId === moveId) {
+        throw new Error(`${label}: ${moveId} beats unknown move ${otherId}`);
+      }
+      if (beats[otherId] && beats[otherId][moveId]) {
+        throw new Error(`${label}: ${moveId} and ${otherId} beat each other`);
+      }
+    });
+
+    if (beaten.length !== winsPerMove) {
+      throw new Error(
+        `${label} is unbalanced: ${moveId} beats ${beaten.length} moves, expected ${winsPerMove}`
+      );
+    }
+  });
+}
+
+/**
+ * Validate and add a rule set
+ */
+function registerRuleSet(ruleSet) {
+  validateRuleSet(ruleSet);
+  ruleSets.set(ruleSet.id, ruleSet);
+}
+
+/**
+ * Load every *.json rule set from a directory
+ */
+function loadRuleSetsFromDir(dir) {
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .forEach((file) => {
+      const ruleSet = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      registerRuleSet(ruleSet);
+    });
+}
+
+/**
+ * Look up a rule set, falling back to the default for unknown ids
+ */
+function getRuleSet(id) {
+  return ruleSets.get(id) || ruleSets.get(DEFAULT_RULE_SET_ID);
+}
+
+/**
+ * List available rule sets for the lobby
+ */
+function listRuleSets() {
+  return Array.from(ruleSets.values()).map((ruleSet) => ({
+    id: ruleSet.id,
+    name: ruleSet.name,
+  }));
+}
+
+/**
+ * Check if a move exists in a rule set
+ */
+function isValidMove(ruleSet, moveId) {
+  return ruleSet.moves.some((move) => move.id === moveId);
+}
+
+/**
+ * Work out which moves win when any number of players throw at once: the
+ * moves thrown that no other move thrown beats. It's a draw when every
+ * move thrown is beaten by another (all three in the classic game) or
+ * everyone threw the same move.
+ * @param choices - the moves thrown (repeats allowed)
+ * @returns the winning move ids, or [] for a draw
+ */
+function determineWinningMoves(ruleSet, choices) {
+  const thrown = Array.from(new Set(choices));
+  const unbeaten = thrown.filter(
+    (moveId) =>
+      !thrown.some(
+        (other) => ruleSet.beats[other] && ruleSet.beats[other][moveId]
+      )
+  );
+  return unbeaten.length === thrown.length ? [] : unbeaten;
+}
+
+/**
+ * Determine the winner of a round
+ * @returns 'player1' | 'player2' | 'draw'
+ */
+function determineWinner(ruleSet, choice1, choice2) {
+  const [winningMove] = determineWinningMoves(ruleSet, [choice1, choice2]);
+  if (!winningMove) return "draw";
+  return winningMove === choice1 ? "player1" : "player2";
+}
+
+/**
+ * List the moves that beat a given move
+ */
+function movesThatBeat(ruleSet, moveId) {
+  return ruleSet.moves
+    .map((move) => move.id)
+    .filter((id) => ruleSet.beats[id] && ruleSet.beats[id][moveId]);
+}
+
+/**
+ * Describe how one move beat another, e.g. "Spock vaporizes Rock"
+ */
+function describeWin(ruleSet, winningMove, losingMove) {
+  const name = (moveId) =>
+    ruleSet.moves.find((move) => move.id === moveId).name;
+  const verb = ruleSet.beats[winningMove][losingMove];
+  return `${name(winningMove)} ${verb} ${name(losingMove)}`;
+}
+
+// Load rule sets at startup so a broken one stops the server early
+BUILT_IN_RULE_SETS.forEach(registerRuleSet);
+if (process.env.RULE_SETS_DIR) {
+  loadRuleSetsFromDir(process.env.RULE_SETS_DIR);
+}
+
+module.exports = {
+  DEFAULT_RULE_SET_ID,
+  validateRuleSet,
+  registerRuleSet,
+  getRuleSet,
+  listRuleSets,
+  isValidMove,
+  determineWinningMoves,
+  determineWinner,
+  movesThatBeat,
+  describeWin,
+};
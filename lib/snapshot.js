@@ -0,0 +1,45 @@
+/**
+ * Room snapshots
+ *
+ * When the server is asked to stop (a deploy or restart), it writes the
+ * matches still being played to a snapshot file. The next start reads the
+ * snapshot back once, so players who reconnect soon enough carry on where
+ * they left off. Like the JSON store, writes go to a temporary file that is
+ * renamed over the real one, so a crash mid-write never leaves half a
+ * snapshot behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Write a snapshot
+ * @param filePath - where the snapshot is kept
+ * @param data - { savedAt, rooms }
+ */
+async function saveSnapshot(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify(data));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Read a snapshot and delete it, so it is only ever restored once
+ * @returns the snapshot, or null if there isn't one
+ */
+async function takeSnapshot(filePath) {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(filePath, "utf8");
+  } catch (err) {
+    // A missing file just means the last stop didn't leave one
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  await fs.promises.unlink(filePath);
+  return JSON.parse(contents);
+}
+
+module.exports = { saveSnapshot, takeSnapshot };
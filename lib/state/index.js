@@ -0,0 +1,51 @@
+/**
+ * Shared game state
+ *
+ * The parts of the game state that every server node needs to see live
+ * behind this store, so several nodes can run behind a load balancer:
+ * - the matchmaking queue (any node can pair players from any node)
+ * - a directory of rooms (which node hosts each match, for the Watch list
+ *   and for routing spectators there)
+ * - held seats (which node to resume a dropped player's match on)
+ * - private room codes (which node a host is waiting on)
+ * - player profiles (so a player keeps their identity on any node)
+ *
+ * A match itself still runs on one node (its timers can't be shared), and
+ * players connected to other nodes have their events forwarded there.
+ * Tournaments are not shared yet: they run on the node they were created on.
+ *
+ * Every backend implements the same promise-based interface:
+ * - init() / close()
+ * - enqueue(entry), dequeue(socketId), listQueue()
+ * - setRoom(roomId, info), getRoom(roomId), deleteRoom(roomId), listRooms()
+ * - setSeat(token, info), getSeat(token), deleteSeat(token)
+ * - setPrivateRoom(code, info), getPrivateRoom(code), deletePrivateRoom(code)
+ * - setPlayer(profile), getPlayer(token)
+ * - acquireLock(name, ttlMs), releaseLock(name)
+ * - socketAdapter() - the Socket.IO adapter to use (null for the default)
+ *
+ * Pick a backend with STATE_DRIVER ("memory" by default, for a single
+ * node, or "redis" with REDIS_URL for several).
+ */
+
+const { createMemoryStateStore } = require("./memory-store");
+const { createRedisStateStore } = require("./redis-store");
+
+/**
+ * Create the configured state store
+ * @param options.driver - 'memory' | 'redis'
+ * @param options.url - Redis connection URL (redis driver only)
+ */
+function createStateStore({ driver, url }) {
+  if (driver === "memory") {
+    return createMemoryStateStore();
+  }
+
+  if (driver === "redis") {
+    return createRedisStateStore({ url });
+  }
+
+  throw new Error(`Unknown state driver "${driver}"`);
+}
+
+module.exports = { createStateStore };
@@ -0,0 +1,112 @@
+/**
+ * In-memory state store
+ *
+ * Keeps the shared state in Maps inside this process, so it is only shared
+ * with itself: the default for running a single node.
+ */
+
+/**
+ * Create an in-memory state store
+ */
+function createMemoryStateStore() {
+  const queue = new Map(); // socketId -> queue entry
+  const rooms = new Map(); // roomId -> room info
+  const seats = new Map(); // player token -> held seat
+  const privateRooms = new Map(); // code -> private room info
+  const players = new Map(); // player token -> profile
+  const locks = new Map(); // lock name -> expiry time (ms)
+
+  return {
+    async init() {},
+
+    async enqueue(entry) {
+      queue.set(entry.socketId, entry);
+    },
+
+    /**
+     * Take an entry out of the queue. Only one caller ever gets a given
+     * entry back, so two nodes can't both pair the same player.
+     * @returns the entry, or null if it wasn't queued
+     */
+    async dequeue(socketId) {
+      const entry = queue.get(socketId) || null;
+      queue.delete(socketId);
+      return entry;
+    },
+
+    async listQueue() {
+      return Array.from(queue.values());
+    },
+
+    async setRoom(roomId, info) {
+      rooms.set(roomId, info);
+    },
+
+    async getRoom(roomId) {
+      return rooms.get(roomId) || null;
+    },
+
+    async deleteRoom(roomId) {
+      rooms.delete(roomId);
+    },
+
+    async listRooms() {
+      return Array.from(rooms.values());
+    },
+
+    async setSeat(token, info) {
+      seats.set(token, info);
+    },
+
+    async getSeat(token) {
+      return seats.get(token) || null;
+    },
+
+    async deleteSeat(token) {
+      seats.delete(token);
+    },
+
+    async setPrivateRoom(code, info) {
+      privateRooms.set(code, info);
+    },
+
+    async getPrivateRoom(code) {
+      return privateRooms.get(code) || null;
+    },
+
+    async deletePrivateRoom(code) {
+      privateRooms.delete(code);
+    },
+
+    async setPlayer(profile) {
+      players.set(profile.token, { ...profile });
+    },
+
+    async getPlayer(token) {
+      return players.get(token) || null;
+    },
+
+    /**
+     * Take a named lock until it is released or ttlMs passes
+     * @returns true if the lock was free
+     */
+    async acquireLock(name, ttlMs) {
+      const now = Date.now();
+      if (locks.has(name) && locks.get(name) > now) return false;
+      locks.set(name, now + ttlMs);
+      return true;
+    },
+
+    async releaseLock(name) {
+      locks.delete(name);
+    },
+
+    socketAdapter() {
+      return null;
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStateStore };
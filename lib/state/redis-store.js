@@ -0,0 +1,152 @@
+/**
+ * Redis state store
+ *
+ * Keeps the shared state in Redis (or anything that speaks its protocol,
+ * like the stand-in in scripts/dev-redis.js) so every node sees the same
+ * queue, rooms and seats. Each collection is one hash of JSON values.
+ *
+ * It also provides the Socket.IO Redis adapter, so an emit to a socket or
+ * room reaches it whichever node it is connected to.
+ */
+
+const crypto = require("crypto");
+const { createClient } = require("redis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const { logger } = require("../logger");
+
+const KEY_PREFIX = "rps:";
+const QUEUE_KEY = `${KEY_PREFIX}queue`; // socketId -> queue entry
+const ROOMS_KEY = `${KEY_PREFIX}rooms`; // roomId -> room info
+const SEATS_KEY = `${KEY_PREFIX}seats`; // player token -> held seat
+const PRIVATE_ROOMS_KEY = `${KEY_PREFIX}private-rooms`; // code -> info
+const PLAYERS_KEY = `${KEY_PREFIX}players`; // player token -> profile
+
+/**
+ * Create a Redis-backed state store
+ * @param options.url - Redis connection URL, e.g. redis://localhost:6379
+ */
+function createRedisStateStore({ url }) {
+  const client = createClient({ url });
+  // Subscribed connections can't run other commands, so the adapter
+  // listens on its own one
+  const subClient = client.duplicate();
+  // Tells our locks apart from other nodes' (released only by the holder)
+  const lockOwner = crypto.randomBytes(8).toString("hex");
+
+  const logError = (err) => logger.error("Redis error", { error: err });
+  client.on("error", logError);
+  subClient.on("error", logError);
+
+  async function getJson(key, field) {
+    const value = await client.hGet(key, field);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function listJson(key) {
+    const values = await client.hVals(key);
+    return values.map((value) => JSON.parse(value));
+  }
+
+  return {
+    async init() {
+      await Promise.all([client.connect(), subClient.connect()]);
+    },
+
+    async enqueue(entry) {
+      await client.hSet(QUEUE_KEY, entry.socketId, JSON.stringify(entry));
+    },
+
+    /**
+     * Take an entry out of the queue. HDEL only reports a removal to one
+     * caller, so two nodes can't both pair the same player.
+     * @returns the entry, or null if it wasn't queued
+     */
+    async dequeue(socketId) {
+      const entry = await getJson(QUEUE_KEY, socketId);
+      if (!entry) return null;
+      const removed = await client.hDel(QUEUE_KEY, socketId);
+      return removed === 1 ? entry : null;
+    },
+
+    async listQueue() {
+      return listJson(QUEUE_KEY);
+    },
+
+    async setRoom(roomId, info) {
+      await client.hSet(ROOMS_KEY, roomId, JSON.stringify(info));
+    },
+
+    async getRoom(roomId) {
+      return getJson(ROOMS_KEY, roomId);
+    },
+
+    async deleteRoom(roomId) {
+      await client.hDel(ROOMS_KEY, roomId);
+    },
+
+    async listRooms() {
+      return listJson(ROOMS_KEY);
+    },
+
+    async setSeat(token, info) {
+      await client.hSet(SEATS_KEY, token, JSON.stringify(info));
+    },
+
+    async getSeat(token) {
+      return getJson(SEATS_KEY, token);
+    },
+
+    async deleteSeat(token) {
+      await client.hDel(SEATS_KEY, token);
+    },
+
+    async setPrivateRoom(code, info) {
+      await client.hSet(PRIVATE_ROOMS_KEY, code, JSON.stringify(info));
+    },
+
+    async getPrivateRoom(code) {
+      return getJson(PRIVATE_ROOMS_KEY, code);
+    },
+
+    async deletePrivateRoom(code) {
+      await client.hDel(PRIVATE_ROOMS_KEY, code);
+    },
+
+    async setPlayer(profile) {
+      await client.hSet(PLAYERS_KEY, profile.token, JSON.stringify(profile));
+    },
+
+    async getPlayer(token) {
+      return getJson(PLAYERS_KEY, token);
+    },
+
+    /**
+     * Take a named lock until it is released or ttlMs passes
+     * @returns true if the lock was free
+     */
+    async acquireLock(name, ttlMs) {
+      const result = await client.set(`${KEY_PREFIX}lock:${name}`, lockOwner, {
+        NX: true,
+        PX: ttlMs,
+      });
+      return result === "OK";
+    },
+
+    async releaseLock(name) {
+      const key = `${KEY_PREFIX}lock:${name}`;
+      if ((await client.get(key)) === lockOwner) {
+        await client.del(key);
+      }
+    },
+
+    socketAdapter() {
+      return createAdapter(client, subClient);
+    },
+
+    async close() {
+      await Promise.all([client.quit(), subClient.quit()]);
+    },
+  };
+}
+
+module.exports = { createRedisStateStore };
@@ -0,0 +1,240 @@
+/**
+ * Player statistics
+ *
+ * Stats are never stored; they're worked out from match records whenever
+ * they're asked for. That goes for the leaderboard too, which only counts
+ * rated matches:
+ * - all:    everyone who has played a rated match, by current rating
+ * - weekly: wins since Monday (UTC), then win rate, then rating
+ * - daily:  wins since midnight (UTC), then win rate, then rating
+ */
+
+const { isProvisional } = require("./rating");
+
+const LEADERBOARD_WINDOWS = ["daily", "weekly", "all"];
+
+/**
+ * Where a player sat in a match record: their side and, in a team match,
+ * their place in the team (which pairing their moves are in). A
+ * free-for-all has no sides, just each entrant's place in the standings.
+ * @returns {{ role: string | null, position: number | null } | null}
+ */
+function seatInMatch(record, playerId) {
+  if (record.entrants) {
+    const position = record.entrants.findIndex(
+      (entrant) => entrant.playerId === playerId
+    );
+    return position === -1 ? null : { role: null, position };
+  }
+
+  for (const role of ["player1", "player2"]) {
+    if (!record.teams) {
+      if (record.players[role].playerId === playerId) {
+        return { role, position: null };
+      }
+      continue;
+    }
+    const position = record.teams[role].findIndex(
+      (member) => member.playerId === playerId
+    );
+    if (position !== -1) return { role, position };
+  }
+  return null;
+}
+
+/**
+ * Which side of a match record a player was on
+ * @returns 'player1' | 'player2' | null (also for a free-for-all)
+ */
+function roleInMatch(record, playerId) {
+  const seat = seatInMatch(record, playerId);
+  return seat ? seat.role : null;
+}
+
+/**
+ * How a match went for a player
+ * @returns 'win' | 'loss' | null if nobody won
+ */
+function resultInMatch(record, playerId) {
+  if (!record.winner) return null;
+
+  // A free-for-all's winner is a player id rather than a side
+  const won = record.entrants
+    ? record.winner === playerId
+    : record.winner === roleInMatch(record, playerId);
+  return won ? "win" : "loss";
+}
+
+/**
+ * The move a player threw in one round of a match record (null if they
+ * didn't throw one)
+ * @param seat - where they sat, from seatInMatch
+ */
+function moveInRound(round, seat, playerId) {
+  if (round.reveals) {
+    const reveal = round.reveals.find((other) => other.playerId === playerId);
+    return reveal ? reveal.choice : null;
+  }
+
+  // A team round holds one pairing per place in the teams
+  const choices = round.pairings ? round.pairings[seat.position] : round;
+  return (choices && choices[`${seat.role}Choice`]) || null;
+}
+
+/**
+ * How a match moved a player's rating
+ * @returns { before, after, delta, provisional }, or null if unrated
+ */
+function ratingChangeInMatch(record, playerId) {
+  const seat = seatInMatch(record, playerId);
+  if (!seat || !record.ratingChanges) return null;
+
+  const change = record.ratingChanges[seat.role];
+  return seat.position === null ? change : change[seat.position];
+}
+
+/**
+ * Compute a player's stats from their match records
+ * @param playerId - the player's public id
+ * @param records - match records (any order)
+ */
+function computePlayerStats(playerId, records) {
+  const moveCounts = {};
+  let wins = 0;
+  let losses = 0;
+  let streak = 0;
+  let longestStreak = 0;
+
+  // Oldest first so streaks are counted in the order they happened
+  const ordered = records
+    .filter((record) => seatInMatch(record, playerId))
+    .sort((a, b) => a.endedAt - b.endedAt);
+
+  ordered.forEach((record) => {
+    const seat = seatInMatch(record, playerId);
+    const result = resultInMatch(record, playerId);
+
+    if (result === "win") {
+      wins++;
+      streak++;
+      longestStreak = Math.max(longestStreak, streak);
+    } else if (result === "loss") {
+      losses++;
+      streak = 0;
+    }
+
+    record.rounds.forEach((round) => {
+      const move = moveInRound(round, seat, playerId);
+      if (move) moveCounts[move] = (moveCounts[move] || 0) + 1;
+    });
+  });
+
+  let favouriteMove = null;
+  Object.keys(moveCounts).forEach((move) => {
+    if (!favouriteMove || moveCounts[move] > moveCounts[favouriteMove]) {
+      favouriteMove = move;
+    }
+  });
+
+  const decided = wins + losses;
+
+  return {
+    matches: ordered.length,
+    wins,
+    losses,
+    winRate: decided > 0 ? wins / decided : 0,
+    favouriteMove,
+    longestStreak,
+    currentStreak: streak,
+  };
+}
+
+/**
+ * When a leaderboard window started (null for all time)
+ * @param window - 'daily' | 'weekly' | 'all'
+ */
+function leaderboardSince(window, now = Date.now()) {
+  const date = new Date(now);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  if (window === "daily") return Date.UTC(year, month, day);
+  if (window === "weekly") {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(year, month, day - daysSinceMonday);
+  }
+  return null;
+}
+
+/**
+ * Rank players for a leaderboard window
+ * @param profiles - every saved player profile
+ * @param records - match records from the window (any order)
+ * @param window - 'daily' | 'weekly' | 'all'
+ */
+function computeLeaderboard(profiles, records, window) {
+  const rows = new Map(); // playerId -> leaderboard row
+
+  profiles.forEach((profile) => {
+    if (!profile.nickname || !profile.rating) return;
+    rows.set(profile.id, {
+      playerId: profile.id,
+      nickname: profile.nickname,
+      rating: Math.round(profile.rating.rating),
+      provisional: isProvisional(profile.rating),
+      matches: 0,
+      wins: 0,
+      losses: 0,
+      winRate: 0,
+      ratingChange: 0,
+    });
+  });
+
+  records.forEach((record) => {
+    if (!record.ratingChanges) return;
+
+    ["player1", "player2"].forEach((role) => {
+      const side = record.teams ? record.teams[role] : [record.players[role]];
+
+      side.forEach((player) => {
+        const row = rows.get(player.playerId);
+        if (!row) return;
+
+        row.matches++;
+        if (record.winner === role) {
+          row.wins++;
+        } else {
+          row.losses++;
+        }
+        row.ratingChange += ratingChangeInMatch(record, player.playerId).delta;
+      });
+    });
+  });
+
+  const ranked = Array.from(rows.values()).filter((row) => row.matches > 0);
+  ranked.forEach((row) => {
+    row.winRate = row.wins / row.matches;
+  });
+
+  if (window === "all") {
+    ranked.sort((a, b) => b.rating - a.rating);
+  } else {
+    ranked.sort(
+      (a, b) => b.wins - a.wins || b.winRate - a.winRate || b.rating - a.rating
+    );
+  }
+
+  return ranked.map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  seatInMatch,
+  roleInMatch,
+  resultInMatch,
+  ratingChangeInMatch,
+  computePlayerStats,
+  leaderboardSince,
+  computeLeaderboard,
+};
@@ -0,0 +1,38 @@
+/**
+ * Storage
+ *
+ * Every backend implements the same promise-based interface:
+ * - init() / close()
+ * - savePlayer(profile), getPlayer(playerId), listPlayers()
+ * - saveMatch(record), getMatch(matchId), listMatches({ playerId, since, limit })
+ * - saveBan(ban), deleteBan(banId), listBans()
+ * - appendAudit(entry), listAudit({ limit })
+ *
+ * Pick a backend with STORAGE_DRIVER ("json" by default, or "memory").
+ */
+
+const path = require("path");
+const { createMemoryStore } = require("./memory-store");
+const { createJsonStore } = require("./json-store");
+
+/**
+ * Create the configured storage backend
+ * @param options.driver - 'json' | 'memory'
+ * @param options.dataDir - directory for file-based backends
+ */
+function createStorage({ driver, dataDir }) {
+  if (driver === "memory") {
+    return createMemoryStore();
+  }
+
+  if (driver === "json") {
+    return createJsonStore({
+      filePath: path.join(dataDir, "store.json"),
+      auditPath: path.join(dataDir, "admin-audit.log"),
+    });
+  }
+
+  throw new Error(`Unknown storage driver "${driver}"`);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,104 @@
+/**
+ * JSON-file storage backend
+ *
+ * Holds everything in memory and writes the whole store to a single JSON
+ * file after each change. Writes go to a temporary file that is then
+ * renamed over the real one, so a crash mid-write never leaves a
+ * half-written store behind. Back-to-back changes share one write.
+ *
+ * The admin audit log is kept apart, one JSON object per line, and is only
+ * ever appended to.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStore } = require("./memory-store");
+
+/**
+ * Create a store backed by a JSON file
+ * @param options.filePath - where the store is kept
+ * @param options.auditPath - where the admin audit log is kept
+ */
+function createJsonStore({ filePath, auditPath }) {
+  const memory = createMemoryStore();
+  let pendingWrite = Promise.resolve();
+  let dirty = false;
+
+  /**
+   * Queue a write of the current data (coalescing repeated calls)
+   */
+  function persist() {
+    dirty = true;
+    pendingWrite = pendingWrite.then(async () => {
+      if (!dirty) return;
+      dirty = false;
+
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(
+        tempPath,
+        JSON.stringify(memory.exportData())
+      );
+      await fs.promises.rename(tempPath, filePath);
+    });
+    return pendingWrite;
+  }
+
+  return {
+    ...memory,
+
+    async init() {
+      try {
+        const contents = await fs.promises.readFile(filePath, "utf8");
+        memory.importData(JSON.parse(contents));
+      } catch (err) {
+        // A missing file just means nothing has been stored yet
+        if (err.code !== "ENOENT") throw err;
+      }
+
+      try {
+        const lines = await fs.promises.readFile(auditPath, "utf8");
+        memory.importAudit(
+          lines
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => JSON.parse(line))
+        );
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    async savePlayer(profile) {
+      await memory.savePlayer(profile);
+      return persist();
+    },
+
+    async saveMatch(record) {
+      await memory.saveMatch(record);
+      return persist();
+    },
+
+    async saveBan(ban) {
+      await memory.saveBan(ban);
+      return persist();
+    },
+
+    async deleteBan(banId) {
+      await memory.deleteBan(banId);
+      return persist();
+    },
+
+    async appendAudit(entry) {
+      await memory.appendAudit(entry);
+      await fs.promises.mkdir(path.dirname(auditPath), { recursive: true });
+      await fs.promises.appendFile(auditPath, `${JSON.stringify(entry)}\n`);
+    },
+
+    async close() {
+      await pendingWrite;
+    },
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,126 @@
+/**
+ * In-memory storage backend
+ *
+ * Keeps everything in Maps. Nothing survives a restart, so it's meant for
+ * tests and throwaway servers; the JSON-file backend builds on it.
+ */
+
+const { seatInMatch } = require("../stats");
+
+/**
+ * Create an in-memory store
+ */
+function createMemoryStore() {
+  const players = new Map(); // playerId -> profile
+  const matches = new Map(); // matchId -> match record
+  const bans = new Map(); // banId -> ban
+  const audit = []; // admin actions, oldest first
+
+  return {
+    async init() {},
+
+    async savePlayer(profile) {
+      players.set(profile.id, { ...profile });
+    },
+
+    async getPlayer(playerId) {
+      return players.get(playerId) || null;
+    },
+
+    async listPlayers() {
+      return Array.from(players.values());
+    },
+
+    async saveMatch(record) {
+      matches.set(record.id, record);
+    },
+
+    async getMatch(matchId) {
+      return matches.get(matchId) || null;
+    },
+
+    /**
+     * List finished matches, newest first
+     * @param query.playerId - only matches this player took part in (on
+     *   either side, in either team or in a free-for-all)
+     * @param query.since - only matches that ended at or after this time (ms)
+     * @param query.limit - maximum number of matches to return
+     */
+    async listMatches({ playerId, since, limit } = {}) {
+      let results = Array.from(matches.values());
+
+      if (playerId) {
+        results = results.filter((record) => seatInMatch(record, playerId));
+      }
+
+      if (since) {
+        results = results.filter((record) => record.endedAt >= since);
+      }
+
+      results.sort((a, b) => b.endedAt - a.endedAt);
+      return limit ? results.slice(0, limit) : results;
+    },
+
+    async saveBan(ban) {
+      bans.set(ban.id, { ...ban });
+    },
+
+    async deleteBan(banId) {
+      bans.delete(banId);
+    },
+
+    async listBans() {
+      return Array.from(bans.values());
+    },
+
+    async appendAudit(entry) {
+      audit.push(entry);
+    },
+
+    /**
+     * List admin actions, newest first
+     * @param query.limit - maximum number of entries to return
+     */
+    async listAudit({ limit } = {}) {
+      const results = audit.slice().reverse();
+      return limit ? results.slice(0, limit) : results;
+    },
+
+    /**
+     * Plain copy of everything stored (used by the JSON-file backend)
+     */
+    exportData() {
+      return {
+        players: Array.from(players.values()),
+        matches: Array.from(matches.values()),
+        bans: Array.from(bans.values()),
+      };
+    },
+
+    /**
+     * Replace everything stored with previously exported data
+     */
+    importData(data) {
+      players.clear();
+      matches.clear();
+      bans.clear();
+      (data.players || []).forEach((profile) =>
+        players.set(profile.id, profile)
+      );
+      (data.matches || []).forEach((record) => matches.set(record.id, record));
+      (data.bans || []).forEach((ban) => bans.set(ban.id, ban));
+    },
+
+    /**
+     * Load previously written admin actions (oldest first)
+     */
+    importAudit(entries) {
+      audit.length = 0;
+      entries.forEach((entry) => audit.push(entry));
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
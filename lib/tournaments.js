@@ -0,0 +1,638 @@
+/**
+ * Tournaments
+ *
+ * A tournament is plain data: its participants and a list of bracket
+ * matches. Each match takes its two players from sources (a seed, or the
+ * winner/loser of an earlier match), so every bracket type is just a
+ * different way of wiring matches together:
+ * - single:     single elimination
+ * - double:     double elimination (winners and losers brackets, then a
+ *               one-match grand final)
+ * - roundRobin: everyone plays everyone once
+ *
+ * Brackets are padded with byes up to a power of two; a player drawn
+ * against a bye goes straight through. This module never talks to sockets:
+ * the server plays the matches and reports results back with
+ * recordResult().
+ *
+ * Slot values: a player id, null for a bye, undefined while still unknown.
+ */
+
+const { containsBlockedWord } = require("./players");
+
+const TOURNAMENT_TYPES = {
+  single: { label: "Single elimination", minPlayers: 2 },
+  double: { label: "Double elimination", minPlayers: 3 },
+  roundRobin: { label: "Round robin", minPlayers: 2 },
+};
+
+const MAX_TOURNAMENT_PLAYERS = 32;
+
+// Tournament name rules
+const NAME_MIN_LENGTH = 3;
+const NAME_MAX_LENGTH = 40;
+
+/**
+ * Validate a tournament name
+ * @returns {{ ok: true, name: string } | { ok: false, reason: string }}
+ */
+function validateTournamentName(raw) {
+  const name = typeof raw === "string" ? raw.trim().replace(/\s+/g, " ") : "";
+
+  if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+    return {
+      ok: false,
+      reason: `Tournament names must be ${NAME_MIN_LENGTH}-${NAME_MAX_LENGTH} characters.`,
+    };
+  }
+
+  if (containsBlockedWord(name)) {
+    return { ok: false, reason: "That tournament name is not allowed." };
+  }
+
+  return { ok: true, name };
+}
+
+/**
+ * Create a tournament that is open for registration
+ * @param options.id - unique tournament id
+ * @param options.name - display name
+ * @param options.type - one of TOURNAMENT_TYPES
+ * @param options.organizer - { playerId, nickname } of whoever runs it
+ * @param options.format - normalized match format
+ * @param options.ruleSet - rule set every match is played with
+ * @param options.maxPlayers - registration cap
+ */
+function createTournament({
+  id,
+  name,
+  type,
+  organizer,
+  format,
+  ruleSet,
+  maxPlayers,
+}) {
+  return {
+    id,
+    name,
+    type: Object.prototype.hasOwnProperty.call(TOURNAMENT_TYPES, type)
+      ? type
+      : "single",
+    organizer,
+    format,
+    ruleSet,
+    maxPlayers: Math.min(
+      MAX_TOURNAMENT_PLAYERS,
+      Math.max(2, Number(maxPlayers) || MAX_TOURNAMENT_PLAYERS)
+    ),
+    status: "registration", // 'registration' | 'running' | 'finished' | 'cancelled'
+    participants: [], // { playerId, nickname, rating, seed }
+    seeds: [], // Player ids in seed order (index 0 is seed 1)
+    matches: [],
+    finalMatchId: null,
+    winnerId: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+  };
+}
+
+/**
+ * Register a player
+ * @returns an error message, or null if they were added
+ */
+function addParticipant(tournament, { playerId, nickname, rating }) {
+  if (tournament.status !== "registration") {
+    return "Registration for this tournament has closed.";
+  }
+  if (findParticipant(tournament, playerId)) {
+    return "You're already registered.";
+  }
+  if (tournament.participants.length >= tournament.maxPlayers) {
+    return "This tournament is full.";
+  }
+
+  tournament.participants.push({ playerId, nickname, rating, seed: null });
+  return null;
+}
+
+/**
+ * Withdraw a player before the tournament starts
+ * @returns true if they were registered
+ */
+function removeParticipant(tournament, playerId) {
+  if (tournament.status !== "registration") return false;
+
+  const index = tournament.participants.findIndex(
+    (participant) => participant.playerId === playerId
+  );
+  if (index === -1) return false;
+
+  tournament.participants.splice(index, 1);
+  return true;
+}
+
+/**
+ * Find a registered player
+ */
+function findParticipant(tournament, playerId) {
+  return (
+    tournament.participants.find(
+      (participant) => participant.playerId === playerId
+    ) || null
+  );
+}
+
+/**
+ * Find a bracket match by id
+ */
+function findMatch(tournament, matchId) {
+  return tournament.matches.find((match) => match.id === matchId) || null;
+}
+
+/**
+ * Seed order for a bracket of `size` slots, so that seed 1 and seed 2 can
+ * only meet in the final: [1, 8, 4, 5, 2, 7, 3, 6] for 8
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const length = order.length * 2;
+    order = order.flatMap((seed) => [seed, length + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Build a bracket match
+ */
+function createMatch(id, bracket, round, label, sources) {
+  return {
+    id,
+    bracket, // 'winners' | 'losers' | 'final' | 'roundRobin'
+    round,
+    label,
+    sources, // Two of { seed } | { matchId, take: 'winner' | 'loser' }
+    playerIds: [undefined, undefined],
+    status: "pending", // 'pending' | 'ready' | 'live' | 'done'
+    roomId: null,
+    winnerId: null,
+    loserId: null,
+    scores: null, // [slot 0 wins, slot 1 wins]
+    bye: false,
+    noShow: false,
+    noShowDeadline: null, // Set while one player waits for the other
+  };
+}
+
+/**
+ * Name an elimination round counting back from the final
+ */
+function eliminationRoundLabel(round, totalRounds) {
+  const fromEnd = totalRounds - round;
+  if (fromEnd === 0) return "Final";
+  if (fromEnd === 1) return "Semi-final";
+  if (fromEnd === 2) return "Quarter-final";
+  return `Round ${round}`;
+}
+
+/**
+ * Winners bracket (or the whole of a single-elimination bracket)
+ * @returns matches grouped by round
+ */
+function buildWinnersBracket(size, double) {
+  const totalRounds = Math.log2(size);
+  const order = bracketOrder(size);
+  const rounds = [];
+
+  for (let round = 1; round <= totalRounds; round++) {
+    const count = size / 2 ** round;
+    const label = double
+      ? `Winners round ${round}`
+      : eliminationRoundLabel(round, totalRounds);
+    const matches = [];
+
+    for (let i = 0; i < count; i++) {
+      const sources =
+        round === 1
+          ? [{ seed: order[i * 2] }, { seed: order[i * 2 + 1] }]
+          : [
+              { matchId: rounds[round - 2][i * 2].id, take: "winner" },
+              { matchId: rounds[round - 2][i * 2 + 1].id, take: "winner" },
+            ];
+      matches.push(
+        createMatch(`W${round}-${i + 1}`, "winners", round, label, sources)
+      );
+    }
+
+    rounds.push(matches);
+  }
+
+  return rounds;
+}
+
+/**
+ * Losers bracket for double elimination. Losers round 1 pairs the losers
+ * of winners round 1; after that, rounds alternate between survivors
+ * playing each other and survivors meeting the next batch of players to
+ * drop out of the winners bracket.
+ * @returns matches grouped by round
+ */
+function buildLosersBracket(size, winnersRounds) {
+  const stages = Math.log2(size) - 1;
+  const rounds = [];
+
+  for (let stage = 1; stage <= stages; stage++) {
+    const count = size / 2 ** (stage + 1);
+    const minorRound = stage * 2 - 1;
+    const majorRound = stage * 2;
+
+    // Survivors play each other (in stage 1: winners round 1 losers)
+    const minor = [];
+    for (let i = 0; i < count; i++) {
+      const sources =
+        stage === 1
+          ? [
+              { matchId: winnersRounds[0][i * 2].id, take: "loser" },
+              { matchId: winnersRounds[0][i * 2 + 1].id, take: "loser" },
+            ]
+          : [
+              { matchId: rounds[minorRound - 2][i * 2].id, take: "winner" },
+              { matchId: rounds[minorRound - 2][i * 2 + 1].id, take: "winner" },
+            ];
+      minor.push(
+        createMatch(
+          `L${minorRound}-${i + 1}`,
+          "losers",
+          minorRound,
+          `Losers round ${minorRound}`,
+          sources
+        )
+      );
+    }
+    rounds.push(minor);
+
+    // Survivors meet the losers of the next winners round (in reverse
+    // order, so players don't meet the same opponent again straight away)
+    const droppingIn = winnersRounds[stage];
+    const major = [];
+    for (let i = 0; i < count; i++) {
+      major.push(
+        createMatch(
+          `L${majorRound}-${i + 1}`,
+          "losers",
+          majorRound,
+          `Losers round ${majorRound}`,
+          [
+            { matchId: minor[i].id, take: "winner" },
+            { matchId: droppingIn[count - 1 - i].id, take: "loser" },
+          ]
+        )
+      );
+    }
+    rounds.push(major);
+  }
+
+  return rounds;
+}
+
+/**
+ * Round robin schedule (circle method): every player meets every other
+ * player once; with an odd count, one player sits out each round
+ */
+function buildRoundRobin(playerCount) {
+  const seats = Array.from({ length: playerCount }, (_, i) => i + 1);
+  if (seats.length % 2 === 1) seats.push(null);
+
+  const rounds = seats.length - 1;
+  const matches = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    let index = 1;
+    for (let i = 0; i < seats.length / 2; i++) {
+      const home = seats[i];
+      const away = seats[seats.length - 1 - i];
+      if (home && away) {
+        matches.push(
+          createMatch(
+            `R${round}-${index}`,
+            "roundRobin",
+            round,
+            `Round ${round}`,
+            [{ seed: home }, { seed: away }]
+          )
+        );
+        index++;
+      }
+    }
+
+    // Keep the first seat fixed and rotate everyone else one place
+    seats.splice(1, 0, seats.pop());
+  }
+
+  return matches;
+}
+
+/**
+ * Close registration, seed players by rating and build the bracket
+ * @returns an error message, or null if the tournament started
+ */
+function startTournament(tournament) {
+  if (tournament.status !== "registration") {
+    return "This tournament has already started.";
+  }
+
+  const { minPlayers } = TOURNAMENT_TYPES[tournament.type];
+  if (tournament.participants.length < minPlayers) {
+    return `At least ${minPlayers} players are needed to start.`;
+  }
+
+  // Highest rated first; registration order breaks ties
+  const seeded = tournament.participants
+    .map((participant, index) => ({ participant, index }))
+    .sort(
+      (a, b) => b.participant.rating - a.participant.rating || a.index - b.index
+    )
+    .map(({ participant }) => participant);
+
+  seeded.forEach((participant, index) => {
+    participant.seed = index + 1;
+  });
+  tournament.participants = seeded;
+  tournament.seeds = seeded.map((participant) => participant.playerId);
+
+  if (tournament.type === "roundRobin") {
+    tournament.matches = buildRoundRobin(seeded.length);
+  } else {
+    let size = 2;
+    while (size < seeded.length) size *= 2;
+
+    const double = tournament.type === "double";
+    const winnersRounds = buildWinnersBracket(size, double);
+    const winnersFinal = winnersRounds[winnersRounds.length - 1][0];
+    tournament.matches = winnersRounds.flat();
+    tournament.finalMatchId = winnersFinal.id;
+
+    if (double) {
+      const losersRounds = buildLosersBracket(size, winnersRounds);
+      const losersFinal = losersRounds[losersRounds.length - 1][0];
+      const grandFinal = createMatch("GF", "final", 1, "Grand final", [
+        { matchId: winnersFinal.id, take: "winner" },
+        { matchId: losersFinal.id, take: "winner" },
+      ]);
+      tournament.matches.push(...losersRounds.flat(), grandFinal);
+      tournament.finalMatchId = grandFinal.id;
+    }
+  }
+
+  tournament.status = "running";
+  tournament.startedAt = Date.now();
+  resolveMatches(tournament);
+  return null;
+}
+
+/**
+ * Who fills a match slot, if that's known yet
+ */
+function slotValue(tournament, source) {
+  if (source.seed) return tournament.seeds[source.seed - 1] || null;
+
+  const match = findMatch(tournament, source.matchId);
+  if (match.status !== "done") return undefined;
+  return source.take === "winner" ? match.winnerId : match.loserId;
+}
+
+/**
+ * Fill in every match whose players are now known, sending players past
+ * byes, until nothing else changes
+ */
+function resolveMatches(tournament) {
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+
+    tournament.matches.forEach((match) => {
+      if (match.status !== "pending") return;
+
+      match.playerIds = match.sources.map((source) =>
+        slotValue(tournament, source)
+      );
+      if (match.playerIds.includes(undefined)) return;
+
+      const [first, second] = match.playerIds;
+      if (first && second) {
+        match.status = "ready";
+      } else {
+        // A bye: whoever is there goes through without playing
+        match.status = "done";
+        match.bye = true;
+        match.winnerId = first || second;
+        match.loserId = null;
+      }
+      changed = true;
+    });
+  }
+
+  checkFinished(tournament);
+}
+
+/**
+ * Finish the tournament once its last match is decided
+ */
+function checkFinished(tournament) {
+  if (tournament.status !== "running") return;
+
+  if (tournament.type === "roundRobin") {
+    if (tournament.matches.some((match) => match.status !== "done")) return;
+    const [leader] = computeStandings(tournament);
+    tournament.winnerId = leader ? leader.playerId : null;
+  } else {
+    const final = findMatch(tournament, tournament.finalMatchId);
+    if (final.status !== "done") return;
+    tournament.winnerId = final.winnerId;
+  }
+
+  tournament.status = "finished";
+  tournament.finishedAt = Date.now();
+}
+
+/**
+ * Matches whose players are both known but which haven't started
+ */
+function readyMatches(tournament) {
+  return tournament.matches.filter((match) => match.status === "ready");
+}
+
+/**
+ * Check whether a player is playing one of the tournament's matches
+ */
+function isPlaying(tournament, playerId) {
+  return tournament.matches.some(
+    (match) => match.status === "live" && match.playerIds.includes(playerId)
+  );
+}
+
+/**
+ * Mark a match as being played in a room
+ */
+function markLive(tournament, matchId, roomId) {
+  const match = findMatch(tournament, matchId);
+  match.status = "live";
+  match.roomId = roomId;
+  match.noShowDeadline = null;
+}
+
+/**
+ * Record a match result and move the bracket on
+ * @param result.winnerId - the winning player's id
+ * @param result.scores - [slot 0 wins, slot 1 wins] (null for no-shows)
+ * @param result.noShow - true if the loser never turned up
+ */
+function recordResult(tournament, matchId, { winnerId, scores, noShow }) {
+  const match = findMatch(tournament, matchId);
+  if (!match || match.status === "done") return;
+
+  match.status = "done";
+  match.winnerId = winnerId;
+  match.loserId = match.playerIds.find((id) => id !== winnerId) || null;
+  match.scores = scores || null;
+  match.noShow = Boolean(noShow);
+  match.noShowDeadline = null;
+  match.roomId = null;
+
+  resolveMatches(tournament);
+}
+
+/**
+ * Round robin table: match wins, then round difference, then seed
+ */
+function computeStandings(tournament) {
+  const rows = tournament.participants.map((participant) => ({
+    playerId: participant.playerId,
+    nickname: participant.nickname,
+    seed: participant.seed,
+    played: 0,
+    wins: 0,
+    losses: 0,
+    roundsWon: 0,
+    roundsLost: 0,
+  }));
+  const rowFor = (playerId) => rows.find((row) => row.playerId === playerId);
+
+  tournament.matches.forEach((match) => {
+    if (match.status !== "done" || match.bye) return;
+
+    match.playerIds.forEach((playerId, slot) => {
+      const row = rowFor(playerId);
+      row.played++;
+      if (match.winnerId === playerId) {
+        row.wins++;
+      } else {
+        row.losses++;
+      }
+      if (match.scores) {
+        row.roundsWon += match.scores[slot];
+        row.roundsLost += match.scores[1 - slot];
+      }
+    });
+  });
+
+  return rows.sort(
+    (a, b) =>
+      b.wins - a.wins ||
+      b.roundsWon - b.roundsLost - (a.roundsWon - a.roundsLost) ||
+      a.seed - b.seed
+  );
+}
+
+/**
+ * Everything participants see about a tournament (the live bracket view)
+ */
+function publicTournament(tournament) {
+  const nicknameOf = (playerId) => {
+    const participant = findParticipant(tournament, playerId);
+    return participant ? participant.nickname : null;
+  };
+
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    type: tournament.type,
+    typeLabel: TOURNAMENT_TYPES[tournament.type].label,
+    status: tournament.status,
+    organizer: tournament.organizer,
+    formatLabel: tournament.format.label,
+    ruleSetName: tournament.ruleSet.name,
+    maxPlayers: tournament.maxPlayers,
+    participants: tournament.participants.map((participant) => ({
+      playerId: participant.playerId,
+      nickname: participant.nickname,
+      seed: participant.seed,
+    })),
+    matches: tournament.matches.map((match) => ({
+      id: match.id,
+      bracket: match.bracket,
+      round: match.round,
+      label: match.label,
+      // null while unknown; bye slots say so
+      players: match.playerIds.map((playerId) => {
+        if (playerId === undefined) return null;
+        if (playerId === null) return { bye: true };
+        return { playerId, nickname: nicknameOf(playerId) };
+      }),
+      status: match.status,
+      roomId: match.roomId,
+      winnerId: match.winnerId,
+      scores: match.scores,
+      bye: match.bye,
+      noShow: match.noShow,
+      noShowDeadline: match.noShowDeadline,
+    })),
+    standings:
+      tournament.type === "roundRobin" && tournament.status !== "registration"
+        ? computeStandings(tournament)
+        : null,
+    winnerId: tournament.winnerId,
+    winnerNickname: nicknameOf(tournament.winnerId),
+    createdAt: tournament.createdAt,
+    startedAt: tournament.startedAt,
+    finishedAt: tournament.finishedAt,
+  };
+}
+
+/**
+ * Short summary for the tournament list
+ */
+function summarizeTournament(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    typeLabel: TOURNAMENT_TYPES[tournament.type].label,
+    status: tournament.status,
+    organizerNickname: tournament.organizer.nickname,
+    formatLabel: tournament.format.label,
+    ruleSetName: tournament.ruleSet.name,
+    players: tournament.participants.length,
+    maxPlayers: tournament.maxPlayers,
+  };
+}
+
+module.exports = {
+  TOURNAMENT_TYPES,
+  MAX_TOURNAMENT_PLAYERS,
+  validateTournamentName,
+  createTournament,
+  addParticipant,
+  removeParticipant,
+  findParticipant,
+  findMatch,
+  startTournament,
+  readyMatches,
+  isPlaying,
+  markLive,
+  recordResult,
+  computeStandings,
+  publicTournament,
+  summarizeTournament,
+};
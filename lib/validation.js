@@ -0,0 +1,198 @@
+/**
+ * Socket event payload validation
+ *
+ * Every event a client may send has a schema: the fields its payload may
+ * carry, their types and size limits. Events that aren't listed, payloads
+ * that aren't plain objects, unknown fields and wrongly typed fields are all
+ * rejected before any handler runs. Handlers still check what the values
+ * mean (is this a real move? is the nickname allowed?); this only makes
+ * sure they are the right shape.
+ */
+
+/**
+ * Schema field helpers
+ */
+function string(maxLength, optional = false) {
+  return { type: "string", maxLength, optional };
+}
+
+function number(min, max, optional = false) {
+  return { type: "number", min, max, optional };
+}
+
+function boolean(optional = false) {
+  return { type: "boolean", optional };
+}
+
+function object(fields, optional = false) {
+  return { type: "object", fields, optional };
+}
+
+// Generous caps: the handlers give friendlier messages for values that are
+// merely too long (nicknames, chat), so only absurd sizes stop here
+const NICKNAME = string(64);
+const ID = string(64);
+const FORMAT = object(
+  {
+    type: string(16),
+    target: number(0, 1000, true),
+    drawsCount: boolean(true),
+  },
+  true
+);
+
+const EVENT_SCHEMAS = {
+  // Lobby
+  join_queue: {
+    nickname: NICKNAME,
+    format: FORMAT,
+    ruleSetId: string(64, true),
+    fairPlay: boolean(true),
+  },
+  leave_queue: {},
+  accept_match: {},
+  decline_match: {},
+  play_bot: {
+    nickname: NICKNAME,
+    format: FORMAT,
+    ruleSetId: string(64, true),
+    fairPlay: boolean(true),
+    strategy: string(32, true),
+  },
+  create_private_room: {
+    nickname: NICKNAME,
+    format: FORMAT,
+    ruleSetId: string(64, true),
+    fairPlay: boolean(true),
+  },
+  join_private_room: { nickname: NICKNAME, code: string(16) },
+  cancel_private_room: {},
+  get_stats: {},
+
+  // Parties and team matches
+  create_party: { nickname: NICKNAME },
+  join_party: { nickname: NICKNAME, code: string(16) },
+  leave_party: {},
+  queue_party: {
+    mode: string(8),
+    format: FORMAT,
+    ruleSetId: string(64, true),
+  },
+  cancel_party_queue: {},
+
+  // Free-for-all lobbies
+  create_lobby: { nickname: NICKNAME, ruleSetId: string(64, true) },
+  join_lobby: { nickname: NICKNAME, code: string(16) },
+  leave_lobby: {},
+  start_lobby: {},
+
+  // Spectating
+  list_live_rooms: {},
+  watch_room: { roomId: ID },
+  stop_watching: {},
+
+  // Tournaments
+  list_tournaments: {},
+  create_tournament: {
+    nickname: NICKNAME,
+    name: string(100),
+    type: string(16, true),
+    maxPlayers: number(2, 64, true),
+    format: FORMAT,
+    ruleSetId: string(64, true),
+  },
+  watch_tournament: { tournamentId: ID },
+  join_tournament: { tournamentId: ID, nickname: NICKNAME },
+  leave_tournament: { tournamentId: ID },
+  start_tournament: { tournamentId: ID },
+  cancel_tournament: { tournamentId: ID },
+
+  // In a match
+  player_choice: { choice: string(32) },
+  commit_choice: { commitment: string(64) },
+  reveal_choice: { choice: string(32), salt: string(128) },
+  send_chat: { text: string(1000, true), emoteId: string(32, true) },
+  mute_opponent: { muted: boolean() },
+  request_rematch: {},
+  leave_room: {},
+};
+
+/**
+ * Check a value against a schema field
+ * @returns an error message, or null if it's valid
+ */
+function checkField(name, spec, value) {
+  if (value === undefined || value === null) {
+    return spec.optional ? null : `${name} is required`;
+  }
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return `${name} must be a string`;
+      if (value.length > spec.maxLength) return `${name} is too long`;
+      return null;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return `${name} must be a number`;
+      }
+      if (value < spec.min || value > spec.max) {
+        return `${name} is out of range`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : `${name} must be true/false`;
+    case "object":
+      return checkFields(name, spec.fields, value);
+    default:
+      return `${name} has an unknown type`;
+  }
+}
+
+/**
+ * Check a plain object's fields against a schema
+ * @returns an error message, or null if it's valid
+ */
+function checkFields(name, fields, value) {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return `${name} must be an object`;
+  }
+
+  const unknown = Object.keys(value).find(
+    (key) => !Object.prototype.hasOwnProperty.call(fields, key)
+  );
+  if (unknown) return `${name}.${unknown} is not allowed`;
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const error = checkField(`${name}.${key}`, spec, value[key]);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Validate an event's payload against its schema
+ * @returns {{ ok: true, payload: object } | { ok: false, code: string, reason: string }}
+ */
+function validatePayload(event, payload) {
+  if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+    return { ok: false, code: "unknown_event", reason: "Unknown event." };
+  }
+
+  // Events without a payload get an empty one, so handlers never see none
+  const value = payload === undefined || payload === null ? {} : payload;
+  const error = checkFields("payload", EVENT_SCHEMAS[event], value);
+  if (error) {
+    return {
+      ok: false,
+      code: "invalid_payload",
+      reason: `Invalid request: ${error}.`,
+    };
+  }
+
+  return { ok: true, payload: value };
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  validatePayload,
+};
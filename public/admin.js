@@ -0,0 +1,382 @@
+/**
+ * Rock Paper Scissors - Admin Page
+ * Lists the queue, live rooms and connected players, and sends moderation
+ * actions to the admin API. The admin token is kept for this tab only.
+ */
+
+// ==================== DOM ELEMENTS ====================
+const adminControls = document.getElementById("admin-controls");
+const refreshBtn = document.getElementById("refresh-btn");
+const signOutBtn = document.getElementById("sign-out-btn");
+const signInForm = document.getElementById("sign-in-form");
+const tokenInput = document.getElementById("token-input");
+const signInError = document.getElementById("sign-in-error");
+const adminPanels = document.getElementById("admin-panels");
+const adminMessage = document.getElementById("admin-message");
+const broadcastForm = document.getElementById("broadcast-form");
+const broadcastInput = document.getElementById("broadcast-input");
+const queueCount = document.getElementById("queue-count");
+const queueBody = document.getElementById("queue-body");
+const roomsCount = document.getElementById("rooms-count");
+const roomsBody = document.getElementById("rooms-body");
+const playersCount = document.getElementById("players-count");
+const playersBody = document.getElementById("players-body");
+const banForm = document.getElementById("ban-form");
+const banType = document.getElementById("ban-type");
+const banValue = document.getElementById("ban-value");
+const banReason = document.getElementById("ban-reason");
+const bansBody = document.getElementById("bans-body");
+const auditBody = document.getElementById("audit-body");
+
+// ==================== STATE ====================
+const TOKEN_KEY = "rps-admin-token";
+const REFRESH_MS = 5000;
+
+let adminToken = sessionStorage.getItem(TOKEN_KEY);
+let refreshTimer = null;
+
+// ==================== API ====================
+
+/**
+ * Call the admin API
+ * @returns the parsed JSON response
+ * @throws an Error with the server's message (and `status`) on failure
+ */
+function callApi(method, path, body) {
+  return fetch(`/admin/api${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${adminToken}`,
+      "Content-Type": "application/json",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  }).then((res) =>
+    res
+      .json()
+      .catch(() => ({}))
+      .then((data) => {
+        if (res.ok) return data;
+        const error = new Error(
+          res.status === 404 && path === "/queue"
+            ? "The admin API is off (set ADMIN_TOKEN on the server)."
+            : data.error || `Request failed (${res.status})`
+        );
+        error.status = res.status;
+        throw error;
+      })
+  );
+}
+
+// ==================== RENDERING ====================
+
+/**
+ * Table cell holding plain text
+ */
+function cell(text) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * Table cell holding action buttons
+ * @param actions - [{ label, onClick }]
+ */
+function actionsCell(actions) {
+  const td = document.createElement("td");
+  actions.forEach(({ label, onClick }) => {
+    const button = document.createElement("button");
+    button.className = "btn btn-secondary";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    td.appendChild(button);
+  });
+  return td;
+}
+
+/**
+ * Fill a table body with one row per item, or a placeholder row
+ * @param toCells - turns an item into its row's cells
+ */
+function renderRows(tbody, items, columns, toCells) {
+  tbody.innerHTML = "";
+
+  if (items.length === 0) {
+    const td = cell("Nothing here");
+    td.colSpan = columns;
+    const tr = document.createElement("tr");
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+    return;
+  }
+
+  items.forEach((item) => {
+    const tr = document.createElement("tr");
+    toCells(item).forEach((td) => tr.appendChild(td));
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Date and time for a table cell
+ */
+function formatTime(ms) {
+  return new Date(ms).toLocaleString();
+}
+
+/**
+ * Show the players waiting for a match
+ */
+function renderQueue(entries) {
+  queueCount.textContent = `(${entries.length})`;
+  renderRows(queueBody, entries, 5, (entry) => [
+    cell(entry.nickname || entry.playerId),
+    cell(entry.rating),
+    cell(
+      `${entry.ruleSetId}, ${entry.format}${entry.fairPlay ? ", fair" : ""}`
+    ),
+    cell(`${entry.waitedSeconds}s`),
+    cell(entry.nodeId),
+  ]);
+}
+
+/**
+ * Show every room (finished ones too, until they close)
+ */
+function renderRooms(rooms) {
+  const live = rooms.filter((room) => !room.gameOver);
+  roomsCount.textContent = `(${live.length} live)`;
+  renderRows(roomsBody, rooms, 6, (room) => [
+    cell(
+      `${room.player1Nickname} vs ${room.player2Nickname}${
+        room.player2IsBot ? " (bot)" : ""
+      }${room.isPrivate ? " 🔒" : ""}`
+    ),
+    cell(`${room.scores.player1} - ${room.scores.player2}`),
+    cell(room.gameOver ? "Finished" : room.round),
+    cell(`${room.ruleSetName}, ${room.formatLabel}`),
+    cell(room.nodeId),
+    actionsCell([
+      {
+        label: "End",
+        onClick: () =>
+          confirmAction(`End ${room.roomId}?`, () =>
+            callApi("POST", `/rooms/${encodeURIComponent(room.roomId)}/end`)
+          ),
+      },
+    ]),
+  ]);
+}
+
+/**
+ * Show the connected players, with kick and ban buttons
+ */
+function renderPlayers(players) {
+  playersCount.textContent = `(${players.length})`;
+  renderRows(playersBody, players, 4, (player) => [
+    cell(player.nickname || "(no nickname)"),
+    cell(player.playerToken),
+    cell(player.ip),
+    actionsCell([
+      {
+        label: "Kick",
+        onClick: () =>
+          runAction(() =>
+            callApi("POST", "/kick", {
+              type: "token",
+              value: player.playerToken,
+            }).then(
+              ({ disconnected }) => `Disconnected ${disconnected} socket(s)`
+            )
+          ),
+      },
+      {
+        label: "Ban Token",
+        onClick: () => fillBanForm("token", player.playerToken),
+      },
+      { label: "Ban IP", onClick: () => fillBanForm("ip", player.ip) },
+    ]),
+  ]);
+}
+
+/**
+ * Show the bans in force
+ */
+function renderBans(bans) {
+  renderRows(bansBody, bans, 5, (ban) => [
+    cell(ban.type === "ip" ? "IP" : "Token"),
+    cell(ban.value),
+    cell(ban.reason || ""),
+    cell(formatTime(ban.createdAt)),
+    actionsCell([
+      {
+        label: "Lift",
+        onClick: () =>
+          confirmAction(`Lift the ban on ${ban.value}?`, () =>
+            callApi("DELETE", `/bans/${encodeURIComponent(ban.id)}`)
+          ),
+      },
+    ]),
+  ]);
+}
+
+/**
+ * Show the latest admin actions
+ */
+function renderAudit(entries) {
+  renderRows(auditBody, entries, 4, (entry) => [
+    cell(formatTime(entry.at)),
+    cell(entry.action),
+    cell(JSON.stringify(entry.details)),
+    cell(entry.ip || ""),
+  ]);
+}
+
+// ==================== ACTIONS ====================
+
+/**
+ * Show the outcome of an action
+ */
+function showMessage(text, isError) {
+  adminMessage.textContent = text;
+  adminMessage.classList.toggle("error", Boolean(isError));
+  adminMessage.classList.remove("hidden");
+}
+
+/**
+ * Run an action, report how it went and refresh the lists
+ * @param action - returns a promise, optionally of a message to show
+ */
+function runAction(action) {
+  return action()
+    .then((result) => {
+      showMessage(typeof result === "string" ? result : "Done");
+      refresh();
+    })
+    .catch((err) => showMessage(err.message, true));
+}
+
+/**
+ * Ask before running a destructive action
+ */
+function confirmAction(question, action) {
+  if (window.confirm(question)) runAction(action);
+}
+
+/**
+ * Start a ban from a row in the players table
+ */
+function fillBanForm(type, value) {
+  banType.value = type;
+  banValue.value = value;
+  banReason.focus();
+}
+
+/**
+ * Reload every list
+ */
+function refresh() {
+  return Promise.all([
+    callApi("GET", "/queue"),
+    callApi("GET", "/rooms"),
+    callApi("GET", "/players"),
+    callApi("GET", "/bans"),
+    callApi("GET", "/audit?limit=50"),
+  ])
+    .then(([queue, rooms, players, bans, audit]) => {
+      renderQueue(queue.entries);
+      renderRooms(rooms.rooms);
+      renderPlayers(players.players);
+      renderBans(bans.bans);
+      renderAudit(audit.entries);
+    })
+    .catch((err) => {
+      if (err.status === 401) {
+        signOut(err.message);
+        return;
+      }
+      showMessage(err.message, true);
+    });
+}
+
+/**
+ * Show the admin panels and keep them up to date
+ */
+function signIn() {
+  signInForm.classList.add("hidden");
+  signInError.classList.add("hidden");
+  adminPanels.classList.remove("hidden");
+  adminControls.classList.remove("hidden");
+
+  refresh();
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(refresh, REFRESH_MS);
+}
+
+/**
+ * Forget the token and go back to the sign-in form
+ */
+function signOut(error) {
+  clearInterval(refreshTimer);
+  adminToken = null;
+  sessionStorage.removeItem(TOKEN_KEY);
+
+  adminPanels.classList.add("hidden");
+  adminControls.classList.add("hidden");
+  signInForm.classList.remove("hidden");
+  signInError.textContent = error || "";
+  signInError.classList.toggle("hidden", !error);
+}
+
+// ==================== EVENT LISTENERS ====================
+
+signInForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const token = tokenInput.value.trim();
+  if (!token) return;
+
+  adminToken = token;
+  sessionStorage.setItem(TOKEN_KEY, token);
+  tokenInput.value = "";
+  signIn();
+});
+
+signOutBtn.addEventListener("click", () => signOut());
+refreshBtn.addEventListener("click", () => refresh());
+
+broadcastForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const message = broadcastInput.value.trim();
+  if (!message) return;
+
+  runAction(() =>
+    callApi("POST", "/broadcast", { message }).then(() => {
+      broadcastInput.value = "";
+      return "Message sent to every player";
+    })
+  );
+});
+
+banForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const value = banValue.value.trim();
+  if (!value) return;
+
+  runAction(() =>
+    callApi("POST", "/bans", {
+      type: banType.value,
+      value,
+      reason: banReason.value.trim(),
+    }).then(({ disconnected }) => {
+      banValue.value = "";
+      banReason.value = "";
+      return `Banned (disconnected ${disconnected} socket(s))`;
+    })
+  );
+});
+
+// ==================== INITIALIZATION ====================
+
+if (adminToken) {
+  signIn();
+}
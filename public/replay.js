@@ -0,0 +1,369 @@
+/**
+ * Rock Paper Scissors - Replay Page
+ * Plays a finished match back round by round at /replay/:id, with the
+ * same reveal animation as the game screen. Team matches list every
+ * pairing's moves instead, and free-for-alls everyone's throws.
+ */
+
+// ==================== DOM ELEMENTS ====================
+const replayTitle = document.getElementById("replay-title");
+const player1Name = document.getElementById("player1-name");
+const player2Name = document.getElementById("player2-name");
+const player1Score = document.getElementById("player1-score");
+const player2Score = document.getElementById("player2-score");
+const player1Label = document.getElementById("player1-label");
+const player2Label = document.getElementById("player2-label");
+const player1Display = document.getElementById("player1-choice-display");
+const player2Display = document.getElementById("player2-choice-display");
+const choicesDisplay = document.getElementById("choices-display");
+const teamReveal = document.getElementById("team-reveal");
+const roundNumber = document.getElementById("round-number");
+const formatLabel = document.getElementById("format-label");
+const statusMessage = document.getElementById("status-message");
+const outcomeText = document.getElementById("outcome-text");
+const replayControls = document.getElementById("replay-controls");
+const replayProgress = document.getElementById("replay-progress");
+const restartBtn = document.getElementById("restart-btn");
+const playBtn = document.getElementById("play-btn");
+const skipBtn = document.getElementById("skip-btn");
+const endBtn = document.getElementById("end-btn");
+const copyLinkBtn = document.getElementById("copy-link-btn");
+
+// ==================== STATE ====================
+
+// How long each round stays on screen while playing
+const STEP_MS = 2500;
+
+// How long after the reveal the round's result is shown (as in the game)
+const RESULT_DELAY_MS = 600;
+
+let replay = null;
+let moveIcons = {}; // move id -> icon
+let position = -1; // index of the round on screen (-1 before the first)
+let playing = true;
+let stepTimer = null;
+let resultTimer = null;
+
+// ==================== PLAYBACK ====================
+
+/**
+ * Nickname for a seat, marking bots
+ */
+function seatName(role) {
+  const player = replay.players[role];
+  return player.isBot ? `🤖 ${player.nickname}` : player.nickname;
+}
+
+/**
+ * Nickname of a team member, by their place in the team
+ */
+function memberName(role, index) {
+  return replay.teams[role][index].nickname;
+}
+
+/**
+ * List every pairing's moves in a team round, the left team's wins marked
+ * as won
+ */
+function showPairings(round) {
+  teamReveal.innerHTML = "";
+  round.pairings.forEach((pairing, index) => {
+    const item = document.createElement("li");
+    item.className = "team-pairing";
+    if (pairing.winner === "player1") item.classList.add("won");
+    if (pairing.winner === "player2") item.classList.add("lost");
+    item.textContent = `${memberName("player1", index)} ${
+      moveIcons[pairing.player1Choice] || "⌛"
+    } vs ${moveIcons[pairing.player2Choice] || "⌛"} ${memberName(
+      "player2",
+      index
+    )}`;
+    teamReveal.appendChild(item);
+  });
+}
+
+/**
+ * Nickname of a free-for-all entrant
+ */
+function entrantName(playerId) {
+  const entrant = replay.entrants.find((other) => other.playerId === playerId);
+  return entrant ? entrant.nickname : "?";
+}
+
+/**
+ * List everyone's throw in a free-for-all round, marking who was knocked
+ * out
+ */
+function showReveals(round) {
+  teamReveal.innerHTML = "";
+  round.reveals.forEach((reveal) => {
+    const item = document.createElement("li");
+    item.className = "team-pairing";
+    if (reveal.eliminated) item.classList.add("lost");
+    item.textContent = `${entrantName(reveal.playerId)} ${
+      moveIcons[reveal.choice] || "⌛"
+    }${reveal.eliminated ? " · out" : ""}`;
+    teamReveal.appendChild(item);
+  });
+}
+
+/**
+ * Why a match that wasn't won on the scoreboard ended
+ */
+function endReasonText() {
+  if (replay.entrants) {
+    if (replay.endReason === "forfeit") return "Everyone else left the game.";
+    if (replay.endReason === "abandoned") return "Nobody was left standing.";
+    return "";
+  }
+
+  const loserRole = replay.winner === "player1" ? "player2" : "player1";
+  switch (replay.endReason) {
+    case "forfeit":
+      return `${seatName(loserRole)} stopped making moves and forfeited.`;
+    case "disconnect":
+      return `${seatName(loserRole)} didn't reconnect in time.`;
+    case "abandoned":
+      return "Both players left the match.";
+    case "ended_by_admin":
+      return "A moderator ended the match.";
+    default:
+      return "";
+  }
+}
+
+/**
+ * Show the running score
+ */
+function showScores(scores) {
+  player1Score.textContent = scores.player1;
+  player2Score.textContent = scores.player2;
+}
+
+/**
+ * Show how many free-for-all players are still in
+ */
+function showRemaining(count) {
+  player1Score.textContent = count;
+}
+
+/**
+ * Show how far through the match we are, and what the play button does
+ */
+function showProgress() {
+  const total = replay.rounds.length;
+  const rounds = `${total} round${total === 1 ? "" : "s"}`;
+  if (position < 0) {
+    replayProgress.textContent = rounds;
+  } else if (position < total) {
+    replayProgress.textContent = `Round ${position + 1} of ${total}`;
+  } else {
+    replayProgress.textContent = `${rounds} played`;
+  }
+  playBtn.textContent =
+    position >= total ? "▶ Replay" : playing ? "⏸ Pause" : "▶ Play";
+}
+
+/**
+ * Reveal one round's moves, then its result
+ */
+function showRound(index) {
+  const round = replay.rounds[index];
+  position = index;
+  clearTimeout(resultTimer);
+
+  roundNumber.textContent = `Round ${round.round}`;
+  statusMessage.textContent = "";
+  statusMessage.className = "";
+  outcomeText.textContent = "";
+
+  // ⌛ for a player who ran out of time (as in the game)
+  if (round.reveals || round.pairings) {
+    teamReveal.innerHTML = "";
+  } else {
+    revealChoices(
+      { display: player1Display, icon: moveIcons[round.player1Choice] || "⌛" },
+      { display: player2Display, icon: moveIcons[round.player2Choice] || "⌛" }
+    );
+  }
+
+  resultTimer = setTimeout(() => {
+    outcomeText.textContent = round.outcomeText || "";
+    if (round.reveals) {
+      showReveals(round);
+      statusMessage.textContent = `${round.remaining} still in`;
+      statusMessage.className = "";
+      showRemaining(round.remaining);
+      return;
+    }
+
+    if (round.pairings) showPairings(round);
+    if (round.winner === "draw") {
+      statusMessage.textContent = "It's a Draw!";
+      statusMessage.className = "status-draw";
+    } else {
+      statusMessage.textContent = `${seatName(round.winner)} wins the round!`;
+      statusMessage.className = "status-win";
+    }
+    showScores(round.scores);
+  }, RESULT_DELAY_MS);
+
+  showProgress();
+}
+
+/**
+ * Show how the match ended
+ */
+function showResult() {
+  position = replay.rounds.length;
+  clearTimeout(resultTimer);
+  clearTimeout(stepTimer);
+
+  if (replay.entrants) {
+    showRemaining(replay.winner ? 1 : 0);
+    statusMessage.textContent = replay.winner
+      ? `🏆 ${entrantName(replay.winner)} is the last one standing!`
+      : "No winner";
+  } else {
+    showScores(replay.finalScores);
+    statusMessage.textContent = replay.winner
+      ? `🏆 ${seatName(replay.winner)} wins the match!`
+      : "No winner";
+  }
+  statusMessage.className = replay.winner ? "status-win" : "status-draw";
+  outcomeText.textContent = endReasonText();
+
+  showProgress();
+}
+
+/**
+ * Move on to the next round (or the result after the last one)
+ */
+function step() {
+  if (position + 1 < replay.rounds.length) {
+    showRound(position + 1);
+  } else {
+    showResult();
+  }
+}
+
+/**
+ * Queue the next step while playing
+ */
+function scheduleStep() {
+  clearTimeout(stepTimer);
+  if (!playing || position >= replay.rounds.length) return;
+
+  stepTimer = setTimeout(() => {
+    step();
+    scheduleStep();
+  }, STEP_MS);
+}
+
+/**
+ * Go back to before the first round and play from there
+ */
+function restart() {
+  clearTimeout(resultTimer);
+  position = -1;
+  playing = true;
+
+  hideChoices(player1Display, player2Display);
+  teamReveal.innerHTML = "";
+  if (replay.entrants) {
+    showRemaining(replay.entrants.length);
+  } else {
+    showScores({ player1: 0, player2: 0 });
+  }
+  roundNumber.textContent = "Round 1";
+  statusMessage.textContent = "Get ready...";
+  statusMessage.className = "";
+  outcomeText.textContent = "";
+
+  showProgress();
+  scheduleStep();
+}
+
+/**
+ * Set up the page for a loaded replay and start playing it
+ */
+function startReplay(data) {
+  replay = data;
+  moveIcons = {};
+  replay.ruleSet.moves.forEach((move) => {
+    moveIcons[move.id] = move.icon;
+  });
+
+  replayTitle.textContent = `🎬 ${replay.ruleSet.name} · ${new Date(
+    replay.endedAt
+  ).toLocaleString()}`;
+  if (replay.entrants) {
+    // One count of who's still in instead of two scores
+    player1Name.textContent = "Still in";
+    player2Name.parentElement.classList.add("hidden");
+  } else {
+    player1Name.textContent = seatName("player1");
+    player2Name.textContent = seatName("player2");
+    player1Label.textContent = seatName("player1");
+    player2Label.textContent = seatName("player2");
+  }
+  formatLabel.textContent = replay.teams
+    ? `${replay.teams.mode} · ${replay.format.label}`
+    : replay.format.label;
+
+  // Team matches and free-for-alls list everyone's moves
+  const listed = Boolean(replay.teams || replay.entrants);
+  choicesDisplay.classList.toggle("hidden", listed);
+  teamReveal.classList.toggle("hidden", !listed);
+  replayControls.classList.remove("hidden");
+
+  restart();
+}
+
+// ==================== EVENT LISTENERS ====================
+
+playBtn.addEventListener("click", () => {
+  if (position >= replay.rounds.length) {
+    restart();
+    return;
+  }
+  playing = !playing;
+  showProgress();
+  scheduleStep();
+});
+
+skipBtn.addEventListener("click", () => {
+  if (position >= replay.rounds.length) return;
+  step();
+  scheduleStep();
+});
+
+endBtn.addEventListener("click", () => showResult());
+restartBtn.addEventListener("click", () => restart());
+
+copyLinkBtn.addEventListener("click", () => {
+  navigator.clipboard
+    .writeText(window.location.href)
+    .then(() => {
+      copyLinkBtn.textContent = "✅ Copied";
+    })
+    .catch(() => {
+      copyLinkBtn.textContent = "Copy the address bar to share";
+    });
+});
+
+// ==================== INITIALIZATION ====================
+
+const matchId = decodeURIComponent(window.location.pathname.split("/").pop());
+
+fetch(`/api/replays/${encodeURIComponent(matchId)}`)
+  .then((res) => {
+    if (res.status === 404) throw new Error("That replay doesn't exist.");
+    if (!res.ok) throw new Error("Couldn't load the replay. Try again later.");
+    return res.json();
+  })
+  .then(startReplay)
+  .catch((err) => {
+    statusMessage.textContent = err.message;
+    statusMessage.className = "status-lose";
+  });
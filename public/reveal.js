@@ -0,0 +1,39 @@
+/**
+ * Rock Paper Scissors - Choice Reveal
+ * The round-end reveal shared by the game screen and the replay page: both
+ * moves flip in, the second a moment after the first.
+ */
+
+// Gap between the two moves flipping in
+const REVEAL_STAGGER_MS = 300;
+
+/**
+ * Show both moves with the reveal animation
+ * @param first - { display, icon } revealed straight away
+ * @param second - { display, icon } revealed just after
+ */
+function revealChoices(first, second) {
+  [first, second].forEach(({ display }) => {
+    display.classList.remove("reveal");
+    // Reading the layout restarts the animation if it ran before
+    void display.offsetWidth;
+  });
+
+  first.display.textContent = first.icon;
+  first.display.classList.add("reveal");
+
+  setTimeout(() => {
+    second.display.textContent = second.icon;
+    second.display.classList.add("reveal");
+  }, REVEAL_STAGGER_MS);
+}
+
+/**
+ * Put both move displays back to the unrevealed "?"
+ */
+function hideChoices(...displays) {
+  displays.forEach((display) => {
+    display.textContent = "❓";
+    display.classList.remove("reveal");
+  });
+}
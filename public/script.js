@@ -8,8 +8,19 @@
  * - Game flow
  */
 
-// Initialize Socket.IO connection
-const socket = io();
+// localStorage keys for the player's identity
+const STORAGE_KEYS = {
+  playerToken: "rps.playerToken",
+  nickname: "rps.nickname",
+};
+
+// Initialize Socket.IO connection, sending our player token (if any) so the
+// server can recognise us across reconnects
+const socket = io({
+  auth: (cb) => {
+    cb({ playerToken: localStorage.getItem(STORAGE_KEYS.playerToken) });
+  },
+});
 
 // ==================== DOM ELEMENTS ====================
 const screens = {
@@ -17,16 +28,84 @@ const screens = {
   matchFound: document.getElementById("match-found-screen"),
   game: document.getElementById("game-screen"),
   result: document.getElementById("result-screen"),
+  leaderboard: document.getElementById("leaderboard-screen"),
+  watch: document.getElementById("watch-screen"),
+  tournaments: document.getElementById("tournaments-screen"),
+  tournament: document.getElementById("tournament-screen"),
 };
 
 // Queue screen elements
+const playerStats = document.getElementById("player-stats");
+const statRating = document.getElementById("stat-rating");
+const statRecord = document.getElementById("stat-record");
+const statWinRate = document.getElementById("stat-win-rate");
+const statStreak = document.getElementById("stat-streak");
+const statFavourite = document.getElementById("stat-favourite");
+const nicknameForm = document.getElementById("nickname-form");
+const nicknameInput = document.getElementById("nickname-input");
+const nicknameError = document.getElementById("nickname-error");
+const formatForm = document.getElementById("format-form");
+const ruleSetSelect = document.getElementById("rule-set-select");
+const formatSelect = document.getElementById("format-select");
+const drawsCountInput = document.getElementById("draws-count-input");
+const fairPlayInput = document.getElementById("fair-play-input");
 const joinQueueBtn = document.getElementById("join-queue-btn");
 const queueStatus = document.getElementById("queue-status");
 const queueTimeDisplay = document.querySelector(".queue-time");
+const queuePosition = document.getElementById("queue-position");
+const queueServerStats = document.getElementById("queue-server-stats");
+const leaveQueueBtn = document.getElementById("leave-queue-btn");
+const lobbyActions = document.getElementById("lobby-actions");
+const botStrategySelect = document.getElementById("bot-strategy-select");
+const playBotBtn = document.getElementById("play-bot-btn");
+const createRoomBtn = document.getElementById("create-room-btn");
+const roomCodeInput = document.getElementById("room-code-input");
+const joinCodeBtn = document.getElementById("join-code-btn");
+const privateRoomError = document.getElementById("private-room-error");
+const privateRoomStatus = document.getElementById("private-room-status");
+const privateRoomCode = document.getElementById("private-room-code");
+const privateRoomLink = document.getElementById("private-room-link");
+const copyLinkBtn = document.getElementById("copy-link-btn");
+const leaderboardBtn = document.getElementById("leaderboard-btn");
+const watchBtn = document.getElementById("watch-btn");
+const tournamentsBtn = document.getElementById("tournaments-btn");
+const cancelRoomBtn = document.getElementById("cancel-room-btn");
+const createPartyBtn = document.getElementById("create-party-btn");
+const partyCodeInput = document.getElementById("party-code-input");
+const joinPartyBtn = document.getElementById("join-party-btn");
+const partyStatus = document.getElementById("party-status");
+const partyCode = document.getElementById("party-code");
+const partyLink = document.getElementById("party-link");
+const copyPartyLinkBtn = document.getElementById("copy-party-link-btn");
+const partyMembers = document.getElementById("party-members");
+const partyLeaderControls = document.getElementById("party-leader-controls");
+const teamModeSelect = document.getElementById("team-mode-select");
+const queuePartyBtn = document.getElementById("queue-party-btn");
+const partySearching = document.getElementById("party-searching");
+const partySearchText = document.getElementById("party-search-text");
+const cancelPartyQueueBtn = document.getElementById("cancel-party-queue-btn");
+const partyHint = document.getElementById("party-hint");
+const leavePartyBtn = document.getElementById("leave-party-btn");
+const partyError = document.getElementById("party-error");
+const createLobbyBtn = document.getElementById("create-lobby-btn");
+const lobbyCodeInput = document.getElementById("lobby-code-input");
+const joinLobbyBtn = document.getElementById("join-lobby-btn");
+const lobbyStatus = document.getElementById("lobby-status");
+const lobbyCode = document.getElementById("lobby-code");
+const lobbyLink = document.getElementById("lobby-link");
+const copyLobbyLinkBtn = document.getElementById("copy-lobby-link-btn");
+const lobbyDetails = document.getElementById("lobby-details");
+const lobbyMembers = document.getElementById("lobby-members");
+const startLobbyBtn = document.getElementById("start-lobby-btn");
+const lobbyHint = document.getElementById("lobby-hint");
+const leaveLobbyBtn = document.getElementById("leave-lobby-btn");
+const lobbyError = document.getElementById("lobby-error");
 
 // Match found screen elements
 const yourNicknameDisplay = document.getElementById("your-nickname");
 const opponentNicknameDisplay = document.getElementById("opponent-nickname");
+const opponentAvatar = document.getElementById("opponent-avatar");
+const matchFoundTournament = document.getElementById("match-found-tournament");
 
 // Game screen elements
 const gameYourName = document.getElementById("game-your-name");
@@ -34,18 +113,34 @@ const gameOpponentName = document.getElementById("game-opponent-name");
 const yourScoreDisplay = document.getElementById("your-score");
 const opponentScoreDisplay = document.getElementById("opponent-score");
 const roundNumberDisplay = document.getElementById("round-number");
+const formatLabelDisplay = document.getElementById("format-label");
 const statusMessage = document.getElementById("status-message");
+const outcomeText = document.getElementById("outcome-text");
+const fairCheck = document.getElementById("fair-check");
 const yourChoiceDisplay = document.getElementById("your-choice-display");
 const opponentChoiceDisplay = document.getElementById(
   "opponent-choice-display"
 );
 const choiceButtons = document.getElementById("choice-buttons");
+const roundTimerDisplay = document.getElementById("round-timer");
+const timerProgress = document.getElementById("timer-progress");
+const timerText = document.getElementById("timer-text");
 const waitingIndicator = document.getElementById("waiting-indicator");
+const yourChoiceLabel = document.getElementById("your-choice-label");
+const opponentChoiceLabel = document.getElementById("opponent-choice-label");
+const spectatorBar = document.getElementById("spectator-bar");
+const spectatorCount = document.getElementById("spectator-count");
+const teamRoster = document.getElementById("team-roster");
+const teamReveal = document.getElementById("team-reveal");
+const choicesDisplay = document.getElementById("choices-display");
+const ffaPlayers = document.getElementById("ffa-players");
+const stopWatchingBtn = document.getElementById("stop-watching-btn");
 
 // Result screen elements
 const resultIcon = document.getElementById("result-icon");
 const resultTitle = document.getElementById("result-title");
 const resultSubtitle = document.getElementById("result-subtitle");
+const ratingChange = document.getElementById("rating-change");
 const finalYourName = document.getElementById("final-your-name");
 const finalOpponentName = document.getElementById("final-opponent-name");
 const finalYourScore = document.getElementById("final-your-score");
@@ -53,29 +148,156 @@ const finalOpponentScore = document.getElementById("final-opponent-score");
 const rematchBtn = document.getElementById("rematch-btn");
 const newMatchBtn = document.getElementById("new-match-btn");
 const rematchStatus = document.getElementById("rematch-status");
+const replayLink = document.getElementById("replay-link");
+const finalScore = document.getElementById("final-score");
+const ffaStandings = document.getElementById("ffa-standings");
+
+// Watch screen elements
+const liveRoomList = document.getElementById("live-room-list");
+const watchMessage = document.getElementById("watch-message");
+const refreshRoomsBtn = document.getElementById("refresh-rooms-btn");
+const watchBackBtn = document.getElementById("watch-back-btn");
+
+// Leaderboard screen elements
+const leaderboardTabs = document.querySelectorAll(".tab-btn");
+const leaderboardBody = document.getElementById("leaderboard-body");
+const leaderboardMessage = document.getElementById("leaderboard-message");
+const leaderboardPage = document.getElementById("leaderboard-page");
+const leaderboardPrevBtn = document.getElementById("leaderboard-prev-btn");
+const leaderboardNextBtn = document.getElementById("leaderboard-next-btn");
+const leaderboardBackBtn = document.getElementById("leaderboard-back-btn");
+
+// Tournament screen elements
+const tournamentList = document.getElementById("tournament-list");
+const tournamentListMessage = document.getElementById(
+  "tournament-list-message"
+);
+const tournamentNameInput = document.getElementById("tournament-name-input");
+const tournamentTypeSelect = document.getElementById("tournament-type-select");
+const tournamentSizeSelect = document.getElementById("tournament-size-select");
+const tournamentError = document.getElementById("tournament-error");
+const createTournamentBtn = document.getElementById("create-tournament-btn");
+const refreshTournamentsBtn = document.getElementById(
+  "refresh-tournaments-btn"
+);
+const tournamentsBackBtn = document.getElementById("tournaments-back-btn");
+const tournamentName = document.getElementById("tournament-name");
+const tournamentDetails = document.getElementById("tournament-details");
+const tournamentStatus = document.getElementById("tournament-status");
+const tournamentPlayers = document.getElementById("tournament-players");
+const tournamentStandings = document.getElementById("tournament-standings");
+const tournamentStandingsBody = document.getElementById(
+  "tournament-standings-body"
+);
+const tournamentBracket = document.getElementById("tournament-bracket");
+const tournamentMessage = document.getElementById("tournament-message");
+const joinTournamentBtn = document.getElementById("join-tournament-btn");
+const leaveTournamentBtn = document.getElementById("leave-tournament-btn");
+const startTournamentBtn = document.getElementById("start-tournament-btn");
+const cancelTournamentBtn = document.getElementById("cancel-tournament-btn");
+const tournamentBackBtn = document.getElementById("tournament-back-btn");
+
+// Chat elements
+const chatPanel = document.getElementById("chat-panel");
+const chatToggleBtn = document.getElementById("chat-toggle-btn");
+const chatUnread = document.getElementById("chat-unread");
+const chatBody = document.getElementById("chat-body");
+const chatMuteBtn = document.getElementById("chat-mute-btn");
+const chatMessages = document.getElementById("chat-messages");
+const chatEmotes = document.getElementById("chat-emotes");
+const chatInput = document.getElementById("chat-input");
+const chatSendBtn = document.getElementById("chat-send-btn");
+const chatError = document.getElementById("chat-error");
+
+// Announcement elements
+const announcement = document.getElementById("announcement");
+const announcementText = document.getElementById("announcement-text");
+const announcementCloseBtn = document.getElementById("announcement-close-btn");
 
 // Modal elements
 const disconnectModal = document.getElementById("disconnect-modal");
+const disconnectTitle = document.getElementById("disconnect-title");
+const disconnectMessage = document.getElementById("disconnect-message");
 const backToQueueBtn = document.getElementById("back-to-queue-btn");
+const reconnectModal = document.getElementById("reconnect-modal");
+const reconnectCountdown = document.getElementById("reconnect-countdown");
+const readyCheckModal = document.getElementById("ready-check-modal");
+const readyCheckMessage = document.getElementById("ready-check-message");
+const acceptMatchBtn = document.getElementById("accept-match-btn");
+const declineMatchBtn = document.getElementById("decline-match-btn");
 
 // ==================== GAME STATE ====================
 let gameState = {
-  playerRole: null, // 'player1' or 'player2'
+  playerRole: null, // 'player1' or 'player2' (spectators see player1's side)
+  spectating: false,
+  fairPlay: false,
+  pendingReveal: null, // Fair play: our move, salt and commitment this round
+  commitments: null, // Fair play: both commitments, shared before reveals
+  tournament: null, // Bracket match details ({ id, name, matchId, matchLabel })
+  team: null, // Team match details ({ mode, teams, position, away }), sides as player1/player2
+  ffa: null, // Free-for-all details ({ players, out }), players by join order
   playerNickname: "",
   opponentNickname: "",
   roomId: null,
+  format: null,
   myChoice: null,
   queueTimer: null,
   queueSeconds: 0,
+  readyCheckTimer: null,
+  reconnectTimer: null,
+  timerFrame: null,
 };
 
-// Choice icons mapping
-const choiceIcons = {
-  rock: "🪨",
-  paper: "📄",
-  scissors: "✂️",
+// Circumference of the round timer ring (2πr with r = 18)
+const TIMER_CIRCUMFERENCE = 2 * Math.PI * 18;
+
+// Seconds left at which the round timer turns red
+const TIMER_URGENT_SECONDS = 5;
+
+// Room code from an invite link, joined once the server identifies us
+let pendingInviteCode = null;
+
+// Our public player id (to spot ourselves on the leaderboard)
+let myPlayerId = null;
+
+// Leaderboard view: time window and page
+const LEADERBOARD_PAGE_SIZE = 20;
+const leaderboardState = { window: "all", page: 1 };
+
+// Chat panel: open or collapsed, unread count, and whether the opponent
+// is muted (reset for every room)
+const chatState = { open: false, unread: 0, muted: false };
+
+// Tournament on screen (its latest bracket)
+let currentTournament = null;
+
+// The party we're in (as the server last described it), and the party
+// code from an invite link, joined once the server identifies us
+let currentParty = null;
+let pendingPartyCode = null;
+
+// The free-for-all lobby we're in, and the lobby code from an invite link
+let currentLobby = null;
+let pendingLobbyCode = null;
+
+const TOURNAMENT_STATUS_LABELS = {
+  registration: "Registration open",
+  running: "In progress",
+  finished: "Finished",
+  cancelled: "Cancelled",
 };
 
+// Lobby requests that leave the lobby waiting for an answer
+const LOBBY_EVENTS = [
+  "join_queue",
+  "play_bot",
+  "create_private_room",
+  "join_private_room",
+];
+
+// Choice icons for the current rule set (move id -> icon)
+let choiceIcons = {};
+
 // ==================== SCREEN MANAGEMENT ====================
 
 /**
@@ -92,13 +314,14 @@ function showScreen(screenName) {
  * Reset game UI to initial state
  */
 function resetGameUI() {
-  yourChoiceDisplay.textContent = "❓";
-  opponentChoiceDisplay.textContent = "❓";
-  yourChoiceDisplay.classList.remove("reveal");
-  opponentChoiceDisplay.classList.remove("reveal");
-  statusMessage.textContent = "Make your choice!";
+  hideChoices(yourChoiceDisplay, opponentChoiceDisplay);
+  statusMessage.textContent = gameState.spectating
+    ? "Waiting for both players..."
+    : "Make your choice!";
   statusMessage.className = "";
-  choiceButtons.classList.remove("hidden");
+  outcomeText.textContent = "";
+  fairCheck.textContent = "";
+  choiceButtons.classList.toggle("hidden", gameState.spectating);
   waitingIndicator.classList.add("hidden");
   gameState.myChoice = null;
 
@@ -111,11 +334,92 @@ function resetGameUI() {
 
 // ==================== QUEUE MANAGEMENT ====================
 
+/**
+ * Switch what the queue screen shows
+ * @param view 'idle' | 'searching' | 'hosting' | 'party' | 'lobby'
+ */
+function setLobbyView(view) {
+  // The party leader picks the game and format for team matches
+  const picksFormat = view === "idle" || (view === "party" && isPartyLeader());
+
+  nicknameForm.classList.toggle("hidden", view !== "idle");
+  formatForm.classList.toggle("hidden", !picksFormat);
+  lobbyActions.classList.toggle("hidden", view !== "idle");
+  queueStatus.classList.toggle("hidden", view !== "searching");
+  privateRoomStatus.classList.toggle("hidden", view !== "hosting");
+  partyStatus.classList.toggle("hidden", view !== "party");
+  lobbyStatus.classList.toggle("hidden", view !== "lobby");
+}
+
+/**
+ * Read the nickname field, flagging it if empty
+ * @returns the nickname, or null if missing
+ */
+function readNickname() {
+  const nickname = nicknameInput.value.trim();
+  if (!nickname) {
+    setNicknameError("Please enter a nickname.");
+    nicknameInput.focus();
+    return null;
+  }
+
+  setNicknameError(null);
+  localStorage.setItem(STORAGE_KEYS.nickname, nickname);
+  return nickname;
+}
+
+/**
+ * Read the chosen match format
+ */
+function readFormat() {
+  const [type, target] = formatSelect.value.split(":");
+  return {
+    type,
+    target: Number(target),
+    drawsCount: drawsCountInput.checked,
+  };
+}
+
+/**
+ * Scoreboard label for a round, e.g. "Round 3 of 5"
+ */
+function roundLabel(format, round, suddenDeath) {
+  if (suddenDeath) return "Sudden Death";
+  if (!format) return `Round ${round}`;
+
+  const total = format.type === "firstTo" ? format.maxRounds : format.target;
+  return total && round <= total
+    ? `Round ${round} of ${total}`
+    : `Round ${round}`;
+}
+
+/**
+ * Update the round indicator
+ */
+function updateRoundIndicator(round, suddenDeath) {
+  roundNumberDisplay.textContent = roundLabel(
+    gameState.format,
+    round,
+    suddenDeath
+  );
+  roundNumberDisplay.classList.toggle("sudden-death", Boolean(suddenDeath));
+}
+
+/**
+ * Show or clear the private room error
+ */
+function setPrivateRoomError(message) {
+  privateRoomError.textContent = message || "";
+  privateRoomError.classList.toggle("hidden", !message);
+}
+
 /**
  * Start the queue timer
  */
 function startQueueTimer() {
   gameState.queueSeconds = 0;
+  queuePosition.textContent = "Finding your place in line...";
+  queueServerStats.textContent = "";
   updateQueueTime();
   gameState.queueTimer = setInterval(() => {
     gameState.queueSeconds++;
@@ -137,285 +441,2677 @@ function stopQueueTimer() {
  * Update queue time display
  */
 function updateQueueTime() {
-  const minutes = Math.floor(gameState.queueSeconds / 60);
-  const seconds = gameState.queueSeconds % 60;
-  queueTimeDisplay.textContent = `${minutes}:${seconds
-    .toString()
-    .padStart(2, "0")}`;
+  queueTimeDisplay.textContent = formatClock(gameState.queueSeconds);
 }
 
-// ==================== EVENT LISTENERS ====================
+/**
+ * Format a number of seconds as m:ss
+ */
+function formatClock(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+}
 
-// Join queue button
-joinQueueBtn.addEventListener("click", () => {
-  socket.emit("join_queue");
-  joinQueueBtn.classList.add("hidden");
-  queueStatus.classList.remove("hidden");
-  startQueueTimer();
-});
+/**
+ * Show where we are in the queue and how busy the server is
+ */
+function showQueueUpdate(data) {
+  const line = `Position ${data.position} of ${data.queued} in line`;
+  queuePosition.textContent =
+    data.estimatedWaitMs === null
+      ? line
+      : `${line} · about ${formatClock(
+          Math.ceil(data.estimatedWaitMs / 1000)
+        )} to go`;
 
-// Choice buttons
-document.querySelectorAll(".choice-btn").forEach((btn) => {
-  btn.addEventListener("click", () => {
-    if (gameState.myChoice) return; // Already chose
+  const online = `${data.playersOnline} player${
+    data.playersOnline === 1 ? "" : "s"
+  } online`;
+  const playing = `${data.matchesInProgress} match${
+    data.matchesInProgress === 1 ? "" : "es"
+  } in progress`;
+  queueServerStats.textContent = `${online} · ${playing}`;
+}
 
-    const choice = btn.dataset.choice;
-    gameState.myChoice = choice;
+// ==================== ROUND TIMER ====================
 
-    // Update UI
-    btn.classList.add("selected");
-    document
-      .querySelectorAll(".choice-btn")
-      .forEach((b) => (b.disabled = true));
-    yourChoiceDisplay.textContent = choiceIcons[choice];
+/**
+ * Run the countdown ring until the server's round deadline.
+ * serverTime lets us correct for our clock being off from the server's.
+ */
+function startRoundTimer(deadline, roundTimeMs, serverTime) {
+  stopRoundTimer();
+  if (!deadline) return;
 
-    // Show waiting indicator
-    choiceButtons.classList.add("hidden");
-    waitingIndicator.classList.remove("hidden");
-    statusMessage.textContent = "Choice locked in!";
+  const clockOffset = serverTime - Date.now();
+  roundTimerDisplay.classList.remove("hidden");
 
-    // Send choice to server
-    socket.emit("player_choice", { choice });
-  });
-});
+  const tick = () => {
+    const remaining = Math.max(0, deadline - (Date.now() + clockOffset));
+    const seconds = Math.ceil(remaining / 1000);
 
-// Rematch button
-rematchBtn.addEventListener("click", () => {
-  socket.emit("request_rematch");
-  rematchBtn.disabled = true;
-  rematchStatus.classList.remove("hidden");
-});
+    timerProgress.style.strokeDashoffset =
+      TIMER_CIRCUMFERENCE * (1 - remaining / roundTimeMs);
+    timerText.textContent = seconds;
+    roundTimerDisplay.classList.toggle(
+      "urgent",
+      seconds <= TIMER_URGENT_SECONDS
+    );
 
-// New match button
-newMatchBtn.addEventListener("click", () => {
-  socket.emit("leave_room");
-  resetToQueue();
-});
+    gameState.timerFrame = remaining > 0 ? requestAnimationFrame(tick) : null;
+  };
 
-// Back to queue button (from disconnect modal)
-backToQueueBtn.addEventListener("click", () => {
-  disconnectModal.classList.add("hidden");
-  resetToQueue();
-});
+  tick();
+}
 
 /**
- * Reset to queue screen
+ * Stop and hide the countdown ring
  */
-function resetToQueue() {
-  gameState = {
-    playerRole: null,
-    playerNickname: "",
-    opponentNickname: "",
-    roomId: null,
-    myChoice: null,
-    queueTimer: null,
-    queueSeconds: 0,
-  };
-
-  joinQueueBtn.classList.remove("hidden");
-  queueStatus.classList.add("hidden");
-  rematchBtn.disabled = false;
-  rematchStatus.classList.add("hidden");
-
-  showScreen("queue");
+function stopRoundTimer() {
+  if (gameState.timerFrame) {
+    cancelAnimationFrame(gameState.timerFrame);
+    gameState.timerFrame = null;
+  }
+  roundTimerDisplay.classList.add("hidden");
 }
 
-// ==================== SOCKET EVENT HANDLERS ====================
+// ==================== CONNECTION MODALS ====================
 
 /**
- * Handle match found event
+ * Show the "match is over" modal with a custom message
  */
-socket.on("match_found", (data) => {
-  stopQueueTimer();
-
-  // Store game state
-  gameState.roomId = data.roomId;
-  gameState.playerRole = data.playerRole;
-  gameState.playerNickname = data.playerNickname;
-  gameState.opponentNickname = data.opponentNickname;
+function showDisconnectModal(title, message) {
+  stopReconnectCountdown();
+  disconnectTitle.textContent = title;
+  disconnectMessage.textContent = message;
+  disconnectModal.classList.remove("hidden");
+}
 
-  // Update match found screen
-  yourNicknameDisplay.textContent = data.playerNickname;
-  opponentNicknameDisplay.textContent = data.opponentNickname;
+/**
+ * Ask us to accept the match we've been paired for, counting down to the
+ * server's deadline
+ */
+function showReadyCheck(data) {
+  hideReadyCheck();
 
-  // Update game screen names
-  gameYourName.textContent = data.playerNickname;
-  gameOpponentName.textContent = data.opponentNickname;
+  const clockOffset = data.serverTime - Date.now();
+  readyCheckMessage.textContent = "Accept to start your match.";
+  acceptMatchBtn.disabled = false;
+  declineMatchBtn.disabled = false;
+  readyCheckModal.classList.remove("hidden");
 
-  // Show match found screen
-  showScreen("matchFound");
-});
+  const tick = () => {
+    const remaining = Math.max(0, data.deadline - (Date.now() + clockOffset));
+    acceptMatchBtn.textContent = `Accept (${Math.ceil(remaining / 1000)}s)`;
+  };
+  tick();
+  gameState.readyCheckTimer = setInterval(tick, 250);
+}
 
 /**
- * Handle start round event
+ * Hide the ready check prompt
  */
-socket.on("start_round", (data) => {
-  // Update scores
-  if (gameState.playerRole === "player1") {
-    yourScoreDisplay.textContent = data.scores.player1;
-    opponentScoreDisplay.textContent = data.scores.player2;
-  } else {
-    yourScoreDisplay.textContent = data.scores.player2;
-    opponentScoreDisplay.textContent = data.scores.player1;
+function hideReadyCheck() {
+  if (gameState.readyCheckTimer) {
+    clearInterval(gameState.readyCheckTimer);
+    gameState.readyCheckTimer = null;
   }
-
-  // Update round number
-  roundNumberDisplay.textContent = data.round;
-
-  // Reset UI and show game screen
-  resetGameUI();
-  showScreen("game");
-});
+  readyCheckModal.classList.add("hidden");
+}
 
 /**
- * Handle opponent locked in event
+ * Show a message from the server's admins until it's dismissed
  */
-socket.on("opponent_locked", () => {
-  // Visual feedback that opponent has chosen
-  opponentChoiceDisplay.textContent = "✅";
-});
+function showAnnouncement(message) {
+  announcementText.textContent = message;
+  announcement.classList.remove("hidden");
+}
 
 /**
- * Handle round result event
+ * Show the opponent reconnect countdown
  */
-socket.on("round_result", (data) => {
-  // Determine choices to display based on player role
-  const myChoice =
-    gameState.playerRole === "player1"
-      ? data.player1Choice
-      : data.player2Choice;
-  const theirChoice =
-    gameState.playerRole === "player1"
-      ? data.player2Choice
-      : data.player1Choice;
-
-  // Reveal choices with animation
-  yourChoiceDisplay.textContent = choiceIcons[myChoice];
-  yourChoiceDisplay.classList.add("reveal");
-
-  setTimeout(() => {
-    opponentChoiceDisplay.textContent = choiceIcons[theirChoice];
-    opponentChoiceDisplay.classList.add("reveal");
-  }, 300);
+function startReconnectCountdown(seconds) {
+  stopReconnectCountdown();
 
-  // Determine result message
-  let resultText = "";
-  let resultClass = "";
+  let remaining = seconds;
+  reconnectCountdown.textContent = remaining;
+  reconnectModal.classList.remove("hidden");
 
-  if (data.roundWinner === "draw") {
-    resultText = "It's a Draw!";
-    resultClass = "status-draw";
-  } else {
-    const iWon =
-      (gameState.playerRole === "player1" && data.roundWinner === "player1") ||
-      (gameState.playerRole === "player2" && data.roundWinner === "player2");
+  gameState.reconnectTimer = setInterval(() => {
+    remaining = Math.max(0, remaining - 1);
+    reconnectCountdown.textContent = remaining;
+  }, 1000);
+}
 
-    if (iWon) {
-      resultText = "You Win This Round! 🎉";
-      resultClass = "status-win";
-    } else {
-      resultText = "You Lose This Round 😔";
-      resultClass = "status-lose";
-    }
+/**
+ * Hide the opponent reconnect countdown
+ */
+function stopReconnectCountdown() {
+  if (gameState.reconnectTimer) {
+    clearInterval(gameState.reconnectTimer);
+    gameState.reconnectTimer = null;
   }
+  reconnectModal.classList.add("hidden");
+}
 
-  // Update status
-  setTimeout(() => {
-    statusMessage.textContent = resultText;
-    statusMessage.className = resultClass;
-    waitingIndicator.classList.add("hidden");
-  }, 600);
-
-  // Update scores
+/**
+ * Update the scoreboard from a scores object keyed by role
+ */
+function updateScores(scores) {
   if (gameState.playerRole === "player1") {
-    yourScoreDisplay.textContent = data.scores.player1;
-    opponentScoreDisplay.textContent = data.scores.player2;
+    yourScoreDisplay.textContent = scores.player1;
+    opponentScoreDisplay.textContent = scores.player2;
   } else {
-    yourScoreDisplay.textContent = data.scores.player2;
-    opponentScoreDisplay.textContent = data.scores.player1;
+    yourScoreDisplay.textContent = scores.player2;
+    opponentScoreDisplay.textContent = scores.player1;
   }
-});
+}
+
+// ==================== SPECTATING ====================
 
 /**
- * Handle match result event
+ * Show or clear the message under the live match list
  */
-socket.on("match_result", (data) => {
-  // Determine if we won
-  const iWon =
-    (gameState.playerRole === "player1" && data.winner === "player1") ||
-    (gameState.playerRole === "player2" && data.winner === "player2");
+function setWatchMessage(message) {
+  watchMessage.textContent = message || "";
+  watchMessage.classList.toggle("hidden", !message);
+}
 
-  // Update result screen
-  if (iWon) {
-    resultIcon.textContent = "🏆";
-    resultTitle.textContent = "Victory!";
-    resultTitle.className = "result-title win";
-    resultSubtitle.textContent = "Congratulations, you won the match!";
-  } else {
-    resultIcon.textContent = "😢";
-    resultTitle.textContent = "Defeat";
-    resultTitle.className = "result-title lose";
-    resultSubtitle.textContent = "Better luck next time!";
-  }
+/**
+ * Fill the Watch screen with the matches being played right now
+ */
+function renderLiveRooms(rooms) {
+  const items = rooms.map((room) => {
+    const item = document.createElement("li");
+    item.className = "live-room";
 
-  // Update final scores
-  finalYourName.textContent = gameState.playerNickname;
-  finalOpponentName.textContent = gameState.opponentNickname;
+    const info = document.createElement("div");
+    const players = document.createElement("span");
+    players.className = "live-room-players";
+    players.textContent = `${room.player1Nickname} vs ${room.player2Nickname}`;
+    const details = document.createElement("span");
+    details.className = "live-room-details";
+    details.textContent = [
+      room.ruleSetName,
+      room.formatLabel,
+      `${room.scores.player1}-${room.scores.player2}`,
+      room.spectators > 0 ? `👁 ${room.spectators}` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    info.append(players, details);
 
-  if (gameState.playerRole === "player1") {
-    finalYourScore.textContent = data.finalScores.player1;
-    finalOpponentScore.textContent = data.finalScores.player2;
-  } else {
-    finalYourScore.textContent = data.finalScores.player2;
-    finalOpponentScore.textContent = data.finalScores.player1;
-  }
+    const watchRoomBtn = document.createElement("button");
+    watchRoomBtn.className = "btn btn-secondary";
+    watchRoomBtn.textContent = "Watch";
+    watchRoomBtn.addEventListener("click", () => {
+      socket.emit("watch_room", { roomId: room.roomId });
+    });
 
-  // Reset rematch state
-  rematchBtn.disabled = false;
-  rematchStatus.classList.add("hidden");
+    item.append(info, watchRoomBtn);
+    return item;
+  });
 
-  // Show result screen
-  showScreen("result");
-});
+  liveRoomList.replaceChildren(...items);
+  setWatchMessage(
+    rooms.length === 0 ? "No public matches are being played right now." : null
+  );
+}
 
 /**
- * Handle opponent wants rematch event
+ * Name of the player in a seat, for spectator messages
  */
-socket.on("opponent_wants_rematch", () => {
-  rematchBtn.textContent = "🔄 Accept Rematch";
-});
+function seatNickname(role) {
+  return role === "player1"
+    ? gameState.playerNickname
+    : gameState.opponentNickname;
+}
 
 /**
- * Handle rematch accepted event
+ * Show a finished match to a spectator (they stay on the game screen in
+ * case the players go for a rematch)
  */
-socket.on("rematch_accepted", () => {
-  rematchBtn.textContent = "🔄 Play Again";
-  rematchBtn.disabled = false;
-  rematchStatus.classList.add("hidden");
+function showSpectatorMatchResult(data) {
+  stopRoundTimer();
+  if (data.winner) {
+    statusMessage.textContent = `🏆 ${seatNickname(
+      data.winner
+    )} wins the match!`;
+  } else if (data.reason === "ended_by_admin") {
+    statusMessage.textContent = "A moderator ended the match.";
+  } else {
+    statusMessage.textContent = "The match was abandoned.";
+  }
+  statusMessage.className = "status-win";
+  outcomeText.textContent = "Waiting to see if they play again...";
+}
 
-  // Reset scores display
-  yourScoreDisplay.textContent = "0";
-  opponentScoreDisplay.textContent = "0";
-});
+// ==================== FAIR PLAY ====================
 
 /**
- * Handle opponent disconnected event
+ * Hex string from raw bytes
  */
-socket.on("opponent_disconnected", () => {
-  stopQueueTimer();
-  disconnectModal.classList.remove("hidden");
-});
+function toHex(bytes) {
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
 
 /**
- * Handle reconnection
+ * SHA-256 hash of a string, as hex (same as the server's)
  */
-socket.on("connect", () => {
-  console.log("Connected to server");
-});
+function sha256Hex(text) {
+  return crypto.subtle
+    .digest("SHA-256", new TextEncoder().encode(text))
+    .then((buffer) => toHex(new Uint8Array(buffer)));
+}
 
-socket.on("disconnect", () => {
+/**
+ * Commit to a move: hash it with a random salt we keep until the reveal
+ * @returns promise of { choice, salt, commitment }
+ */
+function commitToMove(choice) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return sha256Hex(`${choice}:${salt}`).then((commitment) => ({
+    choice,
+    salt,
+    commitment,
+  }));
+}
+
+/**
+ * Reveal our committed move, warning if the server shared a different
+ * commitment for us than the one we sent
+ */
+function revealMove() {
+  const { choice, salt, commitment } = gameState.pendingReveal;
+  if (gameState.commitments[gameState.playerRole] !== commitment) {
+    fairCheck.textContent = "⚠️ The server shared the wrong commitment for us";
+  }
+
+  socket.emit("reveal_choice", { choice, salt });
+}
+
+/**
+ * Check the opponent's revealed move against the commitment we were shown
+ * before revealing ours
+ */
+function checkOpponentReveal(data) {
+  const opponentRole =
+    gameState.playerRole === "player1" ? "player2" : "player1";
+  const committed = gameState.commitments
+    ? gameState.commitments[opponentRole]
+    : null;
+  const revealed = data.fairness[opponentRole];
+  const theirChoice = data[`${opponentRole}Choice`];
+
+  // They never committed (timed out), so there's nothing to check
+  if (!committed) return;
+
+  if (!theirChoice || !revealed.salt) {
+    fairCheck.textContent = "⚠️ Your opponent didn't reveal their move";
+    return;
+  }
+
+  sha256Hex(`${theirChoice}:${revealed.salt}`).then((hash) => {
+    fairCheck.textContent =
+      hash === committed
+        ? "🔒 Verified: your opponent's move matches their commitment"
+        : "⚠️ Your opponent's move doesn't match their commitment";
+  });
+}
+
+// ==================== LEADERBOARD ====================
+
+/**
+ * Fetch and show the current leaderboard page
+ */
+function loadLeaderboard() {
+  const { window: timeWindow, page } = leaderboardState;
+
+  leaderboardTabs.forEach((tab) => {
+    tab.classList.toggle("active", tab.dataset.window === timeWindow);
+  });
+  leaderboardPrevBtn.disabled = true;
+  leaderboardNextBtn.disabled = true;
+
+  fetch(
+    `/api/leaderboard?window=${timeWindow}&page=${page}&pageSize=${LEADERBOARD_PAGE_SIZE}`
+  )
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(renderLeaderboard)
+    .catch(() => {
+      leaderboardBody.replaceChildren();
+      leaderboardMessage.textContent = "Couldn't load the leaderboard.";
+      leaderboardMessage.classList.remove("hidden");
+    });
+}
+
+/**
+ * Fill the leaderboard table from an API response
+ */
+function renderLeaderboard(data) {
+  const rows = data.entries.map((entry) => {
+    const row = document.createElement("tr");
+    row.classList.toggle("me", entry.playerId === myPlayerId);
+
+    [
+      entry.rank,
+      entry.nickname,
+      formatRating(entry.rating, entry.provisional),
+      `${entry.wins}-${entry.losses}`,
+      `${Math.round(entry.winRate * 100)}%`,
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    return row;
+  });
+  leaderboardBody.replaceChildren(...rows);
+
+  const pageCount = Math.max(1, Math.ceil(data.total / data.pageSize));
+  leaderboardPage.textContent = `Page ${data.page} of ${pageCount}`;
+  leaderboardPrevBtn.disabled = data.page <= 1;
+  leaderboardNextBtn.disabled = data.page >= pageCount;
+
+  leaderboardMessage.textContent = "No rated matches yet.";
+  leaderboardMessage.classList.toggle("hidden", data.total > 0);
+}
+
+// ==================== CHAT ====================
+
+/**
+ * Show or clear the chat error
+ */
+function setChatError(message) {
+  chatError.textContent = message || "";
+  chatError.classList.toggle("hidden", !message);
+}
+
+/**
+ * Open or collapse the chat panel
+ */
+function setChatOpen(open) {
+  chatState.open = open;
+  chatBody.classList.toggle("hidden", !open);
+  if (open) {
+    chatState.unread = 0;
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+  chatUnread.textContent = chatState.unread;
+  chatUnread.classList.toggle("hidden", chatState.unread === 0);
+}
+
+/**
+ * Show whether the opponent is muted
+ */
+function setChatMuted(muted) {
+  chatState.muted = muted;
+  chatMuteBtn.textContent = muted ? "🔊 Unmute opponent" : "🔇 Mute opponent";
+}
+
+/**
+ * Add a message to the chat log
+ */
+function appendChatMessage(message) {
+  const mine = message.from === gameState.playerRole;
+  const item = document.createElement("li");
+  item.className = "chat-message";
+  item.classList.toggle("mine", mine);
+  item.classList.toggle("emote", message.emote);
+
+  const author = document.createElement("span");
+  author.className = "chat-author";
+  author.textContent = mine ? "You" : message.nickname;
+
+  // Message text is whatever the sender typed, so never parse it as HTML
+  const text = document.createElement("span");
+  text.className = "chat-text";
+  text.textContent = message.text;
+
+  item.append(author, text);
+  chatMessages.appendChild(item);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+
+  if (!chatState.open && !mine) {
+    chatState.unread++;
+    setChatOpen(false);
+  }
+}
+
+/**
+ * Show an empty (or restored) chat for the room we just joined
+ */
+function showChat(history, muted) {
+  chatMessages.replaceChildren();
+  chatState.unread = 0;
+  setChatError(null);
+  setChatMuted(muted);
+  setChatOpen(false);
+  history.forEach(appendChatMessage);
+  chatPanel.classList.remove("hidden");
+}
+
+/**
+ * Hide the chat once we've left the room
+ */
+function hideChat() {
+  chatPanel.classList.add("hidden");
+  chatInput.value = "";
+}
+
+/**
+ * Send the typed chat message
+ */
+function sendChatText() {
+  const text = chatInput.value.trim();
+  if (!text) return;
+
+  setChatError(null);
+  socket.emit("send_chat", { text });
+  chatInput.value = "";
+}
+
+// ==================== TOURNAMENTS ====================
+
+/**
+ * Show or clear the error on the tournament screens
+ */
+function setTournamentError(message) {
+  [tournamentError, tournamentMessage].forEach((element) => {
+    element.textContent = message || "";
+    element.classList.toggle("hidden", !message);
+  });
+}
+
+/**
+ * Read the lobby nickname, which tournaments are entered under
+ * @returns the nickname, or null if missing
+ */
+function readTournamentNickname() {
+  const nickname = nicknameInput.value.trim();
+  if (!nickname) {
+    setTournamentError("Enter a nickname in the lobby first.");
+    return null;
+  }
+
+  localStorage.setItem(STORAGE_KEYS.nickname, nickname);
+  return nickname;
+}
+
+/**
+ * Fill the tournament list
+ */
+function renderTournamentList(tournaments) {
+  const items = tournaments.map((tournament) => {
+    const item = document.createElement("li");
+    item.className = "live-room";
+
+    const info = document.createElement("div");
+    const name = document.createElement("span");
+    name.className = "live-room-players";
+    name.textContent = tournament.name;
+    const details = document.createElement("span");
+    details.className = "live-room-details";
+    details.textContent = [
+      tournament.typeLabel,
+      tournament.ruleSetName,
+      tournament.formatLabel,
+      `${tournament.players}/${tournament.maxPlayers} players`,
+      TOURNAMENT_STATUS_LABELS[tournament.status],
+    ].join(" · ");
+    info.append(name, details);
+
+    const viewBtn = document.createElement("button");
+    viewBtn.className = "btn btn-secondary";
+    viewBtn.textContent = "View";
+    viewBtn.addEventListener("click", () => {
+      socket.emit("watch_tournament", { tournamentId: tournament.id });
+    });
+
+    item.append(info, viewBtn);
+    return item;
+  });
+
+  tournamentList.replaceChildren(...items);
+  tournamentListMessage.textContent = "No tournaments yet. Start one below!";
+  tournamentListMessage.classList.toggle("hidden", tournaments.length > 0);
+}
+
+/**
+ * One-line summary of where a tournament is up to
+ */
+function describeTournamentStatus(tournament) {
+  if (tournament.status === "registration") {
+    return `Registration open · ${tournament.participants.length}/${tournament.maxPlayers} players`;
+  }
+  if (tournament.status === "finished") {
+    return tournament.winnerNickname
+      ? `🏆 ${tournament.winnerNickname} wins the tournament!`
+      : "Finished";
+  }
+  return TOURNAMENT_STATUS_LABELS[tournament.status];
+}
+
+/**
+ * Footer for a bracket match: live (with a Watch link), waiting for a
+ * no-show, or won by default
+ */
+function renderBracketNote(match) {
+  const note = document.createElement("div");
+  note.className = "bracket-note";
+
+  if (match.status === "live") {
+    note.textContent = "● Live";
+    const watchMatchBtn = document.createElement("button");
+    watchMatchBtn.textContent = "Watch";
+    watchMatchBtn.addEventListener("click", () => {
+      socket.emit("watch_room", { roomId: match.roomId });
+    });
+    note.appendChild(watchMatchBtn);
+  } else if (match.noShowDeadline) {
+    note.textContent = "Waiting for a player to turn up";
+  } else if (match.noShow) {
+    note.textContent = "Won by default";
+  } else {
+    return null;
+  }
+
+  return note;
+}
+
+/**
+ * Build the card for one bracket match
+ */
+function renderBracketMatch(match) {
+  const card = document.createElement("div");
+  card.className = `bracket-match ${match.status}`;
+
+  match.players.forEach((player, slot) => {
+    const row = document.createElement("div");
+    row.className = "bracket-slot";
+    const name = document.createElement("span");
+    const score = document.createElement("span");
+
+    if (!player || player.bye) {
+      name.textContent = player ? "Bye" : "TBD";
+      row.classList.add("pending");
+    } else {
+      name.textContent = player.nickname;
+      row.classList.toggle("winner", match.winnerId === player.playerId);
+      row.classList.toggle("me", player.playerId === myPlayerId);
+    }
+    score.textContent = match.scores ? match.scores[slot] : "";
+
+    row.append(name, score);
+    card.appendChild(row);
+  });
+
+  const note = renderBracketNote(match);
+  if (note) card.appendChild(note);
+  return card;
+}
+
+/**
+ * Lay out the bracket: a section per bracket, a column per round
+ */
+function renderBracket(tournament) {
+  const sections = [
+    ["winners", tournament.type === "double" ? "Winners bracket" : null],
+    ["losers", "Losers bracket"],
+    ["final", null],
+    ["roundRobin", null],
+  ].map(([bracket, title]) => {
+    // Matches between two byes never happen, so leave them out
+    const matches = tournament.matches.filter(
+      (match) => match.bracket === bracket && !(match.bye && !match.winnerId)
+    );
+    if (matches.length === 0) return null;
+
+    const section = document.createElement("section");
+    section.className = "bracket-section";
+    if (title) {
+      const heading = document.createElement("h3");
+      heading.textContent = title;
+      section.appendChild(heading);
+    }
+
+    const byRound = new Map();
+    matches.forEach((match) => {
+      if (!byRound.has(match.round)) byRound.set(match.round, []);
+      byRound.get(match.round).push(match);
+    });
+
+    const rounds = document.createElement("div");
+    rounds.className = "bracket-rounds";
+    byRound.forEach((roundMatches) => {
+      const column = document.createElement("div");
+      column.className = "bracket-round";
+      const label = document.createElement("span");
+      label.className = "bracket-round-label";
+      label.textContent = roundMatches[0].label;
+      column.append(label, ...roundMatches.map(renderBracketMatch));
+      rounds.appendChild(column);
+    });
+
+    section.appendChild(rounds);
+    return section;
+  });
+
+  tournamentBracket.replaceChildren(...sections.filter(Boolean));
+}
+
+/**
+ * Fill the tournament screen from the latest bracket
+ */
+function renderTournament(tournament) {
+  currentTournament = tournament;
+
+  const registered = tournament.participants.some(
+    (participant) => participant.playerId === myPlayerId
+  );
+  const organizing = tournament.organizer.playerId === myPlayerId;
+  const open = tournament.status === "registration";
+
+  tournamentName.textContent = tournament.name;
+  tournamentDetails.textContent = [
+    tournament.typeLabel,
+    tournament.ruleSetName,
+    tournament.formatLabel,
+    `Organized by ${tournament.organizer.nickname}`,
+  ].join(" · ");
+  tournamentStatus.textContent = describeTournamentStatus(tournament);
+
+  const players = tournament.participants.map((participant) => {
+    const item = document.createElement("li");
+    item.classList.toggle("me", participant.playerId === myPlayerId);
+    item.textContent = participant.seed
+      ? `${participant.seed}. ${participant.nickname}`
+      : participant.nickname;
+    return item;
+  });
+  tournamentPlayers.replaceChildren(...players);
+
+  const standings = (tournament.standings || []).map((row, index) => {
+    const tableRow = document.createElement("tr");
+    tableRow.classList.toggle("me", row.playerId === myPlayerId);
+
+    [
+      index + 1,
+      row.nickname,
+      row.played,
+      `${row.wins}-${row.losses}`,
+      `${row.roundsWon}-${row.roundsLost}`,
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      tableRow.appendChild(cell);
+    });
+
+    return tableRow;
+  });
+  tournamentStandingsBody.replaceChildren(...standings);
+  tournamentStandings.classList.toggle("hidden", !tournament.standings);
+
+  renderBracket(tournament);
+
+  joinTournamentBtn.classList.toggle("hidden", !open || registered);
+  leaveTournamentBtn.classList.toggle("hidden", !open || !registered);
+  startTournamentBtn.classList.toggle("hidden", !open || !organizing);
+  cancelTournamentBtn.classList.toggle("hidden", !open || !organizing);
+}
+
+// ==================== PARTIES & TEAM MATCHES ====================
+
+/**
+ * Show or clear the party error under the lobby
+ */
+function setPartyError(message) {
+  partyError.textContent = message || "";
+  partyError.classList.toggle("hidden", !message);
+}
+
+/**
+ * Whether we lead the party we're in
+ */
+function isPartyLeader() {
+  return Boolean(
+    currentParty &&
+      currentParty.members.some(
+        (member) => member.leader && member.playerId === myPlayerId
+      )
+  );
+}
+
+/**
+ * Show our party (or the lobby again once we've left it)
+ */
+function renderParty(party) {
+  currentParty = party;
+  if (!party) {
+    setLobbyView("idle");
+    return;
+  }
+
+  partyCode.textContent = party.code;
+  partyLink.value = `${window.location.origin}${party.link}`;
+
+  partyMembers.innerHTML = "";
+  party.members.forEach((member) => {
+    const item = document.createElement("li");
+    item.textContent = member.nickname;
+    if (member.leader) item.textContent += " 👑";
+    if (member.playerId === myPlayerId) item.classList.add("me");
+    partyMembers.appendChild(item);
+  });
+  for (let i = party.members.length; i < party.maxSize; i++) {
+    const item = document.createElement("li");
+    item.textContent = "Open slot";
+    item.className = "party-open-slot";
+    partyMembers.appendChild(item);
+  }
+
+  const leader = isPartyLeader();
+  partyLeaderControls.classList.toggle("hidden", !leader || !!party.search);
+  partySearching.classList.toggle("hidden", !party.search);
+  cancelPartyQueueBtn.classList.toggle("hidden", !leader);
+  partyHint.classList.toggle("hidden", leader);
+  if (party.search) {
+    partySearchText.textContent = `Searching for another ${party.search.label} party...`;
+  }
+
+  // Only the lobby shows the party (not a team match in progress)
+  if (!gameState.team) setLobbyView("party");
+}
+
+/**
+ * Switch the game screen between a 1v1 and a team match
+ */
+function setTeamView(on) {
+  teamRoster.classList.toggle("hidden", !on);
+  teamReveal.classList.toggle("hidden", !on);
+  teamReveal.innerHTML = "";
+}
+
+/**
+ * Show our team, and anyone in the match who's away reconnecting
+ */
+function renderTeamRoster() {
+  const away = gameState.team.away;
+  teamRoster.textContent = away.length
+    ? `Your team: ${gameState.playerNickname} · ⏳ Waiting for ${away.join(
+        ", "
+      )} to reconnect`
+    : `Your team: ${gameState.playerNickname}`;
+}
+
+/**
+ * Set up the game screen for the team match we joined or resumed (or put
+ * it back to normal for any other match)
+ */
+function applyTeam(data) {
+  gameState.team = data.team || null;
+  setTeamView(Boolean(data.team));
+  if (!data.team) return;
+
+  const theirs = data.team.teams[otherSide(data.playerRole)];
+  opponentChoiceLabel.textContent = theirs[data.team.position] || "Opponent";
+  formatLabelDisplay.textContent = `${data.team.mode} · ${data.format.label}`;
+  renderTeamRoster();
+  hideChat();
+}
+
+/**
+ * The other side in a team match
+ */
+function otherSide(side) {
+  return side === "player1" ? "player2" : "player1";
+}
+
+/**
+ * List every pairing's moves in a team round, our side on the left
+ */
+function renderTeamReveal(pairings) {
+  const mySide = gameState.playerRole;
+  teamReveal.innerHTML = "";
+
+  pairings.forEach((pairing) => {
+    const ours = pairing[mySide];
+    const theirs = pairing[otherSide(mySide)];
+    const item = document.createElement("li");
+    item.className = "team-pairing";
+    if (pairing.winner === mySide) item.classList.add("won");
+    if (pairing.winner === otherSide(mySide)) item.classList.add("lost");
+    item.textContent = `${ours.nickname} ${
+      choiceIcons[ours.choice] || "⌛"
+    } vs ${choiceIcons[theirs.choice] || "⌛"} ${theirs.nickname}`;
+    teamReveal.appendChild(item);
+  });
+}
+
+/**
+ * Show a team round's result: our pairing's moves, every other pairing
+ * and which side took the round
+ */
+function showTeamRoundResult(data) {
+  const mySide = gameState.playerRole;
+  const myPairing = data.pairings[gameState.team.position];
+  if (myPairing) {
+    revealChoices(
+      {
+        display: yourChoiceDisplay,
+        icon: choiceIcons[myPairing[mySide].choice] || "⌛",
+      },
+      {
+        display: opponentChoiceDisplay,
+        icon: choiceIcons[myPairing[otherSide(mySide)].choice] || "⌛",
+      }
+    );
+  }
+
+  let resultText = "It's a Draw!";
+  let resultClass = "status-draw";
+  if (data.roundWinner === mySide) {
+    resultText = "Your Team Wins This Round! 🎉";
+    resultClass = "status-win";
+  } else if (data.roundWinner !== "draw") {
+    resultText = "Your Team Loses This Round 😔";
+    resultClass = "status-lose";
+  }
+
+  setTimeout(() => {
+    renderTeamReveal(data.pairings);
+    statusMessage.textContent = resultText;
+    statusMessage.className = resultClass;
+    outcomeText.textContent = data.outcomeText;
+    waitingIndicator.classList.add("hidden");
+  }, 600);
+
+  updateScores(data.scores);
+}
+
+/**
+ * Show the result screen for a finished team match
+ */
+function showTeamMatchResult(data) {
+  stopRoundTimer();
+  setTeamView(false);
+
+  const mySide = gameState.playerRole;
+  const weWon = data.winner === mySide;
+
+  if (data.reason === "abandoned") {
+    resultIcon.textContent = "⌛";
+    resultTitle.textContent = "Match Abandoned";
+    resultTitle.className = "result-title";
+    resultSubtitle.textContent =
+      "Both teams stopped making moves for too many rounds in a row.";
+  } else if (weWon) {
+    resultIcon.textContent = data.reason === "win" ? "🏆" : "🏳️";
+    resultTitle.textContent = "Victory!";
+    resultTitle.className = "result-title win";
+    resultSubtitle.textContent =
+      data.reason === "win"
+        ? "Your team won the match!"
+        : "The other team left or ran out of time too often, so they forfeited.";
+  } else {
+    resultIcon.textContent = "😢";
+    resultTitle.textContent = "Defeat";
+    resultTitle.className = "result-title lose";
+    resultSubtitle.textContent =
+      data.reason === "win"
+        ? "Better luck next time!"
+        : "Your team left or ran out of time too often, so it forfeited.";
+  }
+
+  showRatingChange(data.ratingChanges);
+  showReplayLink(data.matchId);
+
+  finalYourName.textContent = gameState.playerNickname;
+  finalOpponentName.textContent = gameState.opponentNickname;
+  finalYourScore.textContent = data.finalScores[mySide];
+  finalOpponentScore.textContent = data.finalScores[otherSide(mySide)];
+
+  // Team matches are one-offs: the leader queues the party again
+  rematchBtn.classList.add("hidden");
+  rematchStatus.classList.add("hidden");
+  newMatchBtn.textContent = currentParty
+    ? "👥 Back to Party"
+    : "🔍 Find New Match";
+
+  showScreen("result");
+}
+
+// ==================== FREE-FOR-ALL ====================
+
+/**
+ * Show or clear the lobby error under the lobby
+ */
+function setLobbyError(message) {
+  lobbyError.textContent = message || "";
+  lobbyError.classList.toggle("hidden", !message);
+}
+
+/**
+ * Whether we host the lobby we're in
+ */
+function isLobbyHost() {
+  return Boolean(
+    currentLobby &&
+      currentLobby.members.some(
+        (member) => member.host && member.playerId === myPlayerId
+      )
+  );
+}
+
+/**
+ * Show our lobby (or the lobby screen again once we've left it)
+ */
+function renderLobby(lobby) {
+  currentLobby = lobby;
+  if (!lobby) {
+    setLobbyView("idle");
+    return;
+  }
+
+  lobbyCode.textContent = lobby.code;
+  lobbyLink.value = `${window.location.origin}${lobby.link}`;
+  lobbyDetails.textContent = `${lobby.ruleSet.name} · ${lobby.members.length}/${lobby.maxPlayers} players`;
+
+  lobbyMembers.innerHTML = "";
+  lobby.members.forEach((member) => {
+    const item = document.createElement("li");
+    item.textContent = member.nickname;
+    if (member.host) item.textContent += " 👑";
+    if (member.playerId === myPlayerId) item.classList.add("me");
+    lobbyMembers.appendChild(item);
+  });
+
+  const host = isLobbyHost();
+  const needed = lobby.minPlayers - lobby.members.length;
+  startLobbyBtn.classList.toggle("hidden", !host);
+  startLobbyBtn.disabled = needed > 0 || lobby.playing;
+  if (lobby.playing) {
+    lobbyHint.textContent = "A game is being played...";
+  } else if (needed > 0) {
+    lobbyHint.textContent = `Waiting for ${needed} more player${
+      needed === 1 ? "" : "s"
+    }...`;
+  } else {
+    lobbyHint.textContent = host
+      ? "Start the game whenever everyone's in."
+      : "Waiting for the host to start the game...";
+  }
+
+  // Only the lobby screen shows the lobby (not a game in progress)
+  if (!gameState.ffa) setLobbyView("lobby");
+}
+
+/**
+ * Switch the game screen between a 1v1 and a free-for-all
+ */
+function setFreeForAllView(on) {
+  choicesDisplay.classList.toggle("hidden", on);
+  ffaPlayers.classList.toggle("hidden", !on);
+  ffaPlayers.innerHTML = "";
+}
+
+/**
+ * Whether we've been knocked out of the free-for-all
+ */
+function isKnockedOut() {
+  return gameState.ffa.out.has(myPlayerId);
+}
+
+/**
+ * Show how many players are still in and out, in place of the scores
+ */
+function showFreeForAllCounts() {
+  const { players, out } = gameState.ffa;
+  yourScoreDisplay.textContent = players.length - out.size;
+  opponentScoreDisplay.textContent = out.size;
+}
+
+/**
+ * Draw a card for every player: their move (or ❓ while it's secret), and
+ * 💀 once they're out
+ * @param choices - playerId -> move id, once the round is revealed
+ */
+function renderFreeForAll(choices = {}) {
+  ffaPlayers.innerHTML = "";
+  gameState.ffa.players.forEach((player) => {
+    const out = gameState.ffa.out.has(player.playerId);
+    const revealed = player.playerId in choices;
+
+    const card = document.createElement("li");
+    card.className = "ffa-player";
+    card.dataset.playerId = player.playerId;
+    card.classList.toggle("out", out);
+    card.classList.toggle("me", player.playerId === myPlayerId);
+
+    const icon = document.createElement("div");
+    icon.className = "choice-icon";
+    if (revealed) {
+      icon.textContent = choiceIcons[choices[player.playerId]] || "⌛";
+      icon.classList.add("reveal");
+    } else {
+      icon.textContent = out ? "💀" : "❓";
+    }
+
+    const name = document.createElement("span");
+    name.className = "choice-label";
+    name.textContent = player.nickname;
+
+    card.append(icon, name);
+    ffaPlayers.appendChild(card);
+  });
+}
+
+/**
+ * Show the result screen for a finished free-for-all
+ */
+function showFreeForAllResult(data) {
+  stopRoundTimer();
+  setFreeForAllView(false);
+
+  const winner = data.standings[0];
+  if (data.winner === myPlayerId) {
+    resultIcon.textContent = "🏆";
+    resultTitle.textContent = "Last One Standing!";
+    resultTitle.className = "result-title win";
+    resultSubtitle.textContent =
+      data.reason === "win"
+        ? `You outlasted everyone in ${data.rounds} round${
+            data.rounds === 1 ? "" : "s"
+          }!`
+        : "Everyone else left the game.";
+  } else {
+    resultIcon.textContent = data.winner ? "💀" : "🏳️";
+    resultTitle.textContent = data.winner ? "Knocked Out" : "No Winner";
+    resultTitle.className = "result-title lose";
+    resultSubtitle.textContent = data.winner
+      ? `${winner.nickname} was the last one standing.`
+      : "Everyone left the game.";
+  }
+
+  ratingChange.classList.add("hidden");
+  showReplayLink(data.matchId);
+  finalScore.classList.add("hidden");
+
+  ffaStandings.innerHTML = "";
+  data.standings.forEach((player) => {
+    const item = document.createElement("li");
+    item.textContent =
+      player.eliminatedInRound === null
+        ? `${player.nickname} 🏆`
+        : `${player.nickname} · out in round ${player.eliminatedInRound}`;
+    if (player.playerId === myPlayerId) item.classList.add("me");
+    ffaStandings.appendChild(item);
+  });
+  ffaStandings.classList.remove("hidden");
+
+  rematchBtn.classList.add("hidden");
+  rematchStatus.classList.add("hidden");
+  newMatchBtn.textContent = currentLobby
+    ? "🎲 Back to Lobby"
+    : "🔍 Find New Match";
+
+  showScreen("result");
+}
+
+// ==================== EVENT LISTENERS ====================
+
+/**
+ * Show or clear the nickname validation error
+ */
+function setNicknameError(message) {
+  nicknameError.textContent = message || "";
+  nicknameError.classList.toggle("hidden", !message);
+  nicknameInput.classList.toggle("invalid", Boolean(message));
+}
+
+// Join queue button
+joinQueueBtn.addEventListener("click", () => {
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setPrivateRoomError(null);
+  socket.emit("join_queue", {
+    nickname,
+    format: readFormat(),
+    ruleSetId: ruleSetSelect.value,
+    fairPlay: fairPlayInput.checked,
+  });
+  setLobbyView("searching");
+  startQueueTimer();
+});
+
+// Leave queue button
+leaveQueueBtn.addEventListener("click", () => {
+  socket.emit("leave_queue");
+  stopQueueTimer();
+  setLobbyView("idle");
+});
+
+// Accept the match we've been paired for
+acceptMatchBtn.addEventListener("click", () => {
+  socket.emit("accept_match");
+  acceptMatchBtn.disabled = true;
+  declineMatchBtn.disabled = true;
+  readyCheckMessage.textContent = "Waiting for your opponent to accept...";
+});
+
+// Turn the match down
+declineMatchBtn.addEventListener("click", () => {
+  socket.emit("decline_match");
+  hideReadyCheck();
+});
+
+// Play vs bot button
+playBotBtn.addEventListener("click", () => {
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setPrivateRoomError(null);
+  socket.emit("play_bot", {
+    nickname,
+    format: readFormat(),
+    ruleSetId: ruleSetSelect.value,
+    fairPlay: fairPlayInput.checked,
+    strategy: botStrategySelect.value,
+  });
+});
+
+// Create private room button
+createRoomBtn.addEventListener("click", () => {
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setPrivateRoomError(null);
+  socket.emit("create_private_room", {
+    nickname,
+    format: readFormat(),
+    ruleSetId: ruleSetSelect.value,
+    fairPlay: fairPlayInput.checked,
+  });
+});
+
+// Join by code button
+joinCodeBtn.addEventListener("click", () => {
+  const code = roomCodeInput.value.trim().toUpperCase();
+  if (!code) {
+    setPrivateRoomError("Enter the code your friend shared.");
+    roomCodeInput.focus();
+    return;
+  }
+
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setPrivateRoomError(null);
+  socket.emit("join_private_room", { nickname, code });
+});
+
+roomCodeInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") joinCodeBtn.click();
+});
+
+// Copy invite link button
+copyLinkBtn.addEventListener("click", () => {
+  navigator.clipboard
+    .writeText(privateRoomLink.value)
+    .then(() => {
+      copyLinkBtn.textContent = "Copied!";
+      setTimeout(() => (copyLinkBtn.textContent = "Copy"), 1500);
+    })
+    .catch(() => privateRoomLink.select());
+});
+
+// Leaderboard button
+leaderboardBtn.addEventListener("click", () => {
+  leaderboardState.page = 1;
+  loadLeaderboard();
+  showScreen("leaderboard");
+});
+
+// Leaderboard time window tabs
+leaderboardTabs.forEach((tab) => {
+  tab.addEventListener("click", () => {
+    leaderboardState.window = tab.dataset.window;
+    leaderboardState.page = 1;
+    loadLeaderboard();
+  });
+});
+
+// Leaderboard paging
+leaderboardPrevBtn.addEventListener("click", () => {
+  leaderboardState.page--;
+  loadLeaderboard();
+});
+
+leaderboardNextBtn.addEventListener("click", () => {
+  leaderboardState.page++;
+  loadLeaderboard();
+});
+
+// Back from the leaderboard
+leaderboardBackBtn.addEventListener("click", () => showScreen("queue"));
+
+// Watch live button
+watchBtn.addEventListener("click", () => {
+  setWatchMessage(null);
+  socket.emit("list_live_rooms");
+  showScreen("watch");
+});
+
+refreshRoomsBtn.addEventListener("click", () => {
+  socket.emit("list_live_rooms");
+});
+
+watchBackBtn.addEventListener("click", () => showScreen("queue"));
+
+// Tournaments button
+tournamentsBtn.addEventListener("click", () => {
+  setTournamentError(null);
+  socket.emit("list_tournaments");
+  showScreen("tournaments");
+});
+
+refreshTournamentsBtn.addEventListener("click", () => {
+  socket.emit("list_tournaments");
+});
+
+tournamentsBackBtn.addEventListener("click", () => showScreen("queue"));
+
+// Create tournament button (matches use the lobby's game and format)
+createTournamentBtn.addEventListener("click", () => {
+  const nickname = readTournamentNickname();
+  if (!nickname) return;
+
+  setTournamentError(null);
+  socket.emit("create_tournament", {
+    nickname,
+    name: tournamentNameInput.value,
+    type: tournamentTypeSelect.value,
+    maxPlayers: Number(tournamentSizeSelect.value),
+    format: readFormat(),
+    ruleSetId: ruleSetSelect.value,
+  });
+});
+
+// Tournament screen buttons
+joinTournamentBtn.addEventListener("click", () => {
+  const nickname = readTournamentNickname();
+  if (!nickname) return;
+
+  setTournamentError(null);
+  socket.emit("join_tournament", {
+    tournamentId: currentTournament.id,
+    nickname,
+  });
+});
+
+leaveTournamentBtn.addEventListener("click", () => {
+  socket.emit("leave_tournament", { tournamentId: currentTournament.id });
+});
+
+startTournamentBtn.addEventListener("click", () => {
+  setTournamentError(null);
+  socket.emit("start_tournament", { tournamentId: currentTournament.id });
+});
+
+cancelTournamentBtn.addEventListener("click", () => {
+  socket.emit("cancel_tournament", { tournamentId: currentTournament.id });
+});
+
+tournamentBackBtn.addEventListener("click", () => {
+  currentTournament = null;
+  setTournamentError(null);
+  socket.emit("list_tournaments");
+  showScreen("tournaments");
+});
+
+// Chat panel
+chatToggleBtn.addEventListener("click", () => setChatOpen(!chatState.open));
+
+chatMuteBtn.addEventListener("click", () => {
+  socket.emit("mute_opponent", { muted: !chatState.muted });
+});
+
+chatSendBtn.addEventListener("click", sendChatText);
+
+chatInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") sendChatText();
+});
+
+// Stop watching button (spectators only)
+stopWatchingBtn.addEventListener("click", () => {
+  socket.emit("stop_watching");
+  resetToQueue();
+});
+
+// Cancel private room button
+cancelRoomBtn.addEventListener("click", () => {
+  socket.emit("cancel_private_room");
+  setLobbyView("idle");
+});
+
+// Create party button
+createPartyBtn.addEventListener("click", () => {
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setPartyError(null);
+  socket.emit("create_party", { nickname });
+});
+
+// Join party by code button
+joinPartyBtn.addEventListener("click", () => {
+  const code = partyCodeInput.value.trim().toUpperCase();
+  if (!code) {
+    setPartyError("Enter the party code your friend shared.");
+    partyCodeInput.focus();
+    return;
+  }
+
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setPartyError(null);
+  socket.emit("join_party", { nickname, code });
+});
+
+partyCodeInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") joinPartyBtn.click();
+});
+
+// Copy party invite link button
+copyPartyLinkBtn.addEventListener("click", () => {
+  navigator.clipboard
+    .writeText(partyLink.value)
+    .then(() => {
+      copyPartyLinkBtn.textContent = "Copied!";
+      setTimeout(() => (copyPartyLinkBtn.textContent = "Copy"), 1500);
+    })
+    .catch(() => partyLink.select());
+});
+
+// Find team match button (party leader only)
+queuePartyBtn.addEventListener("click", () => {
+  setPartyError(null);
+  socket.emit("queue_party", {
+    mode: teamModeSelect.value,
+    format: readFormat(),
+    ruleSetId: ruleSetSelect.value,
+  });
+});
+
+cancelPartyQueueBtn.addEventListener("click", () => {
+  socket.emit("cancel_party_queue");
+});
+
+leavePartyBtn.addEventListener("click", () => {
+  setPartyError(null);
+  socket.emit("leave_party");
+});
+
+// Create free-for-all lobby button
+createLobbyBtn.addEventListener("click", () => {
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setLobbyError(null);
+  socket.emit("create_lobby", { nickname, ruleSetId: ruleSetSelect.value });
+});
+
+// Join free-for-all lobby by code button
+joinLobbyBtn.addEventListener("click", () => {
+  const code = lobbyCodeInput.value.trim().toUpperCase();
+  if (!code) {
+    setLobbyError("Enter the lobby code your friend shared.");
+    lobbyCodeInput.focus();
+    return;
+  }
+
+  const nickname = readNickname();
+  if (!nickname) return;
+
+  setLobbyError(null);
+  socket.emit("join_lobby", { nickname, code });
+});
+
+lobbyCodeInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") joinLobbyBtn.click();
+});
+
+// Copy lobby invite link button
+copyLobbyLinkBtn.addEventListener("click", () => {
+  navigator.clipboard
+    .writeText(lobbyLink.value)
+    .then(() => {
+      copyLobbyLinkBtn.textContent = "Copied!";
+      setTimeout(() => (copyLobbyLinkBtn.textContent = "Copy"), 1500);
+    })
+    .catch(() => lobbyLink.select());
+});
+
+// Start game button (lobby host only)
+startLobbyBtn.addEventListener("click", () => {
+  setLobbyError(null);
+  socket.emit("start_lobby");
+});
+
+leaveLobbyBtn.addEventListener("click", () => {
+  setLobbyError(null);
+  socket.emit("leave_lobby");
+});
+
+// Submit on Enter from the nickname field
+nicknameInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") joinQueueBtn.click();
+});
+
+nicknameInput.addEventListener("input", () => setNicknameError(null));
+
+/**
+ * Build the choice buttons and icon lookup from a rule set
+ */
+function applyRuleSet(ruleSet) {
+  choiceIcons = {};
+  choiceButtons.innerHTML = "";
+
+  ruleSet.moves.forEach((move) => {
+    choiceIcons[move.id] = move.icon;
+
+    const btn = document.createElement("button");
+    btn.className = "choice-btn";
+    btn.dataset.choice = move.id;
+
+    const emoji = document.createElement("span");
+    emoji.className = "choice-emoji";
+    emoji.textContent = move.icon;
+
+    const text = document.createElement("span");
+    text.className = "choice-text";
+    text.textContent = move.name;
+
+    btn.append(emoji, text);
+    btn.addEventListener("click", () => chooseMove(btn));
+    choiceButtons.appendChild(btn);
+  });
+}
+
+/**
+ * Lock in the move for a clicked choice button
+ */
+function chooseMove(btn) {
+  if (gameState.myChoice) return; // Already chose
+
+  const choice = btn.dataset.choice;
+  gameState.myChoice = choice;
+
+  // Update UI
+  btn.classList.add("selected");
+  document.querySelectorAll(".choice-btn").forEach((b) => (b.disabled = true));
+  yourChoiceDisplay.textContent = choiceIcons[choice];
+
+  // Show waiting indicator
+  choiceButtons.classList.add("hidden");
+  waitingIndicator.classList.remove("hidden");
+  statusMessage.textContent = "Choice locked in!";
+
+  // Fair play: send only a commitment now and the move once both are in
+  if (gameState.fairPlay) {
+    commitToMove(choice).then((pendingReveal) => {
+      gameState.pendingReveal = pendingReveal;
+      socket.emit("commit_choice", { commitment: pendingReveal.commitment });
+    });
+    return;
+  }
+
+  // Send choice to server
+  socket.emit("player_choice", { choice });
+}
+
+// Rematch button
+rematchBtn.addEventListener("click", () => {
+  socket.emit("request_rematch");
+  rematchBtn.disabled = true;
+  rematchStatus.classList.remove("hidden");
+});
+
+// New match button (back to the bracket after a tournament match, or to
+// the party or lobby after a team match or free-for-all)
+newMatchBtn.addEventListener("click", () => {
+  const tournament = gameState.tournament;
+  if (!gameState.team && !gameState.ffa) socket.emit("leave_room");
+  resetToQueue();
+
+  if (tournament) {
+    socket.emit("watch_tournament", { tournamentId: tournament.id });
+  }
+});
+
+// Dismiss an admin announcement
+announcementCloseBtn.addEventListener("click", () => {
+  announcement.classList.add("hidden");
+});
+
+// Back to queue button (from disconnect modal)
+backToQueueBtn.addEventListener("click", () => {
+  disconnectModal.classList.add("hidden");
+  resetToQueue();
+});
+
+/**
+ * Reset to queue screen
+ */
+function resetToQueue() {
+  stopReconnectCountdown();
+  stopRoundTimer();
+
+  gameState = {
+    playerRole: null,
+    spectating: false,
+    fairPlay: false,
+    pendingReveal: null,
+    commitments: null,
+    tournament: null,
+    team: null,
+    ffa: null,
+    playerNickname: "",
+    opponentNickname: "",
+    roomId: null,
+    format: null,
+    myChoice: null,
+    queueTimer: null,
+    queueSeconds: 0,
+    readyCheckTimer: null,
+    reconnectTimer: null,
+    timerFrame: null,
+  };
+
+  if (currentParty) {
+    renderParty(currentParty);
+  } else if (currentLobby) {
+    renderLobby(currentLobby);
+  } else {
+    setLobbyView("idle");
+  }
+  setTeamView(false);
+  setFreeForAllView(false);
+  finalScore.classList.remove("hidden");
+  ffaStandings.classList.add("hidden");
+  socket.emit("get_stats");
+  hideChat();
+  spectatorBar.classList.add("hidden");
+  spectatorCount.classList.add("hidden");
+  rematchBtn.disabled = false;
+  rematchStatus.classList.add("hidden");
+
+  showScreen("queue");
+}
+
+// ==================== SOCKET EVENT HANDLERS ====================
+
+/**
+ * Handle player identity (sent on every connection)
+ */
+socket.on("player_identity", (data) => {
+  localStorage.setItem(STORAGE_KEYS.playerToken, data.playerToken);
+  myPlayerId = data.playerId;
+  socket.emit("get_stats");
+
+  // Prefill the nickname the server remembers for us
+  if (!nicknameInput.value) {
+    nicknameInput.value =
+      data.nickname || localStorage.getItem(STORAGE_KEYS.nickname) || "";
+  }
+
+  // Arrived through an invite link: join straight away if we have a name
+  if (pendingInviteCode && !data.inMatch) {
+    roomCodeInput.value = pendingInviteCode;
+    pendingInviteCode = null;
+    if (nicknameInput.value) {
+      joinCodeBtn.click();
+    } else {
+      nicknameInput.focus();
+    }
+  }
+
+  // Party invite links work the same way
+  if (pendingPartyCode && !data.inMatch) {
+    partyCodeInput.value = pendingPartyCode;
+    pendingPartyCode = null;
+    if (nicknameInput.value) {
+      joinPartyBtn.click();
+    } else {
+      nicknameInput.focus();
+    }
+  }
+
+  if (pendingLobbyCode && !data.inMatch) {
+    lobbyCodeInput.value = pendingLobbyCode;
+    pendingLobbyCode = null;
+    if (nicknameInput.value) {
+      joinLobbyBtn.click();
+    } else {
+      nicknameInput.focus();
+    }
+  }
+
+  // Parties, lobbies and free-for-all games end when the connection
+  // drops. A team match holds our seat for a while, so we carry on
+  // playing it (match_resumed puts us back) if it still does.
+  if (currentParty || currentLobby || gameState.team || gameState.ffa) {
+    const lostMatch = Boolean(
+      (gameState.team && !data.inMatch) || gameState.ffa
+    );
+    const hadParty = Boolean(currentParty);
+    const hadLobby = Boolean(currentLobby);
+    currentParty = null;
+    currentLobby = null;
+    if (lostMatch) {
+      showDisconnectModal(
+        "Match Ended",
+        "You left the match when your connection dropped."
+      );
+      return;
+    }
+    setLobbyView("idle");
+    if (hadParty) {
+      setPartyError("You left the party when your connection dropped.");
+    } else if (hadLobby) {
+      setLobbyError("You left the lobby when your connection dropped.");
+    }
+  }
+
+  // We were watching, but the server forgot us when the connection dropped
+  if (gameState.spectating) {
+    showDisconnectModal(
+      "Connection Lost",
+      "You stopped watching when your connection dropped."
+    );
+    return;
+  }
+
+  // We were in a match but the server no longer holds our seat
+  if (gameState.roomId && !data.inMatch) {
+    showDisconnectModal(
+      "Match Ended",
+      "You were disconnected for too long and the match was forfeited."
+    );
+  }
+});
+
+/**
+ * Handle our stats (shown on the queue screen once we've played)
+ */
+socket.on("player_stats", (stats) => {
+  playerStats.classList.toggle("hidden", stats.matches === 0);
+
+  statRating.textContent = formatRating(
+    stats.rating.rating,
+    stats.rating.provisional
+  );
+  statRecord.textContent = `${stats.wins}-${stats.losses}`;
+  statWinRate.textContent = `${Math.round(stats.winRate * 100)}%`;
+  statStreak.textContent = stats.longestStreak;
+  statFavourite.textContent = stats.favouriteMove
+    ? stats.favouriteMove.charAt(0).toUpperCase() + stats.favouriteMove.slice(1)
+    : "-";
+});
+
+/**
+ * Handle the list of games the server offers
+ */
+socket.on("lobby_options", (data) => {
+  const selected = ruleSetSelect.value;
+  ruleSetSelect.innerHTML = "";
+
+  data.ruleSets.forEach((ruleSet) => {
+    const option = document.createElement("option");
+    option.value = ruleSet.id;
+    option.textContent = ruleSet.name;
+    ruleSetSelect.appendChild(option);
+  });
+
+  if (data.ruleSets.some((ruleSet) => ruleSet.id === selected)) {
+    ruleSetSelect.value = selected;
+  }
+
+  botStrategySelect.innerHTML = "";
+  data.botStrategies.forEach((strategy) => {
+    const option = document.createElement("option");
+    option.value = strategy.id;
+    option.textContent = strategy.label;
+    botStrategySelect.appendChild(option);
+  });
+  botStrategySelect.value = data.defaultBotStrategy;
+
+  chatEmotes.replaceChildren(
+    ...data.emotes.map((emote) => {
+      const btn = document.createElement("button");
+      btn.textContent = emote.text;
+      btn.addEventListener("click", () => {
+        setChatError(null);
+        socket.emit("send_chat", { emoteId: emote.id });
+      });
+      return btn;
+    })
+  );
+});
+
+/**
+ * Handle nickname rejected by the server
+ */
+socket.on("nickname_rejected", (data) => {
+  stopQueueTimer();
+  setLobbyView("idle");
+  setTournamentError(data.reason);
+  setNicknameError(data.reason);
+  nicknameInput.focus();
+});
+
+/**
+ * Handle news about our place in the queue (ignored once we've stopped
+ * searching)
+ */
+socket.on("queue_update", (data) => {
+  if (!gameState.queueTimer) return;
+  showQueueUpdate(data);
+});
+
+/**
+ * Handle being paired from the queue: the match starts once both accept
+ */
+socket.on("ready_check", (data) => {
+  showReadyCheck(data);
+});
+
+/**
+ * Handle our opponent accepting before we have
+ */
+socket.on("ready_check_update", () => {
+  if (acceptMatchBtn.disabled) return;
+  readyCheckMessage.textContent = "Your opponent is ready. Accept to start!";
+});
+
+/**
+ * Handle a match that wasn't accepted by both players. If we accepted we're
+ * back at the front of the queue; if not we have to wait to queue again.
+ */
+socket.on("ready_check_failed", (data) => {
+  hideReadyCheck();
+
+  if (data.requeued) {
+    queuePosition.textContent =
+      "Your opponent didn't accept. You're back at the front of the line.";
+    return;
+  }
+
+  stopQueueTimer();
+  setLobbyView("idle");
+  const message =
+    data.reason === "declined"
+      ? "You declined the match."
+      : "You didn't accept the match in time.";
+  const wait = Math.ceil(data.cooldownMs / 1000);
+  setPrivateRoomError(
+    wait > 0 ? `${message} You can queue again in ${wait}s.` : message
+  );
+});
+
+/**
+ * Handle private room created (we're the host, waiting for a guest)
+ */
+socket.on("private_room_created", (data) => {
+  privateRoomCode.textContent = data.code;
+  privateRoomLink.value = `${window.location.origin}${data.link}`;
+  setLobbyView("hosting");
+});
+
+/**
+ * Handle a private room code that couldn't be used
+ */
+socket.on("private_room_error", (data) => {
+  setLobbyView("idle");
+  setPrivateRoomError(data.reason);
+});
+
+/**
+ * Handle our unused private room expiring
+ */
+socket.on("private_room_expired", () => {
+  setLobbyView("idle");
+  setPrivateRoomError("Your private room expired. Create a new one.");
+});
+
+/**
+ * Handle match found event
+ */
+socket.on("match_found", (data) => {
+  stopQueueTimer();
+  hideReadyCheck();
+
+  // Store game state
+  gameState.roomId = data.roomId;
+  gameState.playerRole = data.playerRole;
+  gameState.playerNickname = data.playerNickname;
+  gameState.opponentNickname = data.opponentNickname;
+  gameState.format = data.format;
+  gameState.fairPlay = data.fairPlay;
+  gameState.tournament = data.tournament;
+  applyRuleSet(data.ruleSet);
+
+  // A tournament match can pull us away from watching another match
+  gameState.spectating = false;
+  spectatorBar.classList.add("hidden");
+
+  // Update match found screen
+  yourNicknameDisplay.textContent = data.playerNickname;
+  opponentNicknameDisplay.textContent = data.opponentNickname;
+  opponentAvatar.textContent = data.opponentIsBot ? "🤖" : "👤";
+  matchFoundTournament.textContent = data.tournament
+    ? `🏟 ${data.tournament.name} · ${data.tournament.matchLabel}`
+    : "";
+  matchFoundTournament.classList.toggle("hidden", !data.tournament);
+  showChat([], false);
+
+  // Update game screen names
+  gameYourName.textContent = data.playerNickname;
+  gameOpponentName.textContent = data.opponentNickname;
+  yourChoiceLabel.textContent = "You";
+  opponentChoiceLabel.textContent = "Opponent";
+  formatLabelDisplay.textContent = data.tournament
+    ? `${data.tournament.matchLabel} · ${data.format.label}`
+    : data.format.label;
+
+  // Team match: each of us plays the member across from us, and the side
+  // that wins more of those duels takes the round
+  applyTeam(data);
+  if (data.team) {
+    opponentAvatar.textContent = "👥";
+    matchFoundTournament.textContent = `👥 ${data.team.mode} team match`;
+    matchFoundTournament.classList.remove("hidden");
+  }
+
+  // Show match found screen
+  showScreen("matchFound");
+});
+
+/**
+ * Handle start round event
+ */
+socket.on("start_round", (data) => {
+  // Update scores
+  updateScores(data.scores);
+
+  // Update round number
+  gameState.format = data.format;
+  updateRoundIndicator(data.round, data.suddenDeath);
+
+  // Reset UI and show game screen
+  gameState.pendingReveal = null;
+  gameState.commitments = null;
+  resetGameUI();
+  teamReveal.innerHTML = "";
+  showScreen("game");
+  startRoundTimer(data.deadline, data.roundTimeMs, data.serverTime);
+});
+
+/**
+ * Handle opponent locked in event (spectators hear about both players)
+ */
+socket.on("opponent_locked", (data) => {
+  // Team matches count everyone in, teammates too
+  if (gameState.team) {
+    outcomeText.textContent = `${data.locked}/${data.total} locked in`;
+    return;
+  }
+
+  if (gameState.spectating) {
+    const display =
+      data.playerRole === "player1" ? yourChoiceDisplay : opponentChoiceDisplay;
+    display.textContent = "✅";
+    statusMessage.textContent = `${data.nickname} locked in`;
+    return;
+  }
+
+  // Visual feedback that opponent has chosen
+  opponentChoiceDisplay.textContent = "✅";
+});
+
+/**
+ * Handle both fair-play commitments being in: time to reveal our move
+ */
+socket.on("reveal_requested", (data) => {
+  if (gameState.spectating || !gameState.pendingReveal) return;
+
+  gameState.commitments = data.commitments;
+  statusMessage.textContent = "Revealing moves...";
+  startRoundTimer(data.deadline, data.revealTimeMs, data.serverTime);
+  revealMove();
+});
+
+/**
+ * Handle round result event
+ */
+socket.on("round_result", (data) => {
+  stopRoundTimer();
+
+  if (data.pairings) {
+    showTeamRoundResult(data);
+    return;
+  }
+
+  // Determine choices to display based on player role
+  const myChoice =
+    gameState.playerRole === "player1"
+      ? data.player1Choice
+      : data.player2Choice;
+  const theirChoice =
+    gameState.playerRole === "player1"
+      ? data.player2Choice
+      : data.player1Choice;
+
+  // Reveal choices with animation (⌛ for a player who ran out of time)
+  revealChoices(
+    { display: yourChoiceDisplay, icon: choiceIcons[myChoice] || "⌛" },
+    { display: opponentChoiceDisplay, icon: choiceIcons[theirChoice] || "⌛" }
+  );
+
+  // Determine result message
+  let resultText = "";
+  let resultClass = "";
+
+  if (data.roundWinner === "draw") {
+    resultText = "It's a Draw!";
+    resultClass = "status-draw";
+  } else if (gameState.spectating) {
+    resultText = `${seatNickname(data.roundWinner)} wins the round!`;
+    resultClass = "status-win";
+  } else {
+    const iWon =
+      (gameState.playerRole === "player1" && data.roundWinner === "player1") ||
+      (gameState.playerRole === "player2" && data.roundWinner === "player2");
+
+    if (iWon) {
+      resultText = "You Win This Round! 🎉";
+      resultClass = "status-win";
+    } else {
+      resultText = "You Lose This Round 😔";
+      resultClass = "status-lose";
+    }
+  }
+
+  // Update status
+  setTimeout(() => {
+    statusMessage.textContent = resultText;
+    statusMessage.className = resultClass;
+    outcomeText.textContent = data.outcomeText || "";
+    waitingIndicator.classList.add("hidden");
+  }, 600);
+
+  // Fair play: check the opponent kept to their commitment
+  if (data.fairness && !gameState.spectating) {
+    checkOpponentReveal(data);
+  }
+
+  // Update scores
+  updateScores(data.scores);
+});
+
+/**
+ * Format a rating for display ("1500?" while it's still provisional)
+ */
+function formatRating(rating, provisional) {
+  return provisional ? `${rating}?` : String(rating);
+}
+
+/**
+ * Show how the match moved our rating (hidden for unrated matches)
+ */
+function showRatingChange(ratingChanges) {
+  const side = ratingChanges && ratingChanges[gameState.playerRole];
+  // A team match has a change for each member, in team order
+  const change = side && gameState.team ? side[gameState.team.position] : side;
+  ratingChange.classList.toggle("hidden", !change);
+  if (!change) return;
+
+  const sign = change.delta >= 0 ? "+" : "";
+  const rating = formatRating(change.after, change.provisional);
+  ratingChange.textContent = `Rating ${rating} (${sign}${change.delta})`;
+  ratingChange.className = `rating-change ${change.delta >= 0 ? "up" : "down"}`;
+}
+
+/**
+ * Link to the replay of a finished match
+ */
+function showReplayLink(matchId) {
+  replayLink.classList.toggle("hidden", !matchId);
+  if (matchId) {
+    replayLink.href = `/replay/${encodeURIComponent(matchId)}`;
+  }
+}
+
+/**
+ * Show the result screen for a finished match
+ */
+function showMatchResult(data) {
+  stopReconnectCountdown();
+  stopRoundTimer();
+
+  // Determine if we won
+  const iWon =
+    (gameState.playerRole === "player1" && data.winner === "player1") ||
+    (gameState.playerRole === "player2" && data.winner === "player2");
+
+  // Update result screen
+  if (data.reason === "ended_by_admin") {
+    resultIcon.textContent = "⛔";
+    resultTitle.textContent = "Match Ended";
+    resultTitle.className = "result-title";
+    resultSubtitle.textContent = "A moderator ended this match.";
+  } else if (data.reason === "abandoned") {
+    resultIcon.textContent = "⌛";
+    resultTitle.textContent = "Match Abandoned";
+    resultTitle.className = "result-title";
+    resultSubtitle.textContent =
+      "Neither player made a move for too many rounds in a row.";
+  } else if (iWon && data.reason === "disconnect") {
+    resultIcon.textContent = "🏳️";
+    resultTitle.textContent = "Victory!";
+    resultTitle.className = "result-title win";
+    resultSubtitle.textContent =
+      "Your opponent didn't reconnect in time and forfeited the match.";
+  } else if (iWon && data.reason === "forfeit") {
+    resultIcon.textContent = "⌛";
+    resultTitle.textContent = "Victory!";
+    resultTitle.className = "result-title win";
+    resultSubtitle.textContent =
+      "Your opponent stopped making moves and forfeited the match.";
+  } else if (iWon) {
+    resultIcon.textContent = "🏆";
+    resultTitle.textContent = "Victory!";
+    resultTitle.className = "result-title win";
+    resultSubtitle.textContent = "Congratulations, you won the match!";
+  } else {
+    resultIcon.textContent = "😢";
+    resultTitle.textContent = "Defeat";
+    resultTitle.className = "result-title lose";
+    resultSubtitle.textContent =
+      data.reason === "forfeit"
+        ? "You ran out of time too many rounds in a row."
+        : "Better luck next time!";
+  }
+
+  showRatingChange(data.ratingChanges);
+
+  // Every finished match can be watched again (and shared) as a replay
+  showReplayLink(data.matchId);
+
+  // Update final scores
+  finalYourName.textContent = gameState.playerNickname;
+  finalOpponentName.textContent = gameState.opponentNickname;
+
+  if (gameState.playerRole === "player1") {
+    finalYourScore.textContent = data.finalScores.player1;
+    finalOpponentScore.textContent = data.finalScores.player2;
+  } else {
+    finalYourScore.textContent = data.finalScores.player2;
+    finalOpponentScore.textContent = data.finalScores.player1;
+  }
+
+  // Reset rematch state (no rematch once the opponent has gone, and none
+  // in tournaments, where the bracket decides who plays next)
+  rematchBtn.disabled = false;
+  rematchBtn.classList.toggle(
+    "hidden",
+    data.reason === "disconnect" ||
+      data.reason === "ended_by_admin" ||
+      Boolean(gameState.tournament)
+  );
+  rematchStatus.classList.add("hidden");
+  newMatchBtn.textContent = gameState.tournament
+    ? "🏟 Back to Tournament"
+    : "🔍 Find New Match";
+
+  // Show result screen
+  showScreen("result");
+}
+
+/**
+ * Handle match result event
+ */
+socket.on("match_result", (data) => {
+  if (gameState.spectating) {
+    showSpectatorMatchResult(data);
+  } else if (gameState.team) {
+    showTeamMatchResult(data);
+  } else {
+    showMatchResult(data);
+  }
+});
+
+/**
+ * Handle opponent wants rematch event
+ */
+socket.on("opponent_wants_rematch", () => {
+  rematchBtn.textContent = "🔄 Accept Rematch";
+});
+
+/**
+ * Handle rematch accepted event
+ */
+socket.on("rematch_accepted", () => {
+  rematchBtn.textContent = "🔄 Play Again";
+  rematchBtn.disabled = false;
+  rematchStatus.classList.add("hidden");
+
+  // Reset scores display
+  yourScoreDisplay.textContent = "0";
+  opponentScoreDisplay.textContent = "0";
+});
+
+/**
+ * Handle our party changing (null once we've left it)
+ */
+socket.on("party_update", (party) => {
+  renderParty(party);
+});
+
+/**
+ * Handle a party request that couldn't be done
+ */
+socket.on("party_error", (data) => {
+  setPartyError(data.reason);
+});
+
+/**
+ * Handle our free-for-all lobby changing (null once we've left it)
+ */
+socket.on("lobby_update", (lobby) => {
+  renderLobby(lobby);
+});
+
+/**
+ * Handle a lobby request that couldn't be done
+ */
+socket.on("lobby_error", (data) => {
+  setLobbyError(data.reason);
+});
+
+/**
+ * Handle our lobby's free-for-all starting
+ */
+socket.on("ffa_started", (data) => {
+  gameState.roomId = data.roomId;
+  gameState.ffa = { players: data.players, out: new Set() };
+  gameState.format = null;
+  gameState.fairPlay = false;
+  gameState.tournament = null;
+  applyRuleSet(data.ruleSet);
+
+  const others = data.players.length - 1;
+  const me = data.players.find((player) => player.playerId === myPlayerId);
+  gameState.playerNickname = me ? me.nickname : "You";
+
+  yourNicknameDisplay.textContent = gameState.playerNickname;
+  opponentNicknameDisplay.textContent = `${others} others`;
+  opponentAvatar.textContent = "🎲";
+  matchFoundTournament.textContent = `🎲 Free-for-all · ${data.ruleSet.name}`;
+  matchFoundTournament.classList.remove("hidden");
+
+  // The scoreboard counts who's still in and who's out
+  gameYourName.textContent = "Still in";
+  gameOpponentName.textContent = "Out";
+  formatLabelDisplay.textContent = "Free-for-all";
+  setFreeForAllView(true);
+  showFreeForAllCounts();
+  renderFreeForAll();
+
+  showScreen("matchFound");
+});
+
+/**
+ * Handle a free-for-all round starting
+ */
+socket.on("ffa_start_round", (data) => {
+  updateRoundIndicator(data.round, false);
+
+  resetGameUI();
+  renderFreeForAll();
+  if (isKnockedOut()) {
+    choiceButtons.classList.add("hidden");
+    statusMessage.textContent = "You're out — watching the rest";
+  }
+  showScreen("game");
+  startRoundTimer(data.deadline, data.roundTimeMs, data.serverTime);
+});
+
+/**
+ * Handle a free-for-all player locking in their move
+ */
+socket.on("ffa_locked", (data) => {
+  const card = ffaPlayers.querySelector(
+    `[data-player-id="${CSS.escape(data.playerId)}"] .choice-icon`
+  );
+  if (card) card.textContent = "✅";
+  outcomeText.textContent = `${data.locked}/${data.total} locked in`;
+});
+
+/**
+ * Handle a free-for-all round's result: every move, and who's out
+ */
+socket.on("ffa_round_result", (data) => {
+  stopRoundTimer();
+
+  const wasOut = isKnockedOut();
+  const choices = {};
+  data.reveals.forEach((reveal) => {
+    choices[reveal.playerId] = reveal.choice;
+    if (reveal.eliminated) gameState.ffa.out.add(reveal.playerId);
+  });
+  renderFreeForAll(choices);
+
+  let resultText = `${data.remaining} player${
+    data.remaining === 1 ? "" : "s"
+  } left`;
+  let resultClass = "";
+  if (!wasOut && isKnockedOut()) {
+    resultText = "You're Knocked Out 💀";
+    resultClass = "status-lose";
+  } else if (!wasOut && data.winningMoves.length === 0) {
+    resultText = "It's a Draw!";
+    resultClass = "status-draw";
+  } else if (!wasOut) {
+    resultText = "You Survive This Round! 🎉";
+    resultClass = "status-win";
+  }
+
+  setTimeout(() => {
+    statusMessage.textContent = resultText;
+    statusMessage.className = resultClass;
+    outcomeText.textContent = data.outcomeText || "";
+    waitingIndicator.classList.add("hidden");
+    showFreeForAllCounts();
+  }, 600);
+});
+
+/**
+ * Handle a player leaving the free-for-all mid-game
+ */
+socket.on("ffa_player_left", (data) => {
+  gameState.ffa.out.add(data.playerId);
+  showFreeForAllCounts();
+  outcomeText.textContent = `${data.nickname} left the game`;
+  const card = ffaPlayers.querySelector(
+    `[data-player-id="${CSS.escape(data.playerId)}"]`
+  );
+  if (card) card.classList.add("out");
+});
+
+/**
+ * Handle a free-for-all ending
+ */
+socket.on("ffa_result", (data) => {
+  showFreeForAllResult(data);
+});
+
+/**
+ * Handle the list of matches we can watch
+ */
+socket.on("live_rooms", (data) => renderLiveRooms(data.rooms));
+
+/**
+ * Handle starting to watch a match (from player1's side of the board)
+ */
+socket.on("spectate_started", (data) => {
+  gameState.spectating = true;
+  gameState.roomId = data.roomId;
+  gameState.playerRole = "player1";
+  gameState.playerNickname = data.player1Nickname;
+  gameState.opponentNickname = data.player2Nickname;
+  gameState.format = data.format;
+  applyRuleSet(data.ruleSet);
+
+  gameYourName.textContent = data.player1Nickname;
+  gameOpponentName.textContent = data.player2Nickname;
+  yourChoiceLabel.textContent = data.player1Nickname;
+  opponentChoiceLabel.textContent = data.player2Nickname;
+  formatLabelDisplay.textContent = data.format.label;
+  spectatorBar.classList.remove("hidden");
+
+  updateScores(data.scores);
+  updateRoundIndicator(data.round, data.suddenDeath);
+  resetGameUI();
+
+  // Catch up on who has already locked in this round
+  if (data.locked.player1) yourChoiceDisplay.textContent = "✅";
+  if (data.locked.player2) opponentChoiceDisplay.textContent = "✅";
+
+  if (data.deadline) {
+    startRoundTimer(data.deadline, data.roundTimeMs, data.serverTime);
+  } else {
+    statusMessage.textContent = "Next round starting soon...";
+  }
+
+  showScreen("game");
+});
+
+/**
+ * Handle a match we can't watch
+ */
+socket.on("spectate_error", (data) => {
+  setWatchMessage(data.reason);
+  setTournamentError(data.reason);
+});
+
+/**
+ * Handle the match we were watching closing
+ */
+socket.on("spectate_ended", () => {
+  showDisconnectModal("Match Over", "The players have left the room.");
+});
+
+/**
+ * Handle the number of spectators changing
+ */
+socket.on("spectators_changed", (data) => {
+  spectatorCount.textContent = `👁 ${data.count} watching`;
+  spectatorCount.classList.toggle("hidden", data.count === 0);
+});
+
+/**
+ * Handle a chat message in our room
+ */
+socket.on("chat_message", appendChatMessage);
+
+/**
+ * Handle a chat message the server wouldn't send
+ */
+socket.on("chat_error", (data) => {
+  setChatError(data.reason);
+});
+
+/**
+ * Handle muting or unmuting the opponent
+ */
+socket.on("chat_muted", (data) => {
+  setChatMuted(data.muted);
+});
+
+/**
+ * Handle the list of tournaments
+ */
+socket.on("tournaments", (data) => renderTournamentList(data.tournaments));
+
+/**
+ * Handle opening a tournament (after creating, joining or picking one)
+ */
+socket.on("tournament_view", (tournament) => {
+  setTournamentError(null);
+  renderTournament(tournament);
+  showScreen("tournament");
+});
+
+/**
+ * Handle a live bracket change in a tournament we're following
+ */
+socket.on("tournament_update", (tournament) => {
+  if (!currentTournament || currentTournament.id !== tournament.id) return;
+  renderTournament(tournament);
+});
+
+/**
+ * Handle a tournament request that couldn't be carried out
+ */
+socket.on("tournament_error", (data) => {
+  setTournamentError(data.reason);
+});
+
+/**
+ * Handle opponent disconnected event
+ */
+socket.on("opponent_disconnected", () => {
+  stopQueueTimer();
+  showDisconnectModal(
+    "Opponent Disconnected",
+    "Your opponent has left the game."
+  );
+});
+
+/**
+ * Handle opponent dropping out (their seat is held for a grace period)
+ */
+socket.on("opponent_reconnecting", (data) => {
+  // A team match plays on without them, so it just says who's away
+  if (gameState.team) {
+    gameState.team.away.push(data.nickname);
+    renderTeamRoster();
+    return;
+  }
+  startReconnectCountdown(data.graceSeconds);
+});
+
+/**
+ * Handle opponent coming back within the grace period
+ */
+socket.on("opponent_reconnected", (data) => {
+  if (gameState.team) {
+    const index = gameState.team.away.indexOf(data.nickname);
+    if (index !== -1) gameState.team.away.splice(index, 1);
+    renderTeamRoster();
+    return;
+  }
+  stopReconnectCountdown();
+});
+
+/**
+ * Handle being put back into a match after reconnecting
+ */
+socket.on("match_resumed", (data) => {
+  stopQueueTimer();
+
+  gameState.roomId = data.roomId;
+  gameState.playerRole = data.playerRole;
+  gameState.playerNickname = data.playerNickname;
+  gameState.opponentNickname = data.opponentNickname;
+  gameState.format = data.format;
+  gameState.fairPlay = data.fairPlay;
+  gameState.tournament = data.tournament;
+  applyRuleSet(data.ruleSet);
+
+  gameYourName.textContent = data.playerNickname;
+  gameOpponentName.textContent = data.opponentNickname;
+  formatLabelDisplay.textContent = data.tournament
+    ? `${data.tournament.matchLabel} · ${data.format.label}`
+    : data.format.label;
+  updateScores(data.scores);
+  showChat(data.chat, data.mutedOpponent);
+  applyTeam(data);
+
+  if (data.gameOver && data.team) {
+    showTeamMatchResult({
+      winner: data.matchWinner,
+      reason: data.endReason,
+      finalScores: data.scores,
+      ratingChanges: data.ratingChanges,
+    });
+  } else if (data.gameOver) {
+    showMatchResult({
+      winner: data.matchWinner,
+      reason: data.endReason,
+      finalScores: data.scores,
+      ratingChanges: data.ratingChanges,
+    });
+  } else {
+    updateRoundIndicator(data.round, data.suddenDeath);
+    resetGameUI();
+
+    // Restore a choice we already locked in this round (fair play only
+    // sent a commitment, so the move comes from memory if we still have it)
+    startRoundTimer(data.deadline, data.roundTimeMs, data.serverTime);
+
+    const pending = gameState.pendingReveal;
+    const myChoice = data.fairPlay
+      ? pending && pending.commitment === data.myCommitment && pending.choice
+      : data.myChoice;
+
+    if (myChoice) {
+      gameState.myChoice = myChoice;
+      yourChoiceDisplay.textContent = choiceIcons[myChoice];
+      document.querySelectorAll(".choice-btn").forEach((btn) => {
+        btn.disabled = true;
+        btn.classList.toggle("selected", btn.dataset.choice === myChoice);
+      });
+      choiceButtons.classList.add("hidden");
+      waitingIndicator.classList.remove("hidden");
+      statusMessage.textContent = "Choice locked in!";
+    }
+
+    if (data.opponentLocked) {
+      opponentChoiceDisplay.textContent = "✅";
+    }
+
+    // We dropped out mid-reveal: reveal again
+    if (data.fairPlay && data.phase === "reveal" && myChoice) {
+      gameState.commitments = data.commitments;
+      startRoundTimer(data.revealDeadline, data.revealTimeMs, data.serverTime);
+      revealMove();
+    }
+
+    showScreen("game");
+  }
+
+  if (!data.opponentConnected) {
+    startReconnectCountdown(data.opponentGraceSeconds);
+  }
+});
+
+/**
+ * Handle the server refusing one of our requests
+ */
+socket.on("error", (data) => {
+  console.warn(`Server refused ${data.event || "a request"}: ${data.message}`);
+
+  if (data.code === "too_many_violations" || data.code === "kicked") {
+    showDisconnectModal("Disconnected", data.message);
+    return;
+  }
+
+  // Already busy means the earlier request went through, so nothing to undo
+  if (data.code === "busy") return;
+
+  if (LOBBY_EVENTS.includes(data.event)) {
+    stopQueueTimer();
+    setLobbyView("idle");
+    setPrivateRoomError(data.message);
+  } else if (data.event === "send_chat") {
+    setChatError(data.message);
+  } else if (data.event && data.event.includes("tournament")) {
+    setTournamentError(data.message);
+  } else if (data.event && data.event.includes("party")) {
+    setPartyError(data.message);
+  } else if (data.event && data.event.includes("lobby")) {
+    setLobbyError(data.message);
+  }
+});
+
+/**
+ * Handle this session being taken over by another tab
+ */
+socket.on("session_replaced", () => {
+  showDisconnectModal(
+    "Playing Elsewhere",
+    "Your match was picked up in another tab or device."
+  );
+});
+
+/**
+ * Handle the server restarting for a deploy (matches resume once we
+ * reconnect, but queues and private rooms don't survive it)
+ */
+socket.on("server_restarting", (data) => {
+  if (gameState.roomId && screens.game.classList.contains("active")) {
+    statusMessage.textContent = data.message;
+    statusMessage.className = "";
+    return;
+  }
+
+  if (!gameState.spectating) {
+    stopQueueTimer();
+    setLobbyView("idle");
+    setPrivateRoomError(data.message);
+  }
+});
+
+/**
+ * Handle a message from the server's admins (like planned maintenance)
+ */
+socket.on("announcement", (data) => {
+  showAnnouncement(data.message);
+});
+
+/**
+ * Handle reconnection
+ */
+socket.on("connect", () => {
+  console.log("Connected to server");
+});
+
+// Socket.IO keeps retrying after network errors, but not once the server
+// has turned us away (banned, or too many connections)
+socket.on("connect_error", (err) => {
+  if (!socket.active) {
+    showDisconnectModal("Can't Connect", err.message);
+  }
+});
+
+socket.on("disconnect", () => {
   console.log("Disconnected from server");
+
+  // Our seat is held while Socket.IO reconnects
+  if (gameState.roomId && screens.game.classList.contains("active")) {
+    statusMessage.textContent = "Connection lost — reconnecting...";
+    statusMessage.className = "";
+  }
 });
 
 // ==================== INITIALIZATION ====================
+
+// Fair play needs Web Crypto, which browsers only offer over HTTPS/localhost
+if (!window.crypto || !window.crypto.subtle) {
+  fairPlayInput.disabled = true;
+  fairPlayInput.parentElement.title = "Needs a secure (HTTPS) connection";
+}
+
+// Invite links look like /?room=CODE (or /?party=CODE, /?lobby=CODE); join
+// once we know who we are
+const inviteParams = new URLSearchParams(window.location.search);
+const inviteCode = inviteParams.get("room");
+if (inviteCode) {
+  pendingInviteCode = inviteCode.trim().toUpperCase();
+  roomCodeInput.value = pendingInviteCode;
+  window.history.replaceState(null, "", window.location.pathname);
+}
+const partyInviteCode = inviteParams.get("party");
+if (partyInviteCode) {
+  pendingPartyCode = partyInviteCode.trim().toUpperCase();
+  partyCodeInput.value = pendingPartyCode;
+  window.history.replaceState(null, "", window.location.pathname);
+}
+const lobbyInviteCode = inviteParams.get("lobby");
+if (lobbyInviteCode) {
+  pendingLobbyCode = lobbyInviteCode.trim().toUpperCase();
+  lobbyCodeInput.value = pendingLobbyCode;
+  window.history.replaceState(null, "", window.location.pathname);
+}
 console.log("🎮 Rock Paper Scissors client initialized");
@@ -0,0 +1,351 @@
+/**
+ * Local Redis stand-in
+ *
+ * A tiny in-memory server that speaks just enough of the Redis protocol for
+ * the game (the state store's hash, string and lock commands, and the
+ * publish/subscribe commands the Socket.IO adapter uses). It lets several
+ * game servers share state on one machine without installing Redis:
+ *
+ *   npm run dev:redis
+ *   STATE_DRIVER=redis REDIS_URL=redis://localhost:6379 PORT=3000 npm start
+ *   STATE_DRIVER=redis REDIS_URL=redis://localhost:6379 PORT=3001 npm start
+ *
+ * Nothing is persisted, and it is not meant for production: use real Redis
+ * there.
+ */
+
+const net = require("net");
+
+const PORT = Number(process.env.DEV_REDIS_PORT) || 6379;
+
+const strings = new Map(); // key -> { value, expiresAt }
+const hashes = new Map(); // key -> Map(field -> value)
+const channels = new Map(); // channel -> Set of connections
+const patterns = new Map(); // pattern -> Set of connections
+
+// ==================== RESP encoding ====================
+
+function simple(text) {
+  return Buffer.from(`+${text}\r\n`);
+}
+
+function error(text) {
+  return Buffer.from(`-ERR ${text}\r\n`);
+}
+
+function integer(value) {
+  return Buffer.from(`:${value}\r\n`);
+}
+
+function bulk(value) {
+  if (value === null || value === undefined) return Buffer.from("$-1\r\n");
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([
+    Buffer.from(`$${data.length}\r\n`),
+    data,
+    Buffer.from("\r\n"),
+  ]);
+}
+
+function array(items) {
+  return Buffer.concat([
+    Buffer.from(`*${items.length}\r\n`),
+    ...items.map((item) =>
+      typeof item === "number" ? integer(item) : bulk(item)
+    ),
+  ]);
+}
+
+// ==================== RESP parsing ====================
+
+/**
+ * Read one command (an array of bulk strings) from the start of a buffer
+ * @returns { args, length } or null if the buffer holds no full command yet
+ */
+function parseCommand(buffer) {
+  if (buffer[0] !== 0x2a) {
+    throw new Error("Only RESP arrays are supported");
+  }
+
+  let offset = 0;
+  const readLine = () => {
+    const end = buffer.indexOf("\r\n", offset);
+    if (end === -1) return null;
+    const line = buffer.toString("utf8", offset, end);
+    offset = end + 2;
+    return line;
+  };
+
+  const header = readLine();
+  if (header === null) return null;
+  const count = Number(header.slice(1));
+
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    const sizeLine = readLine();
+    if (sizeLine === null) return null;
+    const size = Number(sizeLine.slice(1));
+    if (buffer.length < offset + size + 2) return null;
+    args.push(buffer.subarray(offset, offset + size));
+    offset += size + 2;
+  }
+
+  return { args, length: offset };
+}
+
+// ==================== Data ====================
+
+function getString(key) {
+  const entry = strings.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    strings.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function getHash(key, create) {
+  if (!hashes.has(key) && create) hashes.set(key, new Map());
+  return hashes.get(key) || null;
+}
+
+/**
+ * Turn a glob pattern (with * and ?) into a regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+// ==================== Pub/sub ====================
+
+function subscriptionCount(connection) {
+  return connection.channels.size + connection.patterns.size;
+}
+
+function subscribe(connection, registry, own, kind, names) {
+  names.forEach((name) => {
+    if (!registry.has(name)) registry.set(name, new Set());
+    registry.get(name).add(connection);
+    own.add(name);
+    connection.socket.write(array([kind, name, subscriptionCount(connection)]));
+  });
+}
+
+function unsubscribe(connection, registry, own, kind, names) {
+  const targets = names.length > 0 ? names : Array.from(own);
+  if (targets.length === 0) {
+    connection.socket.write(array([kind, null, subscriptionCount(connection)]));
+    return;
+  }
+
+  targets.forEach((name) => {
+    const subscribers = registry.get(name);
+    if (subscribers) {
+      subscribers.delete(connection);
+      if (subscribers.size === 0) registry.delete(name);
+    }
+    own.delete(name);
+    connection.socket.write(array([kind, name, subscriptionCount(connection)]));
+  });
+}
+
+/**
+ * Drop a closed connection's subscriptions
+ */
+function forgetConnection(connection) {
+  [
+    [channels, connection.channels],
+    [patterns, connection.patterns],
+  ].forEach(([registry, own]) => {
+    own.forEach((name) => {
+      const subscribers = registry.get(name);
+      if (!subscribers) return;
+      subscribers.delete(connection);
+      if (subscribers.size === 0) registry.delete(name);
+    });
+    own.clear();
+  });
+}
+
+function publish(channel, message) {
+  let receivers = 0;
+
+  (channels.get(channel) || []).forEach((connection) => {
+    connection.socket.write(array(["message", channel, message]));
+    receivers++;
+  });
+
+  patterns.forEach((subscribers, pattern) => {
+    if (!globToRegExp(pattern).test(channel)) return;
+    subscribers.forEach((connection) => {
+      connection.socket.write(array(["pmessage", pattern, channel, message]));
+      receivers++;
+    });
+  });
+
+  return receivers;
+}
+
+// ==================== Commands ====================
+
+/**
+ * Run one command and return its reply
+ */
+function runCommand(connection, args) {
+  const name = args[0].toString().toUpperCase();
+  const text = args.slice(1).map((arg) => arg.toString());
+
+  switch (name) {
+    case "PING":
+      return text.length > 0 ? bulk(args[1]) : simple("PONG");
+    case "ECHO":
+      return bulk(args[1]);
+    case "SELECT":
+    case "CLIENT":
+      return simple("OK");
+    case "QUIT":
+      connection.socket.end(simple("OK"));
+      return null;
+    case "FLUSHALL":
+      strings.clear();
+      hashes.clear();
+      return simple("OK");
+
+    case "GET":
+      return bulk(getString(text[0]));
+    case "SET": {
+      const [key] = text;
+      const options = text.slice(2).map((option) => option.toUpperCase());
+      if (options.includes("NX") && getString(key) !== null) {
+        return bulk(null);
+      }
+      const pxIndex = options.indexOf("PX");
+      const exIndex = options.indexOf("EX");
+      let expiresAt = null;
+      if (pxIndex !== -1) expiresAt = Date.now() + Number(text[pxIndex + 3]);
+      if (exIndex !== -1) {
+        expiresAt = Date.now() + Number(text[exIndex + 3]) * 1000;
+      }
+      strings.set(key, { value: args[2], expiresAt });
+      return simple("OK");
+    }
+    case "DEL": {
+      let removed = 0;
+      text.forEach((key) => {
+        if (strings.delete(key)) removed++;
+        if (hashes.delete(key)) removed++;
+      });
+      return integer(removed);
+    }
+
+    case "HSET": {
+      const hash = getHash(text[0], true);
+      let added = 0;
+      for (let i = 1; i + 1 < text.length; i += 2) {
+        if (!hash.has(text[i])) added++;
+        hash.set(text[i], args[i + 2]);
+      }
+      return integer(added);
+    }
+    case "HGET": {
+      const hash = getHash(text[0], false);
+      return bulk(hash ? hash.get(text[1]) : null);
+    }
+    case "HDEL": {
+      const hash = getHash(text[0], false);
+      if (!hash) return integer(0);
+      const removed = text.slice(1).filter((field) => hash.delete(field));
+      if (hash.size === 0) hashes.delete(text[0]);
+      return integer(removed.length);
+    }
+    case "HVALS": {
+      const hash = getHash(text[0], false);
+      return array(hash ? Array.from(hash.values()) : []);
+    }
+    case "HGETALL": {
+      const hash = getHash(text[0], false);
+      return array(hash ? Array.from(hash.entries()).flat() : []);
+    }
+
+    case "PUBLISH":
+      return integer(publish(text[0], args[2]));
+    case "SUBSCRIBE":
+      subscribe(connection, channels, connection.channels, "subscribe", text);
+      return null;
+    case "UNSUBSCRIBE":
+      unsubscribe(
+        connection,
+        channels,
+        connection.channels,
+        "unsubscribe",
+        text
+      );
+      return null;
+    case "PSUBSCRIBE":
+      subscribe(connection, patterns, connection.patterns, "psubscribe", text);
+      return null;
+    case "PUNSUBSCRIBE":
+      unsubscribe(
+        connection,
+        patterns,
+        connection.patterns,
+        "punsubscribe",
+        text
+      );
+      return null;
+    case "PUBSUB": {
+      if (text[0].toUpperCase() !== "NUMSUB") {
+        return error("only PUBSUB NUMSUB is supported");
+      }
+      const counts = text
+        .slice(1)
+        .flatMap((channel) => [
+          channel,
+          channels.has(channel) ? channels.get(channel).size : 0,
+        ]);
+      return array(counts);
+    }
+
+    default:
+      return error(`unknown command '${name}'`);
+  }
+}
+
+// ==================== Server ====================
+
+const server = net.createServer((socket) => {
+  const connection = { socket, channels: new Set(), patterns: new Set() };
+  let buffer = Buffer.alloc(0);
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    try {
+      let command;
+      while (buffer.length > 0 && (command = parseCommand(buffer))) {
+        buffer = buffer.subarray(command.length);
+        const reply = runCommand(connection, command.args);
+        if (reply) socket.write(reply);
+      }
+    } catch (err) {
+      socket.end(error(err.message));
+    }
+  });
+
+  socket.on("close", () => forgetConnection(connection));
+
+  socket.on("error", () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`Redis stand-in listening on port ${PORT}`);
+});
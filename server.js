@@ -2,16 +2,112 @@
  * Rock-Paper-Scissors Multiplayer Game Server
  *
  * This server handles:
- * - Player matchmaking queue
- * - Private game rooms
- * - Game logic (winner determination)
+ * - Player identity and nicknames
+ * - Player matchmaking queue (rating-aware, with a bot fallback, live
+ *   position and wait estimates, and a ready check before matches start)
+ * - Bot opponents
+ * - Private game rooms (joinable by invite code)
+ * - Parties and team matches (2v2, 3v3)
+ * - Free-for-all lobbies (3-10 players, knocked out until one is left)
+ * - Spectators (read-only viewers of public matches)
+ * - Tournaments (elimination and round robin brackets)
+ * - Game logic (a socket-free engine: pluggable rule sets, scoring, pairing,
+ *   and the clock every match timer runs on)
+ * - Provably fair mode (commit-reveal moves)
+ * - Match formats (best of N, first to N, fixed rounds)
+ * - Per-round move timer for AFK players
  * - Rematch system
+ * - In-match chat and emotes (rate limited and filtered)
+ * - Match history and player stats (persisted to storage)
+ * - Match replays, played back round by round at /replay/:id
+ * - Glicko-2 skill ratings
+ * - Public REST API (leaderboard, player profiles, match records)
+ * - Reconnection grace period for dropped players
+ * - Payload validation, rate limits and connection caps on socket events
+ * - Shared state for running several nodes (queue, room directory, seats)
+ * - Graceful shutdown, with live matches restored after a restart
+ * - Health checks, Prometheus metrics and structured JSON logs
+ * - Admin page and API (live rooms, kicks, bans, broadcasts, audit log)
  */
 
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
+const crypto = require("crypto");
+const {
+  validateNickname,
+  loadPlayers,
+  savePlayer,
+  identifyPlayer,
+  findPlayerByToken,
+  rememberPlayer,
+  setNickname,
+} = require("./lib/players");
+const { normalizeFormat, formatKey } = require("./lib/formats");
+const { getRuleSet, listRuleSets, isValidMove } = require("./lib/rulesets");
+const {
+  BOT_STRATEGIES,
+  DEFAULT_BOT_STRATEGY,
+  createBot,
+} = require("./lib/bots");
+const { createStorage } = require("./lib/storage");
+const { computePlayerStats } = require("./lib/stats");
+const { createApiRouter } = require("./lib/api");
+const { createAdminRouter } = require("./lib/admin");
+const {
+  isCommitment,
+  verifyReveal,
+  createCommitment,
+} = require("./lib/fairness");
+const {
+  isProvisional,
+  publicRating,
+  updateRating,
+  teamRating,
+} = require("./lib/rating");
+const {
+  validateTournamentName,
+  createTournament,
+  addParticipant,
+  removeParticipant,
+  findParticipant,
+  findMatch,
+  startTournament,
+  readyMatches,
+  isPlaying,
+  markLive,
+  recordResult,
+  publicTournament,
+  summarizeTournament,
+} = require("./lib/tournaments");
+const {
+  createParty,
+  addMember,
+  removeMember,
+  checkTeamMode,
+  publicParty,
+} = require("./lib/parties");
+const {
+  createLobby,
+  addToLobby,
+  removeFromLobby,
+  checkCanStart,
+  publicLobby,
+} = require("./lib/lobbies");
+const { EMOTES, prepareMessage, allowMessage } = require("./lib/chat");
+const { validatePayload } = require("./lib/validation");
+const { createRateLimiter } = require("./lib/rate-limit");
+const { createStateStore } = require("./lib/state");
+const { createEngine } = require("./lib/engine");
+const { systemClock } = require("./lib/clock");
+const { saveSnapshot, takeSnapshot } = require("./lib/snapshot");
+const { logger } = require("./lib/logger");
+const {
+  createMetrics,
+  createRecentCounter,
+  METRICS_CONTENT_TYPE,
+} = require("./lib/metrics");
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -22,408 +118,4276 @@ const io = new Server(server);
 app.use(express.static(path.join(__dirname, "public")));
 
 // Game configuration
-const WINS_NEEDED = 2; // Best of 3
+// How long a dropped player's seat is held before the match is forfeited
+// (0 = forfeit straight away)
+const RECONNECT_GRACE_MS =
+  process.env.RECONNECT_GRACE_MS !== undefined
+    ? Number(process.env.RECONNECT_GRACE_MS)
+    : 20000;
+
+// How long an unused private room code stays valid (0 = until the host
+// leaves)
+const PRIVATE_ROOM_TTL_MS =
+  process.env.PRIVATE_ROOM_TTL_MS !== undefined
+    ? Number(process.env.PRIVATE_ROOM_TTL_MS)
+    : 10 * 60 * 1000;
+
+// How long players have to pick a move each round (0 = no time limit)
+const ROUND_TIME_MS =
+  process.env.ROUND_TIME_MS !== undefined
+    ? Number(process.env.ROUND_TIME_MS)
+    : 15000;
+
+// How long fair-play players have to reveal their move once both committed
+const REVEAL_TIME_MS = Number(process.env.REVEAL_TIME_MS) || 5000;
+
+// Pauses that let players take in what just happened: before a match's
+// first round, between rounds, before the match result and before a rematch
+const MATCH_START_DELAY_MS = Number(process.env.MATCH_START_DELAY_MS) || 2000;
+const NEXT_ROUND_DELAY_MS = Number(process.env.NEXT_ROUND_DELAY_MS) || 3000;
+const MATCH_RESULT_DELAY_MS = Number(process.env.MATCH_RESULT_DELAY_MS) || 2000;
+const REMATCH_DELAY_MS = Number(process.env.REMATCH_DELAY_MS) || 1500;
+
+// What happens to a player who doesn't pick in time: 'random' | 'lose'
+const ROUND_TIMEOUT_POLICY =
+  process.env.ROUND_TIMEOUT_POLICY === "lose" ? "lose" : "random";
+
+// Consecutive timeouts before the match is forfeited (0 = never)
+const ROUND_TIMEOUT_FORFEIT_AFTER =
+  process.env.ROUND_TIMEOUT_FORFEIT_AFTER !== undefined
+    ? Number(process.env.ROUND_TIMEOUT_FORFEIT_AFTER)
+    : 3;
+
+// How long someone waits in the queue before being offered a bot (0 = never)
+const BOT_FALLBACK_MS =
+  process.env.BOT_FALLBACK_MS !== undefined
+    ? Number(process.env.BOT_FALLBACK_MS)
+    : 30000;
+
+// How long two players matched from the queue have to accept before the
+// match is called off (0 = start matches straight away)
+const READY_CHECK_MS =
+  process.env.READY_CHECK_MS !== undefined
+    ? Number(process.env.READY_CHECK_MS)
+    : 10000;
+
+// How long a player who doesn't accept a match has to wait before
+// queueing again (0 = no wait)
+const REQUEUE_COOLDOWN_MS =
+  process.env.REQUEUE_COOLDOWN_MS !== undefined
+    ? Number(process.env.REQUEUE_COOLDOWN_MS)
+    : 30 * 1000;
+
+// Fixed seed for bot moves (handy for reproducing a game); random if unset
+const BOT_SEED =
+  process.env.BOT_SEED !== undefined ? Number(process.env.BOT_SEED) : null;
+
+// Widest rating gap a newly queued player accepts, and how much it widens
+// for every second they wait
+const RATING_WINDOW_BASE = Number(process.env.RATING_WINDOW_BASE) || 100;
+const RATING_WINDOW_GROWTH = Number(process.env.RATING_WINDOW_GROWTH) || 10;
+
+// Provisional players' ratings are a rough guess, so they accept a wider gap
+const PROVISIONAL_RATING_WINDOW = 400;
+
+// How often the queue is checked for pairs that widening windows now allow
+// (tournaments are checked for matches that can start at the same rate)
+const QUEUE_SCAN_MS = 2000;
+
+// How far back queue wait estimates look to see how fast players are
+// being matched
+const QUEUE_RATE_WINDOW_MS = 5 * 60 * 1000;
+
+// How long a tournament player waits for their opponent to turn up before
+// winning by default
+const TOURNAMENT_NO_SHOW_MS =
+  Number(process.env.TOURNAMENT_NO_SHOW_MS) || 60 * 1000;
+
+// How long tournament players see a match result before the room closes
+const TOURNAMENT_RESULT_MS = 5000;
+
+// How long a finished tournament's bracket stays viewable
+const TOURNAMENT_KEEP_MS = 60 * 60 * 1000;
+
+// Most sockets one IP address may have open at once
+const MAX_CONNECTIONS_PER_IP = Number(process.env.MAX_CONNECTIONS_PER_IP) || 10;
+
+// Refused events (bad payloads, rate limits) a socket may rack up within
+// the window before it is disconnected
+const MAX_VIOLATIONS = 10;
+const VIOLATION_WINDOW_MS = 60 * 1000;
+
+// Behind a proxy (like Render's) the client's address is in X-Forwarded-For
+const TRUST_PROXY =
+  process.env.TRUST_PROXY === "true" || Boolean(process.env.RENDER);
+
+const BUSY_MESSAGE = "You're already queued, hosting, playing or watching.";
+
+// Token for the admin page and API (the admin API is off when unset)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+const KICKED_MESSAGE = "You were disconnected by a moderator.";
+const BANNED_MESSAGE = "You have been banned from this server.";
+
+// How many chat messages a room keeps for players who reconnect
+const CHAT_HISTORY_LENGTH = 50;
+
+// How long players have to reconnect to a match restored after a restart
+// (counted from when the server stopped)
+const RESTORE_WINDOW_MS =
+  Number(process.env.RESTORE_WINDOW_MS) || 2 * 60 * 1000;
+
+// Longest a shutdown may take before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Events that start something new, refused while shutting down
+const MATCH_START_EVENTS = [
+  "join_queue",
+  "play_bot",
+  "create_private_room",
+  "join_private_room",
+  "queue_party",
+  "start_lobby",
+];
+
+const RESTARTING_MESSAGE =
+  "The server is restarting. Matches in progress will resume once you reconnect.";
+
+// Room codes avoid look-alike characters (0/O, 1/I/L) so they can be read aloud
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const ROOM_CODE_LENGTH = 6;
+
+// Where storage files and the room snapshot are kept
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+// (a named node keeps its own snapshot, so nodes sharing a data directory
+// don't overwrite each other's)
+const SNAPSHOT_PATH = path.join(
+  DATA_DIR,
+  process.env.NODE_ID
+    ? `rooms-snapshot-${process.env.NODE_ID}.json`
+    : "rooms-snapshot.json"
+);
+
+// Persistent storage for players and finished matches
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || "json",
+  dataDir: DATA_DIR,
+});
+
+// This server's name among the nodes sharing state
+const NODE_ID =
+  process.env.NODE_ID || `node_${crypto.randomBytes(3).toString("hex")}`;
+
+// Every log line says which node wrote it
+const log = logger.child({ nodeId: NODE_ID });
+
+/**
+ * Create the game engine (match rules, scoring, pairing, and the clock
+ * every timer here runs on)
+ */
+function createGameEngine(clock) {
+  return createEngine({
+    clock,
+    timeoutPolicy: ROUND_TIMEOUT_POLICY,
+    forfeitAfter: ROUND_TIMEOUT_FORFEIT_AFTER,
+    ratingWindowBase: RATING_WINDOW_BASE,
+    ratingWindowGrowth: RATING_WINDOW_GROWTH,
+    provisionalRatingWindow: PROVISIONAL_RATING_WINDOW,
+  });
+}
+
+// Replaced by start() when it's given a clock of its own
+let engine = createGameEngine(systemClock);
+
+// State shared with the other nodes (queue, room directory, held seats)
+const state = createStateStore({
+  driver: process.env.STATE_DRIVER || "memory",
+  url: process.env.REDIS_URL,
+});
+
+// Set once the shared Socket.IO adapter is in place (several nodes)
+let clustered = false;
+
+// Set once a shutdown has begun
+let shuttingDown = false;
+
+// Set once the server is listening and can take players
+let ready = false;
+
+// Repeating background jobs, stopped by stop()
+const intervals = [];
+
+// Public JSON API (leaderboard, profiles, match records)
+app.use("/api", createApiRouter({ storage }));
+
+// Shareable replay pages (the page loads the replay from /api/replays/:id)
+app.get("/replay/:id", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "replay.html"));
+});
+
+// Admin page, and its API when an admin token is configured. The audit log
+// records the admin's address, which is in X-Forwarded-For behind a proxy.
+app.set("trust proxy", TRUST_PROXY);
+app.get("/admin", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "admin.html"));
+});
+if (ADMIN_TOKEN) {
+  app.use(
+    "/admin/api",
+    createAdminRouter({
+      token: ADMIN_TOKEN,
+      storage,
+      admin: {
+        listQueue: listQueueForAdmin,
+        listRooms: listRoomsForAdmin,
+        listPlayers: listPlayersForAdmin,
+        endRoom: endRoomForAdmin,
+        kick: (target) => disconnectTarget(target, KICKED_MESSAGE),
+        ban: addBan,
+        unban: removeBan,
+        broadcast: broadcastAnnouncement,
+      },
+    })
+  );
+}
 
 // Store game state
-const waitingQueue = []; // Players waiting for a match
+const queuedSockets = new Map(); // socketId -> bot fallback timer, for sockets queued on this node
 const activeRooms = new Map(); // roomId -> room state
 const playerRooms = new Map(); // socketId -> roomId
+const privateRooms = new Map(); // code -> private room waiting for a guest
+const spectatorRooms = new Map(); // socketId -> roomId being watched
+const tournaments = new Map(); // tournamentId -> tournament
+const noShowTimers = new Map(); // "tournamentId:matchId" -> no-show timer
+const connectionsByIp = new Map(); // IP address -> open socket count
+const remoteRooms = new Map(); // socketId -> { nodeId, roomId } for sockets whose room another node hosts
+const bans = new Map(); // banId -> banned player token or IP address
+const readyChecks = new Map(); // socketId -> ready check it's in, kept by the node starting the match
+const queueCooldowns = new Map(); // player token -> when they may queue again
+
+// Parties and their team matches live on the node the party was made on,
+// so only players connected to that node can join one
+const parties = new Map(); // code -> party
+const partyCodes = new Map(); // socketId -> code of the party it's in
+const teamQueue = []; // parties looking for a team match, longest waiting first
+
+// Free-for-all lobbies and their games, also kept on the node they were
+// made on
+const lobbies = new Map(); // code -> lobby
+const lobbyCodes = new Map(); // socketId -> code of the lobby it's in
+const ffaRooms = new Map(); // roomId -> free-for-all room
+const ffaPlayerRooms = new Map(); // socketId -> free-for-all roomId
+
+// Operational metrics, scraped from GET /metrics. Counts are for this node
+// only: add them up across nodes.
+const metrics = createMetrics();
+const recentMatches = createRecentCounter(60 * 1000);
+// Players matched out of the queue lately, for wait estimates
+const recentQueueMatches = createRecentCounter(QUEUE_RATE_WINDOW_MS);
+metrics.gauge(
+  "rps_connected_sockets",
+  "Sockets connected to this node",
+  () => io.of("/").sockets.size
+);
+metrics.gauge(
+  "rps_queue_length",
+  "Players queued for a match on this node",
+  () => queuedSockets.size
+);
+metrics.gauge(
+  "rps_active_rooms",
+  "Rooms hosted on this node",
+  () => activeRooms.size
+);
+metrics.gauge(
+  "rps_matches_per_minute",
+  "Matches finished in the last minute",
+  () => recentMatches.count(engine.now())
+);
+const matchesFinished = metrics.counter(
+  "rps_matches_finished_total",
+  "Matches finished"
+);
+const queueWait = metrics.histogram(
+  "rps_queue_wait_seconds",
+  "Time queued players waited for an opponent (or a bot)"
+);
+const roundDuration = metrics.histogram(
+  "rps_round_duration_seconds",
+  "Time from the start of a round until it was scored"
+);
+const disconnects = metrics.counter(
+  "rps_disconnects_total",
+  "Sockets that disconnected"
+);
+const forfeits = metrics.counter(
+  "rps_forfeits_total",
+  "Matches ended early, by reason"
+);
+["forfeit", "disconnect", "abandoned"].forEach((reason) =>
+  forfeits.inc({ reason }, 0)
+);
 
 /**
- * Get player nicknames - Vincent vs Daisy
+ * Liveness: the process is up and serving requests
  */
-function getPlayerNicknames() {
-  return {
-    player1: "Vincent",
-    player2: "Daisy",
-  };
-}
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+/**
+ * Readiness: the server has started and isn't shutting down, so a load
+ * balancer can send players here
+ */
+app.get("/readyz", (req, res) => {
+  if (!ready || shuttingDown) {
+    res
+      .status(503)
+      .json({ status: shuttingDown ? "shutting_down" : "starting" });
+    return;
+  }
+  res.json({ status: "ready" });
+});
+
+app.get("/metrics", (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
 
 /**
  * Generate a unique room ID
  */
 function generateRoomId() {
-  return `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return `room_${engine.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
 /**
- * Determine the winner of a round
- * @returns 'player1' | 'player2' | 'draw'
+ * Generate a unique tournament ID
  */
-function determineWinner(choice1, choice2) {
-  if (choice1 === choice2) return "draw";
+function generateTournamentId() {
+  return crypto.randomBytes(4).toString("hex");
+}
 
-  const wins = {
-    rock: "scissors",
-    paper: "rock",
-    scissors: "paper",
-  };
+/**
+ * Generate a short, unused private room code
+ */
+function generateRoomCode(taken = privateRooms) {
+  let code;
+  do {
+    code = "";
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code +=
+        ROOM_CODE_ALPHABET[
+          Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)
+        ];
+    }
+  } while (taken.has(code));
+  return code;
+}
+
+/**
+ * Store a room and let the other nodes find it and its players' seats
+ */
+function registerRoom(room) {
+  activeRooms.set(room.id, room);
+  publishRoom(room);
 
-  return wins[choice1] === choice2 ? "player1" : "player2";
+  engine.listSeats(room).forEach(({ playerToken }) => {
+    if (playerToken) {
+      syncState(
+        "save seat",
+        state.setSeat(playerToken, { roomId: room.id, nodeId: NODE_ID })
+      );
+    }
+  });
 }
 
 /**
- * Create a new game room with two players
+ * Create a new game room with two players. For a bot match, pass null as
+ * the second socket and the bot in options.bot.
  */
-function createRoom(player1Socket, player2Socket) {
+function createRoom(player1Socket, player2Socket, options = {}) {
   const roomId = generateRoomId();
-  const nicknames = getPlayerNicknames();
+  const profile1 = player1Socket.data.player;
+  const profile2 = options.bot
+    ? { id: null, token: null, nickname: `${options.bot.label} Bot` }
+    : player2Socket.data.player;
 
-  const room = {
-    id: roomId,
-    players: {
-      player1: {
+  const room = engine.createRoomState(
+    roomId,
+    {
+      player1: engine.createSeat({
         socketId: player1Socket.id,
-        nickname: nicknames.player1,
-        score: 0,
-        choice: null,
-        wantsRematch: false,
-      },
-      player2: {
-        socketId: player2Socket.id,
-        nickname: nicknames.player2,
-        score: 0,
-        choice: null,
-        wantsRematch: false,
-      },
+        playerId: profile1.id,
+        playerToken: profile1.token,
+        nickname: profile1.nickname,
+      }),
+      player2: engine.createSeat({
+        socketId: options.bot ? null : player2Socket.id,
+        bot: options.bot,
+        playerId: profile2.id,
+        playerToken: profile2.token,
+        nickname: profile2.nickname,
+      }),
     },
-    round: 1,
-    gameOver: false,
-  };
+    options
+  );
 
   // Store room and player mappings
-  activeRooms.set(roomId, room);
+  registerRoom(room);
   playerRooms.set(player1Socket.id, roomId);
-  playerRooms.set(player2Socket.id, roomId);
-
-  // Join both players to the Socket.IO room
   player1Socket.join(roomId);
-  player2Socket.join(roomId);
+  announceSeat(player1Socket, roomId);
 
-  return room;
-}
+  // Join the second player too (bots have no socket)
+  if (player2Socket) {
+    playerRooms.set(player2Socket.id, roomId);
+    player2Socket.join(roomId);
+    announceSeat(player2Socket, roomId);
+  }
 
-/**
- * Reset room for a new match (rematch)
- */
-function resetRoom(room) {
-  room.players.player1.score = 0;
-  room.players.player1.choice = null;
-  room.players.player1.wantsRematch = false;
-  room.players.player2.score = 0;
-  room.players.player2.choice = null;
-  room.players.player2.wantsRematch = false;
-  room.round = 1;
-  room.gameOver = false;
+  return room;
 }
 
 /**
- * Clean up a room and remove players
+ * Clean up a room and remove players and spectators
  */
 function destroyRoom(roomId) {
   const room = activeRooms.get(roomId);
   if (room) {
-    playerRooms.delete(room.players.player1.socketId);
-    playerRooms.delete(room.players.player2.socketId);
+    const seats = engine.listSeats(room);
+    engine.cancel(room.roundTimer);
+    seats.forEach((seat) => {
+      engine.cancel(seat.disconnectTimer);
+      playerRooms.delete(seat.socketId);
+    });
     activeRooms.delete(roomId);
+
+    // Send the spectators back to the lobby
+    io.to(spectatorChannel(roomId)).emit("spectate_ended");
+    room.spectators.forEach((socketId) => spectatorRooms.delete(socketId));
+    io.in(spectatorChannel(roomId)).socketsLeave(spectatorChannel(roomId));
+
+    io.in(roomId).socketsLeave(roomId);
+
+    // Forget the room on every node
+    syncState("remove room", state.deleteRoom(roomId));
+    seats.forEach((seat) => releaseSeat(seat.playerToken, roomId));
+    tellNodes("room_closed", { roomId });
   }
 }
 
 /**
- * Get player role (player1 or player2) from socket ID
+ * Socket.IO room that only a match's spectators are in
  */
-function getPlayerRole(room, socketId) {
-  if (room.players.player1.socketId === socketId) return "player1";
-  if (room.players.player2.socketId === socketId) return "player2";
+function spectatorChannel(roomId) {
+  return `${roomId}:spectators`;
+}
+
+/**
+ * Find the seat in a room that matches, and the side it plays for (in a
+ * team room, a member's own seat and their team's side)
+ * @returns { playerRole, seat } or null
+ */
+function findSeatWhere(room, matches) {
+  for (const playerRole of ["player1", "player2"]) {
+    const seat = engine.sideSeats(room, playerRole).find(matches);
+    if (seat) return { playerRole, seat };
+  }
   return null;
 }
 
 /**
- * Check if both players have made their choices
+ * Find the room (and seat) held by a player token
+ * @returns { room, playerRole, seat } or null
  */
-function bothPlayersChose(room) {
-  return room.players.player1.choice && room.players.player2.choice;
+function findRoomByToken(token) {
+  for (const room of activeRooms.values()) {
+    const held = findSeatWhere(room, (seat) => seat.playerToken === token);
+    if (held) return { room, ...held };
+  }
+  return null;
 }
 
 /**
- * Process the round result
+ * Find a socket's seat in a room
+ * @returns { playerRole, seat } or null
  */
-function processRound(room) {
-  const p1Choice = room.players.player1.choice;
-  const p2Choice = room.players.player2.choice;
-  const winner = determineWinner(p1Choice, p2Choice);
+function findSeat(room, socketId) {
+  return findSeatWhere(room, (seat) => seat.socketId === socketId);
+}
 
-  // Update scores
-  if (winner === "player1") {
-    room.players.player1.score++;
-  } else if (winner === "player2") {
-    room.players.player2.score++;
-  }
+/**
+ * Get player role (player1 or player2) from socket ID
+ */
+function getPlayerRole(room, socketId) {
+  const found = findSeat(room, socketId);
+  return found ? found.playerRole : null;
+}
 
-  // Check for match winner
-  let matchWinner = null;
-  if (room.players.player1.score >= WINS_NEEDED) {
-    matchWinner = "player1";
-    room.gameOver = true;
-  } else if (room.players.player2.score >= WINS_NEEDED) {
-    matchWinner = "player2";
-    room.gameOver = true;
-  }
+/**
+ * Start the round clock and tell both players a new round has started
+ */
+function emitStartRound(room) {
+  // The room may have closed while we were waiting to start
+  if (activeRooms.get(room.id) !== room || room.gameOver) return;
+
+  engine.cancel(room.roundTimer);
+  room.phase = "commit";
+  room.revealDeadline = null;
+  startRoundClock(room, handleRoundTimeout);
 
-  const result = {
+  io.to(room.id).emit("start_round", {
     round: room.round,
-    player1Choice: p1Choice,
-    player2Choice: p2Choice,
-    roundWinner: winner,
     scores: {
       player1: room.players.player1.score,
       player2: room.players.player2.score,
     },
-    matchWinner: matchWinner,
-  };
+    format: room.format,
+    suddenDeath: room.suddenDeath,
+    deadline: room.roundDeadline,
+    roundTimeMs: ROUND_TIME_MS,
+    serverTime: engine.now(),
+  });
 
-  // Reset choices for next round
-  room.players.player1.choice = null;
-  room.players.player2.choice = null;
-  room.round++;
+  if (room.players.player2.isBot) {
+    scheduleBotMove(room);
+  }
 
-  return result;
+  publishRoom(room);
 }
 
-// Socket.IO connection handling
-io.on("connection", (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+/**
+ * Start a room's round, with a clock that calls `onTimeout(room)` when it
+ * runs out (rounds aren't timed when ROUND_TIME_MS is 0)
+ */
+function startRoundClock(room, onTimeout) {
+  room.roundStartedAt = engine.now();
+  room.roundOpen = true;
+  room.roundDeadline = null;
+  room.roundTimer = null;
+  if (ROUND_TIME_MS <= 0) return;
 
-  /**
-   * Handle player joining the matchmaking queue
-   */
-  socket.on("join_queue", () => {
-    // Check if player is already in queue or in a game
-    if (waitingQueue.includes(socket) || playerRooms.has(socket.id)) {
-      return;
+  room.roundDeadline = room.roundStartedAt + ROUND_TIME_MS;
+  room.roundTimer = engine.schedule(() => onTimeout(room), ROUND_TIME_MS);
+}
+
+/**
+ * Tell the other players and spectators that a player has locked in
+ * (without revealing the choice). Team rooms also hear how many of their
+ * players have.
+ */
+function announceLocked(room, playerRole, seat) {
+  const seats = engine.listSeats(room);
+  const locked = {
+    playerRole,
+    nickname: seat.nickname,
+    locked: seats.filter((other) => other.choice || other.commitment).length,
+    total: seats.length,
+  };
+
+  seats.forEach((other) => {
+    if (other !== seat && !other.isBot) {
+      io.to(other.socketId).emit("opponent_locked", locked);
     }
+  });
+  io.to(spectatorChannel(room.id)).emit("opponent_locked", locked);
+}
 
-    console.log(`Player ${socket.id} joined queue`);
+/**
+ * Record a player's move for the current round
+ * @param seat - the seat that chose (a team member's own seat)
+ */
+function submitChoice(room, playerRole, seat, choice) {
+  seat.choice = choice;
+  seat.timeouts = 0;
 
-    // Check if there's another player waiting
-    if (waitingQueue.length > 0) {
-      const opponent = waitingQueue.shift();
+  log.debug("Player chose a move", { roomId: room.id, playerRole, choice });
 
-      // Create a new room for these two players
-      const room = createRoom(opponent, socket);
+  announceLocked(room, playerRole, seat);
 
-      console.log(`Match created: ${room.id}`);
+  // Check if both players have made their choices
+  if (engine.bothPlayersChose(room)) {
+    finishRound(room);
+  }
+}
 
-      // Notify both players that a match was found
-      opponent.emit("match_found", {
-        roomId: room.id,
-        playerRole: "player1",
-        playerNickname: room.players.player1.nickname,
-        opponentNickname: room.players.player2.nickname,
-      });
+/**
+ * Record a fair-play player's commitment for the current round
+ */
+function submitCommitment(room, playerRole, commitment) {
+  room.players[playerRole].commitment = commitment;
+  room.players[playerRole].timeouts = 0;
 
-      socket.emit("match_found", {
-        roomId: room.id,
-        playerRole: "player2",
-        playerNickname: room.players.player2.nickname,
-        opponentNickname: room.players.player1.nickname,
-      });
+  log.debug("Player committed a move", { roomId: room.id, playerRole });
 
-      // Start the first round after a short delay
-      setTimeout(() => {
-        io.to(room.id).emit("start_round", {
-          round: room.round,
-          scores: {
-            player1: room.players.player1.score,
-            player2: room.players.player2.score,
-          },
-        });
-      }, 2000);
-    } else {
-      // Add player to waiting queue
-      waitingQueue.push(socket);
-    }
+  announceLocked(room, playerRole, room.players[playerRole]);
+
+  // Both committed: time to reveal
+  if (room.players.player1.commitment && room.players.player2.commitment) {
+    startReveal(room);
+  }
+}
+
+/**
+ * Share both commitments and ask the players to reveal their moves
+ */
+function startReveal(room) {
+  engine.cancel(room.roundTimer);
+  room.phase = "reveal";
+  room.roundDeadline = null;
+  room.roundOpen = false;
+  room.revealDeadline = engine.now() + REVEAL_TIME_MS;
+  room.roundTimer = engine.schedule(
+    () => handleRevealTimeout(room),
+    REVEAL_TIME_MS
+  );
+
+  io.to(room.id).emit("reveal_requested", {
+    commitments: {
+      player1: room.players.player1.commitment,
+      player2: room.players.player2.commitment,
+    },
+    deadline: room.revealDeadline,
+    revealTimeMs: REVEAL_TIME_MS,
+    serverTime: engine.now(),
   });
 
-  /**
-   * Handle player choice (rock, paper, or scissors)
-   */
-  socket.on("player_choice", (data) => {
-    const roomId = playerRooms.get(socket.id);
-    if (!roomId) return;
+  // The bot already knows its move, so it reveals straight away
+  const bot = room.players.player2;
+  if (bot.isBot && bot.botReveal) {
+    submitReveal(room, "player2", bot.botReveal.choice, bot.botReveal.salt);
+  }
+}
 
-    const room = activeRooms.get(roomId);
-    if (!room || room.gameOver) return;
+/**
+ * Check a fair-play player's revealed move against their commitment
+ */
+function submitReveal(room, playerRole, choice, salt) {
+  const player = room.players[playerRole];
 
-    const playerRole = getPlayerRole(room, socket.id);
-    if (!playerRole) return;
+  if (
+    isValidMove(room.ruleSet, choice) &&
+    verifyReveal(player.commitment, choice, salt)
+  ) {
+    player.choice = choice;
+    player.salt = salt;
+  } else {
+    player.revealFailed = true;
+    log.info("Reveal didn't match the commitment", {
+      roomId: room.id,
+      playerRole,
+    });
+  }
 
-    // Validate choice
-    const validChoices = ["rock", "paper", "scissors"];
-    if (!validChoices.includes(data.choice)) return;
+  if (engine.revealsSettled(room)) {
+    finishRound(room);
+  }
+}
 
-    // Record the choice
-    room.players[playerRole].choice = data.choice;
+/**
+ * The reveal clock ran out: anyone who committed but didn't reveal loses
+ * the round
+ */
+function handleRevealTimeout(room) {
+  room.roundTimer = null;
+  if (activeRooms.get(room.id) !== room || room.gameOver) return;
 
-    console.log(`${playerRole} chose ${data.choice} in room ${roomId}`);
+  engine.timeOutReveals(room).forEach((role) => {
+    log.info("Player didn't reveal in time", {
+      roomId: room.id,
+      playerRole: role,
+    });
+  });
 
-    // Notify opponent that this player has locked in (without revealing choice)
-    const opponentRole = playerRole === "player1" ? "player2" : "player1";
-    const opponentSocketId = room.players[opponentRole].socketId;
-    io.to(opponentSocketId).emit("opponent_locked");
+  finishRound(room);
+}
 
-    // Check if both players have made their choices
-    if (bothPlayersChose(room)) {
-      const result = processRound(room);
+/**
+ * Have the bot in player2's seat pick a move after a short "thinking" pause
+ */
+function scheduleBotMove(room) {
+  const round = room.round;
+  const thinkMs = engine.botThinkMs();
 
-      // Send round result to both players
-      io.to(room.id).emit("round_result", result);
+  engine.schedule(() => {
+    // Skip if the room closed or the round moved on
+    if (activeRooms.get(room.id) !== room || room.gameOver) return;
+    const seat = room.players.player2;
+    if (room.round !== round || seat.choice || seat.commitment) return;
 
-      // If match is over, send match result
-      if (result.matchWinner) {
-        setTimeout(() => {
-          io.to(room.id).emit("match_result", {
-            winner: result.matchWinner,
-            finalScores: result.scores,
-            player1Nickname: room.players.player1.nickname,
-            player2Nickname: room.players.player2.nickname,
-          });
-        }, 2000);
-      } else {
-        // Start next round after delay
-        setTimeout(() => {
-          io.to(room.id).emit("start_round", {
-            round: room.round,
-            scores: result.scores,
-          });
-        }, 3000);
-      }
+    const move = seat.bot.nextMove();
+    if (room.fairPlay) {
+      const { commitment, salt } = createCommitment(move);
+      seat.botReveal = { choice: move, salt };
+      submitCommitment(room, "player2", commitment);
+    } else {
+      submitChoice(room, "player2", seat, move);
     }
-  });
+  }, thinkMs);
+}
 
-  /**
-   * Handle rematch request
-   */
-  socket.on("request_rematch", () => {
-    const roomId = playerRooms.get(socket.id);
-    if (!roomId) return;
+/**
+ * Score the round both players have now finished, then move on to the
+ * next round or the match result
+ */
+function finishRound(room) {
+  engine.cancel(room.roundTimer);
+  room.roundTimer = null;
+  room.roundDeadline = null;
+  room.roundOpen = false;
+  room.revealDeadline = null;
 
-    const room = activeRooms.get(roomId);
-    if (!room || !room.gameOver) return;
-
-    const playerRole = getPlayerRole(room, socket.id);
-    if (!playerRole) return;
-
-    // Mark this player as wanting a rematch
-    room.players[playerRole].wantsRematch = true;
-
-    console.log(`${playerRole} wants rematch in room ${roomId}`);
-
-    // Notify opponent
-    const opponentRole = playerRole === "player1" ? "player2" : "player1";
-    const opponentSocketId = room.players[opponentRole].socketId;
-    io.to(opponentSocketId).emit("opponent_wants_rematch");
-
-    // Check if both want rematch
-    if (
-      room.players.player1.wantsRematch &&
-      room.players.player2.wantsRematch
-    ) {
-      resetRoom(room);
-
-      // Notify both players
-      io.to(room.id).emit("rematch_accepted");
-
-      // Start first round
-      setTimeout(() => {
-        io.to(room.id).emit("start_round", {
-          round: room.round,
-          scores: {
-            player1: 0,
-            player2: 0,
-          },
-        });
-      }, 1500);
-    }
+  // Let the bot learn from the human's move before choices are cleared
+  if (room.players.player2.isBot) {
+    room.players.player2.bot.observe(
+      room.players.player1.choice,
+      room.players.player2.choice
+    );
+  }
+
+  if (room.roundStartedAt) {
+    roundDuration.observe((engine.now() - room.roundStartedAt) / 1000);
+  }
+
+  const result = engine.processRound(room);
+
+  // Send round result to both players
+  io.to(room.id).emit("round_result", result);
+
+  if (result.matchWinner) {
+    recordMatch(room);
+  }
+
+  // If match is over, send match result
+  if (result.matchWinner) {
+    engine.schedule(() => emitMatchResult(room), MATCH_RESULT_DELAY_MS);
+  } else {
+    // Start next round after delay
+    engine.schedule(() => emitStartRound(room), NEXT_ROUND_DELAY_MS);
+  }
+}
+
+/**
+ * Tell both players how the match ended
+ */
+function emitMatchResult(room) {
+  io.to(room.id).emit("match_result", {
+    matchId: room.matchId,
+    winner: room.matchWinner,
+    reason: room.endReason,
+    format: room.format,
+    finalScores: {
+      player1: room.players.player1.score,
+      player2: room.players.player2.score,
+    },
+    player1Nickname: room.players.player1.nickname,
+    player2Nickname: room.players.player2.nickname,
+    ratingChanges: room.ratingChanges,
   });
 
-  /**
-   * Handle player leaving to find new match
-   */
-  socket.on("leave_room", () => {
-    const roomId = playerRooms.get(socket.id);
-    if (!roomId) return;
+  // A team room closes once its players have seen the result (the parties
+  // stay together for their next match)
+  if (room.teams) destroyRoom(room.id);
+}
 
-    const room = activeRooms.get(roomId);
-    if (!room) return;
+/**
+ * End the match early (forfeit, disconnect) and record it
+ */
+function endMatch(room, winnerRole, reason) {
+  engine.cancel(room.roundTimer);
+  engine.endMatch(room, winnerRole, reason);
+  forfeits.inc({ reason });
 
-    const playerRole = getPlayerRole(room, socket.id);
-    const opponentRole = playerRole === "player1" ? "player2" : "player1";
-    const opponentSocketId = room.players[opponentRole].socketId;
+  recordMatch(room);
+}
 
-    // Notify opponent
-    io.to(opponentSocketId).emit("opponent_disconnected");
+/**
+ * How a match moved one player's rating, as saved with the match
+ */
+function describeRatingChange(before, after) {
+  return {
+    before: Math.round(before.rating),
+    after: Math.round(after.rating),
+    delta: Math.round(after.rating) - Math.round(before.rating),
+    provisional: isProvisional(after),
+  };
+}
+
+/**
+ * Update both players' ratings after a rated match (a public match
+ * between people, 1v1 or teams, that one side won)
+ * @returns { player1, player2 } rating changes (a list per side in a team
+ *   match), or null if unrated
+ */
+function rateMatch(room) {
+  const { player1, player2 } = room.players;
+  if (room.privateCode || player2.isBot || !room.matchWinner) return null;
+  if (room.teams) return rateTeamMatch(room);
 
-    // Clean up
-    socket.leave(roomId);
-    playerRooms.delete(socket.id);
+  const profile1 = findPlayerByToken(player1.playerToken);
+  const profile2 = findPlayerByToken(player2.playerToken);
+  if (!profile1 || !profile2) return null;
 
-    // Remove opponent from room mapping too
-    playerRooms.delete(opponentSocketId);
-    io.sockets.sockets.get(opponentSocketId)?.leave(roomId);
+  const before1 = profile1.rating;
+  const before2 = profile2.rating;
+  const score1 = room.matchWinner === "player1" ? 1 : 0;
+  const now = engine.now();
 
-    activeRooms.delete(roomId);
+  profile1.rating = updateRating(before1, before2, score1, now);
+  profile2.rating = updateRating(before2, before1, 1 - score1, now);
+  savePlayer(profile1);
+  savePlayer(profile2);
+  sharePlayer(profile1);
+  sharePlayer(profile2);
+
+  return {
+    player1: describeRatingChange(before1, profile1.rating),
+    player2: describeRatingChange(before2, profile2.rating),
+  };
+}
+
+/**
+ * Update every member's rating after a team match, each one rated against
+ * the other team's average
+ * @returns { player1: [change], player2: [change] } in team order, or null
+ *   if a member has no profile
+ */
+function rateTeamMatch(room) {
+  const profiles = {
+    player1: room.teams.player1.map((seat) =>
+      findPlayerByToken(seat.playerToken)
+    ),
+    player2: room.teams.player2.map((seat) =>
+      findPlayerByToken(seat.playerToken)
+    ),
+  };
+  if (!profiles.player1.concat(profiles.player2).every(Boolean)) return null;
+
+  const now = engine.now();
+  const before = {
+    player1: teamRating(
+      profiles.player1.map((profile) => profile.rating),
+      now
+    ),
+    player2: teamRating(
+      profiles.player2.map((profile) => profile.rating),
+      now
+    ),
+  };
+
+  const changes = {};
+  ["player1", "player2"].forEach((role) => {
+    const opponentRole = role === "player1" ? "player2" : "player1";
+    const score = room.matchWinner === role ? 1 : 0;
+
+    changes[role] = profiles[role].map((profile) => {
+      const previous = profile.rating;
+      profile.rating = updateRating(previous, before[opponentRole], score, now);
+      savePlayer(profile);
+      sharePlayer(profile);
+      return describeRatingChange(previous, profile.rating);
+    });
   });
+  return changes;
+}
 
-  /**
-   * Handle disconnection
-   */
-  socket.on("disconnect", () => {
-    console.log(`Player disconnected: ${socket.id}`);
+/**
+ * Rate a finished match and save it to storage
+ */
+function recordMatch(room) {
+  room.ratingChanges = rateMatch(room);
 
-    // Remove from queue if waiting
-    const queueIndex = waitingQueue.findIndex((s) => s.id === socket.id);
-    if (queueIndex !== -1) {
-      waitingQueue.splice(queueIndex, 1);
-    }
-
-    // Handle active game disconnection
-    const roomId = playerRooms.get(socket.id);
-    if (roomId) {
-      const room = activeRooms.get(roomId);
-      if (room) {
-        const playerRole = getPlayerRole(room, socket.id);
-        const opponentRole = playerRole === "player1" ? "player2" : "player1";
-        const opponentSocketId = room.players[opponentRole].socketId;
-
-        // Notify opponent
-        io.to(opponentSocketId).emit("opponent_disconnected");
-
-        // Clean up
-        playerRooms.delete(opponentSocketId);
-        destroyRoom(roomId);
-      }
-    }
+  const describePlayer = (player) => ({
+    playerId: player.playerId,
+    nickname: player.nickname,
+    isBot: player.isBot,
+    botStrategy: player.isBot ? player.bot.strategy : null,
   });
-});
 
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🎮 Rock-Paper-Scissors server running on port ${PORT}`);
-  console.log(`   Open http://localhost:${PORT} in your browser`);
+  const record = {
+    id: room.matchId,
+    roomId: room.id,
+    ruleSetId: room.ruleSet.id,
+    format: room.format,
+    fairPlay: room.fairPlay,
+    privateCode: room.privateCode,
+    players: {
+      player1: describePlayer(room.players.player1),
+      player2: describePlayer(room.players.player2),
+    },
+    // Team matches: every member of each side, in pairing order
+    teams: room.teams
+      ? {
+          mode: room.mode.id,
+          player1: room.teams.player1.map(describePlayer),
+          player2: room.teams.player2.map(describePlayer),
+        }
+      : null,
+    rounds: room.rounds,
+    finalScores: {
+      player1: room.players.player1.score,
+      player2: room.players.player2.score,
+    },
+    winner: room.matchWinner,
+    endReason: room.endReason,
+    ratingChanges: room.ratingChanges,
+    startedAt: room.matchStartedAt,
+    endedAt: engine.now(),
+  };
 
-  // Cron job: Keep the server awake on Render free tier
-  // Pings itself every 14 minutes to prevent sleeping
-  if (process.env.RENDER) {
-    const RENDER_URL = process.env.RENDER_EXTERNAL_URL;
-    if (RENDER_URL) {
-      setInterval(() => {
-        fetch(RENDER_URL)
-          .then(() => console.log(`⏰ Keep-alive ping sent to ${RENDER_URL}`))
-          .catch((err) => console.log("Keep-alive ping failed:", err.message));
-      }, 14 * 60 * 1000); // Every 14 minutes
-      console.log(`   ⏰ Keep-alive cron job enabled for ${RENDER_URL}`);
-    }
+  storage.saveMatch(record).catch((err) => {
+    log.error("Failed to save match", { matchId: record.id, error: err });
+  });
+
+  matchesFinished.inc();
+  recentMatches.add(engine.now());
+
+  // The match is over, so it leaves the other nodes' Watch lists too
+  publishRoom(room);
+
+  if (room.tournament) {
+    reportTournamentResult(room);
   }
-});
+}
+
+/**
+ * The round clock ran out: apply the timeout policy to whoever hasn't
+ * picked a move
+ */
+function handleRoundTimeout(room) {
+  room.roundTimer = null;
+  if (activeRooms.get(room.id) !== room || room.gameOver) return;
+
+  const { lateRoles, forfeitWinner, abandoned } = engine.timeOutRound(room);
+
+  lateRoles.forEach((role) => {
+    log.info("Player timed out", {
+      roomId: room.id,
+      playerRole: role,
+      timeouts: Math.max(
+        ...engine.sideSeats(room, role).map((seat) => seat.timeouts)
+      ),
+    });
+  });
+
+  // Too many timeouts in a row forfeits the match
+  if (forfeitWinner) {
+    endMatch(room, forfeitWinner, "forfeit");
+    emitMatchResult(room);
+    return;
+  }
+
+  // Both gone quiet for too long: nobody wins
+  if (abandoned) {
+    endMatch(room, null, "abandoned");
+    emitMatchResult(room);
+    return;
+  }
+
+  // Fair play: whoever did commit still has to reveal
+  if (room.fairPlay && !engine.revealsSettled(room)) {
+    startReveal(room);
+    return;
+  }
+
+  finishRound(room);
+}
+
+/**
+ * Pass a chat message to the players in a room (spectators don't see chat,
+ * and a player who muted the sender doesn't get it)
+ */
+function deliverChat(room, message) {
+  room.chat.push(message);
+  if (room.chat.length > CHAT_HISTORY_LENGTH) room.chat.shift();
+
+  ["player1", "player2"].forEach((role) => {
+    const player = room.players[role];
+    if (player.isBot || !player.connected) return;
+    if (role !== message.from && player.mutedOpponent) return;
+
+    io.to(player.socketId).emit("chat_message", message);
+  });
+}
+
+/**
+ * The chat history a player should see (leaving out a muted opponent)
+ */
+function chatHistoryFor(room, playerRole) {
+  const player = room.players[playerRole];
+  return room.chat.filter(
+    (message) => message.from === playerRole || !player.mutedOpponent
+  );
+}
+
+/**
+ * Find the private room a socket is hosting
+ */
+function findPrivateRoomByHost(socketId) {
+  for (const privateRoom of privateRooms.values()) {
+    if (privateRoom.hostSocket.id === socketId) return privateRoom;
+  }
+  return null;
+}
+
+/**
+ * Close a private room that is still waiting for a guest
+ */
+function closePrivateRoom(code) {
+  const privateRoom = privateRooms.get(code);
+  if (privateRoom) {
+    engine.cancel(privateRoom.expiryTimer);
+    privateRooms.delete(code);
+    syncState("remove private room", state.deletePrivateRoom(code));
+  }
+}
+
+/**
+ * Check if a socket is already queued, hosting, playing or watching
+ */
+function isBusy(socket) {
+  return (
+    queuedSockets.has(socket.id) ||
+    readyChecks.has(socket.id) ||
+    remoteRooms.has(socket.id) ||
+    playerRooms.has(socket.id) ||
+    spectatorRooms.has(socket.id) ||
+    partyCodes.has(socket.id) ||
+    lobbyCodes.has(socket.id) ||
+    ffaPlayerRooms.has(socket.id) ||
+    Boolean(findPrivateRoomByHost(socket.id))
+  );
+}
+
+/**
+ * Summarise a room for the Watch list
+ */
+function summarizeRoom(room) {
+  return {
+    roomId: room.id,
+    player1Nickname: room.players.player1.nickname,
+    player2Nickname: room.players.player2.nickname,
+    player2IsBot: room.players.player2.isBot,
+    ruleSetName: room.ruleSet.name,
+    formatLabel: room.format.label,
+    fairPlay: room.fairPlay,
+    tournamentName: room.tournament ? room.tournament.name : null,
+    round: room.round,
+    scores: {
+      player1: room.players.player1.score,
+      player2: room.players.player2.score,
+    },
+    spectators: room.spectators.size,
+  };
+}
+
+/**
+ * Save a room's summary to the shared room directory, so every node can
+ * list it and send its spectators here
+ */
+function publishRoom(room) {
+  syncState(
+    "save room",
+    state.setRoom(room.id, {
+      ...summarizeRoom(room),
+      nodeId: NODE_ID,
+      isPrivate: Boolean(room.privateCode),
+      isTeam: Boolean(room.teams),
+      gameOver: room.gameOver,
+    })
+  );
+}
+
+/**
+ * Summarise the public 1v1 matches being played right now, on any node,
+ * for the Watch list
+ */
+async function listLiveRooms() {
+  const rooms = await state.listRooms();
+  return rooms
+    .filter((info) => !info.isPrivate && !info.isTeam && !info.gameOver)
+    .map(({ nodeId, isPrivate, isTeam, gameOver, ...summary }) => summary);
+}
+
+/**
+ * Tell everyone in a room how many people are watching
+ */
+function emitSpectatorCount(room) {
+  io.to(room.id).emit("spectators_changed", { count: room.spectators.size });
+  publishRoom(room);
+}
+
+/**
+ * Add a socket to a room's spectators and catch it up on the match
+ */
+function addSpectator(socket, room) {
+  room.spectators.add(socket.id);
+  spectatorRooms.set(socket.id, room.id);
+
+  // Spectators get the room-wide events (start_round, round_result,
+  // match_result) plus their own lock-in notices, but never a choice
+  // before both players have locked in
+  socket.join(room.id);
+  socket.join(spectatorChannel(room.id));
+  announceSeat(socket, room.id);
+
+  log.info("Spectator joined", { socketId: socket.id, roomId: room.id });
+
+  socket.emit("spectate_started", {
+    roomId: room.id,
+    player1Nickname: room.players.player1.nickname,
+    player2Nickname: room.players.player2.nickname,
+    player2IsBot: room.players.player2.isBot,
+    round: room.round,
+    scores: {
+      player1: room.players.player1.score,
+      player2: room.players.player2.score,
+    },
+    format: room.format,
+    ruleSet: room.ruleSet,
+    suddenDeath: room.suddenDeath,
+    deadline: room.roundDeadline,
+    roundTimeMs: ROUND_TIME_MS,
+    serverTime: engine.now(),
+    fairPlay: room.fairPlay,
+    locked: {
+      player1: Boolean(
+        room.players.player1.choice || room.players.player1.commitment
+      ),
+      player2: Boolean(
+        room.players.player2.choice || room.players.player2.commitment
+      ),
+    },
+    gameOver: room.gameOver,
+    matchWinner: room.matchWinner,
+  });
+
+  emitSpectatorCount(room);
+}
+
+/**
+ * Stop a socket watching whatever room it was watching
+ */
+function removeSpectator(socket) {
+  const roomId = spectatorRooms.get(socket.id);
+  if (!roomId) return;
+
+  spectatorRooms.delete(socket.id);
+  socket.leave(roomId);
+  socket.leave(spectatorChannel(roomId));
+  announceSeat(socket, null);
+
+  const room = activeRooms.get(roomId);
+  if (room) {
+    room.spectators.delete(socket.id);
+    emitSpectatorCount(room);
+  }
+}
+
+/**
+ * Socket.IO room for everyone following a tournament
+ */
+function tournamentChannel(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
+
+/**
+ * Push the live bracket to everyone following a tournament
+ */
+function broadcastTournament(tournament) {
+  io.to(tournamentChannel(tournament.id)).emit(
+    "tournament_update",
+    publicTournament(tournament)
+  );
+}
+
+/**
+ * Find a player's newest connection that is free to start a match: not
+ * playing, and not still looking at a tournament match result
+ */
+function findAvailableSocket(playerId) {
+  let found = null;
+  io.sockets.sockets.forEach((socket) => {
+    if (socket.data.player.id !== playerId) return;
+
+    const room = activeRooms.get(playerRooms.get(socket.id));
+    if (room && (!room.gameOver || room.tournament)) return;
+
+    found = socket;
+  });
+  return found;
+}
+
+/**
+ * Take a player out of whatever they were doing between matches (queueing,
+ * hosting, watching, or sitting on a casual match result)
+ */
+function clearForMatch(socket) {
+  syncState("leave queue", removeFromQueue(socket));
+  removeSpectator(socket);
+
+  const privateRoom = findPrivateRoomByHost(socket.id);
+  if (privateRoom) {
+    closePrivateRoom(privateRoom.code);
+  }
+
+  const room = activeRooms.get(playerRooms.get(socket.id));
+  if (room) {
+    const opponentRole =
+      getPlayerRole(room, socket.id) === "player1" ? "player2" : "player1";
+    io.to(room.players[opponentRole].socketId).emit("opponent_disconnected");
+    destroyRoom(room.id);
+  }
+}
+
+/**
+ * The higher seed of a match's players (they go through if neither plays)
+ */
+function higherSeed(tournament, match) {
+  const [first, second] = match.playerIds.map((playerId) =>
+    findParticipant(tournament, playerId)
+  );
+  return first.seed <= second.seed ? first.playerId : second.playerId;
+}
+
+/**
+ * Cancel a match's no-show timer
+ */
+function clearNoShowTimer(tournament, match) {
+  const key = `${tournament.id}:${match.id}`;
+  engine.cancel(noShowTimers.get(key));
+  noShowTimers.delete(key);
+}
+
+/**
+ * Start every tournament match whose players are both free, and start the
+ * no-show clock on the ones still waiting for someone
+ */
+function spawnTournamentMatches(tournament) {
+  if (tournament.status !== "running") return;
+
+  let changed = false;
+  readyMatches(tournament).forEach((match) => {
+    // Round robin players may still be playing another of their matches
+    if (match.playerIds.some((playerId) => isPlaying(tournament, playerId))) {
+      return;
+    }
+
+    const sockets = match.playerIds.map(findAvailableSocket);
+    if (sockets.every(Boolean)) {
+      startTournamentMatch(tournament, match, sockets);
+      changed = true;
+      return;
+    }
+
+    if (!match.noShowDeadline) {
+      match.noShowDeadline = engine.now() + TOURNAMENT_NO_SHOW_MS;
+      noShowTimers.set(
+        `${tournament.id}:${match.id}`,
+        engine.schedule(
+          () => handleNoShow(tournament, match),
+          TOURNAMENT_NO_SHOW_MS
+        )
+      );
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    broadcastTournament(tournament);
+  }
+}
+
+/**
+ * Seat a bracket match's players in a new room
+ */
+function startTournamentMatch(tournament, match, sockets) {
+  clearNoShowTimer(tournament, match);
+  sockets.forEach(clearForMatch);
+
+  const room = startMatch(sockets[0], sockets[1], {
+    format: tournament.format,
+    ruleSet: tournament.ruleSet,
+    tournament: {
+      id: tournament.id,
+      name: tournament.name,
+      matchId: match.id,
+      matchLabel: match.label,
+    },
+  });
+  markLive(tournament, match.id, room.id);
+
+  log.info("Tournament match started", {
+    tournamentId: tournament.id,
+    matchId: match.id,
+    roomId: room.id,
+  });
+}
+
+/**
+ * The no-show clock ran out: whoever turned up wins by default
+ */
+function handleNoShow(tournament, match) {
+  noShowTimers.delete(`${tournament.id}:${match.id}`);
+  if (match.status !== "ready") return;
+
+  // Someone is busy with another of their matches, so they're not missing
+  if (match.playerIds.some((playerId) => isPlaying(tournament, playerId))) {
+    match.noShowDeadline = null;
+    return;
+  }
+
+  const present = match.playerIds.filter((playerId) =>
+    findAvailableSocket(playerId)
+  );
+
+  // Both turned up at the last moment
+  if (present.length === 2) {
+    match.noShowDeadline = null;
+    spawnTournamentMatches(tournament);
+    return;
+  }
+
+  // Nobody turned up: the higher seed goes through
+  const winnerId =
+    present.length === 1 ? present[0] : higherSeed(tournament, match);
+
+  log.info("Tournament match won by default", {
+    tournamentId: tournament.id,
+    matchId: match.id,
+  });
+
+  recordResult(tournament, match.id, { winnerId, noShow: true });
+  onTournamentResult(tournament);
+  spawnTournamentMatches(tournament);
+}
+
+/**
+ * A bracket match finished in its room: move the bracket on, then close
+ * the room once the players have seen the result
+ */
+function reportTournamentResult(room) {
+  const tournament = tournaments.get(room.tournament.id);
+  if (!tournament) return;
+
+  const match = findMatch(tournament, room.tournament.matchId);
+  const { player1, player2 } = room.players;
+
+  // An abandoned match (both players gone) goes to the higher seed
+  const winnerId = room.matchWinner
+    ? room.players[room.matchWinner].playerId
+    : higherSeed(tournament, match);
+
+  recordResult(tournament, match.id, {
+    winnerId,
+    scores: [player1.score, player2.score],
+  });
+  onTournamentResult(tournament);
+
+  engine.schedule(() => {
+    if (activeRooms.get(room.id) === room) {
+      destroyRoom(room.id);
+    }
+    spawnTournamentMatches(tournament);
+  }, TOURNAMENT_RESULT_MS);
+}
+
+/**
+ * Share a bracket change, and tidy up once the tournament is over
+ */
+function onTournamentResult(tournament) {
+  broadcastTournament(tournament);
+  if (tournament.status !== "finished") return;
+
+  const winner = findParticipant(tournament, tournament.winnerId);
+  log.info("Tournament finished", {
+    tournamentId: tournament.id,
+    winner: winner ? winner.nickname : null,
+  });
+
+  engine.schedule(() => {
+    tournaments.delete(tournament.id);
+    io.in(tournamentChannel(tournament.id)).socketsLeave(
+      tournamentChannel(tournament.id)
+    );
+  }, TOURNAMENT_KEEP_MS);
+}
+
+/**
+ * Socket.IO room that a party's members are in
+ */
+function partyChannel(code) {
+  return `party:${code}`;
+}
+
+/**
+ * Tell every member of a party how it looks now
+ */
+function broadcastParty(party) {
+  io.to(partyChannel(party.code)).emit("party_update", publicParty(party));
+}
+
+/**
+ * Find the party a socket belongs to
+ */
+function findParty(socketId) {
+  return parties.get(partyCodes.get(socketId)) || null;
+}
+
+/**
+ * Take a party out of the team queue
+ */
+function stopPartySearch(party) {
+  if (!party.search) return;
+
+  party.search = null;
+  const index = teamQueue.indexOf(party);
+  if (index !== -1) teamQueue.splice(index, 1);
+}
+
+/**
+ * Take a socket out of its party, closing the party if it was the last one
+ * in it. A party that was searching stops, since it's now short a player.
+ */
+function leaveParty(socket) {
+  const party = findParty(socket.id);
+  if (!party) return;
+
+  removeMember(party, socket.id);
+  partyCodes.delete(socket.id);
+  socket.leave(partyChannel(party.code));
+  socket.emit("party_update", null);
+  stopPartySearch(party);
+
+  log.info("Player left party", { socketId: socket.id, code: party.code });
+
+  if (party.members.length === 0) {
+    parties.delete(party.code);
+    return;
+  }
+  broadcastParty(party);
+}
+
+/**
+ * Pair the parties in the team queue that want the same match, longest
+ * waiting first
+ */
+function matchParties() {
+  for (let i = 0; i < teamQueue.length; i++) {
+    const party = teamQueue[i];
+    const opponent = teamQueue
+      .slice(i + 1)
+      .find((other) => other.search.matchKey === party.search.matchKey);
+    if (!opponent) continue;
+
+    const options = party.search;
+    stopPartySearch(party);
+    stopPartySearch(opponent);
+    broadcastParty(party);
+    broadcastParty(opponent);
+    startTeamMatch(party, opponent, options);
+    i--;
+  }
+}
+
+/**
+ * What a member's client is told about their team match: the mode, both
+ * teams' nicknames, the member's place in their team (whose move on the
+ * other side theirs is scored against) and who is away reconnecting
+ */
+function teamDetails(room, position) {
+  const nicknames = (role) => room.teams[role].map((seat) => seat.nickname);
+  return {
+    mode: room.mode.label,
+    teams: { player1: nicknames("player1"), player2: nicknames("player2") },
+    position,
+    away: engine
+      .listSeats(room)
+      .filter((seat) => !seat.connected)
+      .map((seat) => seat.nickname),
+  };
+}
+
+/**
+ * Seat two parties in a team room, tell every member who they're facing
+ * and start the first round
+ */
+function startTeamMatch(party1, party2, options) {
+  const seatsFor = (party) =>
+    party.members.map((member) => {
+      const { player } = io.sockets.sockets.get(member.socketId).data;
+      return engine.createSeat({
+        socketId: member.socketId,
+        playerId: player.id,
+        playerToken: player.token,
+        nickname: player.nickname,
+      });
+    });
+
+  const room = engine.createTeamRoomState(
+    generateRoomId(),
+    { player1: seatsFor(party1), player2: seatsFor(party2) },
+    options
+  );
+  registerRoom(room);
+
+  ["player1", "player2"].forEach((side) => {
+    const opponentSide = side === "player1" ? "player2" : "player1";
+    room.teams[side].forEach((seat, position) => {
+      const socket = io.sockets.sockets.get(seat.socketId);
+      playerRooms.set(seat.socketId, room.id);
+      socket.join(room.id);
+      announceSeat(socket, room.id);
+
+      socket.emit("match_found", {
+        roomId: room.id,
+        playerRole: side,
+        playerNickname: room.players[side].nickname,
+        opponentNickname: room.players[opponentSide].nickname,
+        opponentIsBot: false,
+        format: room.format,
+        ruleSet: room.ruleSet,
+        fairPlay: false,
+        tournament: null,
+        team: teamDetails(room, position),
+      });
+    });
+  });
+
+  log.info("Team match created", {
+    roomId: room.id,
+    mode: room.mode.label,
+    parties: [party1.code, party2.code],
+  });
+
+  engine.schedule(() => emitStartRound(room), MATCH_START_DELAY_MS);
+}
+
+/**
+ * Socket.IO room that a lobby's players are in
+ */
+function lobbyChannel(code) {
+  return `lobby:${code}`;
+}
+
+/**
+ * Tell every player in a lobby how it looks now
+ */
+function broadcastLobby(lobby) {
+  io.to(lobbyChannel(lobby.code)).emit("lobby_update", publicLobby(lobby));
+}
+
+/**
+ * Find the lobby a socket belongs to
+ */
+function findLobby(socketId) {
+  return lobbies.get(lobbyCodes.get(socketId)) || null;
+}
+
+/**
+ * Take a socket out of its lobby, closing the lobby if it was the last one
+ * in it
+ */
+function leaveLobby(socket) {
+  const lobby = findLobby(socket.id);
+  if (!lobby) return;
+
+  removeFromLobby(lobby, socket.id);
+  lobbyCodes.delete(socket.id);
+  socket.leave(lobbyChannel(lobby.code));
+  socket.emit("lobby_update", null);
+
+  log.info("Player left lobby", { socketId: socket.id, code: lobby.code });
+
+  if (lobby.members.length === 0) {
+    lobbies.delete(lobby.code);
+    return;
+  }
+  broadcastLobby(lobby);
+}
+
+/**
+ * Seat everyone in a lobby in a free-for-all room and start the first round
+ */
+function startFreeForAll(lobby) {
+  const roomId = generateRoomId();
+  const entrants = lobby.members.map((member) => {
+    const { player } = io.sockets.sockets.get(member.socketId).data;
+    return engine.createSeat({
+      socketId: member.socketId,
+      playerId: player.id,
+      playerToken: player.token,
+      nickname: player.nickname,
+    });
+  });
+
+  const room = engine.createFreeForAllState(roomId, entrants, {
+    ruleSet: lobby.ruleSet,
+  });
+  room.lobbyCode = lobby.code;
+  ffaRooms.set(roomId, room);
+  lobby.roomId = roomId;
+
+  entrants.forEach((seat) => {
+    ffaPlayerRooms.set(seat.socketId, roomId);
+    io.sockets.sockets.get(seat.socketId).join(roomId);
+  });
+  io.to(roomId).emit("ffa_started", {
+    roomId,
+    ruleSet: room.ruleSet,
+    players: entrants.map((seat) => ({
+      playerId: seat.playerId,
+      nickname: seat.nickname,
+    })),
+  });
+  broadcastLobby(lobby);
+
+  log.info("Free-for-all started", {
+    roomId,
+    code: lobby.code,
+    players: entrants.length,
+  });
+
+  engine.schedule(() => emitStartFreeForAllRound(room), MATCH_START_DELAY_MS);
+}
+
+/**
+ * Start the round clock in a free-for-all room and tell everyone
+ */
+function emitStartFreeForAllRound(room) {
+  if (ffaRooms.get(room.id) !== room || room.gameOver) return;
+
+  engine.cancel(room.roundTimer);
+  startRoundClock(room, handleFreeForAllRoundTimeout);
+
+  io.to(room.id).emit("ffa_start_round", {
+    round: room.round,
+    remaining: engine.listSeats(room).map((seat) => seat.playerId),
+    deadline: room.roundDeadline,
+    roundTimeMs: ROUND_TIME_MS,
+    serverTime: engine.now(),
+  });
+}
+
+/**
+ * Record a free-for-all player's move, and finish the round once everyone
+ * still in has thrown
+ */
+function submitFreeForAllChoice(socket, room, data) {
+  if (room.gameOver || !room.roundOpen) return;
+  if (!isValidMove(room.ruleSet, data && data.choice)) return;
+
+  const seat = room.entrants.find((entrant) => entrant.socketId === socket.id);
+  if (seat.eliminatedInRound !== null || seat.choice) return;
+
+  seat.choice = data.choice;
+  seat.timeouts = 0;
+
+  const seats = engine.listSeats(room);
+  io.to(room.id).emit("ffa_locked", {
+    playerId: seat.playerId,
+    locked: seats.filter((player) => player.choice).length,
+    total: seats.length,
+  });
+
+  if (engine.bothPlayersChose(room)) {
+    finishFreeForAllRound(room);
+  }
+}
+
+/**
+ * The round clock ran out in a free-for-all room: late players are dealt
+ * with by the timeout policy and the round is scored anyway
+ */
+function handleFreeForAllRoundTimeout(room) {
+  room.roundTimer = null;
+  if (ffaRooms.get(room.id) !== room || room.gameOver) return;
+
+  engine.timeOutGroupRound(room).forEach((seat) => {
+    log.info("Free-for-all player timed out", {
+      roomId: room.id,
+      socketId: seat.socketId,
+    });
+  });
+
+  finishFreeForAllRound(room);
+}
+
+/**
+ * Score a free-for-all round, then start the next one or end the game
+ */
+function finishFreeForAllRound(room) {
+  engine.cancel(room.roundTimer);
+  room.roundTimer = null;
+  room.roundDeadline = null;
+  room.roundOpen = false;
+
+  const result = engine.processRound(room);
+  io.to(room.id).emit("ffa_round_result", result);
+
+  if (room.gameOver) {
+    recordFreeForAll(room);
+    engine.schedule(() => emitFreeForAllResult(room), MATCH_RESULT_DELAY_MS);
+  } else {
+    engine.schedule(() => emitStartFreeForAllRound(room), NEXT_ROUND_DELAY_MS);
+  }
+}
+
+/**
+ * Save a finished free-for-all game to storage. It's unrated, and has
+ * entrants where a match has two sides: the winner is a player id, and
+ * each round lists everyone's reveals.
+ */
+function recordFreeForAll(room) {
+  const record = {
+    id: room.matchId,
+    roomId: room.id,
+    ruleSetId: room.ruleSet.id,
+    format: { type: "freeForAll", label: "Free-for-all" },
+    fairPlay: false,
+    // Lobby codes are only for the people who were invited, like private
+    // room codes
+    privateCode: room.lobbyCode,
+    players: null,
+    teams: null,
+    // From the winner to whoever was knocked out first
+    entrants: engine.freeForAllStandings(room).map((standing) => ({
+      playerId: standing.playerId,
+      nickname: standing.nickname,
+      isBot: false,
+      botStrategy: null,
+      eliminatedInRound: standing.eliminatedInRound,
+    })),
+    rounds: room.rounds,
+    finalScores: null,
+    winner: room.matchWinner,
+    endReason: room.endReason,
+    ratingChanges: null,
+    startedAt: room.matchStartedAt,
+    endedAt: engine.now(),
+  };
+
+  storage.saveMatch(record).catch((err) => {
+    log.error("Failed to save free-for-all game", {
+      matchId: record.id,
+      error: err,
+    });
+  });
+
+  matchesFinished.inc();
+  recentMatches.add(engine.now());
+}
+
+/**
+ * Tell a free-for-all room how the game ended, then close it (the lobby
+ * stays together for the next game)
+ */
+function emitFreeForAllResult(room) {
+  if (ffaRooms.get(room.id) !== room) return;
+
+  io.to(room.id).emit("ffa_result", {
+    matchId: room.matchId,
+    winner: room.matchWinner,
+    reason: room.endReason,
+    rounds: room.rounds.length,
+    standings: engine.freeForAllStandings(room),
+  });
+  destroyFreeForAllRoom(room);
+}
+
+/**
+ * Close a free-for-all room and open its lobby again
+ */
+function destroyFreeForAllRoom(room) {
+  engine.cancel(room.roundTimer);
+  ffaRooms.delete(room.id);
+  room.entrants.forEach((seat) => ffaPlayerRooms.delete(seat.socketId));
+  io.in(room.id).socketsLeave(room.id);
+
+  const lobby = lobbies.get(room.lobbyCode);
+  if (lobby && lobby.roomId === room.id) {
+    lobby.roomId = null;
+    broadcastLobby(lobby);
+  }
+}
+
+/**
+ * A player left or disconnected mid-game: they're knocked out (and the
+ * game ends if only one player is left)
+ */
+function leaveFreeForAll(socket, reason) {
+  const room = ffaRooms.get(ffaPlayerRooms.get(socket.id));
+  if (!room) return;
+
+  const seat = room.entrants.find((entrant) => entrant.socketId === socket.id);
+  ffaPlayerRooms.delete(socket.id);
+  socket.leave(room.id);
+  if (room.gameOver || seat.eliminatedInRound !== null) return;
+
+  engine.dropEntrant(room, seat);
+  io.to(room.id).emit("ffa_player_left", {
+    playerId: seat.playerId,
+    nickname: seat.nickname,
+  });
+
+  log.info("Player left free-for-all", {
+    roomId: room.id,
+    socketId: socket.id,
+  });
+
+  if (room.gameOver) {
+    engine.cancel(room.roundTimer);
+    forfeits.inc({ reason });
+    recordFreeForAll(room);
+    emitFreeForAllResult(room);
+  } else if (room.roundOpen && engine.bothPlayersChose(room)) {
+    finishFreeForAllRound(room);
+  }
+}
+
+/**
+ * Send a message to the other server nodes (nothing to do on a single node)
+ */
+function tellNodes(event, message) {
+  if (clustered) io.serverSideEmit(event, message);
+}
+
+/**
+ * Run a shared state update in the background, logging failures
+ */
+function syncState(description, update) {
+  update.catch((err) => {
+    log.error(`Failed to ${description}`, { error: err });
+  });
+}
+
+/**
+ * Share a changed profile with the other nodes
+ */
+function sharePlayer(profile) {
+  syncState("share player", state.setPlayer(profile));
+  tellNodes("player_updated", profile);
+}
+
+/**
+ * Load a player's profile from the shared state if they first connected
+ * to another node
+ */
+async function loadSharedPlayer(token) {
+  if (typeof token !== "string" || findPlayerByToken(token)) return;
+
+  const profile = await state.getPlayer(token);
+  if (profile) rememberPlayer(profile);
+}
+
+/**
+ * What another node needs to know to act on a socket connected here
+ */
+function describeSocket(socket) {
+  return { id: socket.id, nodeId: NODE_ID, player: socket.data.player };
+}
+
+/**
+ * Stand-in for a socket connected to another node, so a room hosted here
+ * can seat, message and drop it like a local one (the Socket.IO adapter
+ * delivers to it wherever it is)
+ */
+function remoteSocket({ id, nodeId, player }) {
+  return {
+    id,
+    remoteNodeId: nodeId,
+    data: {
+      player:
+        player && (findPlayerByToken(player.token) || rememberPlayer(player)),
+    },
+    join(roomId) {
+      io.in(id).socketsJoin(roomId);
+    },
+    leave(roomId) {
+      io.in(id).socketsLeave(roomId);
+    },
+    emit(event, ...args) {
+      io.to(id).emit(event, ...args);
+    },
+  };
+}
+
+/**
+ * Pass an event from a socket connected here to the node that handles it
+ */
+function forwardEvent(nodeId, socket, event, payload) {
+  tellNodes("forwarded_event", {
+    nodeId,
+    event,
+    payload,
+    socket: describeSocket(socket),
+  });
+}
+
+/**
+ * Note that a socket has joined a room here (or left it, with a null
+ * roomId). A socket queued on this node stops waiting; the node a remote
+ * socket is connected to starts (or stops) forwarding its events here.
+ */
+function announceSeat(socket, roomId) {
+  if (!socket.remoteNodeId) {
+    if (roomId) stopWaiting(socket.id);
+    return;
+  }
+
+  tellNodes("seat_changed", {
+    nodeId: socket.remoteNodeId,
+    socketId: socket.id,
+    roomId,
+    hostNodeId: NODE_ID,
+  });
+}
+
+/**
+ * Remove a player's held seat from the shared state, unless it already
+ * points at a newer room
+ */
+function releaseSeat(token, roomId) {
+  if (!token) return;
+
+  syncState(
+    "release seat",
+    state.getSeat(token).then((seat) => {
+      if (seat && seat.roomId === roomId) return state.deleteSeat(token);
+      return null;
+    })
+  );
+}
+
+/**
+ * Find the seat a player token holds, here or on another node
+ * @returns { room, playerRole } for a room hosted here, { nodeId } for one
+ *   hosted elsewhere, or null
+ */
+async function findHeldSeat(token) {
+  const heldSeat = findRoomByToken(token);
+  if (heldSeat) return heldSeat;
+
+  const seat = await state.getSeat(token);
+  return seat && seat.nodeId !== NODE_ID ? { nodeId: seat.nodeId } : null;
+}
+
+/**
+ * Validate the nickname sent with a join request and remember it
+ * @returns true if the nickname was accepted
+ */
+function acceptNickname(socket, data) {
+  const check = validateNickname(data && data.nickname);
+  if (!check.ok) {
+    socket.emit("nickname_rejected", { reason: check.reason });
+    return false;
+  }
+  setNickname(socket.data.player, check.nickname);
+  sharePlayer(socket.data.player);
+  return true;
+}
+
+/**
+ * Stop a socket queued on this node waiting (cancelling its bot fallback)
+ */
+function stopWaiting(socketId) {
+  engine.cancel(queuedSockets.get(socketId));
+  queuedSockets.delete(socketId);
+}
+
+/**
+ * Remove a socket from the matchmaking queue
+ * @returns the removed queue entry, or null if it wasn't queued (or
+ *   another node has just paired it)
+ */
+async function removeFromQueue(socket) {
+  stopWaiting(socket.id);
+  return state.dequeue(socket.id);
+}
+
+/**
+ * Pair up everyone in the queue who can be paired, longest waiting first.
+ * The queue is shared, so only one node scans it at a time.
+ */
+async function matchQueue() {
+  if (!(await state.acquireLock("matchmaking", QUEUE_SCAN_MS))) return;
+
+  try {
+    const queue = await state.listQueue();
+
+    for (const [entry, opponent] of engine.pairQueue(queue)) {
+      await pairEntries(entry, opponent);
+    }
+  } finally {
+    await state.releaseLock("matchmaking");
+  }
+}
+
+/**
+ * Scan the queue in the background, logging failures
+ */
+function scanQueue() {
+  if (shuttingDown) return;
+
+  matchQueue().catch((err) => {
+    log.error("Failed to scan the queue", { error: err });
+  });
+}
+
+/**
+ * Note how long a player waited in the queue before their match
+ */
+function recordQueueWait(entry) {
+  queueWait.observe((engine.now() - entry.joinedAt) / 1000);
+  recentQueueMatches.add(engine.now());
+}
+
+/**
+ * Count the sockets connected to any node
+ */
+async function countPlayersOnline() {
+  if (!clustered) return io.of("/").sockets.size;
+  const sockets = await io.fetchSockets();
+  return sockets.length;
+}
+
+/**
+ * Tell players queued on this node where they stand: their place in line,
+ * how long they're likely to wait, and how busy the server is
+ * @param socketIds - who to tell (everyone queued here by default)
+ */
+async function sendQueueUpdates(socketIds) {
+  if (socketIds.length === 0) return;
+
+  const [queue, rooms, playersOnline] = await Promise.all([
+    state.listQueue(),
+    state.listRooms(),
+    countPlayersOnline(),
+  ]);
+  const matchedRecently = recentQueueMatches.count(engine.now());
+  // Free-for-all games aren't shared, so only this node's count
+  const matchesInProgress =
+    rooms.filter((info) => !info.gameOver).length + ffaRooms.size;
+
+  socketIds.forEach((socketId) => {
+    const socket = io.sockets.sockets.get(socketId);
+    const entry = queue.find((other) => other.socketId === socketId);
+    if (!socket || !entry) return;
+
+    const { position, queued } = engine.queuePosition(queue, entry);
+    let estimatedWaitMs = engine.estimateQueueWait(
+      position,
+      matchedRecently,
+      QUEUE_RATE_WINDOW_MS
+    );
+
+    // Nobody waits longer than it takes to be offered a bot
+    if (BOT_FALLBACK_MS > 0) {
+      const untilBot = Math.max(
+        0,
+        entry.joinedAt + BOT_FALLBACK_MS - engine.now()
+      );
+      estimatedWaitMs =
+        estimatedWaitMs === null
+          ? untilBot
+          : Math.min(estimatedWaitMs, untilBot);
+    }
+
+    socket.emit("queue_update", {
+      position,
+      queued,
+      estimatedWaitMs,
+      playersOnline,
+      matchesInProgress,
+    });
+  });
+}
+
+/**
+ * Send queue updates in the background, logging failures
+ */
+function postQueueUpdates(socketIds = Array.from(queuedSockets.keys())) {
+  if (shuttingDown) return;
+
+  sendQueueUpdates(socketIds).catch((err) => {
+    log.error("Failed to send queue updates", { error: err });
+  });
+}
+
+/**
+ * Claim two queued players and start their match on the first player's
+ * node (the second may be connected anywhere)
+ */
+async function pairEntries(entry, opponent) {
+  const [player1, player2] = await Promise.all([
+    state.dequeue(entry.socketId),
+    state.dequeue(opponent.socketId),
+  ]);
+
+  // One of them left the queue meanwhile: put the other back
+  if (!player1 || !player2) {
+    if (player1) await state.enqueue(player1);
+    if (player2) await state.enqueue(player2);
+    return;
+  }
+
+  recordQueueWait(player1);
+  recordQueueWait(player2);
+
+  if (player1.nodeId === NODE_ID) {
+    startQueuedMatch(player1, player2);
+  } else {
+    tellNodes("start_match", { nodeId: player1.nodeId, player1, player2 });
+  }
+}
+
+/**
+ * Start a match between two players taken from the queue
+ */
+function startQueuedMatch(entry1, entry2) {
+  const [socket1, socket2] = [entry1, entry2].map((entry) =>
+    entry.nodeId === NODE_ID
+      ? io.sockets.sockets.get(entry.socketId)
+      : remoteSocket({
+          id: entry.socketId,
+          nodeId: entry.nodeId,
+          player: entry.player,
+        })
+  );
+
+  // The first player disconnected just before being paired: the second
+  // goes back in the queue
+  if (!socket1) {
+    syncState("requeue player", state.enqueue(entry2));
+    return;
+  }
+  if (!socket2) {
+    syncState("requeue player", state.enqueue(entry1));
+    return;
+  }
+
+  if (READY_CHECK_MS > 0) {
+    startReadyCheck([entry1, entry2], [socket1, socket2]);
+    return;
+  }
+
+  startMatch(socket1, socket2, {
+    format: entry1.format,
+    ruleSet: getRuleSet(entry1.ruleSetId),
+    fairPlay: entry1.fairPlay,
+  });
+}
+
+/**
+ * Ask two players taken from the queue to accept their match. The room is
+ * only made once both have; until then their events come here like a
+ * room's would.
+ */
+function startReadyCheck(entries, sockets) {
+  const check = {
+    id: generateRoomId(),
+    players: entries.map((entry, i) => ({
+      entry,
+      socket: sockets[i],
+      accepted: false,
+      declined: false,
+    })),
+    deadline: engine.now() + READY_CHECK_MS,
+    timer: null,
+  };
+  check.timer = engine.schedule(() => failReadyCheck(check), READY_CHECK_MS);
+
+  check.players.forEach(({ socket }) => {
+    readyChecks.set(socket.id, check);
+    announceSeat(socket, check.id);
+    socket.emit("ready_check", {
+      timeoutMs: READY_CHECK_MS,
+      deadline: check.deadline,
+      serverTime: engine.now(),
+    });
+  });
+
+  log.info("Ready check started", {
+    checkId: check.id,
+    player1: sockets[0].id,
+    player2: sockets[1].id,
+  });
+}
+
+/**
+ * Stop a ready check's clock and let its players go
+ */
+function endReadyCheck(check) {
+  engine.cancel(check.timer);
+  check.players.forEach(({ socket }) => readyChecks.delete(socket.id));
+}
+
+/**
+ * Handle a player accepting their match, starting it once both have
+ */
+function handleAcceptMatch(socket) {
+  const check = readyChecks.get(socket.id);
+  if (!check) return;
+
+  check.players.find(
+    (player) => player.socket.id === socket.id
+  ).accepted = true;
+  const accepted = check.players.filter((player) => player.accepted).length;
+  check.players.forEach((player) =>
+    player.socket.emit("ready_check_update", {
+      accepted,
+      total: check.players.length,
+    })
+  );
+  if (accepted < check.players.length) return;
+
+  endReadyCheck(check);
+  const [first, second] = check.players;
+  startMatch(first.socket, second.socket, {
+    format: first.entry.format,
+    ruleSet: getRuleSet(first.entry.ruleSetId),
+    fairPlay: first.entry.fairPlay,
+  });
+}
+
+/**
+ * Handle a player turning their match down (disconnecting counts too)
+ */
+function handleDeclineMatch(socket) {
+  const check = readyChecks.get(socket.id);
+  if (!check) return;
+
+  check.players.find(
+    (player) => player.socket.id === socket.id
+  ).declined = true;
+  failReadyCheck(check);
+}
+
+/**
+ * Call off a ready check: whoever accepted goes back to the front of the
+ * queue, and whoever didn't can't queue again for a while
+ */
+function failReadyCheck(check) {
+  endReadyCheck(check);
+
+  check.players.forEach(({ entry, socket, accepted, declined }) => {
+    announceSeat(socket, null);
+
+    if (accepted) {
+      socket.emit("ready_check_failed", { reason: "opponent", requeued: true });
+      returnToQueue(entry);
+      return;
+    }
+
+    if (REQUEUE_COOLDOWN_MS > 0) {
+      setQueueCooldown(entry.player.token, engine.now() + REQUEUE_COOLDOWN_MS);
+    }
+    socket.emit("ready_check_failed", {
+      reason: declined ? "declined" : "timeout",
+      requeued: false,
+      cooldownMs: REQUEUE_COOLDOWN_MS,
+    });
+  });
+
+  log.info("Ready check failed", { checkId: check.id });
+}
+
+/**
+ * Put a player back in the queue, keeping their place, on whichever node
+ * they're connected to
+ */
+function returnToQueue(entry) {
+  if (entry.nodeId !== NODE_ID) {
+    tellNodes("return_to_queue", { nodeId: entry.nodeId, entry });
+    return;
+  }
+
+  const socket = io.sockets.sockets.get(entry.socketId);
+  if (socket) waitInQueue(socket, entry);
+}
+
+/**
+ * Remember when a player may queue again, on every node
+ */
+function setQueueCooldown(token, until) {
+  rememberQueueCooldown(token, until);
+  tellNodes("queue_cooldown", { token, until });
+}
+
+/**
+ * Remember when a player may queue again, forgetting cooldowns that are over
+ */
+function rememberQueueCooldown(token, until) {
+  const now = engine.now();
+  queueCooldowns.forEach((otherUntil, otherToken) => {
+    if (otherUntil <= now) queueCooldowns.delete(otherToken);
+  });
+  queueCooldowns.set(token, until);
+}
+
+/**
+ * Queue a socket connected to this node: share its entry, fall back to a
+ * bot if nobody suitable comes along and pair it straight away if we can
+ */
+function waitInQueue(socket, entry) {
+  let botTimer = null;
+  if (BOT_FALLBACK_MS > 0) {
+    // Players put back in the queue keep the time they've already waited
+    const untilBot = Math.max(
+      0,
+      entry.joinedAt + BOT_FALLBACK_MS - engine.now()
+    );
+    botTimer = engine.schedule(() => {
+      removeFromQueue(socket)
+        .then((removed) => {
+          if (!removed) return;
+          recordQueueWait(removed);
+          startBotMatch(socket, {
+            format: entry.format,
+            ruleSet: getRuleSet(entry.ruleSetId),
+            fairPlay: entry.fairPlay,
+          });
+        })
+        .catch((err) => {
+          log.error("Failed to leave the queue", {
+            socketId: socket.id,
+            error: err,
+          });
+        });
+    }, untilBot);
+  }
+  queuedSockets.set(socket.id, botTimer);
+
+  state
+    .enqueue(entry)
+    .then(() => {
+      scanQueue();
+      postQueueUpdates([socket.id]);
+    })
+    .catch((err) => {
+      log.error("Failed to join the queue", {
+        socketId: socket.id,
+        error: err,
+      });
+    });
+}
+
+/**
+ * Seat two players in a new room, tell them who they're facing and start
+ * the first round
+ */
+function startMatch(player1Socket, player2Socket, options) {
+  const room = createRoom(player1Socket, player2Socket, options);
+
+  log.info("Match created", {
+    roomId: room.id,
+    player1: room.players.player1.socketId,
+    player2: room.players.player2.socketId,
+  });
+
+  // Notify both players that a match was found
+  player1Socket.emit("match_found", {
+    roomId: room.id,
+    playerRole: "player1",
+    playerNickname: room.players.player1.nickname,
+    opponentNickname: room.players.player2.nickname,
+    opponentIsBot: room.players.player2.isBot,
+    format: room.format,
+    ruleSet: room.ruleSet,
+    fairPlay: room.fairPlay,
+    tournament: room.tournament,
+  });
+
+  // Bots don't need telling
+  if (!player2Socket) {
+    engine.schedule(() => emitStartRound(room), MATCH_START_DELAY_MS);
+    return room;
+  }
+
+  player2Socket.emit("match_found", {
+    roomId: room.id,
+    playerRole: "player2",
+    playerNickname: room.players.player2.nickname,
+    opponentNickname: room.players.player1.nickname,
+    opponentIsBot: false,
+    format: room.format,
+    ruleSet: room.ruleSet,
+    fairPlay: room.fairPlay,
+    tournament: room.tournament,
+  });
+
+  // Start the first round after a short delay
+  engine.schedule(() => emitStartRound(room), MATCH_START_DELAY_MS);
+
+  return room;
+}
+
+/**
+ * Seed for a new bot's moves
+ */
+function botSeed() {
+  return BOT_SEED !== null ? BOT_SEED : Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Start a match between a player and a bot
+ */
+function startBotMatch(socket, options) {
+  const bot = createBot({
+    strategy: options.strategy,
+    ruleSet: options.ruleSet,
+    seed: botSeed(),
+  });
+
+  log.info("Bot match requested", {
+    socketId: socket.id,
+    strategy: bot.strategy,
+  });
+
+  return startMatch(socket, null, {
+    format: options.format,
+    ruleSet: options.ruleSet,
+    fairPlay: options.fairPlay,
+    bot,
+  });
+}
+
+/**
+ * Send an event to everyone else playing in a room: the opponent, or in a
+ * team match every other member of both teams
+ */
+function emitToOtherSeats(room, seat, event, payload) {
+  engine.listSeats(room).forEach((other) => {
+    if (other !== seat && other.socketId && other.connected) {
+      io.to(other.socketId).emit(event, payload);
+    }
+  });
+}
+
+/**
+ * Hold a dropped player's seat for the grace period, forfeiting the match
+ * if they don't come back in time (or straight away, with no grace period)
+ * @param seat - the seat they dropped from (a team member's own seat)
+ */
+function holdSeat(room, playerRole, seat) {
+  playerRooms.delete(seat.socketId);
+  seat.connected = false;
+
+  if (RECONNECT_GRACE_MS <= 0) {
+    expireSeat(room, playerRole, seat);
+    return;
+  }
+
+  seat.reconnectDeadline = engine.now() + RECONNECT_GRACE_MS;
+
+  log.info("Player dropped, holding seat", { roomId: room.id, playerRole });
+
+  // Let the others know we're waiting
+  emitToOtherSeats(room, seat, "opponent_reconnecting", {
+    nickname: seat.nickname,
+    graceSeconds: Math.round(RECONNECT_GRACE_MS / 1000),
+  });
+
+  seat.disconnectTimer = engine.schedule(() => {
+    seat.disconnectTimer = null;
+    expireSeat(room, playerRole, seat);
+  }, RECONNECT_GRACE_MS);
+}
+
+/**
+ * Grace period ran out: forfeit the match for the player's side (if it was
+ * still being played) and close the room
+ */
+function expireSeat(room, playerRole, seat) {
+  const opponentRole = playerRole === "player1" ? "player2" : "player1";
+
+  log.info("Player did not return", { roomId: room.id, playerRole });
+
+  if (room.gameOver) {
+    // A team room closes by itself once its result is out
+    if (room.teams) return;
+    emitToOtherSeats(room, seat, "opponent_disconnected");
+  } else if (
+    engine.sideSeats(room, opponentRole).every((other) => !other.connected)
+  ) {
+    // Both sides gone: nobody wins
+    endMatch(room, null, "abandoned");
+    if (room.teams) emitMatchResult(room);
+  } else {
+    endMatch(room, opponentRole, "disconnect");
+    emitMatchResult(room);
+  }
+
+  destroyRoom(room.id);
+}
+
+/**
+ * Rebind a returning player's new socket to the seat they were holding
+ * @param seat - the seat they held (a team member's own seat)
+ */
+function resumeSeat(socket, room, playerRole, seat) {
+  const player = room.players[playerRole];
+  const opponentRole = playerRole === "player1" ? "player2" : "player1";
+  const opponent = room.players[opponentRole];
+
+  // A second tab (or a socket the server hasn't noticed is dead yet, on
+  // this node or another) loses the seat to the newest connection
+  if (seat.connected && seat.socketId !== socket.id) {
+    const staleSocketId = seat.socketId;
+    playerRooms.delete(staleSocketId);
+    io.in(staleSocketId).socketsLeave(room.id);
+    io.to(staleSocketId).emit("session_replaced");
+    io.in(staleSocketId).disconnectSockets(true);
+  }
+
+  engine.cancel(seat.disconnectTimer);
+  seat.disconnectTimer = null;
+  seat.socketId = socket.id;
+  seat.connected = true;
+
+  playerRooms.set(socket.id, room.id);
+  socket.join(room.id);
+  announceSeat(socket, room.id);
+
+  log.info("Player resumed", {
+    roomId: room.id,
+    playerRole,
+    socketId: socket.id,
+  });
+
+  socket.emit("match_resumed", {
+    roomId: room.id,
+    playerRole,
+    playerNickname: player.nickname,
+    opponentNickname: opponent.nickname,
+    round: room.round,
+    scores: {
+      player1: room.players.player1.score,
+      player2: room.players.player2.score,
+    },
+    format: room.format,
+    ruleSet: room.ruleSet,
+    suddenDeath: room.suddenDeath,
+    deadline: room.roundDeadline,
+    roundTimeMs: ROUND_TIME_MS,
+    serverTime: engine.now(),
+    fairPlay: room.fairPlay,
+    phase: room.phase,
+    revealDeadline: room.revealDeadline,
+    revealTimeMs: REVEAL_TIME_MS,
+    commitments: {
+      player1: room.players.player1.commitment,
+      player2: room.players.player2.commitment,
+    },
+    myChoice: seat.choice,
+    myCommitment: seat.commitment,
+    opponentLocked: Boolean(opponent.choice || opponent.commitment),
+    opponentConnected: opponent.connected,
+    opponentGraceSeconds: opponent.connected
+      ? null
+      : Math.max(
+          0,
+          Math.ceil((opponent.reconnectDeadline - engine.now()) / 1000)
+        ),
+    gameOver: room.gameOver,
+    matchWinner: room.matchWinner,
+    endReason: room.endReason,
+    ratingChanges: room.ratingChanges,
+    tournament: room.tournament,
+    chat: chatHistoryFor(room, playerRole),
+    mutedOpponent: player.mutedOpponent,
+    team: room.teams
+      ? teamDetails(room, room.teams[playerRole].indexOf(seat))
+      : null,
+  });
+
+  emitToOtherSeats(room, seat, "opponent_reconnected", {
+    nickname: seat.nickname,
+  });
+
+  // A match restored after a restart carries on once everyone is back
+  if (room.resuming && opponent.connected) {
+    room.resuming = false;
+    engine.schedule(() => emitStartRound(room), MATCH_START_DELAY_MS);
+  }
+}
+
+/**
+ * The parts of a room kept across a restart. The round being played starts
+ * over, so its moves and timers aren't kept.
+ */
+function snapshotRoom(room) {
+  const snapshotSeat = (player) => ({
+    playerId: player.playerId,
+    playerToken: player.playerToken,
+    nickname: player.nickname,
+    botStrategy: player.isBot ? player.bot.strategy : null,
+    score: player.score,
+    timeouts: player.timeouts,
+    mutedOpponent: player.mutedOpponent,
+  });
+
+  return {
+    id: room.id,
+    players: {
+      player1: snapshotSeat(room.players.player1),
+      player2: snapshotSeat(room.players.player2),
+    },
+    format: room.format,
+    ruleSetId: room.ruleSet.id,
+    fairPlay: room.fairPlay,
+    matchId: room.matchId,
+    matchStartedAt: room.matchStartedAt,
+    rounds: room.rounds,
+    round: room.round,
+    suddenDeath: room.suddenDeath,
+    privateCode: room.privateCode,
+    tournament: room.tournament,
+    chat: room.chat,
+  };
+}
+
+/**
+ * Rebuild a room from a snapshot. Its players have until resumeDeadline to
+ * reconnect, and the interrupted round starts over once they're back.
+ */
+function restoreRoom(data, resumeDeadline) {
+  const ruleSet = getRuleSet(data.ruleSetId);
+  const restoreSeat = (seat) => ({
+    ...engine.createSeat({
+      socketId: null,
+      bot: seat.botStrategy
+        ? createBot({ strategy: seat.botStrategy, ruleSet, seed: botSeed() })
+        : null,
+      playerId: seat.playerId,
+      playerToken: seat.playerToken,
+      nickname: seat.nickname,
+    }),
+    score: seat.score,
+    timeouts: seat.timeouts,
+    mutedOpponent: seat.mutedOpponent,
+  });
+
+  const room = engine.createRoomState(
+    data.id,
+    {
+      player1: restoreSeat(data.players.player1),
+      player2: restoreSeat(data.players.player2),
+    },
+    {
+      format: data.format,
+      ruleSet,
+      fairPlay: data.fairPlay,
+      privateCode: data.privateCode,
+      tournament: data.tournament,
+    }
+  );
+  Object.assign(room, {
+    matchId: data.matchId,
+    matchStartedAt: data.matchStartedAt,
+    rounds: data.rounds,
+    round: data.round,
+    suddenDeath: data.suddenDeath,
+    chat: data.chat,
+    resuming: true,
+  });
+
+  // The bot remembers what it learned about its opponent
+  const bot = room.players.player2.bot;
+  if (bot) {
+    room.rounds.forEach((round) =>
+      bot.observe(round.player1Choice, round.player2Choice)
+    );
+  }
+
+  registerRoom(room);
+
+  // Hold every human seat until the window closes
+  ["player1", "player2"].forEach((role) => {
+    const player = room.players[role];
+    if (player.isBot) return;
+
+    player.connected = false;
+    player.reconnectDeadline = resumeDeadline;
+    player.disconnectTimer = engine.schedule(() => {
+      player.disconnectTimer = null;
+      expireSeat(room, role, player);
+    }, resumeDeadline - engine.now());
+  });
+}
+
+/**
+ * Bring back the matches that were being played when the server last
+ * stopped, if it stopped recently enough
+ */
+async function restoreSnapshot() {
+  const snapshot = await takeSnapshot(SNAPSHOT_PATH);
+  if (!snapshot) return;
+
+  const resumeDeadline = snapshot.savedAt + RESTORE_WINDOW_MS;
+  if (resumeDeadline <= engine.now()) {
+    log.info("Room snapshot is too old to resume, skipping it");
+    return;
+  }
+
+  snapshot.rooms.forEach((data) => restoreRoom(data, resumeDeadline));
+  log.info("Restored matches from the snapshot", {
+    rooms: snapshot.rooms.length,
+  });
+}
+
+/**
+ * Stop for a deploy or restart: turn away new matches, warn everyone, save
+ * the matches being played so they can resume, then exit
+ */
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  log.info("Shutting down", { signal });
+
+  // Exit even if something below hangs
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+
+  // Team matches end with the server, like the parties that play them
+  const rooms = Array.from(activeRooms.values())
+    .filter((room) => !room.gameOver && !room.teams)
+    .map(snapshotRoom);
+
+  io.emit("server_restarting", {
+    message: RESTARTING_MESSAGE,
+    resumeWithinSeconds: Math.round(RESTORE_WINDOW_MS / 1000),
+  });
+
+  saveSnapshot(SNAPSHOT_PATH, { savedAt: engine.now(), rooms })
+    .then(() => {
+      log.info("Saved live matches to resume later", { rooms: rooms.length });
+      return stop();
+    })
+    .then(() => process.exit(0))
+    .catch((err) => {
+      log.error("Failed to shut down cleanly", { error: err });
+      process.exit(1);
+    });
+}
+
+/**
+ * Queued players, on any node, for the admin page
+ */
+async function listQueueForAdmin() {
+  const now = engine.now();
+  const queue = await state.listQueue();
+  return queue
+    .sort((a, b) => a.joinedAt - b.joinedAt)
+    .map((entry) => ({
+      socketId: entry.socketId,
+      nodeId: entry.nodeId,
+      playerId: entry.player.id,
+      playerToken: entry.player.token,
+      nickname: entry.player.nickname,
+      rating: Math.round(entry.rating),
+      ruleSetId: entry.ruleSetId,
+      format: entry.format.label,
+      fairPlay: entry.fairPlay,
+      waitedSeconds: Math.round((now - entry.joinedAt) / 1000),
+    }));
+}
+
+/**
+ * Every room on any node (private and finished ones too), for the admin
+ * page
+ */
+async function listRoomsForAdmin() {
+  return state.listRooms();
+}
+
+/**
+ * Every connected socket on any node, for the admin page
+ */
+async function listPlayersForAdmin() {
+  const sockets = await io.fetchSockets();
+  return sockets.map((socket) => ({
+    socketId: socket.id,
+    playerId: socket.data.player.id,
+    playerToken: socket.data.player.token,
+    nickname: socket.data.player.nickname,
+    ip: clientIp(socket),
+  }));
+}
+
+/**
+ * Force-end a room for an admin, on whichever node hosts it
+ * @returns true if the room was found
+ */
+async function endRoomForAdmin(roomId) {
+  const room = activeRooms.get(roomId);
+  if (room) {
+    endRoomNow(room);
+    return true;
+  }
+
+  const info = await state.getRoom(roomId);
+  if (!info || info.nodeId === NODE_ID) return false;
+  tellNodes("end_room", { nodeId: info.nodeId, roomId });
+  return true;
+}
+
+/**
+ * End a room's match with no winner (a tournament match goes to the higher
+ * seed), tell everyone in it and close it
+ */
+function endRoomNow(room) {
+  if (!room.gameOver) {
+    endMatch(room, null, "ended_by_admin");
+    emitMatchResult(room);
+  }
+  destroyRoom(room.id);
+}
+
+/**
+ * Check whether a socket (or a remote one) matches a kick or ban target
+ */
+function matchesTarget(socket, target) {
+  if (target.type === "ip") return clientIp(socket) === target.value;
+  return socket.data.player.token === target.value;
+}
+
+/**
+ * Disconnect every socket, on any node, that matches a target, telling it
+ * why first
+ * @returns how many sockets were disconnected
+ */
+async function disconnectTarget(target, message) {
+  const sockets = await io.fetchSockets();
+  const matching = sockets.filter((socket) => matchesTarget(socket, target));
+  matching.forEach((socket) => {
+    rejectEvent(socket, null, "kicked", message);
+    socket.disconnect(true);
+  });
+  return matching.length;
+}
+
+/**
+ * Find a ban covering a player token or address
+ */
+function findBan(token, ip) {
+  for (const ban of bans.values()) {
+    if (ban.type === "token" && ban.value === token) return ban;
+    if (ban.type === "ip" && ban.value === ip) return ban;
+  }
+  return null;
+}
+
+/**
+ * Load the saved bans
+ */
+async function loadBans() {
+  const saved = await storage.listBans();
+  saved.forEach((ban) => bans.set(ban.id, ban));
+}
+
+/**
+ * Remember a ban here and in storage
+ */
+function rememberBan(ban) {
+  bans.set(ban.id, ban);
+  storage.saveBan(ban).catch((err) => {
+    log.error("Failed to save ban", { banId: ban.id, error: err });
+  });
+}
+
+/**
+ * Ban a player token or address on every node and disconnect whoever it
+ * covers
+ * @returns { ban, disconnected }
+ */
+async function addBan(target, reason) {
+  const ban = {
+    id: crypto.randomBytes(6).toString("hex"),
+    ...target,
+    reason,
+    createdAt: engine.now(),
+  };
+  rememberBan(ban);
+  tellNodes("ban_added", ban);
+
+  const disconnected = await disconnectTarget(target, BANNED_MESSAGE);
+  return { ban, disconnected };
+}
+
+/**
+ * Lift a ban on every node
+ * @returns true if the ban existed
+ */
+async function removeBan(banId) {
+  if (!bans.has(banId)) return false;
+  bans.delete(banId);
+  await storage.deleteBan(banId);
+  tellNodes("ban_removed", { banId });
+  return true;
+}
+
+/**
+ * Show a message (like planned maintenance) to every connected socket
+ */
+function broadcastAnnouncement(message) {
+  io.emit("announcement", { message, sentAt: engine.now() });
+}
+
+/**
+ * The address a socket connected from
+ */
+function clientIp(socket) {
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (TRUST_PROXY && typeof forwarded === "string") {
+    return forwarded.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * Count a socket against its IP address until it disconnects
+ */
+function trackConnection(socket) {
+  const ip = clientIp(socket);
+  connectionsByIp.set(ip, (connectionsByIp.get(ip) || 0) + 1);
+
+  socket.on("disconnect", () => {
+    const count = connectionsByIp.get(ip) - 1;
+    if (count > 0) {
+      connectionsByIp.set(ip, count);
+    } else {
+      connectionsByIp.delete(ip);
+    }
+  });
+}
+
+/**
+ * Tell a client why an event was refused
+ * @param code - 'unknown_event' | 'invalid_payload' | 'rate_limited' |
+ *   'busy' | 'not_in_match' | 'too_many_violations' | 'shutting_down' |
+ *   'kicked' | 'cooldown'
+ */
+function rejectEvent(socket, event, code, message) {
+  socket.emit("error", { event, code, message });
+}
+
+/**
+ * Count a refused event against a socket, disconnecting repeat offenders
+ */
+function recordViolation(socket) {
+  const now = engine.now();
+  const violations = socket.data.violations;
+  while (violations.length > 0 && violations[0] <= now - VIOLATION_WINDOW_MS) {
+    violations.shift();
+  }
+  violations.push(now);
+
+  if (violations.length >= MAX_VIOLATIONS) {
+    log.warn("Disconnecting after repeated bad requests", {
+      socketId: socket.id,
+    });
+    rejectEvent(
+      socket,
+      null,
+      "too_many_violations",
+      "Disconnected for sending too many invalid or rapid requests."
+    );
+    socket.disconnect(true);
+  }
+}
+
+/**
+ * Check every incoming event against its schema and rate limit before any
+ * handler sees it
+ */
+function guardEvents(socket) {
+  const rateLimiter = createRateLimiter();
+  socket.data.violations = [];
+
+  socket.use((packet, next) => {
+    // Packets already in flight when a socket is cut off
+    if (!socket.connected) return;
+
+    const [event, payload] = packet;
+
+    const check = validatePayload(event, payload);
+    if (!check.ok) {
+      rejectEvent(socket, event, check.code, check.reason);
+      recordViolation(socket);
+      return;
+    }
+
+    if (!rateLimiter.take(event)) {
+      rejectEvent(
+        socket,
+        event,
+        "rate_limited",
+        "Slow down! Too many requests."
+      );
+      recordViolation(socket);
+      return;
+    }
+
+    // Nothing new starts while the server is on its way down
+    if (shuttingDown && MATCH_START_EVENTS.includes(event)) {
+      rejectEvent(socket, event, "shutting_down", RESTARTING_MESSAGE);
+      return;
+    }
+
+    // Handlers always get an object, even for events sent without one
+    packet[1] = check.payload;
+    next();
+  });
+}
+
+/**
+ * Handle player choice (one of the room's rule set moves)
+ */
+function handlePlayerChoice(socket, data) {
+  // Spectators are read-only
+  if (spectatorRooms.has(socket.id)) return;
+
+  const ffaRoom = ffaRooms.get(ffaPlayerRooms.get(socket.id));
+  if (ffaRoom) {
+    submitFreeForAllChoice(socket, ffaRoom, data);
+    return;
+  }
+
+  const roomId = playerRooms.get(socket.id);
+  if (!roomId) {
+    rejectEvent(
+      socket,
+      "player_choice",
+      "not_in_match",
+      "You're not in a match."
+    );
+    return;
+  }
+
+  const room = activeRooms.get(roomId);
+  if (!room || room.gameOver) return;
+
+  const found = findSeat(room, socket.id);
+  if (!found) return;
+
+  // Fair-play rooms take commitments instead
+  if (room.fairPlay) return;
+
+  // Validate choice against the room's rule set
+  if (!isValidMove(room.ruleSet, data && data.choice)) return;
+
+  // Only accept moves while a round is open
+  if (!room.roundOpen) return;
+
+  submitChoice(room, found.playerRole, found.seat, data.choice);
+}
+
+/**
+ * Handle a fair-play commitment (hash of the move and a secret salt)
+ */
+function handleCommitChoice(socket, data) {
+  if (spectatorRooms.has(socket.id)) return;
+
+  const roomId = playerRooms.get(socket.id);
+  if (!roomId) {
+    rejectEvent(
+      socket,
+      "commit_choice",
+      "not_in_match",
+      "You're not in a match."
+    );
+    return;
+  }
+
+  const room = activeRooms.get(roomId);
+  if (!room || room.gameOver || !room.fairPlay) return;
+
+  const playerRole = getPlayerRole(room, socket.id);
+  if (!playerRole) return;
+
+  // One commitment per round, only while the round is open
+  const player = room.players[playerRole];
+  if (room.phase !== "commit" || !room.roundOpen) return;
+  if (player.commitment || player.choice) return;
+  if (!isCommitment(data && data.commitment)) return;
+
+  submitCommitment(room, playerRole, data.commitment);
+}
+
+/**
+ * Handle a fair-play reveal (the move and salt behind the commitment)
+ */
+function handleRevealChoice(socket, data) {
+  if (spectatorRooms.has(socket.id)) return;
+
+  const roomId = playerRooms.get(socket.id);
+  if (!roomId) return;
+
+  const room = activeRooms.get(roomId);
+  if (!room || room.gameOver || room.phase !== "reveal") return;
+
+  const playerRole = getPlayerRole(room, socket.id);
+  if (!playerRole) return;
+
+  // One reveal per commitment
+  const player = room.players[playerRole];
+  if (!player.commitment || player.choice || player.revealFailed) return;
+
+  submitReveal(room, playerRole, data && data.choice, data && data.salt);
+}
+
+/**
+ * Handle a chat message or emote (open until the room is left)
+ */
+function handleSendChat(socket, data) {
+  if (spectatorRooms.has(socket.id)) return;
+
+  const room = activeRooms.get(playerRooms.get(socket.id));
+  if (!room) {
+    rejectEvent(socket, "send_chat", "not_in_match", "You're not in a match.");
+    return;
+  }
+
+  // Team matches have no chat
+  const playerRole = getPlayerRole(room, socket.id);
+  if (!playerRole || room.teams) return;
+
+  const message = prepareMessage(data);
+  if (!message.ok) {
+    socket.emit("chat_error", { reason: message.reason });
+    return;
+  }
+
+  const player = room.players[playerRole];
+  if (!allowMessage(player.chatSentAt, engine.now())) {
+    socket.emit("chat_error", {
+      reason: "You're sending messages too quickly.",
+    });
+    return;
+  }
+
+  deliverChat(room, {
+    from: playerRole,
+    nickname: player.nickname,
+    text: message.text,
+    emote: message.emote,
+    sentAt: engine.now(),
+  });
+}
+
+/**
+ * Handle a player muting (or unmuting) their opponent's chat
+ */
+function handleMuteOpponent(socket, data) {
+  const room = activeRooms.get(playerRooms.get(socket.id));
+  if (!room || room.teams) return;
+
+  const playerRole = getPlayerRole(room, socket.id);
+  if (!playerRole) return;
+
+  const player = room.players[playerRole];
+  player.mutedOpponent = Boolean(data && data.muted);
+  socket.emit("chat_muted", { muted: player.mutedOpponent });
+}
+
+/**
+ * Handle rematch request
+ */
+function handleRequestRematch(socket) {
+  if (spectatorRooms.has(socket.id)) return;
+
+  const roomId = playerRooms.get(socket.id);
+  if (!roomId) return;
+
+  const room = activeRooms.get(roomId);
+  if (!room || !room.gameOver) return;
+
+  // Tournament and team matches are one-offs: the bracket (or the party
+  // leader) decides who plays next
+  if (room.tournament || room.teams) return;
+
+  const playerRole = getPlayerRole(room, socket.id);
+  if (!playerRole) return;
+
+  // Mark this player as wanting a rematch (bots always do)
+  room.players[playerRole].wantsRematch = true;
+  if (room.players.player2.isBot) {
+    room.players.player2.wantsRematch = true;
+  }
+
+  log.info("Rematch requested", { roomId, playerRole });
+
+  // Notify opponent
+  const opponentRole = playerRole === "player1" ? "player2" : "player1";
+  const opponentSocketId = room.players[opponentRole].socketId;
+  io.to(opponentSocketId).emit("opponent_wants_rematch");
+
+  // Check if both want rematch
+  if (room.players.player1.wantsRematch && room.players.player2.wantsRematch) {
+    engine.cancel(room.roundTimer);
+    engine.resetRoom(room);
+
+    // Notify both players
+    io.to(room.id).emit("rematch_accepted");
+
+    // Start first round
+    engine.schedule(() => emitStartRound(room), REMATCH_DELAY_MS);
+  }
+}
+
+/**
+ * Handle player leaving to find new match
+ */
+function handleLeaveRoom(socket) {
+  if (spectatorRooms.has(socket.id)) return;
+
+  // Leaving a free-for-all knocks the player out (they stay in the lobby)
+  if (ffaPlayerRooms.has(socket.id)) {
+    leaveFreeForAll(socket, "forfeit");
+    return;
+  }
+
+  const roomId = playerRooms.get(socket.id);
+  if (!roomId) return;
+
+  const room = activeRooms.get(roomId);
+  if (!room) return;
+
+  const playerRole = getPlayerRole(room, socket.id);
+  const opponentRole = playerRole === "player1" ? "player2" : "player1";
+  const opponentSocketId = room.players[opponentRole].socketId;
+
+  // Walking out of a match still being played forfeits it (for the whole
+  // side, in a team match)
+  if (!room.gameOver) {
+    endMatch(room, opponentRole, "forfeit");
+    emitMatchResult(room);
+  }
+
+  // Notify opponent (finished tournament matches close on their own, and
+  // a team has just been sent the result)
+  if (!room.teams && !(room.tournament && room.gameOver)) {
+    io.to(opponentSocketId).emit("opponent_disconnected");
+  }
+
+  // Clean up (also removes the opponent and cancels any held seat)
+  destroyRoom(roomId);
+}
+
+/**
+ * Start a socket watching a live match hosted here
+ */
+function watchRoom(socket, data) {
+  const room = activeRooms.get(data && data.roomId);
+  if (!room || room.gameOver) {
+    socket.emit("spectate_error", { reason: "That match has finished." });
+    return;
+  }
+
+  if (room.privateCode) {
+    socket.emit("spectate_error", { reason: "That match is private." });
+    return;
+  }
+
+  if (room.teams) {
+    socket.emit("spectate_error", { reason: "Team matches can't be watched." });
+    return;
+  }
+
+  addSpectator(socket, room);
+}
+
+/**
+ * Seat a guest in a private room hosted here
+ */
+function joinPrivateRoom(socket, data) {
+  const { code } = data;
+  const privateRoom = privateRooms.get(code);
+
+  if (!privateRoom) {
+    socket.emit("private_room_error", {
+      reason: "That room code doesn't exist or has expired.",
+    });
+    return;
+  }
+
+  if (privateRoom.hostSocket.data.player.token === socket.data.player.token) {
+    socket.emit("private_room_error", {
+      reason: "You can't join your own room. Share the code with a friend!",
+    });
+    return;
+  }
+
+  closePrivateRoom(code);
+
+  log.info("Player joined private room", { socketId: socket.id, code });
+
+  startMatch(privateRoom.hostSocket, socket, {
+    privateCode: code,
+    format: privateRoom.format,
+    ruleSet: privateRoom.ruleSet,
+    fairPlay: privateRoom.fairPlay,
+  });
+}
+
+/**
+ * Put a returning player back into the seat they hold here
+ */
+function resumeHeldSeat(socket) {
+  const heldSeat = findRoomByToken(socket.data.player.token);
+  if (heldSeat) {
+    resumeSeat(socket, heldSeat.room, heldSeat.playerRole, heldSeat.seat);
+  }
+}
+
+/**
+ * A player or spectator in a room hosted here disconnected
+ */
+function dropFromRoom(socket) {
+  // Leaving a ready check lets the match go
+  handleDeclineMatch(socket);
+
+  // Stop watching any match
+  removeSpectator(socket);
+
+  // Handle active game disconnection
+  const roomId = playerRooms.get(socket.id);
+  if (roomId) {
+    const room = activeRooms.get(roomId);
+    const seated = room && findSeat(room, socket.id);
+    if (seated) {
+      // Keep the seat open in case they come back
+      holdSeat(room, seated.playerRole, seated.seat);
+    }
+  }
+}
+
+// In-match and spectator events, handled by the node hosting the room
+const ROOM_EVENT_HANDLERS = {
+  player_choice: handlePlayerChoice,
+  commit_choice: handleCommitChoice,
+  reveal_choice: handleRevealChoice,
+  send_chat: handleSendChat,
+  mute_opponent: handleMuteOpponent,
+  request_rematch: handleRequestRematch,
+  leave_room: handleLeaveRoom,
+  stop_watching: removeSpectator,
+  accept_match: handleAcceptMatch,
+  decline_match: handleDeclineMatch,
+};
+
+// Everything another node may forward here for one of its sockets
+const FORWARDED_HANDLERS = {
+  ...ROOM_EVENT_HANDLERS,
+  watch_room: watchRoom,
+  join_private_room: joinPrivateRoom,
+  resume_seat: resumeHeldSeat,
+  disconnect: dropFromRoom,
+};
+
+// Messages from the other nodes (see tellNodes)
+io.on("start_match", ({ nodeId, player1, player2 }) => {
+  if (nodeId === NODE_ID) startQueuedMatch(player1, player2);
+});
+
+io.on("return_to_queue", ({ nodeId, entry }) => {
+  if (nodeId === NODE_ID) returnToQueue(entry);
+});
+
+io.on("queue_cooldown", ({ token, until }) =>
+  rememberQueueCooldown(token, until)
+);
+
+io.on("forwarded_event", ({ nodeId, event, payload, socket }) => {
+  if (nodeId !== NODE_ID || !FORWARDED_HANDLERS[event]) return;
+  FORWARDED_HANDLERS[event](remoteSocket(socket), payload);
+});
+
+io.on("seat_changed", ({ nodeId, socketId, roomId, hostNodeId }) => {
+  if (nodeId !== NODE_ID) return;
+
+  if (!roomId) {
+    remoteRooms.delete(socketId);
+    return;
+  }
+
+  // It disconnected before the host heard: the host holds its seat
+  if (!io.sockets.sockets.has(socketId)) {
+    tellNodes("forwarded_event", {
+      nodeId: hostNodeId,
+      event: "disconnect",
+      payload: {},
+      socket: { id: socketId, nodeId: NODE_ID, player: null },
+    });
+    return;
+  }
+
+  stopWaiting(socketId);
+  remoteRooms.set(socketId, { nodeId: hostNodeId, roomId });
+});
+
+io.on("room_closed", ({ roomId }) => {
+  remoteRooms.forEach((info, socketId) => {
+    if (info.roomId === roomId) remoteRooms.delete(socketId);
+  });
+});
+
+io.on("player_updated", (profile) => {
+  if (findPlayerByToken(profile.token)) rememberPlayer(profile);
+});
+
+io.on("end_room", ({ nodeId, roomId }) => {
+  const room = activeRooms.get(roomId);
+  if (nodeId === NODE_ID && room) endRoomNow(room);
+});
+
+io.on("ban_added", (ban) => rememberBan(ban));
+
+io.on("ban_removed", ({ banId }) => {
+  bans.delete(banId);
+  storage.deleteBan(banId).catch((err) => {
+    log.error("Failed to remove ban", { banId, error: err });
+  });
+});
+
+// Turn away banned player tokens and addresses
+io.use((socket, next) => {
+  const auth = socket.handshake.auth || {};
+  if (findBan(auth.playerToken, clientIp(socket))) {
+    next(new Error(BANNED_MESSAGE));
+    return;
+  }
+  next();
+});
+
+// Turn away connections from an address that already has too many open
+io.use((socket, next) => {
+  if ((connectionsByIp.get(clientIp(socket)) || 0) >= MAX_CONNECTIONS_PER_IP) {
+    next(new Error("Too many connections from your network"));
+    return;
+  }
+  next();
+});
+
+// Attach a player profile to every socket from the token the client holds
+io.use((socket, next) => {
+  const auth = socket.handshake.auth || {};
+  loadSharedPlayer(auth.playerToken)
+    .then(() => {
+      socket.data.player = identifyPlayer(auth.playerToken);
+      next();
+    })
+    .catch(next);
+});
+
+// Socket.IO connection handling
+io.on("connection", (socket) => {
+  log.info("Player connected", { socketId: socket.id });
+
+  trackConnection(socket);
+  guardEvents(socket);
+
+  // Tell the client which games and bots it can pick from
+  socket.emit("lobby_options", {
+    ruleSets: listRuleSets(),
+    botStrategies: Object.keys(BOT_STRATEGIES).map((id) => ({
+      id,
+      label: BOT_STRATEGIES[id].label,
+    })),
+    defaultBotStrategy: DEFAULT_BOT_STRATEGY,
+    emotes: EMOTES,
+  });
+
+  // Tell the client who it is so it can keep the token for next time
+  findHeldSeat(socket.data.player.token)
+    .then((heldSeat) => {
+      if (!socket.connected) return;
+
+      socket.emit("player_identity", {
+        playerId: socket.data.player.id,
+        playerToken: socket.data.player.token,
+        nickname: socket.data.player.nickname,
+        inMatch: Boolean(heldSeat),
+      });
+
+      // Put a returning player back into the match they dropped out of
+      // (the node hosting it takes them back)
+      if (heldSeat && heldSeat.room) {
+        resumeSeat(socket, heldSeat.room, heldSeat.playerRole, heldSeat.seat);
+      } else if (heldSeat) {
+        forwardEvent(heldSeat.nodeId, socket, "resume_seat", {});
+      }
+    })
+    .catch((err) => {
+      log.error("Failed to find held seat", {
+        socketId: socket.id,
+        error: err,
+      });
+    });
+
+  // Keep following the tournaments this player signed up for
+  tournaments.forEach((tournament) => {
+    if (findParticipant(tournament, socket.data.player.id)) {
+      socket.join(tournamentChannel(tournament.id));
+    }
+  });
+
+  /**
+   * Handle player joining the matchmaking queue
+   */
+  socket.on("join_queue", (data) => {
+    // Check if player is already in queue, hosting or in a game
+    if (isBusy(socket)) {
+      rejectEvent(socket, "join_queue", "busy", BUSY_MESSAGE);
+      return;
+    }
+
+    // Validate and remember the chosen nickname
+    if (!acceptNickname(socket, data)) return;
+
+    // Players who let their last match go wait a while
+    const cooldownUntil = queueCooldowns.get(socket.data.player.token) || 0;
+    if (cooldownUntil > engine.now()) {
+      const seconds = Math.ceil((cooldownUntil - engine.now()) / 1000);
+      rejectEvent(
+        socket,
+        "join_queue",
+        "cooldown",
+        `You didn't accept your last match. You can queue again in ${seconds}s.`
+      );
+      return;
+    }
+
+    const format = normalizeFormat(data && data.format);
+    const ruleSet = getRuleSet(data && data.ruleSetId);
+    const fairPlay = Boolean(data && data.fairPlay);
+    const rating = socket.data.player.rating;
+    const matchKey = [
+      ruleSet.id,
+      formatKey(format),
+      fairPlay ? "fair" : "open",
+    ].join("|");
+    // Queue entries are shared with the other nodes, so they hold plain
+    // data: the socket is found again by id when the match starts
+    const entry = {
+      socketId: socket.id,
+      nodeId: NODE_ID,
+      player: socket.data.player,
+      format,
+      ruleSetId: ruleSet.id,
+      fairPlay,
+      matchKey,
+      rating: rating.rating,
+      provisional: isProvisional(rating),
+      joinedAt: engine.now(),
+    };
+
+    log.info("Player joined queue", {
+      socketId: socket.id,
+      ruleSetId: ruleSet.id,
+      format: format.label,
+    });
+
+    waitInQueue(socket, entry);
+  });
+
+  /**
+   * Handle a request for this player's stats
+   */
+  socket.on("get_stats", () => {
+    const playerId = socket.data.player.id;
+
+    storage
+      .listMatches({ playerId })
+      .then((records) => {
+        socket.emit("player_stats", {
+          ...computePlayerStats(playerId, records),
+          rating: publicRating(socket.data.player.rating),
+        });
+      })
+      .catch((err) => {
+        log.error("Failed to load stats", { playerId, error: err });
+      });
+  });
+
+  /**
+   * Handle player choosing to play against a bot
+   */
+  socket.on("play_bot", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "play_bot", "busy", BUSY_MESSAGE);
+      return;
+    }
+    if (!acceptNickname(socket, data)) return;
+
+    startBotMatch(socket, {
+      strategy: data && data.strategy,
+      format: normalizeFormat(data && data.format),
+      ruleSet: getRuleSet(data && data.ruleSetId),
+      fairPlay: Boolean(data && data.fairPlay),
+    });
+  });
+
+  /**
+   * Handle creating a private room that a friend joins by code
+   */
+  socket.on("create_private_room", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "create_private_room", "busy", BUSY_MESSAGE);
+      return;
+    }
+    if (!acceptNickname(socket, data)) return;
+
+    const code = generateRoomCode();
+    const privateRoom = {
+      code,
+      hostSocket: socket,
+      format: normalizeFormat(data && data.format),
+      ruleSet: getRuleSet(data && data.ruleSetId),
+      fairPlay: Boolean(data && data.fairPlay),
+      createdAt: engine.now(),
+      expiryTimer: null,
+    };
+    if (PRIVATE_ROOM_TTL_MS > 0) {
+      privateRoom.expiryTimer = engine.schedule(() => {
+        privateRooms.delete(code);
+        syncState("remove private room", state.deletePrivateRoom(code));
+        socket.emit("private_room_expired", { code });
+        log.info("Private room expired", { code });
+      }, PRIVATE_ROOM_TTL_MS);
+    }
+    privateRooms.set(code, privateRoom);
+
+    // Guests connected to other nodes are sent here to join
+    syncState(
+      "save private room",
+      state.setPrivateRoom(code, { nodeId: NODE_ID })
+    );
+
+    log.info("Private room created", { socketId: socket.id, code });
+
+    socket.emit("private_room_created", {
+      code,
+      link: `/?room=${code}`,
+      format: privateRoom.format,
+      ruleSetName: privateRoom.ruleSet.name,
+      expiresInSeconds:
+        PRIVATE_ROOM_TTL_MS > 0 ? Math.round(PRIVATE_ROOM_TTL_MS / 1000) : null,
+    });
+  });
+
+  /**
+   * Handle joining a private room by code
+   */
+  socket.on("join_private_room", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "join_private_room", "busy", BUSY_MESSAGE);
+      return;
+    }
+    if (!acceptNickname(socket, data)) return;
+
+    const code =
+      data && typeof data.code === "string"
+        ? data.code.trim().toUpperCase()
+        : "";
+
+    if (privateRooms.has(code)) {
+      joinPrivateRoom(socket, { code });
+      return;
+    }
+
+    // The host may be waiting on another node
+    state
+      .getPrivateRoom(code)
+      .then((info) => {
+        if (info && info.nodeId !== NODE_ID) {
+          forwardEvent(info.nodeId, socket, "join_private_room", { code });
+        } else {
+          joinPrivateRoom(socket, { code });
+        }
+      })
+      .catch((err) => {
+        log.error("Failed to find private room", { code, error: err });
+      });
+  });
+
+  /**
+   * Handle the host cancelling their private room
+   */
+  socket.on("cancel_private_room", () => {
+    const privateRoom = findPrivateRoomByHost(socket.id);
+    if (!privateRoom) return;
+
+    closePrivateRoom(privateRoom.code);
+    log.info("Private room cancelled", { code: privateRoom.code });
+  });
+
+  /**
+   * Handle a player giving up on the matchmaking queue
+   */
+  socket.on("leave_queue", () => {
+    if (!queuedSockets.has(socket.id)) return;
+
+    syncState("leave queue", removeFromQueue(socket));
+    log.info("Player left queue", { socketId: socket.id });
+  });
+
+  /**
+   * Handle creating a party that friends join by code
+   */
+  socket.on("create_party", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "create_party", "busy", BUSY_MESSAGE);
+      return;
+    }
+    if (!acceptNickname(socket, data)) return;
+
+    const party = createParty({
+      code: generateRoomCode(parties),
+      leader: {
+        socketId: socket.id,
+        playerId: socket.data.player.id,
+        nickname: socket.data.player.nickname,
+      },
+    });
+    parties.set(party.code, party);
+    partyCodes.set(socket.id, party.code);
+    socket.join(partyChannel(party.code));
+
+    log.info("Party created", { socketId: socket.id, code: party.code });
+    broadcastParty(party);
+  });
+
+  /**
+   * Handle joining a friend's party by code
+   */
+  socket.on("join_party", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "join_party", "busy", BUSY_MESSAGE);
+      return;
+    }
+    if (!acceptNickname(socket, data)) return;
+
+    const party = parties.get(data.code.trim().toUpperCase());
+    if (!party) {
+      socket.emit("party_error", {
+        reason: "That party code doesn't exist or the party has broken up.",
+      });
+      return;
+    }
+
+    const added = addMember(party, {
+      socketId: socket.id,
+      playerId: socket.data.player.id,
+      nickname: socket.data.player.nickname,
+    });
+    if (!added.ok) {
+      socket.emit("party_error", { reason: added.reason });
+      return;
+    }
+    partyCodes.set(socket.id, party.code);
+    socket.join(partyChannel(party.code));
+
+    log.info("Player joined party", { socketId: socket.id, code: party.code });
+    broadcastParty(party);
+  });
+
+  /**
+   * Handle leaving a party
+   */
+  socket.on("leave_party", () => {
+    if (playerRooms.has(socket.id)) return;
+    leaveParty(socket);
+  });
+
+  /**
+   * Handle the party leader queueing the party for a team match (in the
+   * leader's choice of game and format)
+   */
+  socket.on("queue_party", (data) => {
+    const party = findParty(socket.id);
+    if (!party || party.ownerId !== socket.id) {
+      socket.emit("party_error", {
+        reason: "Only the party leader can start a search.",
+      });
+      return;
+    }
+    if (party.search || playerRooms.has(socket.id)) return;
+
+    const check = checkTeamMode(party, data.mode);
+    if (!check.ok) {
+      socket.emit("party_error", { reason: check.reason });
+      return;
+    }
+
+    const format = normalizeFormat(data.format);
+    const ruleSet = getRuleSet(data.ruleSetId);
+    party.search = {
+      mode: check.mode,
+      format,
+      ruleSet,
+      matchKey: [check.mode.id, ruleSet.id, formatKey(format)].join("|"),
+    };
+    teamQueue.push(party);
+
+    log.info("Party joined team queue", {
+      code: party.code,
+      mode: check.mode.label,
+    });
+    broadcastParty(party);
+    matchParties();
+  });
+
+  /**
+   * Handle the party leader calling off the search
+   */
+  socket.on("cancel_party_queue", () => {
+    const party = findParty(socket.id);
+    if (!party || party.ownerId !== socket.id || !party.search) return;
+
+    stopPartySearch(party);
+    broadcastParty(party);
+  });
+
+  /**
+   * Handle creating a free-for-all lobby that players join by code
+   */
+  socket.on("create_lobby", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "create_lobby", "busy", BUSY_MESSAGE);
+      return;
+    }
+    if (!acceptNickname(socket, data)) return;
+
+    const lobby = createLobby({
+      code: generateRoomCode(lobbies),
+      host: {
+        socketId: socket.id,
+        playerId: socket.data.player.id,
+        nickname: socket.data.player.nickname,
+      },
+      ruleSet: getRuleSet(data.ruleSetId),
+    });
+    lobbies.set(lobby.code, lobby);
+    lobbyCodes.set(socket.id, lobby.code);
+    socket.join(lobbyChannel(lobby.code));
+
+    log.info("Lobby created", { socketId: socket.id, code: lobby.code });
+    broadcastLobby(lobby);
+  });
+
+  /**
+   * Handle joining a free-for-all lobby by code
+   */
+  socket.on("join_lobby", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "join_lobby", "busy", BUSY_MESSAGE);
+      return;
+    }
+    if (!acceptNickname(socket, data)) return;
+
+    const lobby = lobbies.get(data.code.trim().toUpperCase());
+    if (!lobby) {
+      socket.emit("lobby_error", {
+        reason: "That lobby code doesn't exist or the lobby has closed.",
+      });
+      return;
+    }
+
+    const added = addToLobby(lobby, {
+      socketId: socket.id,
+      playerId: socket.data.player.id,
+      nickname: socket.data.player.nickname,
+    });
+    if (!added.ok) {
+      socket.emit("lobby_error", { reason: added.reason });
+      return;
+    }
+    lobbyCodes.set(socket.id, lobby.code);
+    socket.join(lobbyChannel(lobby.code));
+
+    log.info("Player joined lobby", { socketId: socket.id, code: lobby.code });
+    broadcastLobby(lobby);
+  });
+
+  /**
+   * Handle leaving a lobby (and its game, if one is being played)
+   */
+  socket.on("leave_lobby", () => {
+    leaveFreeForAll(socket, "forfeit");
+    leaveLobby(socket);
+  });
+
+  /**
+   * Handle the host starting the lobby's game
+   */
+  socket.on("start_lobby", () => {
+    const lobby = findLobby(socket.id);
+    if (!lobby || lobby.ownerId !== socket.id) {
+      socket.emit("lobby_error", {
+        reason: "Only the host can start the game.",
+      });
+      return;
+    }
+
+    const check = checkCanStart(lobby);
+    if (!check.ok) {
+      socket.emit("lobby_error", { reason: check.reason });
+      return;
+    }
+    startFreeForAll(lobby);
+  });
+
+  /**
+   * Handle a request for the list of matches that can be watched
+   */
+  socket.on("list_live_rooms", () => {
+    listLiveRooms()
+      .then((rooms) => socket.emit("live_rooms", { rooms }))
+      .catch((err) => {
+        log.error("Failed to list live rooms", { error: err });
+      });
+  });
+
+  /**
+   * Handle starting to watch a live match
+   */
+  socket.on("watch_room", (data) => {
+    if (isBusy(socket)) {
+      rejectEvent(socket, "watch_room", "busy", BUSY_MESSAGE);
+      return;
+    }
+
+    if (activeRooms.has(data.roomId)) {
+      watchRoom(socket, data);
+      return;
+    }
+
+    // The match may be hosted on another node
+    state
+      .getRoom(data.roomId)
+      .then((info) => {
+        if (info && info.nodeId !== NODE_ID) {
+          forwardEvent(info.nodeId, socket, "watch_room", data);
+        } else {
+          watchRoom(socket, data);
+        }
+      })
+      .catch((err) => {
+        log.error("Failed to find room", { roomId: data.roomId, error: err });
+      });
+  });
+
+  /**
+   * Handle a request for the list of tournaments
+   */
+  socket.on("list_tournaments", () => {
+    socket.emit("tournaments", {
+      tournaments: Array.from(tournaments.values()).map(summarizeTournament),
+    });
+  });
+
+  /**
+   * Handle an organizer creating a tournament
+   */
+  socket.on("create_tournament", (data) => {
+    if (!acceptNickname(socket, data)) return;
+
+    const check = validateTournamentName(data && data.name);
+    if (!check.ok) {
+      socket.emit("tournament_error", { reason: check.reason });
+      return;
+    }
+
+    const profile = socket.data.player;
+    const alreadyOrganizing = Array.from(tournaments.values()).some(
+      (tournament) =>
+        tournament.organizer.playerId === profile.id &&
+        (tournament.status === "registration" ||
+          tournament.status === "running")
+    );
+    if (alreadyOrganizing) {
+      socket.emit("tournament_error", {
+        reason: "You're already running a tournament.",
+      });
+      return;
+    }
+
+    const tournament = createTournament({
+      id: generateTournamentId(),
+      name: check.name,
+      type: data.type,
+      organizer: { playerId: profile.id, nickname: profile.nickname },
+      format: normalizeFormat(data.format),
+      ruleSet: getRuleSet(data.ruleSetId),
+      maxPlayers: data.maxPlayers,
+    });
+    tournaments.set(tournament.id, tournament);
+
+    log.info("Tournament created", {
+      socketId: socket.id,
+      tournamentId: tournament.id,
+    });
+
+    socket.join(tournamentChannel(tournament.id));
+    socket.emit("tournament_view", publicTournament(tournament));
+  });
+
+  /**
+   * Handle opening a tournament's bracket (and following its updates)
+   */
+  socket.on("watch_tournament", (data) => {
+    const tournament = tournaments.get(data && data.tournamentId);
+    if (!tournament) {
+      socket.emit("tournament_error", {
+        reason: "That tournament no longer exists.",
+      });
+      return;
+    }
+
+    socket.join(tournamentChannel(tournament.id));
+    socket.emit("tournament_view", publicTournament(tournament));
+  });
+
+  /**
+   * Handle a player registering for a tournament
+   */
+  socket.on("join_tournament", (data) => {
+    const tournament = tournaments.get(data && data.tournamentId);
+    if (!tournament) return;
+    if (!acceptNickname(socket, data)) return;
+
+    const profile = socket.data.player;
+    const error = addParticipant(tournament, {
+      playerId: profile.id,
+      nickname: profile.nickname,
+      rating: profile.rating.rating,
+    });
+    if (error) {
+      socket.emit("tournament_error", { reason: error });
+      return;
+    }
+
+    log.info("Player joined tournament", {
+      socketId: socket.id,
+      tournamentId: tournament.id,
+    });
+
+    socket.join(tournamentChannel(tournament.id));
+    broadcastTournament(tournament);
+  });
+
+  /**
+   * Handle a player withdrawing before the tournament starts
+   */
+  socket.on("leave_tournament", (data) => {
+    const tournament = tournaments.get(data && data.tournamentId);
+    if (!tournament) return;
+
+    if (removeParticipant(tournament, socket.data.player.id)) {
+      broadcastTournament(tournament);
+    }
+  });
+
+  /**
+   * Handle the organizer closing registration and starting the bracket
+   */
+  socket.on("start_tournament", (data) => {
+    const tournament = tournaments.get(data && data.tournamentId);
+    if (!tournament) return;
+    if (tournament.organizer.playerId !== socket.data.player.id) return;
+
+    const error = startTournament(tournament);
+    if (error) {
+      socket.emit("tournament_error", { reason: error });
+      return;
+    }
+
+    log.info("Tournament started", {
+      tournamentId: tournament.id,
+      players: tournament.participants.length,
+    });
+
+    broadcastTournament(tournament);
+    spawnTournamentMatches(tournament);
+  });
+
+  /**
+   * Handle the organizer calling off a tournament before it starts
+   */
+  socket.on("cancel_tournament", (data) => {
+    const tournament = tournaments.get(data && data.tournamentId);
+    if (!tournament || tournament.status !== "registration") return;
+    if (tournament.organizer.playerId !== socket.data.player.id) return;
+
+    tournament.status = "cancelled";
+    broadcastTournament(tournament);
+    tournaments.delete(tournament.id);
+    io.in(tournamentChannel(tournament.id)).socketsLeave(
+      tournamentChannel(tournament.id)
+    );
+
+    log.info("Tournament cancelled", { tournamentId: tournament.id });
+  });
+
+  /**
+   * Handle in-match events and spectators leaving, passing them on if the
+   * socket's room is hosted on another node
+   */
+  Object.entries(ROOM_EVENT_HANDLERS).forEach(([event, handler]) => {
+    socket.on(event, (data) => {
+      const remoteRoom = remoteRooms.get(socket.id);
+      if (!remoteRoom) {
+        handler(socket, data);
+        return;
+      }
+
+      forwardEvent(remoteRoom.nodeId, socket, event, data);
+
+      // Leaving frees the socket straight away, before the host confirms
+      if (event === "leave_room" || event === "stop_watching") {
+        remoteRooms.delete(socket.id);
+      }
+    });
+  });
+
+  /**
+   * Handle disconnection
+   */
+  socket.on("disconnect", () => {
+    log.info("Player disconnected", { socketId: socket.id });
+    disconnects.inc();
+
+    // Remove from queue if waiting
+    syncState("leave queue", removeFromQueue(socket));
+
+    // Close any private room this player was hosting
+    const privateRoom = findPrivateRoomByHost(socket.id);
+    if (privateRoom) {
+      closePrivateRoom(privateRoom.code);
+    }
+
+    leaveParty(socket);
+    leaveFreeForAll(socket, "disconnect");
+    leaveLobby(socket);
+
+    // Let the node hosting this socket's room hold its seat
+    const remoteRoom = remoteRooms.get(socket.id);
+    if (remoteRoom) {
+      remoteRooms.delete(socket.id);
+      forwardEvent(remoteRoom.nodeId, socket, "disconnect", {});
+      return;
+    }
+
+    dropFromRoom(socket);
+  });
+});
+
+const PORT = process.env.PORT || 3000;
+
+/**
+ * Load saved players, restore interrupted matches, then start the server
+ * @param options.clock - clock for the match flow (the real one by
+ *   default; tests pass a manual clock from lib/clock.js)
+ * @returns a promise of the port it's listening on
+ */
+function start(port = PORT, { clock } = {}) {
+  if (clock) engine = createGameEngine(clock);
+
+  return storage
+    .init()
+    .then(() => loadPlayers(storage))
+    .then(loadBans)
+    .then(() => state.init())
+    .then(() => {
+      // Several nodes: broadcasts reach sockets connected to any of them
+      const adapter = state.socketAdapter();
+      if (adapter) {
+        io.adapter(adapter);
+        clustered = true;
+      }
+    })
+    .then(restoreSnapshot)
+    .then(
+      () =>
+        new Promise((resolve) => {
+          server.listen(port, () => {
+            onListening();
+            resolve(server.address().port);
+          });
+        })
+    );
+}
+
+/**
+ * Stop the server: disconnect everyone, stop every timer and close
+ * storage. Live matches aren't saved (shutdown() does that first).
+ */
+function stop() {
+  shuttingDown = true;
+  intervals.forEach((interval) => clearInterval(interval));
+
+  // Disconnecting everyone also takes them out of the queue
+  return io.close().then(() => {
+    engine.cancelAll();
+
+    return Promise.all([storage.close(), state.close()]);
+  });
+}
+
+if (require.main === module) {
+  start().catch((err) => {
+    log.error("Failed to start", { error: err });
+    process.exit(1);
+  });
+
+  // Deploys and restarts stop the server with SIGTERM (Ctrl+C sends SIGINT)
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+module.exports = { app, server, io, start, stop };
+
+/**
+ * Mark the server ready, log startup info, start the queue scan and set
+ * up the keep-alive ping
+ */
+function onListening() {
+  ready = true;
+  const { port } = server.address();
+  log.info("Server listening", {
+    port,
+    url: `http://localhost:${port}`,
+    clustered,
+  });
+
+  // Pair queued players whose rating windows have grown wide enough
+  intervals.push(setInterval(scanQueue, QUEUE_SCAN_MS));
+
+  // Keep queued players posted on their place in line
+  intervals.push(setInterval(() => postQueueUpdates(), QUEUE_SCAN_MS));
+
+  // Start tournament matches whose players have come back
+  intervals.push(
+    setInterval(() => {
+      if (!shuttingDown) tournaments.forEach(spawnTournamentMatches);
+    }, QUEUE_SCAN_MS)
+  );
+
+  // Cron job: Keep the server awake on Render free tier
+  // Pings itself every 14 minutes to prevent sleeping
+  if (process.env.RENDER) {
+    const RENDER_URL = process.env.RENDER_EXTERNAL_URL;
+    if (RENDER_URL) {
+      intervals.push(
+        setInterval(() => {
+          fetch(new URL("/healthz", RENDER_URL))
+            .then(() => log.debug("Keep-alive ping sent", { url: RENDER_URL }))
+            .catch((err) => log.warn("Keep-alive ping failed", { error: err }));
+        }, 14 * 60 * 1000) // Every 14 minutes
+      );
+      log.info("Keep-alive ping enabled", { url: RENDER_URL });
+    }
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Bots: a seeded bot picks the same moves every time for each difficulty
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRng, createBot } = require("../lib/bots");
+const { getRuleSet } = require("../lib/rulesets");
+
+const SEED = 42;
+
+// A human who keeps playing rock, rock, paper
+const HUMAN_MOVES = [
+  "rock",
+  "rock",
+  "paper",
+  "rock",
+  "rock",
+  "paper",
+  "rock",
+  "rock",
+  "paper",
+  "rock",
+];
+
+/**
+ * The moves a seeded classic-rules bot plays against HUMAN_MOVES
+ */
+function playBot(strategy) {
+  const bot = createBot({
+    strategy,
+    ruleSet: getRuleSet("classic"),
+    seed: SEED,
+  });
+  return HUMAN_MOVES.map((humanMove) => {
+    const botMove = bot.nextMove();
+    bot.observe(humanMove, botMove);
+    return botMove;
+  });
+}
+
+describe("bots", () => {
+  it("draws the same numbers from the same seed", () => {
+    const first = createRng(SEED);
+    const second = createRng(SEED);
+    const draws = [first(), first(), first()];
+
+    assert.deepEqual([second(), second(), second()], draws);
+    assert.ok(draws.every((value) => value >= 0 && value < 1));
+  });
+
+  it("plays seeded random moves on Easy", () => {
+    assert.deepEqual(playBot("random"), [
+      "paper",
+      "paper",
+      "scissors",
+      "scissors",
+      "rock",
+      "paper",
+      "rock",
+      "paper",
+      "scissors",
+      "paper",
+    ]);
+  });
+
+  it("counters the most played move on Medium", () => {
+    // Rock is always the human's favourite, so paper every time after a
+    // seeded first move
+    assert.deepEqual(playBot("frequency"), Array(10).fill("paper"));
+  });
+
+  it("counters what followed the last two moves on Hard", () => {
+    // Once rock, rock has been followed by paper, it expects paper again
+    assert.deepEqual(playBot("markov"), [
+      "paper",
+      "paper",
+      "paper",
+      "paper",
+      "paper",
+      "scissors",
+      "paper",
+      "paper",
+      "scissors",
+      "paper",
+    ]);
+  });
+
+  it("counters the repeat of the recent rounds on Expert", () => {
+    // Spots the pattern a round sooner than Hard
+    assert.deepEqual(playBot("expert"), [
+      "paper",
+      "paper",
+      "paper",
+      "paper",
+      "scissors",
+      "paper",
+      "paper",
+      "paper",
+      "scissors",
+      "paper",
+    ]);
+  });
+});
@@ -0,0 +1,683 @@
+/**
+ * Game engine: scoring, match end, timeouts and pairing, with a fixed
+ * clock and fixed random numbers
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEngine } = require("../lib/engine");
+const { createManualClock } = require("../lib/clock");
+const { normalizeFormat } = require("../lib/formats");
+const { getRuleSet, determineWinningMoves } = require("../lib/rulesets");
+
+/**
+ * An engine with a manual clock and fixed random numbers
+ */
+function createTestEngine(options = {}) {
+  const clock = createManualClock(1000);
+  const engine = createEngine({ clock, random: () => 0, ...options });
+  return { engine, clock };
+}
+
+/**
+ * A room between Alice and Bob
+ */
+function createTestRoom(engine, options = {}) {
+  return engine.createRoomState(
+    "room_test",
+    {
+      player1: engine.createSeat({
+        socketId: "socket1",
+        playerId: "p1",
+        playerToken: "token1",
+        nickname: "Alice",
+      }),
+      player2: engine.createSeat({
+        socketId: "socket2",
+        playerId: "p2",
+        playerToken: "token2",
+        nickname: "Bob",
+      }),
+    },
+    options
+  );
+}
+
+/**
+ * Play one round with the given moves
+ */
+function playRound(engine, room, move1, move2) {
+  room.players.player1.choice = move1;
+  room.players.player2.choice = move2;
+  return engine.processRound(room);
+}
+
+describe("scoring rounds", () => {
+  it("gives the round to the winning move and explains it", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine);
+
+    const result = playRound(engine, room, "rock", "scissors");
+
+    assert.equal(result.round, 1);
+    assert.equal(result.roundWinner, "player1");
+    assert.equal(result.outcomeText, "Rock crushes Scissors");
+    assert.deepEqual(result.scores, { player1: 1, player2: 0 });
+    assert.equal(result.matchWinner, null);
+    assert.equal(room.round, 2);
+  });
+
+  it("scores nobody on a draw", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine);
+
+    const result = playRound(engine, room, "paper", "paper");
+
+    assert.equal(result.roundWinner, "draw");
+    assert.equal(result.outcomeText, null);
+    assert.deepEqual(result.scores, { player1: 0, player2: 0 });
+  });
+
+  it("clears both moves for the next round", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine);
+
+    playRound(engine, room, "rock", "paper");
+
+    assert.equal(room.players.player1.choice, null);
+    assert.equal(room.players.player2.choice, null);
+    assert.equal(engine.bothPlayersChose(room), false);
+  });
+
+  it("records each round with the clock's time", () => {
+    const { engine, clock } = createTestEngine();
+    const room = createTestRoom(engine);
+    room.roundStartedAt = clock.now();
+    clock.advance(4000);
+
+    playRound(engine, room, "scissors", "paper");
+
+    assert.equal(room.rounds.length, 1);
+    assert.equal(room.rounds[0].winner, "player1");
+    assert.equal(room.rounds[0].startedAt, 1000);
+    assert.equal(room.rounds[0].endedAt, 5000);
+  });
+
+  it("uses the room's rule set", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine, { ruleSet: getRuleSet("rpsls") });
+
+    const result = playRound(engine, room, "rock", "spock");
+
+    assert.equal(result.roundWinner, "player2");
+    assert.equal(result.outcomeText, "Spock vaporizes Rock");
+  });
+});
+
+describe("match end", () => {
+  it("ends a best of 3 when a player wins twice", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine, {
+      format: normalizeFormat({ type: "bestOf", target: 3 }),
+    });
+
+    playRound(engine, room, "rock", "scissors");
+    assert.equal(room.gameOver, false);
+
+    const result = playRound(engine, room, "paper", "rock");
+
+    assert.equal(result.matchWinner, "player1");
+    assert.equal(room.gameOver, true);
+    assert.equal(room.matchWinner, "player1");
+    assert.equal(room.endReason, "win");
+  });
+
+  it("doesn't count draws towards a best of 3 unless asked to", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine, {
+      format: normalizeFormat({ type: "bestOf", target: 3 }),
+    });
+
+    for (let i = 0; i < 5; i++) playRound(engine, room, "rock", "rock");
+
+    assert.equal(room.gameOver, false);
+    assert.equal(room.round, 6);
+  });
+
+  it("plays a fixed number of rounds, then sudden death if level", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine, {
+      format: normalizeFormat({ type: "rounds", target: 3 }),
+    });
+
+    playRound(engine, room, "rock", "scissors");
+    playRound(engine, room, "rock", "paper");
+    playRound(engine, room, "rock", "rock");
+
+    assert.equal(room.gameOver, false);
+    assert.equal(room.suddenDeath, true);
+
+    const result = playRound(engine, room, "scissors", "paper");
+
+    assert.equal(result.matchWinner, "player1");
+    assert.equal(room.gameOver, true);
+  });
+
+  it("ends early with the given winner and reason", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine);
+    room.players.player1.choice = "rock";
+
+    engine.endMatch(room, "player2", "disconnect");
+
+    assert.equal(room.gameOver, true);
+    assert.equal(room.matchWinner, "player2");
+    assert.equal(room.endReason, "disconnect");
+    assert.equal(room.players.player1.choice, null);
+  });
+
+  it("starts a rematch from scratch with a new match id", () => {
+    const { engine, clock } = createTestEngine();
+    const room = createTestRoom(engine);
+    const firstMatchId = room.matchId;
+    playRound(engine, room, "rock", "scissors");
+    playRound(engine, room, "rock", "scissors");
+    room.players.player1.wantsRematch = true;
+    clock.advance(60000);
+
+    engine.resetRoom(room);
+
+    assert.notEqual(room.matchId, firstMatchId);
+    assert.equal(room.matchStartedAt, 61000);
+    assert.equal(room.round, 1);
+    assert.deepEqual(room.rounds, []);
+    assert.equal(room.gameOver, false);
+    assert.equal(room.matchWinner, null);
+    assert.equal(room.players.player1.score, 0);
+    assert.equal(room.players.player1.wantsRematch, false);
+  });
+});
+
+describe("round timeouts", () => {
+  it("picks a move for a late player with the random policy", () => {
+    const { engine } = createTestEngine({ random: () => 0.99 });
+    const room = createTestRoom(engine);
+    room.players.player1.choice = "rock";
+
+    const { lateRoles, forfeitWinner } = engine.timeOutRound(room);
+
+    assert.deepEqual(lateRoles, ["player2"]);
+    assert.equal(forfeitWinner, null);
+    assert.equal(room.players.player2.choice, "scissors");
+    assert.equal(room.players.player2.timeouts, 1);
+  });
+
+  it("gives the round away with the lose policy", () => {
+    const { engine } = createTestEngine({ timeoutPolicy: "lose" });
+    const room = createTestRoom(engine);
+    room.players.player2.choice = "rock";
+
+    engine.timeOutRound(room);
+    const result = engine.processRound(room);
+
+    assert.equal(result.roundWinner, "player2");
+    assert.equal(result.outcomeText, "Alice ran out of time");
+    assert.deepEqual(result.timedOut, { player1: true, player2: false });
+  });
+
+  it("draws the round when both players run out of time", () => {
+    const { engine } = createTestEngine({ timeoutPolicy: "lose" });
+    const room = createTestRoom(engine);
+
+    engine.timeOutRound(room);
+    const result = engine.processRound(room);
+
+    assert.equal(result.roundWinner, "draw");
+    assert.equal(result.outcomeText, "Both players ran out of time");
+  });
+
+  it("forfeits the match after too many timeouts", () => {
+    const { engine } = createTestEngine({ forfeitAfter: 2 });
+    const room = createTestRoom(engine);
+
+    room.players.player2.choice = "rock";
+    assert.equal(engine.timeOutRound(room).forfeitWinner, null);
+    engine.processRound(room);
+
+    room.players.player2.choice = "rock";
+    assert.equal(engine.timeOutRound(room).forfeitWinner, "player2");
+  });
+
+  it("abandons the match when both players time out too often", () => {
+    const { engine } = createTestEngine({ forfeitAfter: 1 });
+    const room = createTestRoom(engine);
+
+    const { lateRoles, forfeitWinner, abandoned } = engine.timeOutRound(room);
+
+    assert.deepEqual(lateRoles, ["player1", "player2"]);
+    assert.equal(forfeitWinner, null);
+    assert.equal(abandoned, true);
+  });
+
+  it("treats committed fair-play players as on time", () => {
+    const { engine } = createTestEngine();
+    const room = createTestRoom(engine, { fairPlay: true });
+    room.players.player1.commitment = "abc";
+
+    const { lateRoles } = engine.timeOutRound(room);
+
+    assert.deepEqual(lateRoles, ["player2"]);
+    assert.equal(engine.revealsSettled(room), false);
+    assert.deepEqual(engine.timeOutReveals(room), ["player1"]);
+    assert.equal(engine.processRound(room).roundWinner, "player2");
+  });
+});
+
+describe("team rounds", () => {
+  /**
+   * A team match between two sides of the given nicknames
+   */
+  function createTeamRoom(engine, names1, names2, options = {}) {
+    const seats = (names, side) =>
+      names.map((nickname, index) =>
+        engine.createSeat({
+          socketId: `${side}_${index}`,
+          playerId: `${side}_${index}`,
+          playerToken: `${side}_${index}`,
+          nickname,
+        })
+      );
+    return engine.createTeamRoomState(
+      "team_test",
+      { player1: seats(names1, "a"), player2: seats(names2, "b") },
+      options
+    );
+  }
+
+  /**
+   * Set every member's move, side by side
+   */
+  function setMoves(room, moves1, moves2) {
+    room.teams.player1.forEach((seat, i) => (seat.choice = moves1[i]));
+    room.teams.player2.forEach((seat, i) => (seat.choice = moves2[i]));
+  }
+
+  it("waits for every member of both teams", () => {
+    const { engine } = createTestEngine();
+    const room = createTeamRoom(engine, ["Ann", "Ada"], ["Ben", "Bo"]);
+    setMoves(room, ["rock", "rock"], ["paper", null]);
+
+    assert.equal(engine.bothPlayersChose(room), false);
+
+    room.teams.player2[1].choice = "rock";
+    assert.equal(engine.bothPlayersChose(room), true);
+  });
+
+  it("gives the round to the side that wins more pairings", () => {
+    const { engine } = createTestEngine();
+    const room = createTeamRoom(
+      engine,
+      ["Ann", "Ada", "Al"],
+      ["Ben", "Bo", "Bea"]
+    );
+    setMoves(room, ["rock", "paper", "rock"], ["scissors", "scissors", "rock"]);
+
+    const result = engine.processRound(room);
+
+    assert.deepEqual(
+      result.pairings.map((pairing) => pairing.winner),
+      ["player1", "player2", "draw"]
+    );
+    assert.equal(result.roundWinner, "draw");
+    assert.equal(result.outcomeText, "Pairings won 1-1");
+
+    setMoves(room, ["rock", "rock", "rock"], ["scissors", "scissors", "paper"]);
+    const second = engine.processRound(room);
+
+    assert.equal(second.roundWinner, "player1");
+    assert.deepEqual(second.scores, { player1: 1, player2: 0 });
+    assert.equal(room.rounds.length, 2);
+    assert.equal(room.teams.player1[0].choice, null);
+  });
+
+  it("ends the match by the format, counting rounds won by each side", () => {
+    const { engine } = createTestEngine();
+    const room = createTeamRoom(engine, ["Ann", "Ada"], ["Ben", "Bo"], {
+      format: normalizeFormat({ type: "bestOf", target: 3 }),
+    });
+
+    setMoves(room, ["paper", "paper"], ["rock", "rock"]);
+    engine.processRound(room);
+    setMoves(room, ["paper", "paper"], ["rock", "rock"]);
+    const result = engine.processRound(room);
+
+    assert.equal(result.matchWinner, "player1");
+    assert.equal(room.gameOver, true);
+    assert.equal(room.endReason, "win");
+
+    // Each side's seat stands for the team, like a player's in a 1v1 room
+    assert.equal(room.players.player1.nickname, "Ann & Ada");
+    assert.equal(room.players.player1.score, 2);
+  });
+
+  it("loses a late member's pairing with the lose policy", () => {
+    const { engine } = createTestEngine({ timeoutPolicy: "lose" });
+    const room = createTeamRoom(engine, ["Ann", "Ada"], ["Ben", "Bo"]);
+    setMoves(room, ["rock", null], ["rock", "rock"]);
+
+    const { lateRoles, forfeitWinner } = engine.timeOutRound(room);
+    const result = engine.processRound(room);
+
+    assert.deepEqual(lateRoles, ["player1"]);
+    assert.equal(forfeitWinner, null);
+    assert.equal(room.teams.player1[1].timeouts, 1);
+    assert.equal(result.pairings[1].player1.timedOut, true);
+    assert.equal(result.roundWinner, "player2");
+  });
+
+  it("forfeits for a side whose member times out too often", () => {
+    const { engine } = createTestEngine({ forfeitAfter: 2 });
+    const room = createTeamRoom(engine, ["Ann", "Ada"], ["Ben", "Bo"]);
+
+    setMoves(room, ["rock", null], ["rock", "rock"]);
+    assert.equal(engine.timeOutRound(room).forfeitWinner, null);
+    engine.processRound(room);
+
+    // Ann's move doesn't save Ada from her second timeout in a row
+    setMoves(room, ["rock", null], ["rock", "rock"]);
+    assert.equal(engine.timeOutRound(room).forfeitWinner, "player2");
+  });
+
+  it("abandons the match when both sides time out too often", () => {
+    const { engine } = createTestEngine({ forfeitAfter: 1 });
+    const room = createTeamRoom(engine, ["Ann", "Ada"], ["Ben", "Bo"]);
+    setMoves(room, ["rock", null], [null, "rock"]);
+
+    const { lateRoles, forfeitWinner, abandoned } = engine.timeOutRound(room);
+
+    assert.deepEqual(lateRoles, ["player1", "player2"]);
+    assert.equal(forfeitWinner, null);
+    assert.equal(abandoned, true);
+  });
+});
+
+describe("free-for-all rounds", () => {
+  /**
+   * A free-for-all between players of the given nicknames
+   */
+  function createFreeForAll(engine, names, options = {}) {
+    return engine.createFreeForAllState(
+      "ffa_test",
+      names.map((nickname) =>
+        engine.createSeat({
+          socketId: `socket_${nickname}`,
+          playerId: `id_${nickname}`,
+          playerToken: `token_${nickname}`,
+          nickname,
+        })
+      ),
+      options
+    );
+  }
+
+  /**
+   * Everyone still in throws, in join order
+   */
+  function throwMoves(engine, room, moves) {
+    engine.listSeats(room).forEach((seat, i) => (seat.choice = moves[i]));
+    return engine.processRound(room);
+  }
+
+  it("scores any number of moves thrown at once", () => {
+    const classic = getRuleSet("classic");
+    const rpsls = getRuleSet("rpsls");
+
+    assert.deepEqual(
+      determineWinningMoves(classic, ["rock", "scissors", "rock"]),
+      ["rock"]
+    );
+    assert.deepEqual(
+      determineWinningMoves(classic, ["rock", "paper", "scissors"]),
+      []
+    );
+    assert.deepEqual(determineWinningMoves(classic, ["paper", "paper"]), []);
+    assert.deepEqual(
+      determineWinningMoves(rpsls, ["rock", "scissors", "lizard"]),
+      ["rock"]
+    );
+  });
+
+  it("knocks out everyone who threw a beaten move", () => {
+    const { engine } = createTestEngine();
+    const room = createFreeForAll(engine, ["Ann", "Ben", "Cy", "Dee"]);
+
+    const result = throwMoves(engine, room, [
+      "rock",
+      "scissors",
+      "rock",
+      "scissors",
+    ]);
+
+    assert.deepEqual(result.winningMoves, ["rock"]);
+    assert.equal(result.outcomeText, "Rock crushes Scissors");
+    assert.deepEqual(
+      result.reveals.map((reveal) => reveal.eliminated),
+      [false, true, false, true]
+    );
+    assert.equal(result.remaining, 2);
+    assert.deepEqual(
+      engine.listSeats(room).map((seat) => seat.nickname),
+      ["Ann", "Cy"]
+    );
+  });
+
+  it("knocks nobody out when every move is beaten", () => {
+    const { engine } = createTestEngine();
+    const room = createFreeForAll(engine, ["Ann", "Ben", "Cy"]);
+
+    const result = throwMoves(engine, room, ["rock", "paper", "scissors"]);
+
+    assert.deepEqual(result.winningMoves, []);
+    assert.equal(result.remaining, 3);
+    assert.equal(result.outcomeText, "Every move thrown was beaten by another");
+  });
+
+  it("ends with the last player standing", () => {
+    const { engine } = createTestEngine();
+    const room = createFreeForAll(engine, ["Ann", "Ben", "Cy"]);
+
+    throwMoves(engine, room, ["paper", "rock", "paper"]);
+    const result = throwMoves(engine, room, ["scissors", "paper"]);
+
+    assert.equal(result.matchWinner, "id_Ann");
+    assert.equal(room.gameOver, true);
+    assert.equal(room.endReason, "win");
+    assert.deepEqual(
+      engine.freeForAllStandings(room).map((player) => player.nickname),
+      ["Ann", "Cy", "Ben"]
+    );
+  });
+
+  it("knocks out late players with the lose policy", () => {
+    const { engine } = createTestEngine({ timeoutPolicy: "lose" });
+    const room = createFreeForAll(engine, ["Ann", "Ben", "Cy"]);
+    room.entrants[0].choice = "rock";
+    room.entrants[1].choice = "rock";
+
+    engine.timeOutGroupRound(room);
+    const result = engine.processRound(room);
+
+    assert.deepEqual(
+      result.reveals.map((reveal) => reveal.eliminated),
+      [false, false, true]
+    );
+    assert.equal(result.outcomeText, "Cy ran out of time");
+  });
+
+  it("ends the game when players leave until one is left", () => {
+    const { engine } = createTestEngine();
+    const room = createFreeForAll(engine, ["Ann", "Ben", "Cy"]);
+
+    engine.dropEntrant(room, room.entrants[0]);
+    assert.equal(room.gameOver, false);
+
+    engine.dropEntrant(room, room.entrants[2]);
+    assert.equal(room.gameOver, true);
+    assert.equal(room.matchWinner, "id_Ben");
+    assert.equal(room.endReason, "forfeit");
+  });
+});
+
+describe("matchmaking", () => {
+  /**
+   * A queue entry for the classic best of 3
+   */
+  function queueEntry(token, rating, joinedAt, extra = {}) {
+    return {
+      socketId: `socket_${token}`,
+      player: { token },
+      matchKey: "classic|bestOf:3:0|open",
+      rating,
+      provisional: false,
+      joinedAt,
+      ...extra,
+    };
+  }
+
+  it("widens the rating window the longer someone waits", () => {
+    const { engine } = createTestEngine({
+      ratingWindowBase: 100,
+      ratingWindowGrowth: 10,
+    });
+    const entry = queueEntry("a", 1500, 0);
+
+    assert.equal(engine.ratingWindow(entry, 0), 100);
+    assert.equal(engine.ratingWindow(entry, 30000), 400);
+  });
+
+  it("pairs players once both windows cover the gap", () => {
+    const { engine, clock } = createTestEngine();
+    const queue = [
+      queueEntry("a", 1500, clock.now()),
+      queueEntry("b", 1750, clock.now()),
+    ];
+
+    assert.deepEqual(engine.pairQueue(queue), []);
+
+    clock.advance(15000);
+    const pairs = engine.pairQueue(queue);
+
+    assert.equal(pairs.length, 1);
+    assert.deepEqual(
+      pairs[0].map((entry) => entry.player.token),
+      ["a", "b"]
+    );
+  });
+
+  it("pairs the longest waiting player with the closest rating", () => {
+    const { engine, clock } = createTestEngine();
+    const queue = [
+      queueEntry("far", 1580, clock.now()),
+      queueEntry("first", 1500, clock.now() - 1000),
+      queueEntry("near", 1520, clock.now()),
+    ];
+
+    const pairs = engine.pairQueue(queue);
+
+    assert.equal(pairs.length, 1);
+    assert.deepEqual(
+      pairs[0].map((entry) => entry.player.token),
+      ["first", "near"]
+    );
+  });
+
+  it("never pairs different games or the same player twice", () => {
+    const { engine, clock } = createTestEngine();
+    const queue = [
+      queueEntry("a", 1500, clock.now()),
+      queueEntry("a", 1500, clock.now()),
+      queueEntry("b", 1500, clock.now(), {
+        matchKey: "rpsls|bestOf:3:0|open",
+      }),
+    ];
+
+    assert.deepEqual(engine.pairQueue(queue), []);
+  });
+
+  it("places players in line behind those waiting for the same game", () => {
+    const { engine, clock } = createTestEngine();
+    const queue = [
+      queueEntry("late", 1500, clock.now()),
+      queueEntry("other", 1500, clock.now() - 2000, {
+        matchKey: "rpsls|bestOf:3:0|open",
+      }),
+      queueEntry("early", 1500, clock.now() - 1000),
+    ];
+
+    assert.deepEqual(engine.queuePosition(queue, queue[0]), {
+      position: 2,
+      queued: 2,
+    });
+    assert.deepEqual(engine.queuePosition(queue, queue[1]), {
+      position: 1,
+      queued: 1,
+    });
+  });
+
+  it("estimates the wait from how fast players were matched lately", () => {
+    const { engine } = createTestEngine();
+
+    // 10 players matched in the last 5 minutes: one every 30 seconds
+    assert.equal(engine.estimateQueueWait(1, 10, 300000), 30000);
+    assert.equal(engine.estimateQueueWait(3, 10, 300000), 90000);
+    assert.equal(engine.estimateQueueWait(1, 0, 300000), null);
+  });
+
+  it("gives provisional players a wider window", () => {
+    const { engine, clock } = createTestEngine();
+    const queue = [
+      queueEntry("a", 1500, clock.now(), { provisional: true }),
+      queueEntry("b", 1800, clock.now(), { provisional: true }),
+    ];
+
+    assert.equal(engine.pairQueue(queue).length, 1);
+  });
+});
+
+describe("scheduling", () => {
+  it("runs tasks when its clock reaches them, in order", () => {
+    const { engine, clock } = createTestEngine();
+    const ran = [];
+
+    engine.schedule(() => ran.push("later"), 2000);
+    engine.schedule(() => {
+      ran.push("sooner");
+      engine.schedule(() => ran.push("chained"), 500);
+    }, 1000);
+
+    clock.advance(999);
+    assert.deepEqual(ran, []);
+
+    clock.advance(1001);
+    assert.deepEqual(ran, ["sooner", "chained", "later"]);
+    assert.equal(engine.now(), 3000);
+  });
+
+  it("cancels one task or all of them", () => {
+    const { engine, clock } = createTestEngine();
+    const ran = [];
+
+    const timer = engine.schedule(() => ran.push("cancelled"), 1000);
+    engine.schedule(() => ran.push("kept"), 1000);
+    engine.cancel(timer);
+    engine.cancel(null);
+    clock.advance(1000);
+    assert.deepEqual(ran, ["kept"]);
+
+    engine.schedule(() => ran.push("stopped"), 1000);
+    engine.cancelAll();
+    clock.advance(1000);
+    assert.deepEqual(ran, ["kept"]);
+    assert.equal(clock.pending(), 0);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Roster fixtures shared by the party, lobby and roster tests
+ */
+
+/**
+ * A roster member called `name`
+ */
+function member(name) {
+  return { socketId: `socket_${name}`, playerId: `id_${name}`, nickname: name };
+}
+
+/**
+ * Add the named members to a party or lobby
+ * @param join - how the group takes members, e.g. addMember
+ * @returns the group
+ */
+function withMembers(group, join, names) {
+  names.forEach((name) => join(group, member(name)));
+  return group;
+}
+
+module.exports = { member, withMembers };
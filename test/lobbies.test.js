@@ -0,0 +1,70 @@
+/**
+ * Free-for-all lobbies: joining, leaving and when a game can start
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getRuleSet } = require("../lib/rulesets");
+const {
+  MIN_LOBBY_PLAYERS,
+  MAX_LOBBY_PLAYERS,
+  createLobby,
+  addToLobby,
+  removeFromLobby,
+  checkCanStart,
+  publicLobby,
+} = require("../lib/lobbies");
+const { member, withMembers } = require("./fixtures/roster");
+
+/**
+ * A lobby hosted by player 0 with `size` players in it
+ */
+function lobbyOf(size) {
+  const lobby = createLobby({
+    code: "XYZ789",
+    host: member("p0"),
+    ruleSet: getRuleSet("classic"),
+  });
+  const others = Array.from({ length: size - 1 }, (_, i) => `p${i + 1}`);
+  return withMembers(lobby, addToLobby, others);
+}
+
+describe("free-for-all lobbies", () => {
+  it("is hosted by the player who made it", () => {
+    const lobby = publicLobby(lobbyOf(2));
+
+    assert.equal(lobby.link, "/?lobby=XYZ789");
+    assert.deepEqual(lobby.ruleSet, {
+      id: "classic",
+      name: "Rock Paper Scissors",
+    });
+    assert.deepEqual(
+      lobby.members.map((player) => player.host),
+      [true, false]
+    );
+    assert.equal(lobby.playing, false);
+  });
+
+  it("starts once enough players are in", () => {
+    assert.equal(checkCanStart(lobbyOf(MIN_LOBBY_PLAYERS - 1)).ok, false);
+    assert.equal(checkCanStart(lobbyOf(MIN_LOBBY_PLAYERS)).ok, true);
+  });
+
+  it("turns players away once full or playing", () => {
+    const full = lobbyOf(MAX_LOBBY_PLAYERS);
+    assert.equal(addToLobby(full, member("late")).ok, false);
+
+    const playing = lobbyOf(3);
+    playing.roomId = "room_1";
+    assert.equal(addToLobby(playing, member("late")).ok, false);
+    assert.equal(checkCanStart(playing).ok, false);
+  });
+
+  it("hands the lobby on when the host leaves", () => {
+    const lobby = lobbyOf(3);
+
+    removeFromLobby(lobby, "socket_p0");
+
+    assert.equal(publicLobby(lobby).members[0].host, true);
+  });
+});
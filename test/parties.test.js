@@ -0,0 +1,73 @@
+/**
+ * Parties: joining, leaving and checking a party fits a team mode
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_PARTY_SIZE,
+  createParty,
+  addMember,
+  removeMember,
+  checkTeamMode,
+  publicParty,
+} = require("../lib/parties");
+const { member, withMembers } = require("./fixtures/roster");
+
+/**
+ * A party led by Ann with the other members given
+ */
+function partyOf(...names) {
+  return withMembers(
+    createParty({ code: "ABC123", leader: member("Ann") }),
+    addMember,
+    names
+  );
+}
+
+describe("parties", () => {
+  it("is led by the player who made it", () => {
+    const party = partyOf("Ben");
+
+    assert.deepEqual(publicParty(party), {
+      code: "ABC123",
+      link: "/?party=ABC123",
+      maxSize: MAX_PARTY_SIZE,
+      members: [
+        { playerId: "id_Ann", nickname: "Ann", leader: true },
+        { playerId: "id_Ben", nickname: "Ben", leader: false },
+      ],
+      search: null,
+    });
+  });
+
+  it("turns players away once full or searching", () => {
+    const party = partyOf("Ben");
+
+    party.search = { mode: { id: "2v2", label: "2v2" } };
+    assert.equal(addMember(party, member("Cy")).ok, false);
+
+    party.search = null;
+    assert.equal(addMember(party, member("Cy")).ok, true);
+    assert.equal(addMember(party, member("Dee")).ok, false);
+    assert.equal(party.members.length, MAX_PARTY_SIZE);
+  });
+
+  it("hands the lead on when the leader leaves", () => {
+    const party = partyOf("Ben");
+
+    assert.equal(removeMember(party, "socket_Ann").nickname, "Ann");
+    assert.equal(publicParty(party).members[0].leader, true);
+  });
+
+  it("only queues for a mode that fits the party exactly", () => {
+    const pair = partyOf("Ben");
+    const trio = partyOf("Ben", "Cy");
+
+    assert.equal(checkTeamMode(pair, "2v2").mode.teamSize, 2);
+    assert.equal(checkTeamMode(pair, "3v3").ok, false);
+    assert.equal(checkTeamMode(trio, "3v3").ok, true);
+    assert.equal(checkTeamMode(trio, "4v4").ok, false);
+    assert.equal(checkTeamMode(trio, "constructor").ok, false);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Rosters: joining, leaving and handing over ownership
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createRoster,
+  joinRoster,
+  leaveRoster,
+  publicMembers,
+} = require("../lib/roster");
+const { member, withMembers } = require("./fixtures/roster");
+
+const LIMITS = { maxSize: 3, name: "group" };
+
+/**
+ * A roster owned by Ann with the other members given
+ */
+function rosterOf(...names) {
+  return withMembers(
+    createRoster(member("Ann")),
+    (roster, newcomer) => joinRoster(roster, newcomer, LIMITS),
+    names
+  );
+}
+
+describe("rosters", () => {
+  it("is owned by its first member", () => {
+    assert.deepEqual(publicMembers(rosterOf("Ben"), "owner"), [
+      { playerId: "id_Ann", nickname: "Ann", owner: true },
+      { playerId: "id_Ben", nickname: "Ben", owner: false },
+    ]);
+  });
+
+  it("turns players away once full or already in it", () => {
+    const roster = rosterOf("Ben");
+
+    assert.deepEqual(joinRoster(roster, member("Ben"), LIMITS), {
+      ok: false,
+      reason: "You're already in that group.",
+    });
+    assert.equal(joinRoster(roster, member("Cy"), LIMITS).ok, true);
+    assert.deepEqual(joinRoster(roster, member("Dee"), LIMITS), {
+      ok: false,
+      reason: "That group is full.",
+    });
+  });
+
+  it("hands ownership on when the owner leaves", () => {
+    const roster = rosterOf("Ben", "Cy");
+
+    assert.equal(leaveRoster(roster, "socket_Ann").nickname, "Ann");
+    assert.equal(roster.ownerId, "socket_Ben");
+    assert.equal(leaveRoster(roster, "socket_Ann"), null);
+
+    leaveRoster(roster, "socket_Cy");
+    assert.equal(roster.ownerId, "socket_Ben");
+  });
+});
@@ -0,0 +1,373 @@
+/**
+ * Two real Socket.IO clients playing against an in-process server:
+ * queue → ready check → match → rounds → rematch → leave. The server runs
+ * on a manual clock, so every pause and timer in a match passes only when
+ * a test moves the clock on.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { io: connect } = require("socket.io-client");
+const { createManualClock } = require("../lib/clock");
+
+// Every pause in a match (before it starts, between rounds, before the
+// result and before a rematch), and the clocks players play against
+const PAUSE_MS = 1000;
+const ROUND_TIME_MS = 15000;
+const REQUEUE_COOLDOWN_MS = 30000;
+
+// Keep everything in memory and quiet
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "rps-test-"));
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  STATE_DRIVER: "memory",
+  DATA_DIR: dataDir,
+  LOG_LEVEL: "error",
+  BOT_FALLBACK_MS: "0",
+  MATCH_START_DELAY_MS: String(PAUSE_MS),
+  NEXT_ROUND_DELAY_MS: String(PAUSE_MS),
+  MATCH_RESULT_DELAY_MS: String(PAUSE_MS),
+  REMATCH_DELAY_MS: String(PAUSE_MS),
+  ROUND_TIME_MS: String(ROUND_TIME_MS),
+  ROUND_TIMEOUT_POLICY: "lose",
+  REQUEUE_COOLDOWN_MS: String(REQUEUE_COOLDOWN_MS),
+});
+
+const { start, stop } = require("../server");
+
+const clock = createManualClock(Date.now());
+
+// How long to wait for an event before failing the test
+const EVENT_TIMEOUT_MS = 3000;
+
+/**
+ * Wait for a socket's next `event` (the next one passing `test`, if given)
+ * @returns a promise of the event's payload
+ */
+function nextEvent(socket, event, test = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, EVENT_TIMEOUT_MS);
+
+    function onEvent(payload) {
+      if (!test(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(payload);
+    }
+
+    socket.on(event, onEvent);
+  });
+}
+
+describe("a match between two clients", () => {
+  let url;
+  let alice;
+  let bob;
+  // Each client's player id
+  const playerIds = new Map();
+
+  before(async () => {
+    const port = await start(0, { clock });
+    url = `http://localhost:${port}`;
+
+    alice = connect(url, { transports: ["websocket"] });
+    bob = connect(url, { transports: ["websocket"] });
+    const identities = await Promise.all([
+      nextEvent(alice, "player_identity"),
+      nextEvent(bob, "player_identity"),
+    ]);
+    playerIds.set(alice, identities[0].playerId);
+    playerIds.set(bob, identities[1].playerId);
+  });
+
+  after(async () => {
+    alice.close();
+    bob.close();
+    await stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Each client by seat, once the match is found
+  const seats = {};
+
+  /**
+   * Connect another player (with rate limits of their own)
+   */
+  async function connectPlayer() {
+    const socket = connect(url, { transports: ["websocket"] });
+    const identity = await nextEvent(socket, "player_identity");
+    playerIds.set(socket, identity.playerId);
+    return socket;
+  }
+
+  /**
+   * Wait out the pause before the next round, until both players have it
+   * @returns the round's start_round payload
+   */
+  async function startRound() {
+    const started = [
+      nextEvent(seats.player1, "start_round"),
+      nextEvent(seats.player2, "start_round"),
+    ];
+    clock.advance(PAUSE_MS);
+    return (await Promise.all(started))[0];
+  }
+
+  /**
+   * Both players pick a move; resolves with the round result
+   */
+  async function playRound(move1, move2) {
+    await startRound();
+
+    const result = nextEvent(seats.player1, "round_result");
+    seats.player1.emit("player_choice", { choice: move1 });
+    seats.player2.emit("player_choice", { choice: move2 });
+    return result;
+  }
+
+  it("tells a queued player where they stand, and lets them leave", async () => {
+    const update = nextEvent(alice, "queue_update");
+    alice.emit("join_queue", { nickname: "Alice" });
+
+    assert.deepEqual(await update, {
+      position: 1,
+      queued: 1,
+      estimatedWaitMs: null,
+      playersOnline: 2,
+      matchesInProgress: 0,
+    });
+
+    alice.emit("leave_queue");
+  });
+
+  it("requeues a player whose opponent declines, and holds the other back", async () => {
+    const checks = [
+      nextEvent(alice, "ready_check"),
+      nextEvent(bob, "ready_check"),
+    ];
+    alice.emit("join_queue", { nickname: "Alice" });
+    bob.emit("join_queue", { nickname: "Bob" });
+    await Promise.all(checks);
+
+    const aliceAccepted = nextEvent(bob, "ready_check_update");
+    alice.emit("accept_match");
+    await aliceAccepted;
+
+    const failed = [
+      nextEvent(alice, "ready_check_failed"),
+      nextEvent(bob, "ready_check_failed"),
+    ];
+    bob.emit("decline_match");
+    const [aliceFailed, bobFailed] = await Promise.all(failed);
+    assert.deepEqual(aliceFailed, { reason: "opponent", requeued: true });
+    assert.deepEqual(bobFailed, {
+      reason: "declined",
+      requeued: false,
+      cooldownMs: REQUEUE_COOLDOWN_MS,
+    });
+
+    const refused = nextEvent(bob, "error");
+    bob.emit("join_queue", { nickname: "Bob" });
+    assert.equal((await refused).code, "cooldown");
+
+    alice.emit("leave_queue");
+    clock.advance(REQUEUE_COOLDOWN_MS);
+  });
+
+  it("calls a match off when nobody accepts in time", async () => {
+    const [dave, erin] = await Promise.all([connectPlayer(), connectPlayer()]);
+
+    try {
+      const checks = [
+        nextEvent(dave, "ready_check"),
+        nextEvent(erin, "ready_check"),
+      ];
+      dave.emit("join_queue", { nickname: "Dave" });
+      erin.emit("join_queue", { nickname: "Erin" });
+      const [check] = await Promise.all(checks);
+      assert.equal(check.deadline, clock.now() + check.timeoutMs);
+
+      const failed = [
+        nextEvent(dave, "ready_check_failed"),
+        nextEvent(erin, "ready_check_failed"),
+      ];
+      clock.advance(check.timeoutMs);
+      for (const notice of await Promise.all(failed)) {
+        assert.equal(notice.reason, "timeout");
+        assert.equal(notice.requeued, false);
+      }
+    } finally {
+      dave.close();
+      erin.close();
+    }
+  });
+
+  it("pairs two queued players once both accept", async () => {
+    const checks = [
+      nextEvent(alice, "ready_check"),
+      nextEvent(bob, "ready_check"),
+    ];
+    const found = [
+      nextEvent(alice, "match_found"),
+      nextEvent(bob, "match_found"),
+    ];
+    alice.emit("join_queue", { nickname: "Alice" });
+    bob.emit("join_queue", { nickname: "Bob" });
+
+    await Promise.all(checks);
+    alice.emit("accept_match");
+    bob.emit("accept_match");
+
+    const [aliceMatch, bobMatch] = await Promise.all(found);
+
+    assert.equal(aliceMatch.roomId, bobMatch.roomId);
+    assert.equal(aliceMatch.opponentNickname, "Bob");
+    assert.equal(bobMatch.opponentNickname, "Alice");
+    assert.notEqual(aliceMatch.playerRole, bobMatch.playerRole);
+
+    seats[aliceMatch.playerRole] = alice;
+    seats[bobMatch.playerRole] = bob;
+  });
+
+  it("plays rounds until the format's winner is decided", async () => {
+    const first = await playRound("rock", "scissors");
+    assert.equal(first.round, 1);
+    assert.equal(first.roundWinner, "player1");
+    assert.deepEqual(first.scores, { player1: 1, player2: 0 });
+
+    const draw = await playRound("paper", "paper");
+    assert.equal(draw.roundWinner, "draw");
+
+    const last = await playRound("scissors", "paper");
+    assert.equal(last.matchWinner, "player1");
+
+    const matchResult = nextEvent(seats.player2, "match_result");
+    clock.advance(PAUSE_MS);
+    const result = await matchResult;
+    assert.equal(result.winner, "player1");
+    assert.equal(result.reason, "win");
+    assert.deepEqual(result.finalScores, { player1: 2, player2: 0 });
+
+    // The finished match is saved and can be replayed
+    const res = await fetch(`${url}/api/replays/${result.matchId}`);
+    assert.equal(res.status, 200);
+    const replay = await res.json();
+    assert.deepEqual(
+      replay.rounds.map((round) => round.winner),
+      ["player1", "draw", "player1"]
+    );
+  });
+
+  it("starts a fresh match when both want a rematch", async () => {
+    const accepted = nextEvent(seats.player2, "rematch_accepted");
+    const wantsRematch = nextEvent(seats.player2, "opponent_wants_rematch");
+
+    seats.player1.emit("request_rematch");
+    await wantsRematch;
+    seats.player2.emit("request_rematch");
+    await accepted;
+
+    const result = await playRound("rock", "paper");
+    assert.equal(result.round, 1);
+    assert.deepEqual(result.scores, { player1: 0, player2: 1 });
+  });
+
+  it("gives the round away when a player runs out of time", async () => {
+    const started = await startRound();
+    assert.equal(started.deadline, clock.now() + ROUND_TIME_MS);
+
+    const result = nextEvent(seats.player1, "round_result");
+    const locked = nextEvent(seats.player2, "opponent_locked");
+    seats.player1.emit("player_choice", { choice: "rock" });
+    await locked;
+    clock.advance(ROUND_TIME_MS);
+
+    const timedOut = await result;
+    assert.equal(timedOut.round, 2);
+    assert.equal(timedOut.roundWinner, "player1");
+    assert.deepEqual(timedOut.timedOut, { player1: false, player2: true });
+  });
+
+  /**
+   * A player's public profile
+   */
+  async function fetchProfile(socket) {
+    const res = await fetch(`${url}/api/players/${playerIds.get(socket)}`);
+    assert.equal(res.status, 200);
+    return res.json();
+  }
+
+  it("tells the opponent when a player leaves, and forfeits the match", async () => {
+    const before = await fetchProfile(seats.player1);
+
+    const result = nextEvent(seats.player2, "match_result");
+    const disconnected = nextEvent(seats.player2, "opponent_disconnected");
+
+    seats.player1.emit("leave_room");
+
+    assert.equal((await result).reason, "forfeit");
+    await disconnected;
+
+    // Leaving doesn't dodge the rating loss
+    const after = await fetchProfile(seats.player1);
+    assert.equal(after.rating.games, before.rating.games + 1);
+    assert.ok(after.rating.rating < before.rating.rating);
+
+    // ...and goes into their history as a forfeited loss
+    assert.equal(after.recentMatches[0].result, "loss");
+    assert.equal(after.recentMatches[0].endReason, "forfeit");
+  });
+
+  it("reports a tournament match a player walks out of", async () => {
+    // A fresh client to organize, so nobody runs into the rate limits
+    const carol = await connectPlayer();
+
+    try {
+      const created = nextEvent(carol, "tournament_view");
+      carol.emit("create_tournament", {
+        nickname: "Carol",
+        name: "Walkout Cup",
+        type: "single",
+      });
+      const { id: tournamentId } = await created;
+
+      const registered = nextEvent(
+        carol,
+        "tournament_update",
+        (tournament) => tournament.participants.length === 2
+      );
+      carol.emit("join_tournament", { tournamentId, nickname: "Carol" });
+      bob.emit("join_tournament", { tournamentId, nickname: "Bob" });
+      await registered;
+
+      const found = [
+        nextEvent(carol, "match_found"),
+        nextEvent(bob, "match_found"),
+      ];
+      carol.emit("start_tournament", { tournamentId });
+      await Promise.all(found);
+
+      const finished = nextEvent(
+        bob,
+        "tournament_update",
+        (tournament) => tournament.status === "finished"
+      );
+      carol.emit("leave_room");
+
+      const tournament = await finished;
+      assert.deepEqual(
+        tournament.matches.map((match) => [match.id, match.status]),
+        [["W1-1", "done"]]
+      );
+      assert.equal(tournament.winnerId, playerIds.get(bob));
+    } finally {
+      carol.close();
+    }
+  });
+});